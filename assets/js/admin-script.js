@@ -20,6 +20,12 @@ window.csvImportValidateCSV = function(type) {
     }
 };
 
+window.csvImportSyncPreview = function(source) {
+    if (typeof window.CSVImportAdmin !== 'undefined' && window.CSVImportAdmin.previewSync) {
+        window.CSVImportAdmin.previewSync(source);
+    }
+};
+
 window.csvImportSystemHealth = function() {
     if (typeof window.CSVImportAdmin !== 'undefined' && window.CSVImportAdmin.systemHealthCheck) {
         window.CSVImportAdmin.systemHealthCheck();
@@ -112,11 +118,23 @@ window.csvImportCheckHandlers = function() {
             schedulerTestInProgress: false,
             progressUpdateInterval: null,
             lastProgressUpdate: 0,
+            imageQueueActive: false,
             connectionStatus: 'unknown',
             handlerStatus: 'unknown',
             // --- KORRIGIERT: Intelligente Verbindungsüberwachung ---
             connectionFailures: 0,
-            lastConnectionCheck: 0
+            lastConnectionCheck: 0,
+            // Chunk-Import
+            importSource: null,
+            chunkRetries: 0,
+            chunkLoopActive: false,
+            // Simulation (Dry-Run)
+            simulationInProgress: false,
+            simulation: null,
+            // Datei-Upload
+            uploadInProgress: false,
+            // Template-Vorschau
+            rowPreviewInProgress: false
         },
 
         // Konfiguration (erweitert mit KORRIGIERTEN Connection-Settings)
@@ -132,7 +150,15 @@ window.csvImportCheckHandlers = function() {
             connectionTimeout: 8000,        // 8 Sekunden Timeout
             maxLogEntries: 100,
             autoRefreshProgress: true,
-            enableSchedulerIntegration: true
+            enableSchedulerIntegration: true,
+            chunkTimeout: 120000,           // Ein Chunk darf länger dauern als normale Requests
+            maxChunkRetries: 3,
+            simulationPageSize: 25,
+            mappingMinConfidence: 60,       // Automatische Zuordnung erst ab 60% Übereinstimmung
+            mappingSaveDelay: 800,
+            rulesSaveDelay: 800,
+            transformSaveDelay: 800,
+            uploadChunkTimeout: 120000
         },
 
         // Interner State
@@ -188,6 +214,9 @@ window.csvImportCheckHandlers = function() {
         // 4. Event-Listener registrieren
         this.bindEvents();
 
+        // 4b. Buttons für registrierte Import-Quellen
+        this.renderSourceButtons();
+
         // 5. Status initialisieren
         this.initializeStatus();
 
@@ -250,6 +279,8 @@ window.csvImportCheckHandlers = function() {
             resultsContainer: $('#csv-test-results'),
             sampleDataContainer: $('#csv-sample-data-container'),
             importButtons: $('.csv-import-btn'),
+            importControls: $('.csv-import-controls'),
+            simulationContainer: $('#csv-simulation-results'),
             progressNotice: $('.csv-import-progress-notice'),
             progressBar: $('.csv-import-progress-fill, .progress-bar-fill'),
             
@@ -295,6 +326,82 @@ window.csvImportCheckHandlers = function() {
             self.handleImportClick($(this));
         });
 
+        // Simulation (Dry-Run)
+        $(document).on('click', '.csv-simulate-btn', function(e) {
+            e.preventDefault();
+            self.simulateImport($(this).data('source'));
+        });
+
+        // Template-Vorschau einer Datenzeile
+        $(document).on('click', '.csv-preview-row-btn', function(e) {
+            e.preventDefault();
+            self.previewTemplateRow();
+        });
+
+        // Verbindungsstatus (FTP/SFTP) nur auf Anforderung prüfen
+        $(document).on('click', '.csv-source-status-btn', function(e) {
+            e.preventDefault();
+            self.checkSourceStatus($(this));
+        });
+
+        this.elements.simulationContainer.on('change', '.csv-sim-filter', function() {
+            self.status.simulation.filter = $(this).val();
+            self.status.simulation.page = 1;
+            self.renderSimulationTable();
+        });
+
+        this.elements.simulationContainer.on('input', '.csv-sim-search', function() {
+            self.status.simulation.search = $(this).val().toLowerCase();
+            self.status.simulation.page = 1;
+            self.renderSimulationTable();
+        });
+
+        this.elements.simulationContainer.on('click', '.csv-sim-page', function(e) {
+            e.preventDefault();
+            self.status.simulation.page = parseInt($(this).data('page'), 10) || 1;
+            self.renderSimulationTable();
+        });
+
+        // Pause/Fortsetzen/Abbrechen
+        $(document).on('click', '.csv-import-control-btn', function(e) {
+            e.preventDefault();
+            self.handleControlClick($(this).data('control'), $(this).closest('.csv-import-controls').data('source'));
+        });
+
+        // Datei-Upload per Drag & Drop oder Dateiauswahl
+        const $uploadZone = $('#csv-upload-zone');
+        $uploadZone.on('click keydown', function(e) {
+            if (e.type === 'keydown' && e.key !== 'Enter' && e.key !== ' ') {
+                return;
+            }
+            e.preventDefault();
+            $('#csv-upload-input').trigger('click');
+        });
+
+        $('#csv-upload-input').on('change', function() {
+            if (this.files && this.files.length) {
+                self.uploadFile(this.files[0]);
+            }
+            this.value = '';
+        });
+
+        $uploadZone.on('dragenter dragover', function(e) {
+            e.preventDefault();
+            $uploadZone.addClass('is-dragover').css('border-color', '#2271b1');
+        });
+
+        $uploadZone.on('dragleave drop', function(e) {
+            e.preventDefault();
+            $uploadZone.removeClass('is-dragover').css('border-color', '');
+        });
+
+        $uploadZone.on('drop', function(e) {
+            const files = e.originalEvent.dataTransfer ? e.originalEvent.dataTransfer.files : null;
+            if (files && files.length) {
+                self.uploadFile(files[0]);
+            }
+        });
+
         // Emergency Reset Button
         this.elements.emergencyReset.on('click', function(e) {
             e.preventDefault();
@@ -364,6 +471,16 @@ window.csvImportCheckHandlers = function() {
         // Import-Status aus Server-Daten übernehmen
         if (typeof csvImportAjax !== 'undefined') {
             this.status.importRunning = csvImportAjax.import_running || false;
+
+            // Unterbrochener oder pausierter Chunk-Import (z.B. nach Reload des Tabs)
+            if (csvImportAjax.resumable_import) {
+                this.showResumePrompt(csvImportAjax.resumable_import);
+                this.updateImportControls({
+                    running: false,
+                    status: csvImportAjax.resumable_import.status,
+                    resumable: csvImportAjax.resumable_import
+                });
+            }
         }
 
         // UI entsprechend dem Status anpassen
@@ -385,6 +502,11 @@ window.csvImportCheckHandlers = function() {
         if (this.status.importRunning) {
             this.startProgressUpdates();
         }
+
+        // Bilder aus einem früheren Import werden evtl. noch im Hintergrund geladen
+        if (typeof csvImportAjax !== 'undefined' && csvImportAjax.image_queue) {
+            this.renderImageQueueStatus(csvImportAjax.image_queue);
+        }
     };
 
     /**
@@ -637,7 +759,8 @@ window.csvImportCheckHandlers = function() {
             return;
         }
 
-        if (!type || !['dropbox', 'local'].includes(type)) {
+        const source = this.getSources().find(entry => entry.id === type);
+        if (!source) {
             this.debug.error('Ungültiger CSV-Typ:', type);
             return;
         }
@@ -650,7 +773,7 @@ window.csvImportCheckHandlers = function() {
         this.debug.log(`CSV-Validierung gestartet für: ${type}`);
         this.status.validationInProgress = true;
 
-        const typeLabel = type.charAt(0).toUpperCase() + type.slice(1);
+        const typeLabel = source.label;
 
         // UI-Feedback
         this.showTestProgress(type, `${typeLabel} CSV wird validiert...`);
@@ -673,1010 +796,2491 @@ window.csvImportCheckHandlers = function() {
     };
 
     /**
-     * Import-Button-Click behandeln - Vollständig erhalten
+     * Mapping-Daten aus dem Formular sammeln
      */
-    CSVImportAdmin.handleImportClick = function($button) {
+    CSVImportAdmin.collectMappingData = function() {
+        const $rows = $('#csv-column-mapping-container tr[data-column]');
+
+        // Ohne Mapping-Tabelle (z.B. Import-Seite) das gespeicherte Mapping verwenden
+        if (!$rows.length) {
+            return this.getSavedMapping();
+        }
+
+        const mappingData = {};
+        $rows.each(function() {
+            const targets = [];
+            $(this).find('.csv-mapping-target').each(function() {
+                const value = $(this).find('.csv-mapping-select').val();
+                if (value === '__custom_meta') {
+                    const metaKey = $.trim($(this).find('.csv-mapping-custom-meta').val());
+                    if (metaKey) {
+                        targets.push('meta:' + metaKey);
+                    }
+                } else if (value) {
+                    targets.push(value);
+                }
+            });
+            if (targets.length) {
+                mappingData[$(this).attr('data-column')] = targets;
+            }
+        });
+        return mappingData;
+    };
+
+    /**
+     * Registrierte Import-Quellen (id, label, configured, ready) vom Server
+     */
+    CSVImportAdmin.getSources = function() {
+        return (typeof csvImportAjax !== 'undefined' && Array.isArray(csvImportAjax.sources)) ? csvImportAjax.sources : [];
+    };
+
+    /**
+     * Validierungs- bzw. Sync-Buttons für alle konfigurierten Quellen in die Platzhalter einsetzen
+     */
+    CSVImportAdmin.renderSourceButtons = function() {
+        const sources = this.getSources().filter(source => source.configured);
+        const actions = {
+            validate: { callback: 'csvImportValidateCSV', text: label => `${label} validieren` },
+            sync: { callback: 'csvImportSyncPreview', text: label => `🧹 Sync-Probelauf ${label}` }
+        };
+
+        $('.csv-source-buttons').each(function() {
+            const action = actions[$(this).data('source-action')];
+            if (!action) {
+                return;
+            }
+
+            $(this).empty().append(sources.map(source =>
+                $('<button type="button" class="button button-secondary"></button>')
+                    .text(action.text(source.label))
+                    .attr('title', source.ready ? '' : 'Konfiguration unvollständig')
+                    .on('click', () => window[action.callback](source.id))
+            ));
+        });
+    };
+
+    /**
+     * Statusanzeige einer Quelle laden - baut bei FTP/SFTP eine Verbindung mit den gespeicherten Daten auf
+     */
+    CSVImportAdmin.checkSourceStatus = function($button) {
         const source = $button.data('source');
+        const $status = $(`.csv-source-status[data-source="${source}"]`);
 
-        if (!source) {
-            this.debug.error('Import-Button ohne Datenquelle');
-            this.showAlert('Import-Konfigurationsfehler', 'error');
-            return;
+        $button.prop('disabled', true);
+        $status.html('🔄 Verbindung wird geprüft...');
+
+        this.performAjaxRequest({
+            action: 'csv_import_source_status',
+            source: source
+        })
+        .done((response) => {
+            const data = response.data || {};
+            $status.html(response.success
+                ? data.status
+                : `<span style="color:red;">❌ ${this.escapeHtml(data.message || 'Prüfung fehlgeschlagen')}</span>`);
+        })
+        .fail((xhr, status, error) => {
+            $status.html(`<span style="color:red;">❌ Prüfung fehlgeschlagen: ${this.escapeHtml(error || status)}</span>`);
+        })
+        .always(() => {
+            $button.prop('disabled', false);
+        });
+    };
+
+    /**
+     * Datei vor dem Upload prüfen - dieselben Regeln (Endung, Größe) wie auf dem Server
+     */
+    CSVImportAdmin.checkUploadFile = function(file) {
+        const limits = csvImportAjax.upload || {};
+        const extensions = limits.extensions || ['csv'];
+        const extension = file.name.indexOf('.') !== -1 ? file.name.split('.').pop().toLowerCase() : '';
+
+        if (!extensions.includes(extension)) {
+            return `Dateityp ".${extension}" ist nicht erlaubt (erlaubt: ${extensions.join(', ')})`;
+        }
+        if (!file.size) {
+            return 'Die Datei ist leer';
         }
+        if (limits.max_bytes && file.size > limits.max_bytes) {
+            return `Die Datei ist zu groß (${(file.size / 1048576).toFixed(1)} MB, maximal ${limits.max_file_size_mb} MB)`;
+        }
+        return '';
+    };
 
+    /**
+     * Datei in Teilstücken hochladen und als Upload-Quelle registrieren
+     */
+    CSVImportAdmin.uploadFile = function(file) {
+        if (this.status.uploadInProgress) {
+            this.showAlert('Es läuft bereits ein Upload.', 'warning');
+            return;
+        }
         if (this.status.importRunning) {
-            this.showAlert('Ein Import läuft bereits. Bitte warten oder Reset durchführen.', 'warning');
+            this.showAlert('Während eines laufenden Imports kann keine Datei hochgeladen werden.', 'warning');
             return;
         }
 
-        // Bestätigung einholen
-        const sourceLabel = source.charAt(0).toUpperCase() + source.slice(1);
-        if (!confirm(`${sourceLabel} Import wirklich starten?\n\nDies kann mehrere Minuten dauern.`)) {
+        const error = this.checkUploadFile(file);
+        if (error) {
+            this.showUploadStatus(error, 'error');
             return;
         }
 
-        this.startImport(source);
+        const chunkSize = (csvImportAjax.upload && csvImportAjax.upload.chunk_size) || 1048576;
+        const upload = {
+            file: file,
+            id: 'u' + Date.now().toString(36) + Math.random().toString(36).slice(2, 10),
+            chunkSize: chunkSize,
+            totalChunks: Math.max(1, Math.ceil(file.size / chunkSize)),
+            index: 0
+        };
+
+        this.debug.log(`Upload gestartet: ${file.name} (${upload.totalChunks} Teilstücke)`);
+        this.status.uploadInProgress = true;
+        $('.csv-upload-actions').hide();
+        this.updateUploadProgress(0);
+        this.showUploadStatus(`${file.name} wird hochgeladen...`, 'progress');
+        this.uploadNextChunk(upload);
     };
 
     /**
-     * Import starten - Vollständig erhalten
+     * Nächstes Teilstück senden, bis die Datei vollständig ist
      */
-    CSVImportAdmin.startImport = function(source) {
-        this.debug.log(`Import wird gestartet: ${source}`);
+    CSVImportAdmin.uploadNextChunk = function(upload) {
+        const start = upload.index * upload.chunkSize;
+        const formData = new FormData();
+        formData.append('action', 'csv_import_upload_chunk');
+        formData.append('nonce', csvImportAjax.nonce);
+        formData.append('upload_id', upload.id);
+        formData.append('chunk_index', upload.index);
+        formData.append('total_chunks', upload.totalChunks);
+        formData.append('file_name', upload.file.name);
+        formData.append('file_size', upload.file.size);
+        formData.append('chunk', upload.file.slice(start, start + upload.chunkSize), upload.file.name);
+
+        this.performAjaxRequest({ action: 'csv_import_upload_chunk' }, {
+            data: formData,
+            processData: false,
+            contentType: false,
+            timeout: this.config.uploadChunkTimeout
+        })
+        .done(response => {
+            if (!response.success) {
+                this.finishUpload((response.data && response.data.message) || 'Upload fehlgeschlagen', 'error');
+                return;
+            }
 
-        // UI-Status ändern
-        this.status.importRunning = true;
-        this.updateUIState();
-        this.setImportButtonsState(true, 'Import läuft...');
+            upload.index++;
+            this.updateUploadProgress(Math.round(response.data.received / upload.file.size * 100));
 
-        // Mapping-Daten aus dem Formular sammeln
-        const mappingData = {};
-        $('#csv-column-mapping-container select').each(function() {
-            const columnName = $(this).attr('name').replace(/csv_mapping\[|\]/g, '');
-            const targetField = $(this).val();
-            if (targetField) {
-                mappingData[columnName] = targetField;
+            if (response.data.complete) {
+                this.finishUpload(response.data.message, 'success');
+            } else {
+                this.uploadNextChunk(upload);
             }
-        });
-
-        // AJAX-Request (mit Mapping-Daten)
-        this.performAjaxRequest({
-            action: 'csv_import_start',
-            source: source,
-            mapping: mappingData
-        })
-        .done((response) => {
-            this.handleImportResult(response, source);
         })
         .fail((xhr, status, error) => {
-            this.handleImportError(source, error, xhr);
-        })
-        .always(() => {
-            this.status.importRunning = false;
-            this.updateUIState();
-            this.setImportButtonsState(false);
+            this.finishUpload(`Upload fehlgeschlagen: ${error || status}`, 'error');
         });
+    };
 
-        // Progress-Updates starten
-        this.startProgressUpdates();
+    /**
+     * Upload abschließen: Quelle als bereit markieren und Import-Buttons anzeigen
+     */
+    CSVImportAdmin.finishUpload = function(message, type) {
+        const uploadSource = this.getSources().find(source => source.id === 'upload');
+
+        this.status.uploadInProgress = false;
+        this.showUploadStatus(message, type);
+
+        if (type === 'success') {
+            if (uploadSource) {
+                uploadSource.configured = true;
+                uploadSource.ready = true;
+            }
+            this.renderSourceButtons();
+        } else {
+            $('.csv-upload-progress').hide();
+        }
+
+        $('.csv-upload-actions').toggle(!!(uploadSource && uploadSource.ready));
     };
 
-    // ===================================================================
-    // SCHEDULER-FUNKTIONEN (VOLLSTÄNDIG ERHALTEN)
-    // ===================================================================
+    /**
+     * Fortschrittsbalken des Uploads aktualisieren
+     */
+    CSVImportAdmin.updateUploadProgress = function(percent) {
+        $('.csv-upload-progress').show().find('.progress-bar-fill').css('width', `${Math.min(100, percent)}%`);
+    };
 
     /**
-     * Scheduler-Integration initialisieren
+     * Status-Meldung unter der Upload-Zone anzeigen
      */
-    CSVImportAdmin.initializeSchedulerIntegration = function() {
-        this.debug.log('Initialisiere Scheduler-Integration');
-        
-        // Scheduler-Status beim Start prüfen
-        this.updateSchedulerStatus();
-        
-        // Periodische Status-Updates
-        setInterval(() => {
-            this.updateSchedulerStatus();
-        }, 30000); // Alle 30 Sekunden
+    CSVImportAdmin.showUploadStatus = function(message, type) {
+        const cssClass = type === 'error' ? 'error-message' : (type === 'progress' ? 'test-result test-progress' : 'info-message');
+        $('.csv-upload-status').html(`<div class="${cssClass}">${this.escapeHtml(message)}</div>`);
     };
 
     /**
-     * Scheduler testen
+     * Gespeichertes Mapping (aus Profil oder letzter Zuordnung) als Spalte => Zielfeld-Liste
      */
-    CSVImportAdmin.testScheduler = function() {
-        if (this.status.schedulerTestInProgress) {
-            this.debug.warn('Scheduler-Test bereits in Bearbeitung');
+    CSVImportAdmin.getSavedMapping = function() {
+        const saved = (typeof csvImportAjax !== 'undefined' && csvImportAjax.saved_mapping) || {};
+        const mappingData = {};
+        Object.keys(saved).forEach(column => {
+            const targets = [].concat(saved[column]).filter(Boolean);
+            if (targets.length) {
+                mappingData[column] = targets;
+            }
+        });
+        return mappingData;
+    };
+
+    /**
+     * Aktuelles Mapping verzögert auf dem Server speichern
+     */
+    CSVImportAdmin.saveMapping = function() {
+        clearTimeout(this.state.mappingSaveTimer);
+        this.state.mappingSaveTimer = setTimeout(() => {
+            const mapping = this.collectMappingData();
+
+            this.performAjaxRequest({
+                action: 'csv_import_save_mapping',
+                mapping: mapping
+            })
+            .done(response => {
+                if (response.success) {
+                    csvImportAjax.saved_mapping = response.data.mapping;
+                    this.debug.debug('Spalten-Mapping gespeichert', response.data.mapping);
+                }
+            })
+            .fail(() => {
+                this.debug.warn('Spalten-Mapping konnte nicht gespeichert werden');
+            });
+        }, this.config.mappingSaveDelay);
+    };
+
+    /**
+     * Sync-Probelauf: zeigt Posts, die in der CSV fehlen, ohne etwas zu ändern
+     */
+    CSVImportAdmin.previewSync = function(source) {
+        if (this.status.validationInProgress) {
+            this.debug.warn('Validierung bereits in Bearbeitung');
             return;
         }
 
-        this.debug.log('Scheduler-Test gestartet');
-        this.status.schedulerTestInProgress = true;
-        
+        this.status.validationInProgress = true;
+        this.showTestProgress(source, 'Sync-Probelauf wird durchgeführt...');
+
         this.performAjaxRequest({
-            action: 'csv_scheduler_test'
+            action: 'csv_import_sync_preview',
+            source: source,
+            mapping: this.collectMappingData()
         })
         .done((response) => {
-            if (response.success) {
-                this.showAlert(
-                    '✅ Scheduler-Test erfolgreich!\n\n' + 
-                    (response.data.message || 'Test abgeschlossen') +
-                    (response.data.test_time_formatted ? '\nTest-Zeit: ' + response.data.test_time_formatted : ''),
-                    'success'
-                );
-                this.debug.log('Scheduler-Test erfolgreich', response.data);
-            } else {
-                this.showAlert(
-                    '❌ Scheduler-Test fehlgeschlagen:\n' + response.data.message,
-                    'error'
-                );
-                this.debug.error('Scheduler-Test fehlgeschlagen', response.data);
+            const data = response.data || {};
+            if (!response.success) {
+                this.showTestResult(data.message || 'Sync-Probelauf fehlgeschlagen', false);
+                return;
+            }
+
+            let message = this.escapeHtml(data.message);
+            if (data.exceeds_threshold) {
+                message += `<br>⚠️ Über der Sync-Schwelle von ${data.threshold}% - ein Import würde den Sync abbrechen.`;
             }
+            if (data.unresolved) {
+                message += `<br>⚠️ ${data.unresolved} Zeilen konnten keinem Post zugeordnet werden - ein Import würde fehlende Posts nur melden.`;
+            }
+            if (data.posts && data.posts.length) {
+                const items = data.posts.map((post) => {
+                    const title = this.escapeHtml(post.title || `#${post.id}`);
+                    const status = this.escapeHtml(post.status);
+                    return post.edit_url ? `<li><a href="${this.escapeHtml(post.edit_url)}">${title}</a> (${status})</li>` : `<li>${title} (${status})</li>`;
+                }).join('');
+                const more = data.count > data.posts.length ? `<li>… und ${data.count - data.posts.length} weitere</li>` : '';
+                message += `<ul class="csv-sync-preview-list">${items}${more}</ul>`;
+            }
+            this.showTestResult(message, !data.exceeds_threshold && !data.unresolved);
         })
         .fail((xhr, status, error) => {
-            this.handleFinalAjaxError('Scheduler-Test', xhr, error);
+            this.handleValidationError('Sync-Probelauf', error, xhr);
         })
         .always(() => {
-            this.status.schedulerTestInProgress = false;
+            this.status.validationInProgress = false;
         });
     };
 
     /**
-     * Scheduler-Status abrufen
+     * Import simulieren - zeigt pro Zeile, was ein Import tun würde
      */
-    CSVImportAdmin.getSchedulerStatus = function() {
-        this.debug.log('Scheduler-Status wird abgerufen');
-        
+    CSVImportAdmin.simulateImport = function(source) {
+        if (this.status.simulationInProgress || this.status.importRunning) {
+            this.debug.warn('Simulation nicht möglich - Vorgang läuft bereits');
+            return;
+        }
+
+        const $container = this.elements.simulationContainer;
+        if (!$container.length) return;
+
+        this.status.simulationInProgress = true;
+        $('.csv-simulate-btn').prop('disabled', true);
+        $container.show().html('<div class="test-result test-progress"><div class="progress-spinner"></div>🔄 Import wird simuliert...</div>');
+
         this.performAjaxRequest({
-            action: 'csv_scheduler_status'
-        })
+            action: 'csv_import_simulate',
+            source: source,
+            mapping: this.collectMappingData()
+        }, { timeout: this.config.chunkTimeout })
         .done((response) => {
-            if (response.success) {
-                const status = response.data;
-                let statusMessage = '📊 Scheduler-Status:\n\n';
-                
-                statusMessage += 'Verfügbar: ' + (status.scheduler_available ? '✅ Ja' : '❌ Nein') + '\n';
-                statusMessage += 'Geplant: ' + (status.is_scheduled ? '✅ Ja' : '❌ Nein') + '\n';
-                
-                if (status.is_scheduled) {
-                    statusMessage += 'Quelle: ' + (status.current_source || 'Nicht gesetzt') + '\n';
-                    statusMessage += 'Frequenz: ' + (status.current_frequency || 'Nicht gesetzt') + '\n';
-                    
-                    if (status.next_run) {
-                        const nextRun = new Date(status.next_run * 1000);
-                        statusMessage += 'Nächster Import: ' + nextRun.toLocaleString() + '\n';
-                    }
-                }
-                
-                statusMessage += '\nWP Cron: ' + (status.wp_cron_disabled ? '❌ Deaktiviert' : '✅ Aktiv') + '\n';
-                statusMessage += 'Cron Jobs gesamt: ' + (status.total_cron_jobs || 0) + '\n';
-                statusMessage += 'CSV Import Jobs: ' + (status.csv_import_cron_jobs || 0);
-                
-                this.showAlert(statusMessage, 'info');
-                this.debug.log('Scheduler-Status erhalten', status);
-                
-                // UI-Elemente aktualisieren
-                this.updateSchedulerUI(status);
-            } else {
-                this.showAlert(
-                    '❌ Scheduler-Status konnte nicht abgerufen werden:\n' + response.data.message,
-                    'error'
-                );
+            const data = response.data || {};
+            if (!response.success) {
+                $container.html(`<div class="test-result test-error">❌ ${this.escapeHtml(data.message || 'Simulation fehlgeschlagen')}</div>`);
+                return;
             }
+
+            this.status.simulation = {
+                source: source,
+                rows: data.rows || [],
+                summary: data.summary || {},
+                message: data.message || '',
+                filter: 'all',
+                search: '',
+                page: 1
+            };
+            this.renderSimulation();
         })
         .fail((xhr, status, error) => {
-            this.handleFinalAjaxError('Scheduler-Status', xhr, error);
+            $container.html(`<div class="test-result test-error">❌ Simulation fehlgeschlagen: ${this.escapeHtml(error || status)}</div>`);
+        })
+        .always(() => {
+            this.status.simulationInProgress = false;
+            $('.csv-simulate-btn').prop('disabled', false);
         });
     };
 
     /**
-     * Scheduler-Debug-Informationen abrufen
+     * Eine Datenzeile in das Template rendern, als temporären Entwurf in einem neuen Tab öffnen
+     * und die Platzhalter mit ihren Werten auflisten
      */
-    CSVImportAdmin.debugScheduler = function() {
-        this.debug.log('Scheduler-Debug-Informationen werden abgerufen');
-        
+    CSVImportAdmin.previewTemplateRow = function() {
+        if (this.status.rowPreviewInProgress || !this.state.sampleSource) {
+            return;
+        }
+
+        const $result = this.elements.sampleDataContainer.find('.csv-row-preview-result');
+        const $button = this.elements.sampleDataContainer.find('.csv-preview-row-btn');
+        const row = parseInt(this.elements.sampleDataContainer.find('.csv-preview-row-number').val(), 10) || 1;
+
+        // Tab direkt beim Klick öffnen, sonst blockiert der Browser das Popup nach der AJAX-Antwort
+        const previewWindow = window.open('', '_blank');
+
+        this.status.rowPreviewInProgress = true;
+        $button.prop('disabled', true);
+        $result.show().html('<div class="test-result test-progress">🔄 Vorschau wird erstellt...</div>');
+
         this.performAjaxRequest({
-            action: 'csv_scheduler_debug'
-        })
+            action: 'csv_import_preview_row',
+            source: this.state.sampleSource,
+            row: row,
+            mapping: this.collectMappingData()
+        }, { timeout: this.config.chunkTimeout })
         .done((response) => {
-            if (response.success) {
-                this.debug.group('🔧 CSV Import Scheduler Debug Info');
-                console.log('Vollständige Debug-Daten:', response.data);
-                
-                const debug = response.data;
-                
-                // System-Info in Konsole
-                if (debug.system) {
-                    console.log('System Info:', debug.system);
-                }
-                
-                // Plugin-Info in Konsole
-                if (debug.plugin) {
-                    console.log('Plugin Info:', debug.plugin);
-                }
-                
-                // Scheduler-Info in Konsole
-                if (debug.scheduler) {
-                    console.log('Scheduler Info:', debug.scheduler);
-                }
-                
-                // Cron-Info in Konsole
-                if (debug.cron) {
-                    console.log('Cron Info:', debug.cron);
-                }
-                
-                // Options-Info in Konsole
-                if (debug.options) {
-                    console.log('Plugin Options:', debug.options);
-                }
-                
-                this.debug.groupEnd();
-                
-                // Zusammenfassung für User
-                const summary = this.generateDebugSummary(debug);
-                this.showAlert(
-                    '🔧 Debug-Informationen in Browser-Konsole verfügbar!\n\n' +
-                    'Drücken Sie F12 und schauen Sie in die Konsole für detaillierte Informationen.\n\n' +
-                    summary,
-                    'info'
-                );
-            } else {
-                this.showAlert(
-                    '❌ Debug-Informationen konnten nicht abgerufen werden:\n' + response.data.message,
-                    'error'
-                );
+            const data = response.data || {};
+            if (!response.success) {
+                if (previewWindow) previewWindow.close();
+                $result.html(`<div class="test-result test-error">❌ ${this.escapeHtml(data.message || 'Vorschau fehlgeschlagen')}</div>`);
+                return;
+            }
+
+            if (previewWindow) {
+                previewWindow.location = data.preview_url;
             }
+            this.renderRowPreview($result, data);
         })
         .fail((xhr, status, error) => {
-            this.handleFinalAjaxError('Scheduler-Debug', xhr, error);
+            if (previewWindow) previewWindow.close();
+            $result.html(`<div class="test-result test-error">❌ Vorschau fehlgeschlagen: ${this.escapeHtml(error || status)}</div>`);
+        })
+        .always(() => {
+            this.status.rowPreviewInProgress = false;
+            $button.prop('disabled', false);
         });
     };
 
     /**
-     * Generiert eine Zusammenfassung der Debug-Informationen
+     * Ergebnis der Template-Vorschau: Link und Platzhalter-Tabelle (Wert, fehlt, Fehler)
      */
-    CSVImportAdmin.generateDebugSummary = function(debug) {
-        let summary = '';
-        
-        // Plugin-Status
-        if (debug.plugin) {
-            const availableFunctions = Object.values(debug.plugin.functions_available || {}).filter(Boolean).length;
-            const totalFunctions = Object.keys(debug.plugin.functions_available || {}).length;
-            const availableClasses = Object.values(debug.plugin.classes_available || {}).filter(Boolean).length;
-            const totalClasses = Object.keys(debug.plugin.classes_available || {}).length;
-            
-            summary += `Plugin-Status:\n`;
-            summary += `- Funktionen: ${availableFunctions}/${totalFunctions} verfügbar\n`;
-            summary += `- Klassen: ${availableClasses}/${totalClasses} verfügbar\n`;
-        }
-        
-        // Scheduler-Status
-        if (debug.scheduler) {
-            summary += `\nScheduler-Status:\n`;
-            summary += `- Klasse verfügbar: ${debug.plugin?.classes_available?.CSV_Import_Scheduler ? 'Ja' : 'Nein'}\n`;
-            
-            if (debug.scheduler.is_scheduled !== undefined) {
-                summary += `- Geplant: ${debug.scheduler.is_scheduled ? 'Ja' : 'Nein'}\n`;
+    CSVImportAdmin.renderRowPreview = function($result, data) {
+        const rowsHtml = (data.placeholders || []).map(placeholder => {
+            let value;
+            if (placeholder.error) {
+                value = `<span class="csv-placeholder-error">⚠️ ${this.escapeHtml(placeholder.error)}</span>`;
+            } else if (placeholder.missing) {
+                value = '<span class="csv-placeholder-missing">❌ fehlt</span>';
+            } else if (placeholder.loop) {
+                value = '<span class="csv-placeholder-loop">🔁 Schleifenwert</span>';
+            } else if (placeholder.value === '') {
+                value = '<span class="csv-placeholder-empty">(leer)</span>';
+            } else {
+                value = this.escapeHtml(placeholder.value);
             }
+            return `<tr><td><code>${this.escapeHtml(placeholder.placeholder)}</code></td><td class="csv-placeholder-value">${value}</td></tr>`;
+        }).join('');
+
+        $result.html(`
+            <div class="test-result ${data.unresolved && data.unresolved.length ? 'test-error' : 'test-success'}">
+                ${data.unresolved && data.unresolved.length ? '⚠️' : '✅'} ${this.escapeHtml(data.message)}
+                <a href="${this.escapeHtml(data.preview_url)}" target="_blank" rel="noopener">Vorschau öffnen</a>
+            </div>
+            ${rowsHtml ? `
+                <table class="wp-list-table widefat striped csv-placeholder-table">
+                    <thead><tr><th>Platzhalter</th><th>Wert in Zeile ${parseInt(data.row, 10)}</th></tr></thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+            ` : '<p class="description">Das Template enthält keine Platzhalter.</p>'}
+        `);
+    };
+
+    /**
+     * Rahmen der Simulationsansicht (Zusammenfassung, Filter) aufbauen
+     */
+    CSVImportAdmin.renderSimulation = function() {
+        const sim = this.status.simulation;
+        const labels = { create: 'Erstellen', update: 'Aktualisieren', unchanged: 'Unverändert', skip: 'Überspringen', error: 'Fehler' };
+
+        const options = ['<option value="all">Alle Zeilen</option>'].concat(
+            Object.keys(labels).map((action) => `<option value="${action}">${labels[action]} (${sim.summary[action] || 0})</option>`)
+        ).join('');
+
+        this.elements.simulationContainer.html(`
+            <h3><span class="step-icon">🧪</span> Simulation: ${this.escapeHtml(sim.source)}</h3>
+            <p>${this.escapeHtml(sim.message)} Es wurde nichts gespeichert.</p>
+            <div class="csv-sim-toolbar">
+                <select class="csv-sim-filter">${options}</select>
+                <input type="search" class="csv-sim-search" placeholder="Titel oder Slug suchen...">
+            </div>
+            <div class="csv-sim-table"></div>
+            <div class="csv-sim-pagination"></div>
+        `);
+
+        this.renderSimulationTable();
+    };
+
+    /**
+     * Gefilterte Seite der Simulationstabelle rendern
+     */
+    CSVImportAdmin.renderSimulationTable = function() {
+        const sim = this.status.simulation;
+        if (!sim) return;
+
+        const labels = { create: '➕ Erstellen', update: '✏️ Aktualisieren', unchanged: '⏸️ Unverändert', skip: '⏭️ Überspringen', error: '❌ Fehler' };
+        const rows = sim.rows.filter((row) => {
+            if (sim.filter !== 'all' && row.action !== sim.filter) return false;
+            if (!sim.search) return true;
+            return (row.title || '').toLowerCase().includes(sim.search) || (row.slug || '').toLowerCase().includes(sim.search);
+        });
+
+        const pageSize = this.config.simulationPageSize;
+        const pages = Math.max(1, Math.ceil(rows.length / pageSize));
+        sim.page = Math.min(sim.page, pages);
+        const pageRows = rows.slice((sim.page - 1) * pageSize, sim.page * pageSize);
+
+        const body = pageRows.map((row) => {
+            const meta = (row.meta_keys || []).map((key) => `<code>${this.escapeHtml(key)}</code>`).join(' ');
+            const unresolved = (row.unresolved || []).map((key) => `<code>{{${this.escapeHtml(key)}}}</code>`).join(' ');
+            const target = row.post_id ? ` <small>#${row.post_id}</small>` : '';
+            return `
+                <tr class="csv-sim-row csv-sim-${row.action}">
+                    <td>${row.row}</td>
+                    <td>${labels[row.action] || row.action}${target}</td>
+                    <td>${this.escapeHtml(row.title)}</td>
+                    <td><code>${this.escapeHtml(row.slug || '-')}</code></td>
+                    <td>${meta || '-'}</td>
+                    <td>${unresolved || '-'}</td>
+                    <td>${this.escapeHtml(row.message || '')}</td>
+                </tr>`;
+        }).join('');
+
+        this.elements.simulationContainer.find('.csv-sim-table').html(`
+            <table class="wp-list-table widefat fixed striped">
+                <thead>
+                    <tr>
+                        <th style="width: 60px;">Zeile</th>
+                        <th>Aktion</th>
+                        <th>Titel</th>
+                        <th>Slug</th>
+                        <th>Meta-Felder</th>
+                        <th>Offene Platzhalter</th>
+                        <th>Hinweis</th>
+                    </tr>
+                </thead>
+                <tbody>${body || '<tr><td colspan="7">Keine Zeilen für diesen Filter.</td></tr>'}</tbody>
+            </table>
+        `);
+
+        let pagination = `<span class="displaying-num">${rows.length} Zeilen</span> `;
+        if (pages > 1) {
+            const prev = sim.page > 1 ? `<a href="#" class="button csv-sim-page" data-page="${sim.page - 1}">‹ Zurück</a>` : '<span class="button disabled">‹ Zurück</span>';
+            const next = sim.page < pages ? `<a href="#" class="button csv-sim-page" data-page="${sim.page + 1}">Weiter ›</a>` : '<span class="button disabled">Weiter ›</span>';
+            pagination += `${prev} <span class="paging-input">Seite ${sim.page} von ${pages}</span> ${next}`;
         }
-        
-        // System-Status
-        if (debug.system) {
-            summary += `\nSystem-Status:\n`;
-            summary += `- PHP: ${debug.system.php_version}\n`;
-            summary += `- Memory: ${debug.system.memory_limit}\n`;
-            summary += `- WP Cron: ${debug.system.wp_cron_disabled ? 'Deaktiviert' : 'Aktiv'}`;
-        }
-        
-        return summary;
+        this.elements.simulationContainer.find('.csv-sim-pagination').html(pagination);
     };
 
     /**
-     * Scheduler-Action-Handler
+     * Import-Button-Click behandeln - Vollständig erhalten
      */
-    CSVImportAdmin.handleSchedulerAction = function(action, $button) {
-        this.debug.log(`Scheduler-Action: ${action}`);
-        
-        switch(action) {
-            case 'test':
-                this.testScheduler();
-                break;
-            case 'status':
-                this.getSchedulerStatus();
-                break;
-            case 'debug':
-                this.debugScheduler();
-                break;
-            case 'enable':
-                this.enableScheduler($button);
-                break;
-            case 'disable':
-                this.disableScheduler($button);
-                break;
-            default:
-                this.debug.warn('Unbekannte Scheduler-Action:', action);
+    CSVImportAdmin.handleImportClick = function($button) {
+        const source = $button.data('source');
+
+        if (!source) {
+            this.debug.error('Import-Button ohne Datenquelle');
+            this.showAlert('Import-Konfigurationsfehler', 'error');
+            return;
+        }
+
+        if (this.status.importRunning) {
+            this.showAlert('Ein Import läuft bereits. Bitte warten oder Reset durchführen.', 'warning');
+            return;
+        }
+
+        // Bestätigung einholen
+        const sourceEntry = this.getSources().find(entry => entry.id === source);
+        const sourceLabel = sourceEntry ? sourceEntry.label : source.charAt(0).toUpperCase() + source.slice(1);
+        if (!confirm(`${sourceLabel} Import wirklich starten?\n\nDies kann mehrere Minuten dauern.`)) {
+            return;
         }
+
+        this.startImport(source);
     };
 
     /**
-     * Scheduler-Status periodisch aktualisieren
+     * Import starten - bereitet den Import serverseitig vor und arbeitet ihn danach chunkweise ab
      */
-    CSVImportAdmin.updateSchedulerStatus = function() {
-        if (!this.config.enableSchedulerIntegration) return;
-        
+    CSVImportAdmin.startImport = function(source) {
+        this.debug.log(`Import wird gestartet: ${source}`);
+
+        // UI-Status ändern
+        this.status.importRunning = true;
+        this.status.importSource = source;
+        this.updateUIState();
+        this.setImportButtonsState(true, 'Import läuft...');
+
+        // AJAX-Request (mit Mapping-Daten)
         this.performAjaxRequest({
-            action: 'csv_scheduler_status',
-            timeout: 10000
+            action: 'csv_import_start',
+            source: source,
+            mapping: this.collectMappingData()
         })
         .done((response) => {
             if (response.success) {
-                this.updateSchedulerUI(response.data);
+                this.debug.log(`Import vorbereitet: ${response.data.total} Zeilen`);
+                this.processNextChunk();
+                return;
             }
-        })
-        .fail(() => {
-            // Stille Fehlerbehandlung für periodische Updates
-            this.debug.debug('Scheduler-Status-Update fehlgeschlagen (wird ignoriert)');
-        });
-    };
 
-    /**
-     * Scheduler-UI aktualisieren
-     */
-    CSVImportAdmin.updateSchedulerUI = function(status) {
-        // Status-Indikatoren aktualisieren
-        $('.csv-scheduler-status').each(function() {
-            const $element = $(this);
-            
-            if (status.scheduler_available) {
-                $element.removeClass('status-error').addClass('status-ok');
-                $element.find('.status-text').text('Verfügbar');
-            } else {
-                $element.removeClass('status-ok').addClass('status-error');
-                $element.find('.status-text').text('Nicht verfügbar');
-            }
-        });
-        
-        // Scheduled-Status aktualisieren
-        $('.csv-scheduled-status').each(function() {
-            const $element = $(this);
-            
-            if (status.is_scheduled) {
-                $element.removeClass('status-inactive').addClass('status-active');
-                $element.find('.status-text').text('Aktiv');
+            if (response.data && response.data.resumable) {
+                this.showResumePrompt(response.data.resumable);
             } else {
-                $element.removeClass('status-active').addClass('status-inactive');
-                $element.find('.status-text').text('Inaktiv');
+                this.handleImportResult(response, source);
             }
+            this.finishImport();
+        })
+        .fail((xhr, status, error) => {
+            this.handleImportError(source, error, xhr);
+            this.finishImport();
         });
-        
-        // Nächster Run aktualisieren
-        if (status.next_run && status.is_scheduled) {
-            const nextRun = new Date(status.next_run * 1000);
-            $('.csv-next-run').text(nextRun.toLocaleString());
-        } else {
-            $('.csv-next-run').text('Nicht geplant');
-        }
-    };
 
-    // ===================================================================
-    // ERWEITERTE FUNKTIONEN (VOLLSTÄNDIG ERHALTEN)
-    // ===================================================================
+        // Progress-Updates starten
+        this.startProgressUpdates();
+    };
 
     /**
-     * Emergency-Reset durchführen
+     * Pausierten oder unterbrochenen Import ab dem letzten festgeschriebenen Cursor fortsetzen
      */
-    CSVImportAdmin.emergencyReset = function() {
-        if (!confirm('Emergency-Reset wirklich durchführen?\n\nDies setzt alle laufenden Prozesse zurück und löscht temporäre Daten.')) {
-            return;
-        }
+    CSVImportAdmin.resumeImport = function(source) {
+        this.debug.log(`Import wird fortgesetzt: ${source || 'unbekannt'}`);
+
+        $('.csv-import-resume-notice').remove();
+
+        this.status.importRunning = true;
+        this.status.importSource = source || null;
+        this.status.chunkRetries = 0;
+        this.updateUIState();
+        this.setImportButtonsState(true, 'Import läuft...');
 
-        this.debug.warn('Emergency-Reset wird durchgeführt');
-        
         this.performAjaxRequest({
-            action: 'csv_import_emergency_reset'
+            action: 'csv_import_resume'
         })
         .done((response) => {
             if (response.success) {
-                const actions = response.data.actions_performed || [];
-                this.showAlert(
-                    '✅ Emergency-Reset erfolgreich!\n\n' +
-                    'Durchgeführte Aktionen:\n• ' + actions.join('\n• '),
-                    'success'
-                );
-                
-                // UI zurücksetzen
-                this.resetUIState();
-                
-                // Seite nach kurzer Verzögerung neu laden
-                setTimeout(() => {
-                    window.location.reload();
-                }, 2000);
+                this.status.importSource = response.data.source || this.status.importSource;
+                this.processNextChunk();
             } else {
-                this.showAlert(
-                    '❌ Emergency-Reset fehlgeschlagen:\n' + response.data.message,
-                    'error'
-                );
+                this.showAlert(response.data?.message || 'Import konnte nicht fortgesetzt werden', 'error');
+                this.finishImport();
             }
         })
         .fail((xhr, status, error) => {
-            this.handleFinalAjaxError('Emergency-Reset', xhr, error);
+            this.handleImportError(source, error, xhr);
+            this.finishImport();
         });
     };
 
     /**
-     * System-Health-Check durchführen
+     * Klick auf Pause/Fortsetzen/Abbrechen behandeln
      */
-    CSVImportAdmin.systemHealthCheck = function() {
-        this.debug.log('System-Health-Check wird durchgeführt');
-        
+    CSVImportAdmin.handleControlClick = function(control, source) {
+        switch (control) {
+            case 'pause':
+                this.pauseImport();
+                break;
+            case 'resume':
+                this.resumeImport(source);
+                break;
+            case 'cancel':
+                if (confirm('Import wirklich abbrechen?\n\nBereits importierte Einträge bleiben erhalten und können per Rollback entfernt werden.')) {
+                    this.cancelImport();
+                }
+                break;
+        }
+    };
+
+    /**
+     * Pause anfordern - der Server hält nach der aktuellen Zeile an
+     */
+    CSVImportAdmin.pauseImport = function() {
+        this.elements.importControls.find('[data-control="pause"]').prop('disabled', true);
+
         this.performAjaxRequest({
-            action: 'csv_import_system_health'
+            action: 'csv_import_pause'
+        })
+        .done((response) => {
+            const data = response.data || {};
+            if (!response.success) {
+                this.showAlert(data.message || 'Pausieren fehlgeschlagen', 'error');
+                return;
+            }
+
+            this.showAlert(data.message, 'info');
+            if (data.paused && !this.status.chunkLoopActive) {
+                this.finishImport();
+                this.updateImportControls({ running: false, status: 'paused' });
+            }
+        })
+        .always(() => {
+            this.elements.importControls.find('[data-control="pause"]').prop('disabled', false);
+        });
+    };
+
+    /**
+     * Abbruch anfordern - bereits erstellte Posts bleiben erhalten
+     */
+    CSVImportAdmin.cancelImport = function() {
+        this.elements.importControls.find('[data-control="cancel"]').prop('disabled', true);
+
+        this.performAjaxRequest({
+            action: 'csv_import_cancel'
+        })
+        .done((response) => {
+            const data = response.data || {};
+            if (!response.success) {
+                this.showAlert(data.message || 'Abbrechen fehlgeschlagen', 'error');
+                return;
+            }
+
+            this.showAlert(data.message, 'warning');
+            if (!data.pending && !this.status.chunkLoopActive) {
+                $('.csv-import-resume-notice').remove();
+                this.finishImport();
+                this.updateImportControls({ running: false, status: 'cancelled' });
+            }
+        })
+        .always(() => {
+            this.elements.importControls.find('[data-control="cancel"]').prop('disabled', false);
+        });
+    };
+
+    /**
+     * Sichtbarkeit der Steuer-Buttons aus dem gemeldeten Import-Status ableiten
+     */
+    CSVImportAdmin.updateImportControls = function(progressData) {
+        if (!this.elements.importControls || !this.elements.importControls.length) return;
+
+        const resumable = progressData.resumable || null;
+        const paused = progressData.status === 'paused' || (resumable && resumable.status === 'paused');
+        const running = !!progressData.running && !paused;
+
+        // Ein Import ohne Aktivität seit einer Minute wird von keinem Client mehr vorangetrieben
+        const stale = progressData.last_activity && progressData.server_time
+            ? (progressData.server_time - progressData.last_activity) > 60
+            : !running;
+        const canResume = !!resumable && !this.status.chunkLoopActive && (paused || stale);
+
+        if (!running && !paused && !canResume) {
+            this.elements.importControls.hide();
+            return;
+        }
+
+        const source = (resumable && resumable.source) || this.status.importSource;
+        this.elements.importControls.each(function() {
+            const $controls = $(this);
+            $controls.toggle(!source || $controls.data('source') === source);
+            $controls.find('[data-control="pause"]').toggle(running && !canResume);
+            $controls.find('[data-control="resume"]').toggle(canResume);
+            $controls.find('[data-control="cancel"]').toggle(true);
+        });
+
+        // Bereits angeforderte Signale nicht doppelt senden
+        const pending = progressData.import_control || '';
+        this.elements.importControls.find('[data-control="pause"]').prop('disabled', pending === 'pause');
+        this.elements.importControls.find('[data-control="cancel"]').prop('disabled', pending === 'cancel');
+    };
+
+    /**
+     * Nächsten Chunk anfordern, bis der Server den Import als abgeschlossen meldet
+     */
+    CSVImportAdmin.processNextChunk = function() {
+        const source = this.status.importSource;
+        this.status.chunkLoopActive = true;
+
+        this.performAjaxRequest({
+            action: 'csv_import_process_chunk'
+        }, {
+            timeout: this.config.chunkTimeout
         })
         .done((response) => {
+            const data = response.data || {};
+
+            if (response.success && data.done) {
+                this.handleImportResult(response, source);
+                this.finishImport();
+                return;
+            }
+
+            if (response.success && data.paused) {
+                this.finishImport();
+                this.updateImportControls({ running: false, status: 'paused' });
+                this.showAlert(data.message || 'Import pausiert', 'info');
+                return;
+            }
+
+            if (response.success && data.cancelled) {
+                $('.csv-import-resume-notice').remove();
+                this.finishImport();
+                this.updateImportControls({ running: false, status: 'cancelled' });
+                this.showAlert(data.message || 'Import abgebrochen', 'warning');
+                return;
+            }
+
             if (response.success) {
-                const health = response.data;
-                const summary = this.generateHealthSummary(health);
-                
-                this.showAlert(
-                    '🏥 System-Health-Check Ergebnis:\n\n' + summary,
-                    health.overall_status.healthy ? 'success' : 'warning'
-                );
-                
-                this.debug.log('System-Health-Check abgeschlossen', health);
-                
-                // Health-Status in UI anzeigen
-                this.updateHealthUI(health);
-            } else {
-                this.showAlert(
-                    '❌ System-Health-Check fehlgeschlagen:\n' + response.data.message,
-                    'error'
-                );
+                this.status.chunkRetries = 0;
+                this.handleProgressUpdate({
+                    running: true,
+                    percent: data.total > 0 ? Math.round((data.cursor / data.total) * 1000) / 10 : 0,
+                    message: data.message
+                });
+                this.processNextChunk();
+                return;
+            }
+
+            // Gesperrte oder fehlgeschlagene Chunks sind wiederholbar - der Cursor bleibt erhalten
+            if (data.locked || data.resumable) {
+                this.retryChunk(data.message);
+                return;
             }
+
+            this.handleImportResult(response, source);
+            this.finishImport();
         })
         .fail((xhr, status, error) => {
-            this.handleFinalAjaxError('System-Health-Check', xhr, error);
+            this.retryChunk(error || status, xhr);
         });
     };
 
     /**
-     * Health-Summary generieren
+     * Chunk mit wachsender Verzögerung erneut anfordern
      */
-    CSVImportAdmin.generateHealthSummary = function(health) {
-        let summary = '';
-        
-        // Gesamtstatus
-        summary += `Gesamtstatus: ${health.overall_status.healthy ? '✅ Gesund' : '⚠️ Probleme erkannt'}\n\n`;
-        
-        // Plugin-Health
-        if (health.plugin_health) {
-            const healthyComponents = Object.values(health.plugin_health).filter(Boolean).length;
-            const totalComponents = Object.keys(health.plugin_health).length;
-            summary += `Plugin-Komponenten: ${healthyComponents}/${totalComponents} OK\n`;
-        }
-        
-        // Import-Status
-        if (health.import_status) {
-            summary += `Import läuft: ${health.import_status.running ? 'Ja' : 'Nein'}\n`;
-            summary += `Import gesperrt: ${health.import_status.locked ? 'Ja' : 'Nein'}\n`;
-        }
-        
-        // Server-Status
-        if (health.server_status) {
-            summary += `Memory: ${health.server_status.memory_limit}\n`;
-            summary += `PHP: ${health.server_status.php_version}\n`;
+    CSVImportAdmin.retryChunk = function(reason, xhr) {
+        this.status.chunkRetries++;
+
+        if (this.status.chunkRetries > this.config.maxChunkRetries) {
+            this.debug.error('Chunk endgültig fehlgeschlagen', reason);
+            this.handleImportError(this.status.importSource, reason, xhr);
+            this.finishImport();
+
+            // Import kann später ab dem letzten Cursor fortgesetzt werden
+            this.showResumePrompt({ source: this.status.importSource });
+            return;
         }
+
+        const delay = this.config.retryDelay * this.status.chunkRetries;
+        this.debug.warn(`Chunk fehlgeschlagen, neuer Versuch ${this.status.chunkRetries} in ${delay}ms`, reason);
+
+        setTimeout(() => {
+            this.processNextChunk();
+        }, delay);
+    };
+
+    /**
+     * UI nach Ende (oder Unterbrechung) eines Imports zurücksetzen
+     */
+    CSVImportAdmin.finishImport = function() {
+        this.status.importRunning = false;
+        this.status.chunkLoopActive = false;
+        this.status.chunkRetries = 0;
+        this.updateUIState();
+        this.setImportButtonsState(false);
+
+        // Sofort den Stand der Bild-Warteschlange holen, statt auf das nächste Intervall zu warten
+        this.status.lastProgressUpdate = 0;
+        this.updateProgress();
+    };
+
+    /**
+     * Hinweis mit Fortsetzen/Verwerfen für einen unterbrochenen Import anzeigen
+     */
+    CSVImportAdmin.showResumePrompt = function(info) {
+        const $target = this.elements.mainContainer && this.elements.mainContainer.length
+            ? this.elements.mainContainer
+            : $('.wrap').first();
+
+        if (!$target.length) return;
+
+        $('.csv-import-resume-notice').remove();
+
+        const source = info.source || '';
+        const sourceLabel = source ? source.charAt(0).toUpperCase() + source.slice(1) : 'CSV';
+        const position = info.total ? ` (${info.cursor} von ${info.total} Zeilen verarbeitet)` : '';
+
+        const $notice = $(`
+            <div class="notice notice-warning csv-import-resume-notice">
+                <p><strong>Unterbrochener ${this.escapeHtml(sourceLabel)} Import gefunden${position}.</strong>
+                Der Import kann ab der letzten verarbeiteten Zeile fortgesetzt werden.</p>
+                <p>
+                    <button type="button" class="button button-primary csv-import-resume-btn">▶️ Import fortsetzen</button>
+                    <button type="button" class="button csv-import-discard-btn">✖ Verwerfen</button>
+                </p>
+            </div>
+        `);
+
+        $notice.find('.csv-import-resume-btn').on('click', (e) => {
+            e.preventDefault();
+            this.resumeImport(source);
+        });
+
+        $notice.find('.csv-import-discard-btn').on('click', (e) => {
+            e.preventDefault();
+            if (confirm('Unterbrochenen Import wirklich verwerfen? Bereits importierte Einträge bleiben erhalten.')) {
+                this.discardImport();
+            }
+        });
+
+        $target.before($notice);
+    };
+
+    /**
+     * Unterbrochenen Import verwerfen (Cursor serverseitig löschen)
+     */
+    CSVImportAdmin.discardImport = function() {
+        this.performAjaxRequest({
+            action: 'csv_import_cancel'
+        })
+        .done((response) => {
+            if (response.success) {
+                $('.csv-import-resume-notice').remove();
+                this.finishImport();
+                this.showAlert('Unterbrochener Import wurde verworfen.', 'success');
+            } else {
+                this.showAlert(response.data?.message || 'Verwerfen fehlgeschlagen', 'error');
+            }
+        });
+    };
+
+    // ===================================================================
+    // SCHEDULER-FUNKTIONEN (VOLLSTÄNDIG ERHALTEN)
+    // ===================================================================
+
+    /**
+     * Scheduler-Integration initialisieren
+     */
+    CSVImportAdmin.initializeSchedulerIntegration = function() {
+        this.debug.log('Initialisiere Scheduler-Integration');
         
-        // Probleme auflisten
-        if (health.overall_status.issues && health.overall_status.issues.length > 0) {
-            summary += `\nProbleme:\n• ${health.overall_status.issues.join('\n• ')}`;
-        }
+        // Scheduler-Status beim Start prüfen
+        this.updateSchedulerStatus();
         
-        return summary;
+        // Periodische Status-Updates
+        setInterval(() => {
+            this.updateSchedulerStatus();
+        }, 30000); // Alle 30 Sekunden
     };
 
     /**
-     * Handler-Verfügbarkeit prüfen
+     * Scheduler testen
      */
-    CSVImportAdmin.checkHandlers = function() {
-        this.debug.log('Prüfe AJAX-Handler-Verfügbarkeit');
+    CSVImportAdmin.testScheduler = function() {
+        if (this.status.schedulerTestInProgress) {
+            this.debug.warn('Scheduler-Test bereits in Bearbeitung');
+            return;
+        }
+
+        this.debug.log('Scheduler-Test gestartet');
+        this.status.schedulerTestInProgress = true;
         
         this.performAjaxRequest({
-            action: 'csv_import_check_handlers'
+            action: 'csv_scheduler_test'
         })
         .done((response) => {
             if (response.success) {
-                const data = response.data;
-                let message = '🔧 AJAX-Handler-Status:\n\n';
-                message += `Gesamt: ${data.available_count}/${data.total_handlers} verfügbar\n`;
-                message += `Status: ${data.all_handlers_available ? '✅ Alle OK' : '⚠️ Teilweise verfügbar'}\n\n`;
-                
-                // Details in Konsole
-                console.group('🔧 AJAX-Handler Details');
-                console.table(data.handlers);
-                console.groupEnd();
-                
-                message += 'Detaillierte Informationen in Browser-Konsole (F12)';
-                
-                this.showAlert(message, data.all_handlers_available ? 'success' : 'warning');
-                this.status.handlerStatus = data.all_handlers_available ? 'available' : 'partial';
+                this.showAlert(
+                    '✅ Scheduler-Test erfolgreich!\n\n' + 
+                    (response.data.message || 'Test abgeschlossen') +
+                    (response.data.test_time_formatted ? '\nTest-Zeit: ' + response.data.test_time_formatted : ''),
+                    'success'
+                );
+                this.debug.log('Scheduler-Test erfolgreich', response.data);
             } else {
                 this.showAlert(
-                    '❌ Handler-Check fehlgeschlagen:\n' + response.data.message,
+                    '❌ Scheduler-Test fehlgeschlagen:\n' + response.data.message,
                     'error'
                 );
-                this.status.handlerStatus = 'unavailable';
+                this.debug.error('Scheduler-Test fehlgeschlagen', response.data);
             }
         })
         .fail((xhr, status, error) => {
-            this.handleFinalAjaxError('Handler-Check', xhr, error);
-            this.status.handlerStatus = 'unavailable';
+            this.handleFinalAjaxError('Scheduler-Test', xhr, error);
+        })
+        .always(() => {
+            this.status.schedulerTestInProgress = false;
         });
     };
 
-    // ===================================================================
-    // CONNECTION-MONITORING (VOLLSTÄNDIG KORRIGIERT)
-    // ===================================================================
-
     /**
-     * Connection-Monitoring starten - STARK KORRIGIERT
+     * Scheduler-Status abrufen
      */
-    CSVImportAdmin.startConnectionMonitoring = function() {
-        this.debug.debug('Starte Connection-Monitoring (intelligente Version)');
-        
-        const self = this;
-        
-        // KORRIGIERT: Dynamische Intervalle je nach Situation
-        const getCheckInterval = () => {
-            if (self.status.importRunning) return 30000;      // 30s bei laufendem Import
-            if (document.hidden) return 300000;              // 5min wenn Seite versteckt
-            return self.config.connectionCheckInterval;      // 1min normal
-        };
-        
-        // KORRIGIERT: Intelligente Scheduling-Funktion
-        const scheduleNextCheck = () => {
-            setTimeout(() => {
-                self.checkConnection();
-                scheduleNextCheck(); // Nächsten Check planen
-            }, getCheckInterval());
-        };
-        
-        // Erstes Check nach 10 Sekunden (nicht sofort)
-        setTimeout(() => {
-            scheduleNextCheck();
-        }, 10000);
+    CSVImportAdmin.getSchedulerStatus = function() {
+        this.debug.log('Scheduler-Status wird abgerufen');
         
-        // KORRIGIERT: Bei Visibility-Änderungen reagieren
-        document.addEventListener('visibilitychange', () => {
-            if (!document.hidden && self.status.connectionStatus === 'offline') {
-                // Wenn Seite wieder sichtbar wird, nach kurzer Verzögerung prüfen
-                setTimeout(() => self.checkConnection(), 2000);
+        this.performAjaxRequest({
+            action: 'csv_scheduler_status'
+        })
+        .done((response) => {
+            if (response.success) {
+                const status = response.data;
+                let statusMessage = '📊 Scheduler-Status:\n\n';
+                
+                statusMessage += 'Verfügbar: ' + (status.scheduler_available ? '✅ Ja' : '❌ Nein') + '\n';
+                statusMessage += 'Geplant: ' + (status.is_scheduled ? '✅ Ja' : '❌ Nein') + '\n';
+                
+                if (status.is_scheduled) {
+                    statusMessage += 'Quelle: ' + (status.current_source || 'Nicht gesetzt') + '\n';
+                    statusMessage += 'Frequenz: ' + (status.current_frequency || 'Nicht gesetzt') + '\n';
+                    
+                    if (status.next_run) {
+                        const nextRun = new Date(status.next_run * 1000);
+                        statusMessage += 'Nächster Import: ' + nextRun.toLocaleString() + '\n';
+                    }
+                }
+                
+                statusMessage += '\nWP Cron: ' + (status.wp_cron_disabled ? '❌ Deaktiviert' : '✅ Aktiv') + '\n';
+                statusMessage += 'Cron Jobs gesamt: ' + (status.total_cron_jobs || 0) + '\n';
+                statusMessage += 'CSV Import Jobs: ' + (status.csv_import_cron_jobs || 0);
+                
+                this.showAlert(statusMessage, 'info');
+                this.debug.log('Scheduler-Status erhalten', status);
+                
+                // UI-Elemente aktualisieren
+                this.updateSchedulerUI(status);
+            } else {
+                this.showAlert(
+                    '❌ Scheduler-Status konnte nicht abgerufen werden:\n' + response.data.message,
+                    'error'
+                );
             }
+        })
+        .fail((xhr, status, error) => {
+            this.handleFinalAjaxError('Scheduler-Status', xhr, error);
         });
+    };
+
+    /**
+     * Scheduler-Debug-Informationen abrufen
+     */
+    CSVImportAdmin.debugScheduler = function() {
+        this.debug.log('Scheduler-Debug-Informationen werden abgerufen');
         
-        // WordPress Heartbeat Integration (falls verfügbar)
-        this.setupHeartbeatIntegration();
+        this.performAjaxRequest({
+            action: 'csv_scheduler_debug'
+        })
+        .done((response) => {
+            if (response.success) {
+                this.debug.group('🔧 CSV Import Scheduler Debug Info');
+                console.log('Vollständige Debug-Daten:', response.data);
+                
+                const debug = response.data;
+                
+                // System-Info in Konsole
+                if (debug.system) {
+                    console.log('System Info:', debug.system);
+                }
+                
+                // Plugin-Info in Konsole
+                if (debug.plugin) {
+                    console.log('Plugin Info:', debug.plugin);
+                }
+                
+                // Scheduler-Info in Konsole
+                if (debug.scheduler) {
+                    console.log('Scheduler Info:', debug.scheduler);
+                }
+                
+                // Cron-Info in Konsole
+                if (debug.cron) {
+                    console.log('Cron Info:', debug.cron);
+                }
+                
+                // Options-Info in Konsole
+                if (debug.options) {
+                    console.log('Plugin Options:', debug.options);
+                }
+                
+                this.debug.groupEnd();
+                
+                // Zusammenfassung für User
+                const summary = this.generateDebugSummary(debug);
+                this.showAlert(
+                    '🔧 Debug-Informationen in Browser-Konsole verfügbar!\n\n' +
+                    'Drücken Sie F12 und schauen Sie in die Konsole für detaillierte Informationen.\n\n' +
+                    summary,
+                    'info'
+                );
+            } else {
+                this.showAlert(
+                    '❌ Debug-Informationen konnten nicht abgerufen werden:\n' + response.data.message,
+                    'error'
+                );
+            }
+        })
+        .fail((xhr, status, error) => {
+            this.handleFinalAjaxError('Scheduler-Debug', xhr, error);
+        });
+    };
+
+    /**
+     * Generiert eine Zusammenfassung der Debug-Informationen
+     */
+    CSVImportAdmin.generateDebugSummary = function(debug) {
+        let summary = '';
+        
+        // Plugin-Status
+        if (debug.plugin) {
+            const availableFunctions = Object.values(debug.plugin.functions_available || {}).filter(Boolean).length;
+            const totalFunctions = Object.keys(debug.plugin.functions_available || {}).length;
+            const availableClasses = Object.values(debug.plugin.classes_available || {}).filter(Boolean).length;
+            const totalClasses = Object.keys(debug.plugin.classes_available || {}).length;
+            
+            summary += `Plugin-Status:\n`;
+            summary += `- Funktionen: ${availableFunctions}/${totalFunctions} verfügbar\n`;
+            summary += `- Klassen: ${availableClasses}/${totalClasses} verfügbar\n`;
+        }
+        
+        // Scheduler-Status
+        if (debug.scheduler) {
+            summary += `\nScheduler-Status:\n`;
+            summary += `- Klasse verfügbar: ${debug.plugin?.classes_available?.CSV_Import_Scheduler ? 'Ja' : 'Nein'}\n`;
+            
+            if (debug.scheduler.is_scheduled !== undefined) {
+                summary += `- Geplant: ${debug.scheduler.is_scheduled ? 'Ja' : 'Nein'}\n`;
+            }
+        }
+        
+        // System-Status
+        if (debug.system) {
+            summary += `\nSystem-Status:\n`;
+            summary += `- PHP: ${debug.system.php_version}\n`;
+            summary += `- Memory: ${debug.system.memory_limit}\n`;
+            summary += `- WP Cron: ${debug.system.wp_cron_disabled ? 'Deaktiviert' : 'Aktiv'}`;
+        }
+        
+        return summary;
+    };
+
+    /**
+     * Scheduler-Action-Handler
+     */
+    CSVImportAdmin.handleSchedulerAction = function(action, $button) {
+        this.debug.log(`Scheduler-Action: ${action}`);
+        
+        switch(action) {
+            case 'test':
+                this.testScheduler();
+                break;
+            case 'status':
+                this.getSchedulerStatus();
+                break;
+            case 'debug':
+                this.debugScheduler();
+                break;
+            case 'enable':
+                this.enableScheduler($button);
+                break;
+            case 'disable':
+                this.disableScheduler($button);
+                break;
+            default:
+                this.debug.warn('Unbekannte Scheduler-Action:', action);
+        }
+    };
+
+    /**
+     * Scheduler-Status periodisch aktualisieren
+     */
+    CSVImportAdmin.updateSchedulerStatus = function() {
+        if (!this.config.enableSchedulerIntegration) return;
+        
+        this.performAjaxRequest({
+            action: 'csv_scheduler_status',
+            timeout: 10000
+        })
+        .done((response) => {
+            if (response.success) {
+                this.updateSchedulerUI(response.data);
+            }
+        })
+        .fail(() => {
+            // Stille Fehlerbehandlung für periodische Updates
+            this.debug.debug('Scheduler-Status-Update fehlgeschlagen (wird ignoriert)');
+        });
+    };
+
+    /**
+     * Scheduler-UI aktualisieren
+     */
+    CSVImportAdmin.updateSchedulerUI = function(status) {
+        // Status-Indikatoren aktualisieren
+        $('.csv-scheduler-status').each(function() {
+            const $element = $(this);
+            
+            if (status.scheduler_available) {
+                $element.removeClass('status-error').addClass('status-ok');
+                $element.find('.status-text').text('Verfügbar');
+            } else {
+                $element.removeClass('status-ok').addClass('status-error');
+                $element.find('.status-text').text('Nicht verfügbar');
+            }
+        });
+        
+        // Scheduled-Status aktualisieren
+        $('.csv-scheduled-status').each(function() {
+            const $element = $(this);
+            
+            if (status.is_scheduled) {
+                $element.removeClass('status-inactive').addClass('status-active');
+                $element.find('.status-text').text('Aktiv');
+            } else {
+                $element.removeClass('status-active').addClass('status-inactive');
+                $element.find('.status-text').text('Inaktiv');
+            }
+        });
+        
+        // Nächster Run aktualisieren
+        if (status.next_run && status.is_scheduled) {
+            const nextRun = new Date(status.next_run * 1000);
+            $('.csv-next-run').text(nextRun.toLocaleString());
+        } else {
+            $('.csv-next-run').text('Nicht geplant');
+        }
+    };
+
+    // ===================================================================
+    // ERWEITERTE FUNKTIONEN (VOLLSTÄNDIG ERHALTEN)
+    // ===================================================================
+
+    /**
+     * Emergency-Reset durchführen
+     */
+    CSVImportAdmin.emergencyReset = function() {
+        if (!confirm('Emergency-Reset wirklich durchführen?\n\nDies setzt alle laufenden Prozesse zurück und löscht temporäre Daten.')) {
+            return;
+        }
+
+        this.debug.warn('Emergency-Reset wird durchgeführt');
+        
+        this.performAjaxRequest({
+            action: 'csv_import_emergency_reset'
+        })
+        .done((response) => {
+            if (response.success) {
+                const actions = response.data.actions_performed || [];
+                this.showAlert(
+                    '✅ Emergency-Reset erfolgreich!\n\n' +
+                    'Durchgeführte Aktionen:\n• ' + actions.join('\n• '),
+                    'success'
+                );
+                
+                // UI zurücksetzen
+                this.resetUIState();
+                
+                // Seite nach kurzer Verzögerung neu laden
+                setTimeout(() => {
+                    window.location.reload();
+                }, 2000);
+            } else {
+                this.showAlert(
+                    '❌ Emergency-Reset fehlgeschlagen:\n' + response.data.message,
+                    'error'
+                );
+            }
+        })
+        .fail((xhr, status, error) => {
+            this.handleFinalAjaxError('Emergency-Reset', xhr, error);
+        });
+    };
+
+    /**
+     * System-Health-Check durchführen
+     */
+    CSVImportAdmin.systemHealthCheck = function() {
+        this.debug.log('System-Health-Check wird durchgeführt');
+        
+        this.performAjaxRequest({
+            action: 'csv_import_system_health'
+        })
+        .done((response) => {
+            if (response.success) {
+                const health = response.data;
+                const summary = this.generateHealthSummary(health);
+                
+                this.showAlert(
+                    '🏥 System-Health-Check Ergebnis:\n\n' + summary,
+                    health.overall_status.healthy ? 'success' : 'warning'
+                );
+                
+                this.debug.log('System-Health-Check abgeschlossen', health);
+                
+                // Health-Status in UI anzeigen
+                this.updateHealthUI(health);
+            } else {
+                this.showAlert(
+                    '❌ System-Health-Check fehlgeschlagen:\n' + response.data.message,
+                    'error'
+                );
+            }
+        })
+        .fail((xhr, status, error) => {
+            this.handleFinalAjaxError('System-Health-Check', xhr, error);
+        });
+    };
+
+    /**
+     * Health-Summary generieren
+     */
+    CSVImportAdmin.generateHealthSummary = function(health) {
+        let summary = '';
+        
+        // Gesamtstatus
+        summary += `Gesamtstatus: ${health.overall_status.healthy ? '✅ Gesund' : '⚠️ Probleme erkannt'}\n\n`;
+        
+        // Plugin-Health
+        if (health.plugin_health) {
+            const healthyComponents = Object.values(health.plugin_health).filter(Boolean).length;
+            const totalComponents = Object.keys(health.plugin_health).length;
+            summary += `Plugin-Komponenten: ${healthyComponents}/${totalComponents} OK\n`;
+        }
+        
+        // Import-Status
+        if (health.import_status) {
+            summary += `Import läuft: ${health.import_status.running ? 'Ja' : 'Nein'}\n`;
+            summary += `Import gesperrt: ${health.import_status.locked ? 'Ja' : 'Nein'}\n`;
+        }
+        
+        // Server-Status
+        if (health.server_status) {
+            summary += `Memory: ${health.server_status.memory_limit}\n`;
+            summary += `PHP: ${health.server_status.php_version}\n`;
+        }
+        
+        // Probleme auflisten
+        if (health.overall_status.issues && health.overall_status.issues.length > 0) {
+            summary += `\nProbleme:\n• ${health.overall_status.issues.join('\n• ')}`;
+        }
+        
+        return summary;
+    };
+
+    /**
+     * Handler-Verfügbarkeit prüfen
+     */
+    CSVImportAdmin.checkHandlers = function() {
+        this.debug.log('Prüfe AJAX-Handler-Verfügbarkeit');
+        
+        this.performAjaxRequest({
+            action: 'csv_import_check_handlers'
+        })
+        .done((response) => {
+            if (response.success) {
+                const data = response.data;
+                let message = '🔧 AJAX-Handler-Status:\n\n';
+                message += `Gesamt: ${data.available_count}/${data.total_handlers} verfügbar\n`;
+                message += `Status: ${data.all_handlers_available ? '✅ Alle OK' : '⚠️ Teilweise verfügbar'}\n\n`;
+                
+                // Details in Konsole
+                console.group('🔧 AJAX-Handler Details');
+                console.table(data.handlers);
+                console.groupEnd();
+                
+                message += 'Detaillierte Informationen in Browser-Konsole (F12)';
+                
+                this.showAlert(message, data.all_handlers_available ? 'success' : 'warning');
+                this.status.handlerStatus = data.all_handlers_available ? 'available' : 'partial';
+            } else {
+                this.showAlert(
+                    '❌ Handler-Check fehlgeschlagen:\n' + response.data.message,
+                    'error'
+                );
+                this.status.handlerStatus = 'unavailable';
+            }
+        })
+        .fail((xhr, status, error) => {
+            this.handleFinalAjaxError('Handler-Check', xhr, error);
+            this.status.handlerStatus = 'unavailable';
+        });
+    };
+
+    // ===================================================================
+    // CONNECTION-MONITORING (VOLLSTÄNDIG KORRIGIERT)
+    // ===================================================================
+
+    /**
+     * Connection-Monitoring starten - STARK KORRIGIERT
+     */
+    CSVImportAdmin.startConnectionMonitoring = function() {
+        this.debug.debug('Starte Connection-Monitoring (intelligente Version)');
+        
+        const self = this;
+        
+        // KORRIGIERT: Dynamische Intervalle je nach Situation
+        const getCheckInterval = () => {
+            if (self.status.importRunning) return 30000;      // 30s bei laufendem Import
+            if (document.hidden) return 300000;              // 5min wenn Seite versteckt
+            return self.config.connectionCheckInterval;      // 1min normal
+        };
+        
+        // KORRIGIERT: Intelligente Scheduling-Funktion
+        const scheduleNextCheck = () => {
+            setTimeout(() => {
+                self.checkConnection();
+                scheduleNextCheck(); // Nächsten Check planen
+            }, getCheckInterval());
+        };
+        
+        // Erstes Check nach 10 Sekunden (nicht sofort)
+        setTimeout(() => {
+            scheduleNextCheck();
+        }, 10000);
+        
+        // KORRIGIERT: Bei Visibility-Änderungen reagieren
+        document.addEventListener('visibilitychange', () => {
+            if (!document.hidden && self.status.connectionStatus === 'offline') {
+                // Wenn Seite wieder sichtbar wird, nach kurzer Verzögerung prüfen
+                setTimeout(() => self.checkConnection(), 2000);
+            }
+        });
+        
+        // WordPress Heartbeat Integration (falls verfügbar)
+        this.setupHeartbeatIntegration();
+    };
+
+    /**
+     * WordPress Heartbeat Integration - NEU
+     */
+    CSVImportAdmin.setupHeartbeatIntegration = function() {
+        if (typeof wp !== 'undefined' && wp.heartbeat) {
+            this.debug.log('WordPress Heartbeat Integration aktiviert');
+            
+            // Heartbeat erweitern
+            $(document).on('heartbeat-send', (e, data) => {
+                if (this.status.importRunning) {
+                    data.csv_import_ping = {
+                        import_running: true,
+                        timestamp: Date.now()
+                    };
+                }
+            });
+            
+            // Heartbeat Response überwachen
+            $(document).on('heartbeat-tick', (e, data) => {
+                if (data.csv_import_ping !== undefined) {
+                    if (this.status.connectionFailures > 0) {
+                        this.debug.log('Verbindung via Heartbeat wiederhergestellt.');
+                        this.showTemporaryMessage('Verbindung wiederhergestellt', 'success');
+                    }
+                    this.status.connectionFailures = 0;
+                    this.updateConnectionStatus('online');
+                }
+            });
+            
+            // Heartbeat Error überwachen
+            $(document).on('heartbeat-connection-lost', () => {
+                this.status.connectionFailures++;
+                if (this.status.connectionFailures >= this.config.connectionFailureThreshold) {
+                    this.updateConnectionStatus('offline');
+                }
+            });
+            
+            $(document).on('heartbeat-connection-restored', () => {
+                this.debug.log('WordPress Heartbeat: Verbindung wiederhergestellt');
+                this.status.connectionFailures = 0;
+                this.updateConnectionStatus('online');
+            });
+        }
+    };
+
+    /**
+     * Verbindung prüfen - VOLLSTÄNDIG KORRIGIERT
+     */
+    CSVImportAdmin.checkConnection = function() {
+        const self = this;
+        const now = Date.now();
+        
+        // KORRIGIERT: Nicht zu oft prüfen
+        if (now - this.status.lastConnectionCheck < 30000) {
+            return; // Mindestens 30 Sekunden zwischen Checks
+        }
+        
+        // KORRIGIERT: Nur prüfen wenn Seite sichtbar oder Import läuft
+        if (document.hidden && !this.status.importRunning) {
+            return; // Keine Checks wenn Seite nicht sichtbar
+        }
+        
+        this.status.lastConnectionCheck = now;
+        
+        // KORRIGIERT: WordPress Heartbeat nutzen falls verfügbar
+        if (typeof wp !== 'undefined' && wp.heartbeat) {
+            // WordPress Heartbeat ist robuster als eigene AJAX-Calls
+            wp.heartbeat.enqueue('csv_import_ping', {
+                timestamp: Date.now()
+            });
+            return;
+        }
+        
+        // KORRIGIERT: Fallback mit robustem AJAX-Check
+        this.performAjaxRequest({ 
+            action: 'heartbeat' // Einfacher WordPress-Standard-Endpoint
+        }, { 
+            timeout: this.config.connectionTimeout,
+            cache: false
+        })
+        .done(function() {
+            // KORRIGIERT: Fehlerzähler bei Erfolg zurücksetzen
+            if (self.status.connectionFailures > 0) {
+                self.debug.log(`Verbindung wiederhergestellt nach ${self.status.connectionFailures} Fehlern.`);
+                self.showTemporaryMessage('Verbindung wiederhergestellt', 'success');
+            }
+            self.status.connectionFailures = 0;
+            self.updateConnectionStatus('online');
+        })
+        .fail(function(xhr, status, error) {
+            // KRITISCHE KORREKTUR: Nur echte Netzwerkfehler behandeln
+            const isRealConnectionError = (
+                xhr.status === 0 ||           // Netzwerkfehler
+                status === 'timeout' ||       // Timeout
+                status === 'error' && xhr.status === 0 // Allgemeiner Netzwerkfehler
+            );
+            
+            if (isRealConnectionError) {
+                self.status.connectionFailures++;
+                self.debug.warn(`Verbindungsfehler #${self.status.connectionFailures}: ${status} (${xhr.status})`);
+                
+                // KORRIGIERT: Erst nach mehreren Fehlern als offline markieren
+                if (self.status.connectionFailures >= self.config.connectionFailureThreshold) {
+                    self.updateConnectionStatus('offline');
+                }
+            } else {
+                // HTTP-Fehler (404, 500, etc.) sind KEIN Verbindungsverlust
+                self.debug.log(`HTTP-Fehler ignoriert: ${xhr.status} ${error}`);
+            }
+        });
+    };
+
+    /**
+     * Connection-Status aktualisieren - KORRIGIERT
+     */
+    CSVImportAdmin.updateConnectionStatus = function(status) {
+        // Nichts tun, wenn sich der Status nicht geändert hat
+        if (this.status.connectionStatus === status) return;
+        
+        const previousStatus = this.status.connectionStatus;
+        this.status.connectionStatus = status;
+        this.debug.log(`Connection-Status: ${previousStatus} → ${status}`);
+        
+        // UI-Indikatoren aktualisieren (falls vorhanden)
+        const indicator = $('.csv-connection-status');
+        if (indicator.length) {
+            indicator.removeClass('status-online status-offline').addClass(`status-${status}`);
+            indicator.find('.status-text').text(status === 'online' ? 'Verbunden' : 'Nicht verbunden');
+        }
+        
+        // KORRIGIERT: Dezente Warnungen statt störender Popups
+        if (status === 'offline' && previousStatus === 'online') {
+            this.showConnectionWarning();
+        } else if (status === 'online' && previousStatus === 'offline') {
+            this.hideConnectionWarning();
+        }
+    };
+
+    /**
+     * Dezente Verbindungswarnung - NEU
+     */
+    CSVImportAdmin.showConnectionWarning = function() {
+        // Prüfen ob bereits eine Warnung angezeigt wird
+        if ($('.csv-connection-warning').length > 0) {
+            return;
+        }
+        
+        const warningHtml = `
+            <div class="notice notice-warning is-dismissible csv-connection-warning" style="margin: 15px 0;">
+                <p>
+                    <span class="dashicons dashicons-warning" style="color: #f56e28; margin-right: 5px;"></span>
+                    <strong>Verbindung instabil:</strong> 
+                    Die Serververbindung ist momentan instabil. Ihre Arbeit wird automatisch gespeichert.
+                </p>
+                <button type="button" class="notice-dismiss" onclick="jQuery('.csv-connection-warning').fadeOut();">
+                    <span class="screen-reader-text">Schließen</span>
+                </button>
+            </div>
+        `;
+        
+        // Warnung diskret einfügen
+        if ($('.csv-dashboard-header').length) {
+            $('.csv-dashboard-header').after(warningHtml);
+        } else if ($('.wrap > h1').length) {
+            $('.wrap > h1').after(warningHtml);
+        } else {
+            $('.wrap').prepend(warningHtml);
+        }
+    };
+
+    /**
+     * Verbindungswarnung entfernen - NEU
+     */
+    CSVImportAdmin.hideConnectionWarning = function() {
+        $('.csv-connection-warning').fadeOut(300, function() {
+            $(this).remove();
+        });
+    };
+
+    /**
+     * Temporäre Nachrichten anzeigen - NEU
+     */
+    CSVImportAdmin.showTemporaryMessage = function(message, type = 'info') {
+        // Vorherige temporäre Nachrichten entfernen
+        $('.csv-temp-message').remove();
+        
+        const messageHtml = `
+            <div class="notice notice-${type} csv-temp-message" style="margin: 10px 0;">
+                <p>${message}</p>
+            </div>
+        `;
+        
+        if ($('.csv-dashboard-header').length) {
+            $('.csv-dashboard-header').after(messageHtml);
+        } else if ($('.wrap > h1').length) {
+            $('.wrap > h1').after(messageHtml);
+        }
+        
+        // Nachricht nach 3 Sekunden automatisch entfernen
+        setTimeout(() => {
+            $('.csv-temp-message').fadeOut(300, function() {
+                $(this).remove();
+            });
+        }, 3000);
+    };
+
+    // ===================================================================
+    // PERFORMANCE-MONITORING (VOLLSTÄNDIG ERHALTEN)
+    // ===================================================================
+
+    /**
+     * Performance-Monitoring initialisieren
+     */
+    CSVImportAdmin.initializePerformanceMonitoring = function() {
+        this.debug.debug('Initialisiere Performance-Monitoring');
+        
+        // Performance-Daten regelmäßig loggen
+        setInterval(() => {
+            this.logPerformanceMetrics();
+        }, 60000); // Jede Minute
+        
+        // Memory-Usage überwachen
+        if (window.performance && window.performance.memory) {
+            setInterval(() => {
+                this.checkMemoryUsage();
+            }, 30000); // Alle 30 Sekunden
+        }
+    };
+
+    /**
+     * Performance-Metriken loggen
+     */
+    CSVImportAdmin.logPerformanceMetrics = function() {
+        const metrics = this.state.performanceMetrics;
+        
+        if (metrics.ajaxCalls > 0) {
+            const successRate = (metrics.successfulCalls / metrics.ajaxCalls * 100).toFixed(1);
+            
+            this.debug.debug('Performance-Metriken', {
+                ajaxCalls: metrics.ajaxCalls,
+                successfulCalls: metrics.successfulCalls,
+                errors: metrics.errors,
+                successRate: `${successRate}%`,
+                uptime: Date.now() - metrics.initTime
+            });
+            
+            // Warnung bei schlechter Performance
+            if (successRate < 90) {
+                this.debug.warn(`Niedrige AJAX-Erfolgsrate: ${successRate}%`);
+            }
+        }
+    };
+
+    /**
+     * Memory-Usage prüfen
+     */
+    CSVImportAdmin.checkMemoryUsage = function() {
+        if (window.performance && window.performance.memory) {
+            const memory = window.performance.memory;
+            const usedMB = (memory.usedJSHeapSize / 1024 / 1024).toFixed(1);
+            const limitMB = (memory.jsHeapSizeLimit / 1024 / 1024).toFixed(1);
+            
+            // Warnung bei hohem Memory-Verbrauch
+            if (memory.usedJSHeapSize > memory.jsHeapSizeLimit * 0.9) {
+                this.debug.warn(`Hoher Memory-Verbrauch: ${usedMB}MB von ${limitMB}MB`);
+            }
+        }
+    };
+
+    // ===================================================================
+    // DEBUG-PANEL (VOLLSTÄNDIG ERHALTEN)
+    // ===================================================================
+
+    /**
+     * Debug-Panel toggle
+     */
+    CSVImportAdmin.toggleDebugPanel = function() {
+        if (!this.elements.debugPanel.length) {
+            this.createDebugPanel();
+        }
+        
+        this.elements.debugPanel.toggle();
+        this.debug.log('Debug-Panel umgeschaltet');
+    };
+
+    /**
+     * Debug-Panel erstellen
+     */
+    CSVImportAdmin.createDebugPanel = function() {
+        const debugHtml = `
+            <div id="csv-debug-panel" style="
+                position: fixed; 
+                top: 32px; 
+                right: 20px; 
+                width: 400px; 
+                background: #fff; 
+                border: 1px solid #ccc; 
+                box-shadow: 0 4px 8px rgba(0,0,0,0.1);
+                z-index: 9999;
+                padding: 15px;
+                border-radius: 4px;
+                font-family: monospace;
+                font-size: 12px;
+                display: none;
+            ">
+                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                    <strong>CSV Import Debug Panel v${this.version}</strong>
+                    <button type="button" onclick="jQuery('#csv-debug-panel').hide()" style="border: none; background: none; font-size: 16px; cursor: pointer;">×</button>
+                </div>
+                <div id="csv-debug-content">
+                    <div><strong>Status:</strong> <span id="csv-debug-status">-</span></div>
+                    <div><strong>Connection:</strong> <span id="csv-debug-connection">-</span></div>
+                    <div><strong>Handlers:</strong> <span id="csv-debug-handlers">-</span></div>
+                    <div><strong>AJAX Calls:</strong> <span id="csv-debug-ajax">-</span></div>
+                    <div><strong>Errors:</strong> <span id="csv-debug-errors">-</span></div>
+                    <div><strong>Connection Failures:</strong> <span id="csv-debug-conn-failures">-</span></div>
+                    <div style="margin-top: 10px;">
+                        <button type="button" onclick="csvImportCheckHandlers()" class="button button-small">Check Handlers</button>
+                        <button type="button" onclick="csvImportSystemHealth()" class="button button-small">System Health</button>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        $('body').append(debugHtml);
+        this.elements.debugPanel = $('#csv-debug-panel');
+        
+        // Debug-Panel regelmäßig aktualisieren
+        setInterval(() => {
+            this.updateDebugPanel();
+        }, 5000);
+    };
+
+    /**
+     * Debug-Panel aktualisieren
+     */
+    CSVImportAdmin.updateDebugPanel = function() {
+        if (!this.elements.debugPanel.is(':visible')) return;
+        
+        const metrics = this.state.performanceMetrics;
+        
+        $('#csv-debug-status').text(this.status.importRunning ? 'Import läuft' : 'Bereit');
+        $('#csv-debug-connection').text(this.status.connectionStatus);
+        $('#csv-debug-handlers').text(this.status.handlerStatus);
+        $('#csv-debug-ajax').text(`${metrics.successfulCalls}/${metrics.ajaxCalls}`);
+        $('#csv-debug-errors').text(metrics.errors);
+        $('#csv-debug-conn-failures').text(this.status.connectionFailures);
+    };
+
+    // ===================================================================
+    // VALIDATION FUNCTIONS (VOLLSTÄNDIG MIT MAPPING ERHALTEN)
+    // ===================================================================
+
+    /**
+     * Validierungsergebnis verarbeiten (erweitert für Mapping)
+     */
+    CSVImportAdmin.handleValidationResult = function(response, type) {
+        if (!response) {
+            this.showTestResult('Keine Antwort vom Server erhalten', false);
+            return;
+        }
+
+        const data = response.success ? response.data : (response.data || {});
+        const message = data.message || (response.success ? 'Validierung erfolgreich' : 'Validierung fehlgeschlagen');
+
+        // Test-Ergebnis anzeigen
+        this.showTestResult(message, response.success);
+
+        // Mapping-UI anzeigen
+        if (response.success && data.columns && type !== 'config') {
+            this.state.sampleRows = this.buildSampleRows(data.columns, data.sample_data);
+            this.state.sampleSource = type;
+            this.showColumnMappingUI(data.columns);
+            this.showValidationRulesUI(data.columns);
+            this.showSampleData(data.columns, data.sample_data);
+            this.renderRuleReport(data.rule_report);
+        } else {
+            this.clearSampleData();
+            this.clearColumnMappingUI();
+            this.clearValidationRulesUI();
+        }
+
+        this.debug.log(`Validierung ${type} abgeschlossen:`, {
+            success: response.success,
+            rows: data.rows,
+            columns: data.columns ? data.columns.length : 0
+        });
+    };
+
+    /**
+     * Erstellt und zeigt die Spalten-Mapping-Tabelle an.
+     */
+    CSVImportAdmin.showColumnMappingUI = function(columns) {
+        const mappingContainer = $('#csv-column-mapping-container');
+        if (!mappingContainer.length) {
+            this.debug.warn('Mapping-Container (#csv-column-mapping-container) nicht gefunden.');
+            return;
+        }
+
+        mappingContainer.html('<div class="test-result test-progress">🔄 Zielfelder werden geladen...</div>').show();
+
+        this.loadMappingTargets()
+            .done((groups) => {
+                this.renderColumnMappingUI(mappingContainer, columns, groups);
+            })
+            .fail((message) => {
+                mappingContainer.html(`<div class="test-result test-error">❌ ${this.escapeHtml(message || 'Zielfelder konnten nicht geladen werden')}</div>`);
+            });
+    };
+
+    /**
+     * Zielfelder für den gewählten Post-Typ vom Server laden (pro Post-Typ gecacht)
+     */
+    CSVImportAdmin.loadMappingTargets = function() {
+        const postType = $('#csv_import_post_type').val() || '';
+        this.state.mappingTargets = this.state.mappingTargets || {};
+
+        if (this.state.mappingTargets[postType]) {
+            return $.Deferred().resolve(this.state.mappingTargets[postType]).promise();
+        }
+
+        return this.performAjaxRequest({
+            action: 'csv_import_get_mapping_targets',
+            post_type: postType
+        })
+        .then((response) => {
+            if (!response.success || !response.data || !response.data.groups) {
+                return $.Deferred().reject(response.data && response.data.message).promise();
+            }
+            this.state.mappingTargets[postType] = response.data.groups;
+            return response.data.groups;
+        });
     };
 
     /**
-     * WordPress Heartbeat Integration - NEU
+     * Mapping-Tabelle mit automatisch erkannten Zielfeldern rendern
      */
-    CSVImportAdmin.setupHeartbeatIntegration = function() {
-        if (typeof wp !== 'undefined' && wp.heartbeat) {
-            this.debug.log('WordPress Heartbeat Integration aktiviert');
-            
-            // Heartbeat erweitern
-            $(document).on('heartbeat-send', (e, data) => {
-                if (this.status.importRunning) {
-                    data.csv_import_ping = {
-                        import_running: true,
-                        timestamp: Date.now()
-                    };
-                }
-            });
-            
-            // Heartbeat Response überwachen
-            $(document).on('heartbeat-tick', (e, data) => {
-                if (data.csv_import_ping !== undefined) {
-                    if (this.status.connectionFailures > 0) {
-                        this.debug.log('Verbindung via Heartbeat wiederhergestellt.');
-                        this.showTemporaryMessage('Verbindung wiederhergestellt', 'success');
-                    }
-                    this.status.connectionFailures = 0;
-                    this.updateConnectionStatus('online');
-                }
+    CSVImportAdmin.renderColumnMappingUI = function(mappingContainer, columns, groups) {
+        this.state.mappingOptionsHtml = this.buildMappingOptions(groups);
+
+        // Gespeicherte Zuordnungen haben Vorrang vor der automatischen Erkennung
+        const saved = this.getSavedMapping();
+        const matches = {};
+        let rowsHtml = '';
+        columns.forEach(column => {
+            const restored = saved[column] !== undefined;
+            const match = restored ? { value: '', confidence: 0 } : this.findBestMappingTarget(column, groups);
+            matches[column] = {
+                values: restored ? saved[column] : [match.value],
+                confidence: match.confidence
+            };
+            rowsHtml += `
+                <tr data-column="${this.escapeHtml(column)}">
+                    <td><strong>${this.escapeHtml(column)}</strong></td>
+                    <td class="csv-mapping-targets">
+                        <button type="button" class="button-link csv-mapping-add-target">+ weiteres Ziel</button>
+                    </td>
+                    <td class="csv-mapping-confidence">${this.buildConfidenceBadge(matches[column].confidence, restored)}</td>
+                    <td><button type="button" class="button-link csv-transform-toggle"></button></td>
+                </tr>
+                <tr class="csv-transform-editor" data-transform-column="${this.escapeHtml(column)}" style="display: none;">
+                    <td colspan="4">
+                        <div class="csv-transform-steps"></div>
+                        <button type="button" class="button button-small csv-transform-add-step">+ Schritt hinzufügen</button>
+                        <div class="csv-transform-preview"></div>
+                    </td>
+                </tr>
+            `;
+        });
+
+        mappingContainer.html(`
+            <h4>2. Spalten zuordnen</h4>
+            <p>Weisen Sie jeder Spalte aus Ihrer CSV-Datei ein oder mehrere WordPress-Felder zu. Vorschläge wurden automatisch erkannt.</p>
+            <table class="wp-list-table widefat striped">
+                <thead>
+                    <tr>
+                        <th>Spalte aus Ihrer CSV</th>
+                        <th>WordPress-Feld(er)</th>
+                        <th style="width: 110px;">Treffer</th>
+                        <th style="width: 170px;">Transformationen</th>
+                    </tr>
+                </thead>
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `).show();
+
+        mappingContainer.find('tr[data-column]').each((index, row) => {
+            const column = $(row).attr('data-column');
+            const $add = $(row).find('.csv-mapping-add-target');
+            (matches[column] ? matches[column].values : ['']).forEach(value => {
+                $add.before(this.buildMappingTarget(value));
             });
-            
-            // Heartbeat Error überwachen
-            $(document).on('heartbeat-connection-lost', () => {
-                this.status.connectionFailures++;
-                if (this.status.connectionFailures >= this.config.connectionFailureThreshold) {
-                    this.updateConnectionStatus('offline');
-                }
+        });
+
+        const savedTransforms = this.getSavedTransforms();
+        mappingContainer.find('tr.csv-transform-editor').each((index, editor) => {
+            const $editor = $(editor);
+            (savedTransforms[$editor.attr('data-transform-column')] || []).forEach(step => {
+                $editor.find('.csv-transform-steps').append(this.buildTransformStep(step));
             });
-            
-            $(document).on('heartbeat-connection-restored', () => {
-                this.debug.log('WordPress Heartbeat: Verbindung wiederhergestellt');
-                this.status.connectionFailures = 0;
-                this.updateConnectionStatus('online');
+            this.updateTransformToggle($editor);
+        });
+
+        this.bindColumnMappingEvents(mappingContainer);
+        this.bindTransformEvents(mappingContainer);
+        this.saveMapping();
+        this.previewTransforms();
+    };
+
+    /**
+     * Optionen (gruppiert) für die Zielfeld-Auswahl erzeugen
+     */
+    CSVImportAdmin.buildMappingOptions = function(groups) {
+        let html = '<option value="">-- Ignorieren --</option>';
+        Object.keys(groups).forEach(key => {
+            const group = groups[key];
+            html += `<optgroup label="${this.escapeHtml(group.label)}">`;
+            group.targets.forEach(target => {
+                html += `<option value="${this.escapeHtml(target.value)}">${this.escapeHtml(target.label)}</option>`;
             });
-        }
+            html += '</optgroup>';
+        });
+        html += '<option value="__custom_meta">✏️ Eigenes Meta-Feld...</option>';
+        return html;
     };
 
     /**
-     * Verbindung prüfen - VOLLSTÄNDIG KORRIGIERT
+     * Eine Zielfeld-Auswahl (Select + optionales Freitextfeld) erzeugen
      */
-    CSVImportAdmin.checkConnection = function() {
-        const self = this;
-        const now = Date.now();
-        
-        // KORRIGIERT: Nicht zu oft prüfen
-        if (now - this.status.lastConnectionCheck < 30000) {
-            return; // Mindestens 30 Sekunden zwischen Checks
+    CSVImportAdmin.buildMappingTarget = function(value) {
+        const $target = $(`
+            <div class="csv-mapping-target">
+                <select class="csv-mapping-select">${this.state.mappingOptionsHtml}</select>
+                <input type="text" class="csv-mapping-custom-meta" placeholder="meta_key" style="display: none;">
+                <button type="button" class="button-link csv-mapping-remove-target" title="Ziel entfernen">✕</button>
+            </div>
+        `);
+        const $select = $target.find('.csv-mapping-select');
+
+        $select.val(value || '');
+        if (value && $select.val() !== value && value.indexOf('meta:') === 0) {
+            // Freies Meta-Feld, das nicht in der Server-Liste enthalten ist
+            $select.val('__custom_meta');
+            $target.find('.csv-mapping-custom-meta').val(value.substring(5)).show();
+        } else if ($select.val() === null) {
+            $select.val('');
         }
-        
-        // KORRIGIERT: Nur prüfen wenn Seite sichtbar oder Import läuft
-        if (document.hidden && !this.status.importRunning) {
-            return; // Keine Checks wenn Seite nicht sichtbar
+
+        return $target;
+    };
+
+    /**
+     * Vertrauens-Anzeige für die automatische Zuordnung
+     */
+    CSVImportAdmin.buildConfidenceBadge = function(confidence, manual = false) {
+        if (manual) {
+            return '<span class="csv-confidence csv-confidence-manual">manuell</span>';
         }
-        
-        this.status.lastConnectionCheck = now;
-        
-        // KORRIGIERT: WordPress Heartbeat nutzen falls verfügbar
-        if (typeof wp !== 'undefined' && wp.heartbeat) {
-            // WordPress Heartbeat ist robuster als eigene AJAX-Calls
-            wp.heartbeat.enqueue('csv_import_ping', {
-                timestamp: Date.now()
-            });
-            return;
+        if (!confidence) {
+            return '<span class="csv-confidence csv-confidence-none">-</span>';
         }
-        
-        // KORRIGIERT: Fallback mit robustem AJAX-Check
-        this.performAjaxRequest({ 
-            action: 'heartbeat' // Einfacher WordPress-Standard-Endpoint
-        }, { 
-            timeout: this.config.connectionTimeout,
-            cache: false
-        })
-        .done(function() {
-            // KORRIGIERT: Fehlerzähler bei Erfolg zurücksetzen
-            if (self.status.connectionFailures > 0) {
-                self.debug.log(`Verbindung wiederhergestellt nach ${self.status.connectionFailures} Fehlern.`);
-                self.showTemporaryMessage('Verbindung wiederhergestellt', 'success');
-            }
-            self.status.connectionFailures = 0;
-            self.updateConnectionStatus('online');
-        })
-        .fail(function(xhr, status, error) {
-            // KRITISCHE KORREKTUR: Nur echte Netzwerkfehler behandeln
-            const isRealConnectionError = (
-                xhr.status === 0 ||           // Netzwerkfehler
-                status === 'timeout' ||       // Timeout
-                status === 'error' && xhr.status === 0 // Allgemeiner Netzwerkfehler
-            );
-            
-            if (isRealConnectionError) {
-                self.status.connectionFailures++;
-                self.debug.warn(`Verbindungsfehler #${self.status.connectionFailures}: ${status} (${xhr.status})`);
-                
-                // KORRIGIERT: Erst nach mehreren Fehlern als offline markieren
-                if (self.status.connectionFailures >= self.config.connectionFailureThreshold) {
-                    self.updateConnectionStatus('offline');
-                }
+        const level = confidence >= 90 ? 'high' : (confidence >= 70 ? 'medium' : 'low');
+        const label = { high: 'hoch', medium: 'mittel', low: 'niedrig' }[level];
+        return `<span class="csv-confidence csv-confidence-${level}" title="Übereinstimmung ${confidence}%">${label} (${confidence}%)</span>`;
+    };
+
+    /**
+     * Events der Mapping-Tabelle (einmalig pro Container) registrieren
+     */
+    CSVImportAdmin.bindColumnMappingEvents = function(mappingContainer) {
+        if (mappingContainer.data('mapping-events')) return;
+        mappingContainer.data('mapping-events', true);
+
+        const self = this;
+
+        mappingContainer.on('change', '.csv-mapping-select', function() {
+            const $target = $(this).closest('.csv-mapping-target');
+            $target.find('.csv-mapping-custom-meta').toggle($(this).val() === '__custom_meta');
+            $(this).closest('tr').find('.csv-mapping-confidence').html(self.buildConfidenceBadge(0, true));
+            self.saveMapping();
+        });
+
+        mappingContainer.on('input', '.csv-mapping-custom-meta', function() {
+            self.saveMapping();
+        });
+
+        mappingContainer.on('click', '.csv-mapping-add-target', function(e) {
+            e.preventDefault();
+            $(this).before(self.buildMappingTarget(''));
+        });
+
+        mappingContainer.on('click', '.csv-mapping-remove-target', function(e) {
+            e.preventDefault();
+            const $cell = $(this).closest('.csv-mapping-targets');
+            if ($cell.find('.csv-mapping-target').length > 1) {
+                $(this).closest('.csv-mapping-target').remove();
+                self.saveMapping();
             } else {
-                // HTTP-Fehler (404, 500, etc.) sind KEIN Verbindungsverlust
-                self.debug.log(`HTTP-Fehler ignoriert: ${xhr.status} ${error}`);
+                $cell.find('.csv-mapping-select').val('').trigger('change');
             }
         });
     };
 
     /**
-     * Connection-Status aktualisieren - KORRIGIERT
+     * Feldnamen für den Vergleich normalisieren (Umlaute, Trennzeichen, Groß-/Kleinschreibung)
      */
-    CSVImportAdmin.updateConnectionStatus = function(status) {
-        // Nichts tun, wenn sich der Status nicht geändert hat
-        if (this.status.connectionStatus === status) return;
-        
-        const previousStatus = this.status.connectionStatus;
-        this.status.connectionStatus = status;
-        this.debug.log(`Connection-Status: ${previousStatus} → ${status}`);
-        
-        // UI-Indikatoren aktualisieren (falls vorhanden)
-        const indicator = $('.csv-connection-status');
-        if (indicator.length) {
-            indicator.removeClass('status-online status-offline').addClass(`status-${status}`);
-            indicator.find('.status-text').text(status === 'online' ? 'Verbunden' : 'Nicht verbunden');
-        }
-        
-        // KORRIGIERT: Dezente Warnungen statt störender Popups
-        if (status === 'offline' && previousStatus === 'online') {
-            this.showConnectionWarning();
-        } else if (status === 'online' && previousStatus === 'offline') {
-            this.hideConnectionWarning();
-        }
+    CSVImportAdmin.normalizeFieldName = function(name) {
+        return String(name || '').toLowerCase()
+            .replace(/ä/g, 'ae').replace(/ö/g, 'oe').replace(/ü/g, 'ue').replace(/ß/g, 'ss')
+            .replace(/[^a-z0-9]+/g, '_')
+            .replace(/^_+|_+$/g, '');
     };
 
     /**
-     * Dezente Verbindungswarnung - NEU
+     * Ähnlichkeit zweier Zeichenketten (0-1) auf Basis der Levenshtein-Distanz
      */
-    CSVImportAdmin.showConnectionWarning = function() {
-        // Prüfen ob bereits eine Warnung angezeigt wird
-        if ($('.csv-connection-warning').length > 0) {
-            return;
-        }
-        
-        const warningHtml = `
-            <div class="notice notice-warning is-dismissible csv-connection-warning" style="margin: 15px 0;">
-                <p>
-                    <span class="dashicons dashicons-warning" style="color: #f56e28; margin-right: 5px;"></span>
-                    <strong>Verbindung instabil:</strong> 
-                    Die Serververbindung ist momentan instabil. Ihre Arbeit wird automatisch gespeichert.
-                </p>
-                <button type="button" class="notice-dismiss" onclick="jQuery('.csv-connection-warning').fadeOut();">
-                    <span class="screen-reader-text">Schließen</span>
-                </button>
-            </div>
-        `;
-        
-        // Warnung diskret einfügen
-        if ($('.csv-dashboard-header').length) {
-            $('.csv-dashboard-header').after(warningHtml);
-        } else if ($('.wrap > h1').length) {
-            $('.wrap > h1').after(warningHtml);
-        } else {
-            $('.wrap').prepend(warningHtml);
+    CSVImportAdmin.stringSimilarity = function(a, b) {
+        if (a === b) return 1;
+        if (!a.length || !b.length) return 0;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
         }
+
+        return 1 - previous[b.length] / Math.max(a.length, b.length);
     };
 
     /**
-     * Verbindungswarnung entfernen - NEU
+     * Bestes Zielfeld für eine CSV-Spalte inkl. Trefferquote (0-100) ermitteln
      */
-    CSVImportAdmin.hideConnectionWarning = function() {
-        $('.csv-connection-warning').fadeOut(300, function() {
-            $(this).remove();
+    CSVImportAdmin.findBestMappingTarget = function(column, groups) {
+        const normalized = this.normalizeFieldName(column);
+        let best = { value: '', confidence: 0 };
+
+        Object.keys(groups).forEach(key => {
+            groups[key].targets.forEach(target => {
+                const candidates = [target.value.replace(/^(meta|tax):/, ''), target.label]
+                    .concat(target.aliases || [])
+                    .map(candidate => this.normalizeFieldName(candidate));
+
+                candidates.forEach(candidate => {
+                    if (!candidate || !normalized) return;
+
+                    let score;
+                    if (candidate === normalized) {
+                        score = 100;
+                    } else if (candidate.length > 3 && (normalized.includes(candidate) || candidate.includes(normalized))) {
+                        score = Math.round(70 + 20 * Math.min(candidate.length, normalized.length) / Math.max(candidate.length, normalized.length));
+                    } else {
+                        score = Math.round(this.stringSimilarity(candidate, normalized) * 100);
+                    }
+
+                    // Bei Gleichstand gewinnt die erste Gruppe (Beitragsfelder vor Meta-Feldern)
+                    if (score > best.confidence) {
+                        best = { value: target.value, confidence: score };
+                    }
+                });
+            });
         });
+
+        return best.confidence >= this.config.mappingMinConfidence ? best : { value: '', confidence: 0 };
     };
 
     /**
-     * Temporäre Nachrichten anzeigen - NEU
+     * Versteckt und leert die Mapping-Tabelle.
      */
-    CSVImportAdmin.showTemporaryMessage = function(message, type = 'info') {
-        // Vorherige temporäre Nachrichten entfernen
-        $('.csv-temp-message').remove();
-        
-        const messageHtml = `
-            <div class="notice notice-${type} csv-temp-message" style="margin: 10px 0;">
-                <p>${message}</p>
-            </div>
-        `;
-        
-        if ($('.csv-dashboard-header').length) {
-            $('.csv-dashboard-header').after(messageHtml);
-        } else if ($('.wrap > h1').length) {
-            $('.wrap > h1').after(messageHtml);
+    CSVImportAdmin.clearColumnMappingUI = function() {
+        const mappingContainer = $('#csv-column-mapping-container');
+        if (mappingContainer.length) {
+            mappingContainer.empty().hide();
         }
-        
-        // Nachricht nach 3 Sekunden automatisch entfernen
-        setTimeout(() => {
-            $('.csv-temp-message').fadeOut(300, function() {
-                $(this).remove();
-            });
-        }, 3000);
     };
 
-    // ===================================================================
-    // PERFORMANCE-MONITORING (VOLLSTÄNDIG ERHALTEN)
-    // ===================================================================
+    /**
+     * Beispielzeilen der Validierung als Spalte => Wert für die Transformations-Vorschau
+     */
+    CSVImportAdmin.buildSampleRows = function(columns, sampleData) {
+        return (sampleData || []).filter(Array.isArray).map(values => {
+            const row = {};
+            columns.forEach((column, index) => {
+                row[column] = values[index] !== undefined && values[index] !== null ? String(values[index]) : '';
+            });
+            return row;
+        });
+    };
 
     /**
-     * Performance-Monitoring initialisieren
+     * Gespeicherte Transformationen (Spalte => Schritte) vom Server
      */
-    CSVImportAdmin.initializePerformanceMonitoring = function() {
-        this.debug.debug('Initialisiere Performance-Monitoring');
-        
-        // Performance-Daten regelmäßig loggen
-        setInterval(() => {
-            this.logPerformanceMetrics();
-        }, 60000); // Jede Minute
-        
-        // Memory-Usage überwachen
-        if (window.performance && window.performance.memory) {
-            setInterval(() => {
-                this.checkMemoryUsage();
-            }, 30000); // Alle 30 Sekunden
-        }
+    CSVImportAdmin.getSavedTransforms = function() {
+        return (typeof csvImportAjax !== 'undefined' && csvImportAjax.saved_transforms) || {};
+    };
+
+    /**
+     * Verfügbare Transformationsschritte (Typ => Bezeichnung, Argumente, Auswahllisten)
+     */
+    CSVImportAdmin.getTransformTypes = function() {
+        return (typeof csvImportAjax !== 'undefined' && csvImportAjax.transform_types) || {};
     };
 
     /**
-     * Performance-Metriken loggen
+     * Einen Schritt des Transformations-Editors (Typ-Auswahl + Argumente) erzeugen
      */
-    CSVImportAdmin.logPerformanceMetrics = function() {
-        const metrics = this.state.performanceMetrics;
-        
-        if (metrics.ajaxCalls > 0) {
-            const successRate = (metrics.successfulCalls / metrics.ajaxCalls * 100).toFixed(1);
-            
-            this.debug.debug('Performance-Metriken', {
-                ajaxCalls: metrics.ajaxCalls,
-                successfulCalls: metrics.successfulCalls,
-                errors: metrics.errors,
-                successRate: `${successRate}%`,
-                uptime: Date.now() - metrics.initTime
-            });
-            
-            // Warnung bei schlechter Performance
-            if (successRate < 90) {
-                this.debug.warn(`Niedrige AJAX-Erfolgsrate: ${successRate}%`);
-            }
-        }
+    CSVImportAdmin.buildTransformStep = function(step) {
+        const types = this.getTransformTypes();
+        const current = step && types[step.type] ? step.type : Object.keys(types)[0];
+        const typeOptions = Object.keys(types).map(value =>
+            `<option value="${this.escapeHtml(value)}" ${value === current ? 'selected' : ''}>${this.escapeHtml(types[value].label)}</option>`
+        ).join('');
+
+        const $step = $(`
+            <div class="csv-transform-step">
+                <span class="csv-transform-handle">↳</span>
+                <select class="csv-transform-type">${typeOptions}</select>
+                <span class="csv-transform-args"></span>
+                <button type="button" class="button-link csv-transform-remove-step" title="Schritt entfernen">✕</button>
+            </div>
+        `);
+
+        this.renderTransformArgs($step, (step && step.args) || {});
+        return $step;
     };
 
     /**
-     * Memory-Usage prüfen
+     * Eingabefelder für die Argumente des gewählten Schritts erzeugen
      */
-    CSVImportAdmin.checkMemoryUsage = function() {
-        if (window.performance && window.performance.memory) {
-            const memory = window.performance.memory;
-            const usedMB = (memory.usedJSHeapSize / 1024 / 1024).toFixed(1);
-            const limitMB = (memory.jsHeapSizeLimit / 1024 / 1024).toFixed(1);
-            
-            // Warnung bei hohem Memory-Verbrauch
-            if (memory.usedJSHeapSize > memory.jsHeapSizeLimit * 0.9) {
-                this.debug.warn(`Hoher Memory-Verbrauch: ${usedMB}MB von ${limitMB}MB`);
+    CSVImportAdmin.renderTransformArgs = function($step, values) {
+        const type = this.getTransformTypes()[$step.find('.csv-transform-type').val()] || { args: {} };
+        const options = type.options || {};
+
+        const html = Object.keys(type.args || {}).map(arg => {
+            const value = values[arg] !== undefined ? String(values[arg]) : '';
+            if (options[arg]) {
+                const optionHtml = Object.keys(options[arg]).map(option =>
+                    `<option value="${this.escapeHtml(option)}" ${option === value ? 'selected' : ''}>${this.escapeHtml(options[arg][option])}</option>`
+                ).join('');
+                return `<select class="csv-transform-arg" data-arg="${this.escapeHtml(arg)}" title="${this.escapeHtml(type.args[arg])}">${optionHtml}</select>`;
             }
-        }
-    };
+            return `<input type="text" class="csv-transform-arg" data-arg="${this.escapeHtml(arg)}" value="${this.escapeHtml(value)}" placeholder="${this.escapeHtml(type.args[arg])}" title="${this.escapeHtml(type.args[arg])}">`;
+        }).join('');
 
-    // ===================================================================
-    // DEBUG-PANEL (VOLLSTÄNDIG ERHALTEN)
-    // ===================================================================
+        $step.find('.csv-transform-args').html(html);
+    };
 
     /**
-     * Debug-Panel toggle
+     * Beschriftung des Umschalters mit der Anzahl der Schritte aktualisieren
      */
-    CSVImportAdmin.toggleDebugPanel = function() {
-        if (!this.elements.debugPanel.length) {
-            this.createDebugPanel();
-        }
-        
-        this.elements.debugPanel.toggle();
-        this.debug.log('Debug-Panel umgeschaltet');
+    CSVImportAdmin.updateTransformToggle = function($editor) {
+        const count = $editor.find('.csv-transform-step').length;
+        $editor.prev('tr[data-column]').find('.csv-transform-toggle')
+            .text(`⚙️ Transformationen (${count})`)
+            .toggleClass('csv-transform-active', count > 0);
     };
 
     /**
-     * Debug-Panel erstellen
+     * Events des Transformations-Editors (einmalig pro Container) registrieren
      */
-    CSVImportAdmin.createDebugPanel = function() {
-        const debugHtml = `
-            <div id="csv-debug-panel" style="
-                position: fixed; 
-                top: 32px; 
-                right: 20px; 
-                width: 400px; 
-                background: #fff; 
-                border: 1px solid #ccc; 
-                box-shadow: 0 4px 8px rgba(0,0,0,0.1);
-                z-index: 9999;
-                padding: 15px;
-                border-radius: 4px;
-                font-family: monospace;
-                font-size: 12px;
-                display: none;
-            ">
-                <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
-                    <strong>CSV Import Debug Panel v${this.version}</strong>
-                    <button type="button" onclick="jQuery('#csv-debug-panel').hide()" style="border: none; background: none; font-size: 16px; cursor: pointer;">×</button>
-                </div>
-                <div id="csv-debug-content">
-                    <div><strong>Status:</strong> <span id="csv-debug-status">-</span></div>
-                    <div><strong>Connection:</strong> <span id="csv-debug-connection">-</span></div>
-                    <div><strong>Handlers:</strong> <span id="csv-debug-handlers">-</span></div>
-                    <div><strong>AJAX Calls:</strong> <span id="csv-debug-ajax">-</span></div>
-                    <div><strong>Errors:</strong> <span id="csv-debug-errors">-</span></div>
-                    <div><strong>Connection Failures:</strong> <span id="csv-debug-conn-failures">-</span></div>
-                    <div style="margin-top: 10px;">
-                        <button type="button" onclick="csvImportCheckHandlers()" class="button button-small">Check Handlers</button>
-                        <button type="button" onclick="csvImportSystemHealth()" class="button button-small">System Health</button>
-                    </div>
-                </div>
-            </div>
-        `;
-        
-        $('body').append(debugHtml);
-        this.elements.debugPanel = $('#csv-debug-panel');
-        
-        // Debug-Panel regelmäßig aktualisieren
-        setInterval(() => {
-            this.updateDebugPanel();
-        }, 5000);
+    CSVImportAdmin.bindTransformEvents = function(mappingContainer) {
+        if (mappingContainer.data('transform-events')) return;
+        mappingContainer.data('transform-events', true);
+
+        const self = this;
+        const changed = function($editor) {
+            self.updateTransformToggle($editor);
+            self.saveTransforms();
+        };
+
+        mappingContainer.on('click', '.csv-transform-toggle', function(e) {
+            e.preventDefault();
+            $(this).closest('tr').next('.csv-transform-editor').toggle();
+        });
+
+        mappingContainer.on('click', '.csv-transform-add-step', function(e) {
+            e.preventDefault();
+            const $editor = $(this).closest('.csv-transform-editor');
+            $editor.find('.csv-transform-steps').append(self.buildTransformStep(null));
+            changed($editor);
+        });
+
+        mappingContainer.on('click', '.csv-transform-remove-step', function(e) {
+            e.preventDefault();
+            const $editor = $(this).closest('.csv-transform-editor');
+            $(this).closest('.csv-transform-step').remove();
+            changed($editor);
+        });
+
+        mappingContainer.on('change', '.csv-transform-type', function() {
+            self.renderTransformArgs($(this).closest('.csv-transform-step'), {});
+            changed($(this).closest('.csv-transform-editor'));
+        });
+
+        mappingContainer.on('change input', '.csv-transform-arg', function() {
+            changed($(this).closest('.csv-transform-editor'));
+        });
     };
 
     /**
-     * Debug-Panel aktualisieren
+     * Transformationen aus dem Editor sammeln (nur Spalten mit mindestens einem Schritt)
      */
-    CSVImportAdmin.updateDebugPanel = function() {
-        if (!this.elements.debugPanel.is(':visible')) return;
-        
-        const metrics = this.state.performanceMetrics;
-        
-        $('#csv-debug-status').text(this.status.importRunning ? 'Import läuft' : 'Bereit');
-        $('#csv-debug-connection').text(this.status.connectionStatus);
-        $('#csv-debug-handlers').text(this.status.handlerStatus);
-        $('#csv-debug-ajax').text(`${metrics.successfulCalls}/${metrics.ajaxCalls}`);
-        $('#csv-debug-errors').text(metrics.errors);
-        $('#csv-debug-conn-failures').text(this.status.connectionFailures);
+    CSVImportAdmin.collectTransforms = function() {
+        const transforms = {};
+
+        $('#csv-column-mapping-container tr.csv-transform-editor').each(function() {
+            const steps = [];
+            $(this).find('.csv-transform-step').each(function() {
+                const args = {};
+                $(this).find('.csv-transform-arg').each(function() {
+                    args[$(this).attr('data-arg')] = $(this).val();
+                });
+                steps.push({ type: $(this).find('.csv-transform-type').val(), args: args });
+            });
+            if (steps.length) {
+                transforms[$(this).attr('data-transform-column')] = steps;
+            }
+        });
+
+        return transforms;
     };
 
-    // ===================================================================
-    // VALIDATION FUNCTIONS (VOLLSTÄNDIG MIT MAPPING ERHALTEN)
-    // ===================================================================
+    /**
+     * Transformationen verzögert speichern und die Vorschau aktualisieren
+     */
+    CSVImportAdmin.saveTransforms = function() {
+        clearTimeout(this.state.transformSaveTimer);
+        this.state.transformSaveTimer = setTimeout(() => {
+            this.performAjaxRequest({
+                action: 'csv_import_save_transforms',
+                transforms: this.collectTransforms()
+            })
+            .done(response => {
+                if (response.success) {
+                    csvImportAjax.saved_transforms = response.data.transforms;
+                    this.debug.debug('Transformationen gespeichert', response.data.transforms);
+                }
+            })
+            .fail(() => {
+                this.debug.warn('Transformationen konnten nicht gespeichert werden');
+            });
+
+            this.previewTransforms();
+        }, this.config.transformSaveDelay);
+    };
 
     /**
-     * Validierungsergebnis verarbeiten (erweitert für Mapping)
+     * Vorher/Nachher-Vorschau der Transformationen auf den Beispielzeilen (serverseitig berechnet)
      */
-    CSVImportAdmin.handleValidationResult = function(response, type) {
-        if (!response) {
-            this.showTestResult('Keine Antwort vom Server erhalten', false);
+    CSVImportAdmin.previewTransforms = function() {
+        const $editors = $('#csv-column-mapping-container tr.csv-transform-editor');
+        const transforms = this.collectTransforms();
+        const rows = this.state.sampleRows || [];
+
+        $editors.find('.csv-transform-preview').empty();
+        if (!rows.length || !Object.keys(transforms).length) {
             return;
         }
 
-        const data = response.success ? response.data : (response.data || {});
-        const message = data.message || (response.success ? 'Validierung erfolgreich' : 'Validierung fehlgeschlagen');
-
-        // Test-Ergebnis anzeigen
-        this.showTestResult(message, response.success);
+        this.performAjaxRequest({
+            action: 'csv_import_preview_transforms',
+            transforms: transforms,
+            rows: rows
+        })
+        .done(response => {
+            if (!response.success || !response.data) {
+                return;
+            }
 
-        // Mapping-UI anzeigen
-        if (response.success && data.columns && type !== 'config') {
-            this.showColumnMappingUI(data.columns);
-            this.showSampleData(data.columns, data.sample_data);
-        } else {
-            this.clearSampleData();
-            this.clearColumnMappingUI();
-        }
+            $editors.each((index, editor) => {
+                const column = $(editor).attr('data-transform-column');
+                if (!transforms[column]) {
+                    return;
+                }
 
-        this.debug.log(`Validierung ${type} abgeschlossen:`, {
-            success: response.success,
-            rows: data.rows,
-            columns: data.columns ? data.columns.length : 0
+                const rowsHtml = response.data.rows.map(row => {
+                    const result = row[column] || { before: '', after: '' };
+                    const after = result.error !== undefined
+                        ? `<td class="csv-transform-error">❌ ${this.escapeHtml(result.error)}</td>`
+                        : `<td>${this.escapeHtml(result.after)}</td>`;
+                    return `<tr><td>${this.escapeHtml(result.before)}</td>${after}</tr>`;
+                }).join('');
+
+                $(editor).find('.csv-transform-preview').html(`
+                    <table class="widefat striped csv-transform-preview-table">
+                        <thead><tr><th>Vorher</th><th>Nachher</th></tr></thead>
+                        <tbody>${rowsHtml}</tbody>
+                    </table>
+                `);
+            });
+        })
+        .fail(() => {
+            this.debug.warn('Transformations-Vorschau konnte nicht geladen werden');
         });
     };
 
     /**
-     * Erstellt und zeigt die Spalten-Mapping-Tabelle an.
+     * Gespeicherte Validierungsregeln (Spalte => Regel) vom Server
      */
-    CSVImportAdmin.showColumnMappingUI = function(columns) {
-        const mappingContainer = $('#csv-column-mapping-container');
-        if (!mappingContainer.length) {
-            this.debug.warn('Mapping-Container (#csv-column-mapping-container) nicht gefunden.');
+    CSVImportAdmin.getSavedValidationRules = function() {
+        return (typeof csvImportAjax !== 'undefined' && csvImportAjax.validation_rules) || {};
+    };
+
+    /**
+     * Regel-Editor mit einer Zeile pro CSV-Spalte anzeigen
+     */
+    CSVImportAdmin.showValidationRulesUI = function(columns) {
+        const $container = $('#csv-validation-rules-container');
+        if (!$container.length) {
             return;
         }
 
-        // WordPress-Zielfelder
-        const targetFields = ['post_title', 'post_content', 'post_excerpt', 'post_name', 'featured_image', 'benutzerdefiniertes_feld_1', 'benutzerdefiniertes_feld_2'];
+        const saved = this.getSavedValidationRules();
+        const rowsHtml = columns.map(column => this.buildRuleRow(column, saved[column] || {})).join('');
 
-        let tableHtml = `
-            <h4>2. Spalten zuordnen</h4>
-            <p>Weisen Sie jeder Spalte aus Ihrer CSV-Datei ein WordPress-Feld zu.</p>
-            <table class="wp-list-table widefat striped">
+        $container.find('.csv-rules-content').html(`
+            <div class="csv-rules-errors" style="display: none;"></div>
+            <table class="wp-list-table widefat striped csv-rules-table">
                 <thead>
                     <tr>
-                        <th>Spalte aus Ihrer CSV</th>
-                        <th>WordPress-Feld</th>
+                        <th>Spalte</th>
+                        <th style="width: 60px;">Pflicht</th>
+                        <th style="width: 130px;">Typ</th>
+                        <th>Werte / Datumsformat</th>
+                        <th>Regex</th>
+                        <th style="width: 160px;">Länge (min/max)</th>
+                        <th style="width: 70px;">Eindeutig</th>
                     </tr>
                 </thead>
-                <tbody>
-        `;
+                <tbody>${rowsHtml}</tbody>
+            </table>
+        `);
+        $container.show();
 
-        columns.forEach(column => {
-            let optionsHtml = '<option value="">-- Ignorieren --</option>';
-            targetFields.forEach(field => {
-                const isSelected = column.toLowerCase().replace(/ /g, '_') === field.toLowerCase() ? 'selected' : '';
-                optionsHtml += `<option value="${this.escapeHtml(field)}" ${isSelected}>${this.escapeHtml(field)}</option>`;
+        $container.find('tr[data-column]').each((index, row) => {
+            this.updateRuleOptionField($(row));
+        });
+
+        if (!$container.data('rules-events')) {
+            $container.data('rules-events', true);
+            const self = this;
+
+            $container.on('change input', '.csv-rules-table :input', function() {
+                if ($(this).hasClass('csv-rule-type')) {
+                    self.updateRuleOptionField($(this).closest('tr'));
+                }
+                self.saveValidationRules();
             });
+        }
+    };
 
-            tableHtml += `
-                <tr>
-                    <td><strong>${this.escapeHtml(column)}</strong></td>
-                    <td>
-                        <select name="csv_mapping[${this.escapeHtml(column)}]">
-                            ${optionsHtml}
-                        </select>
-                    </td>
-                </tr>
-            `;
+    /**
+     * Eine Tabellenzeile des Regel-Editors erzeugen
+     */
+    CSVImportAdmin.buildRuleRow = function(column, rule) {
+        const types = (typeof csvImportAjax !== 'undefined' && csvImportAjax.rule_types) || { '': 'Beliebig' };
+        const typeOptions = Object.keys(types).map(value =>
+            `<option value="${this.escapeHtml(value)}" ${value === (rule.type || '') ? 'selected' : ''}>${this.escapeHtml(types[value])}</option>`
+        ).join('');
+        const option = rule.type === 'date' ? (rule.date_format || '') : (rule.enum || []).join('|');
+
+        return `
+            <tr data-column="${this.escapeHtml(column)}">
+                <td><strong>${this.escapeHtml(column)}</strong></td>
+                <td><input type="checkbox" class="csv-rule-required" ${rule.required ? 'checked' : ''}></td>
+                <td><select class="csv-rule-type">${typeOptions}</select></td>
+                <td><input type="text" class="csv-rule-option" value="${this.escapeHtml(option)}"></td>
+                <td><input type="text" class="csv-rule-regex" value="${this.escapeHtml(rule.regex || '')}" placeholder="/^[A-Z]{2}\\d+$/"></td>
+                <td>
+                    <input type="number" class="csv-rule-min" min="0" value="${rule.min_length || ''}">
+                    <input type="number" class="csv-rule-max" min="0" value="${rule.max_length || ''}">
+                </td>
+                <td><input type="checkbox" class="csv-rule-unique" ${rule.unique ? 'checked' : ''}></td>
+            </tr>
+        `;
+    };
+
+    /**
+     * Feld "Werte / Datumsformat" je nach Typ aktivieren und beschriften
+     */
+    CSVImportAdmin.updateRuleOptionField = function($row) {
+        const type = $row.find('.csv-rule-type').val();
+        const $option = $row.find('.csv-rule-option');
+        const placeholders = { enum: 'aktiv|inaktiv|archiviert', date: 'd.m.Y (leer = automatisch)' };
+
+        $option.prop('disabled', !placeholders[type]).attr('placeholder', placeholders[type] || '');
+    };
+
+    /**
+     * Regeln aus dem Editor sammeln (nur Spalten mit mindestens einer Prüfung)
+     */
+    CSVImportAdmin.collectValidationRules = function() {
+        const rules = {};
+
+        $('#csv-validation-rules-container tr[data-column]').each(function() {
+            const $row = $(this);
+            const type = $row.find('.csv-rule-type').val() || '';
+            const option = $.trim($row.find('.csv-rule-option').val());
+            const rule = {
+                required: $row.find('.csv-rule-required').is(':checked') ? 1 : 0,
+                type: type,
+                enum: type === 'enum' ? option : '',
+                date_format: type === 'date' ? option : '',
+                regex: $.trim($row.find('.csv-rule-regex').val()),
+                min_length: parseInt($row.find('.csv-rule-min').val(), 10) || 0,
+                max_length: parseInt($row.find('.csv-rule-max').val(), 10) || 0,
+                unique: $row.find('.csv-rule-unique').is(':checked') ? 1 : 0
+            };
+
+            if (rule.required || rule.type || rule.regex || rule.min_length || rule.max_length || rule.unique) {
+                rules[$row.attr('data-column')] = rule;
+            }
         });
 
-        tableHtml += '</tbody></table>';
-        mappingContainer.html(tableHtml).show();
+        return rules;
     };
 
     /**
-     * Versteckt und leert die Mapping-Tabelle.
+     * Validierungsregeln verzögert auf dem Server speichern
      */
-    CSVImportAdmin.clearColumnMappingUI = function() {
-        const mappingContainer = $('#csv-column-mapping-container');
-        if (mappingContainer.length) {
-            mappingContainer.empty().hide();
+    CSVImportAdmin.saveValidationRules = function() {
+        clearTimeout(this.state.rulesSaveTimer);
+        this.state.rulesSaveTimer = setTimeout(() => {
+            const $errors = $('#csv-validation-rules-container .csv-rules-errors');
+
+            this.performAjaxRequest({
+                action: 'csv_import_save_validation_rules',
+                rules: this.collectValidationRules()
+            })
+            .done(response => {
+                if (!response.success) {
+                    return;
+                }
+                csvImportAjax.validation_rules = response.data.rules;
+                const errors = response.data.errors || [];
+                $errors.html(errors.map(error => `⚠️ ${this.escapeHtml(error)}`).join('<br>')).toggle(errors.length > 0);
+                this.debug.debug('Validierungsregeln gespeichert', response.data.rules);
+            })
+            .fail(() => {
+                this.debug.warn('Validierungsregeln konnten nicht gespeichert werden');
+            });
+        }, this.config.rulesSaveDelay);
+    };
+
+    /**
+     * Regelverstöße der Validierung (Zeile, Spalte, Wert, Meldung) unter dem Test-Ergebnis auflisten
+     */
+    CSVImportAdmin.renderRuleReport = function(report) {
+        if (!report || !report.errors || !report.errors.length || !this.elements.resultsContainer.length) {
+            return;
         }
+
+        const rowsHtml = report.errors.map(error => `
+            <tr>
+                <td>${parseInt(error.line, 10)}</td>
+                <td>${this.escapeHtml(error.column)}</td>
+                <td class="csv-rule-value">${this.escapeHtml(error.value)}</td>
+                <td>${this.escapeHtml(error.message)}</td>
+            </tr>
+        `).join('');
+
+        this.elements.resultsContainer.append(`
+            <div class="csv-rule-report">
+                <table class="wp-list-table widefat striped">
+                    <thead>
+                        <tr>
+                            <th style="width: 60px;">Zeile</th>
+                            <th>Spalte</th>
+                            <th>Wert</th>
+                            <th>Regelverstoß</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rowsHtml}</tbody>
+                </table>
+                ${report.truncated ? `<p class="description">Es werden die ersten ${report.errors.length} von ${report.invalid_cells} Verstößen angezeigt.</p>` : ''}
+            </div>
+        `);
+    };
+
+    /**
+     * Regel-Editor ausblenden
+     */
+    CSVImportAdmin.clearValidationRulesUI = function() {
+        const $container = $('#csv-validation-rules-container');
+        $container.find('.csv-rules-content').empty();
+        $container.hide();
     };
 
     /**
@@ -1731,23 +3335,64 @@ window.csvImportCheckHandlers = function() {
                 message += `Ausführungszeit: ${response.data.execution_time}s\n`;
             }
             
-            message += `\nSeite wird neu geladen...`;
+            // Mit Fehlerbericht bleibt die Seite stehen, damit der Download erreichbar ist
+            const failedRows = response.data.failed_rows || 0;
+            if (!failedRows) {
+                message += `\nSeite wird neu geladen...`;
+            }
 
             this.showAlert(message, 'success');
             
-            // Nach kurzem Delay Seite neu laden
-            setTimeout(() => {
-                window.location.reload();
-            }, 10000);
+            if (failedRows) {
+                this.showFailedRowsNotice(response.data);
+            } else {
+                // Nach kurzem Delay Seite neu laden
+                setTimeout(() => {
+                    window.location.reload();
+                }, 10000);
+            }
 
         } else {
             const errorMsg = response.data?.message || response.message || 'Unbekannter Import-Fehler';
             this.showAlert(`Import fehlgeschlagen:\n${errorMsg}`, 'error');
+            this.showFailedRowsNotice(response.data || {});
         }
 
         this.debug.log(`Import ${source} beendet:`, response);
     };
 
+    /**
+     * Hinweis mit Download-Link für fehlgeschlagene bzw. übersprungene Zeilen anzeigen
+     */
+    CSVImportAdmin.showFailedRowsNotice = function(data) {
+        $('.csv-failed-rows-notice').remove();
+        if (!data.failed_rows || !data.session_id || typeof csvImportAjax === 'undefined') {
+            return;
+        }
+
+        const $target = this.elements.mainContainer && this.elements.mainContainer.length
+            ? this.elements.mainContainer
+            : $('.wrap').first();
+        if (!$target.length) return;
+
+        const url = `${csvImportAjax.ajaxurl}?${$.param({
+            action: 'csv_import_download_failed_rows',
+            session_id: data.session_id,
+            nonce: csvImportAjax.nonce
+        })}`;
+        const messages = (data.error_messages || []).slice(0, 5)
+            .map(message => `<li>${this.escapeHtml(message)}</li>`).join('');
+
+        $target.before(`
+            <div class="notice notice-warning csv-failed-rows-notice">
+                <p><strong>${parseInt(data.failed_rows, 10)} Zeilen wurden nicht importiert</strong> (fehlgeschlagen oder übersprungen).
+                Der Fehlerbericht enthält die Originalspalten und den Grund - korrigieren und erneut importieren.</p>
+                ${messages ? `<ul>${messages}</ul>` : ''}
+                <p><a href="${this.escapeHtml(url)}" class="button button-primary">⬇️ Fehlgeschlagene Zeilen herunterladen</a></p>
+            </div>
+        `);
+    };
+
     /**
      * Import-Fehler behandeln (erweitert)
      */
@@ -1788,7 +3433,10 @@ window.csvImportCheckHandlers = function() {
             this.startProgressUpdates();
         } else {
             this.setImportButtonsState(false);
-            this.stopProgressUpdates();
+            // Solange Bilder im Hintergrund laden, weiter abfragen
+            if (!this.status.imageQueueActive) {
+                this.stopProgressUpdates();
+            }
         }
         
         // Status-Indikatoren aktualisieren
@@ -2000,12 +3648,15 @@ window.csvImportCheckHandlers = function() {
         const percent = progressData.percent || 0;
         const message = progressData.message || '';
 
-        // Status aktualisieren
-        if (this.status.importRunning !== isRunning) {
+        // Status aktualisieren (solange dieser Client Chunks verarbeitet, gilt der Import als laufend)
+        if (this.status.importRunning !== isRunning && !this.status.chunkLoopActive) {
             this.status.importRunning = isRunning;
             this.updateUIState();
         }
 
+        // Pause/Fortsetzen/Abbrechen an den Server-Status anpassen
+        this.updateImportControls(progressData);
+
         // Progress-Bar aktualisieren
         if (this.elements.progressBar.length) {
             this.elements.progressBar.css('width', percent + '%');
@@ -2039,11 +3690,56 @@ window.csvImportCheckHandlers = function() {
         }
 
         // Import-Status verfolgen
-        if (!isRunning && this.status.importRunning) {
+        if (!isRunning && this.status.importRunning && !this.status.chunkLoopActive) {
             this.debug.log('Import abgeschlossen laut Progress-Update');
             this.status.importRunning = false;
             this.setImportButtonsState(false);
         }
+
+        if (progressData.image_queue) {
+            this.renderImageQueueStatus(progressData.image_queue);
+        }
+    };
+
+    /**
+     * Stand der Bild-Downloads im Hintergrund anzeigen. Solange Bilder offen sind,
+     * laufen die Progress-Updates auch nach dem Import weiter.
+     */
+    CSVImportAdmin.renderImageQueueStatus = function(queue) {
+        const $box = $('.csv-image-queue-status');
+        this.status.imageQueueActive = !!queue.active;
+
+        // Abgeschlossene Warteschlangen früherer Imports nicht erneut einblenden
+        if (!queue.total || (!queue.active && !$box.is(':visible'))) {
+            $box.hide();
+        } else {
+            const finished = queue.done + queue.failed;
+            const percent = Math.round(finished / queue.total * 100);
+            let text = `<strong>${queue.active ? 'Bilder werden im Hintergrund geladen' : 'Bilder geladen'}:</strong> ${queue.done} von ${queue.total}`;
+
+            if (queue.failed) {
+                text += `, ${queue.failed} fehlgeschlagen`;
+            }
+            if (queue.pending + queue.processing) {
+                text += `, ${queue.pending + queue.processing} ausstehend`;
+            }
+            if (queue.retrying) {
+                text += ` (${queue.retrying} werden erneut versucht)`;
+            }
+
+            $box.toggleClass('notice-info', !!queue.active)
+                .toggleClass('notice-success', !queue.active && !queue.failed)
+                .toggleClass('notice-warning', !queue.active && !!queue.failed)
+                .show();
+            $box.find('.csv-image-queue-text').html(text);
+            $box.find('.progress-bar-fill').css('width', percent + '%');
+        }
+
+        if (queue.active && !this.status.progressUpdateInterval) {
+            this.startProgressUpdates();
+        } else if (!queue.active && !this.status.importRunning) {
+            this.stopProgressUpdates();
+        }
     };
 
     // ===================================================================
@@ -2111,7 +3807,12 @@ window.csvImportCheckHandlers = function() {
                     <div class="sample-data-header">
                         <h4>📊 Beispieldaten</h4>
                         <span class="sample-info">${sampleData.length} Zeilen, ${columns.length} Spalten</span>
+                        <span class="csv-row-preview-controls">
+                            <label>Zeile <input type="number" class="small-text csv-preview-row-number" min="1" value="1"></label>
+                            <button type="button" class="button button-small csv-preview-row-btn" title="Zeile in das Template rendern und in einem neuen Tab öffnen">👁️ Vorschau</button>
+                        </span>
                     </div>
+                    <div class="csv-row-preview-result" style="display: none;"></div>
                     <div class="table-responsive">
                         <table class="wp-list-table widefat striped sample-data-table">
                             <thead>
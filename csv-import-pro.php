@@ -166,15 +166,27 @@ if ( ! csv_import_pro_load_core_files() ) {
 function csv_import_pro_load_plugin_files() {
     $files_to_include = [
         // === HAUPT-KLASSEN (in Abhängigkeits-Reihenfolge) ===
+        'includes/classes/class-csv-import-csv-reader.php', // Streaming-Parser, von Run und Validator genutzt
+        'includes/classes/class-csv-import-spreadsheet-converter.php', // XLSX/ODS → temporäre CSV
+        'includes/classes/class-csv-import-feed-converter.php', // JSON/XML → temporäre CSV
         'includes/core/class-csv-import-run.php',        // Benötigt core-functions.php
         
         // === FEATURE-KLASSEN ===
         'includes/classes/class-csv-import-backup-manager.php',
+        'includes/classes/class-csv-import-failed-rows.php',
         'includes/classes/class-csv-import-notifications.php',
         'includes/classes/class-csv-import-performance-monitor.php',
         'includes/classes/class-csv-import-profile-manager.php',
         'includes/classes/class-csv-import-template-manager.php',
         'includes/classes/class-csv-import-validator.php',
+        'includes/classes/class-csv-import-transformer.php',
+        'includes/classes/class-csv-import-template-engine.php',
+        'includes/classes/class-csv-import-media.php',
+        'includes/classes/class-csv-import-image-queue.php',
+        'includes/classes/class-csv-import-custom-fields.php',
+        'includes/classes/class-csv-import-woocommerce.php',
+        'includes/classes/class-csv-import-multilingual.php',
+        'includes/classes/class-csv-import-seo.php',
         'includes/classes/class-csv-import-memory-cache.php',
         // === SCHEDULER (nach allen Dependencies) ===
         'includes/classes/class-csv-import-scheduler.php', // Benötigt core-functions.php + Error Handler
@@ -498,6 +510,61 @@ function csv_import_pro_init() {
         }
     }
     
+    // Fehlerbericht (fehlgeschlagene Zeilen)
+    if ( class_exists( 'CSV_Import_Failed_Rows' ) ) {
+        try {
+            CSV_Import_Failed_Rows::init();
+        } catch ( Exception $e ) {
+            if ( function_exists( 'csv_import_log' ) ) {
+                csv_import_log( 'warning', 'Fehlerbericht init fehlgeschlagen: ' . $e->getMessage() );
+            }
+        }
+    }
+    
+    // Bild-Downloads im Hintergrund
+    if ( class_exists( 'CSV_Import_Image_Queue' ) ) {
+        try {
+            CSV_Import_Image_Queue::init();
+        } catch ( Exception $e ) {
+            if ( function_exists( 'csv_import_log' ) ) {
+                csv_import_log( 'warning', 'Bild-Warteschlange init fehlgeschlagen: ' . $e->getMessage() );
+            }
+        }
+    }
+    
+    // ACF, Meta Box und JetEngine als Mapping-Ziele
+    if ( class_exists( 'CSV_Import_Custom_Fields' ) ) {
+        try {
+            CSV_Import_Custom_Fields::init();
+        } catch ( Exception $e ) {
+            if ( function_exists( 'csv_import_log' ) ) {
+                csv_import_log( 'warning', 'Feld-Integration init fehlgeschlagen: ' . $e->getMessage() );
+            }
+        }
+    }
+    
+    // WPML und Polylang
+    if ( class_exists( 'CSV_Import_Multilingual' ) ) {
+        try {
+            CSV_Import_Multilingual::init();
+        } catch ( Exception $e ) {
+            if ( function_exists( 'csv_import_log' ) ) {
+                csv_import_log( 'warning', 'Mehrsprachigkeit init fehlgeschlagen: ' . $e->getMessage() );
+            }
+        }
+    }
+    
+    // WooCommerce-Produktimport
+    if ( class_exists( 'CSV_Import_WooCommerce' ) ) {
+        try {
+            CSV_Import_WooCommerce::init();
+        } catch ( Exception $e ) {
+            if ( function_exists( 'csv_import_log' ) ) {
+                csv_import_log( 'warning', 'WooCommerce-Integration init fehlgeschlagen: ' . $e->getMessage() );
+            }
+        }
+    }
+    
     // Notifications
     if ( class_exists( 'CSV_Import_Notifications' ) ) {
         try {
@@ -691,7 +758,8 @@ register_deactivation_hook( __FILE__, function() {
             'csv_import_scheduled',
             'csv_import_daily_cleanup', 
             'csv_import_weekly_maintenance',
-            'csv_import_daily_maintenance'
+            'csv_import_daily_maintenance',
+            'csv_import_process_image_queue'
         ];
         
         foreach ( $scheduled_hooks as $hook ) {
@@ -16,8 +16,22 @@ function csv_import_register_ajax_hooks() {
         // Standard Import-Aktionen
         'csv_import_validate',
         'csv_import_start',
+        'csv_import_process_chunk',
         'csv_import_get_progress',
+        'csv_import_pause',
+        'csv_import_resume',
         'csv_import_cancel',
+        'csv_import_sync_preview',
+        'csv_import_simulate',
+        'csv_import_preview_row',
+        'csv_import_get_mapping_targets',
+        'csv_import_save_mapping',
+        'csv_import_save_validation_rules',
+        'csv_import_save_transforms',
+        'csv_import_preview_transforms',
+        'csv_import_download_failed_rows',
+        'csv_import_upload_chunk',
+        'csv_import_source_status',
         
         // Scheduler-Aktionen (NEU in 8.5)
         'csv_scheduler_test',
@@ -92,8 +106,11 @@ function csv_import_validate_handler() {
             } else {
                  $response_data['message'] = '✅ Konfiguration ist gültig und alle Systemanforderungen sind erfüllt.';
             }
+            if ( ! empty( $validation['warnings'] ) ) {
+                $response_data['message'] .= '<br>⚠️ Hinweise: <ul><li>' . implode( '</li><li>', array_map( 'esc_html', $validation['warnings'] ) ) . '</li></ul>';
+            }
 
-        } elseif ( in_array( $type, [ 'dropbox', 'local' ] ) ) {
+        } elseif ( csv_import_get_source( $type ) ) {
             $csv_result = csv_import_validate_csv_source( $type, $config );
             $response_data = array_merge( $response_data, $csv_result );
         }
@@ -128,7 +145,8 @@ function csv_import_validate_handler() {
 
 /**
  * Handler zum Starten des Imports.
- * Version 8.5 - Erweiterte Sicherheitsprüfungen
+ * Bereitet einen chunk-basierten Import vor - die eigentliche Verarbeitung
+ * erfolgt über csv_import_process_chunk.
  */
 function csv_import_start_handler() {
     check_ajax_referer( 'csv_import_ajax', 'nonce' );
@@ -137,11 +155,20 @@ function csv_import_start_handler() {
     }
 
     $source = isset( $_POST['source'] ) ? sanitize_key( $_POST['source'] ) : '';
-    if ( ! in_array( $source, ['dropbox', 'local'] ) ) {
-        wp_send_json_error( [ 'message' => 'Ungültige Import-Quelle.' ] );
+    if ( ! csv_import_get_source( $source ) ) {
+        wp_send_json_error( [ 'message' => 'Ungültige Import-Quelle: ' . $source ] );
     }
 
     try {
+        // Unterbrochenen Import nicht überschreiben - der Client soll ihn fortsetzen
+        $resumable = function_exists( 'csv_import_get_resumable_import' ) ? csv_import_get_resumable_import() : false;
+        if ( $resumable ) {
+            wp_send_json_error( [
+                'message' => 'Es existiert ein unterbrochener Import. Bitte fortsetzen oder abbrechen.',
+                'resumable' => $resumable
+            ] );
+        }
+
         // Prüfen ob bereits ein Import läuft
         if ( function_exists('csv_import_is_import_running') && csv_import_is_import_running() ) {
             wp_send_json_error( [ 'message' => 'Ein Import läuft bereits.' ] );
@@ -152,17 +179,16 @@ function csv_import_start_handler() {
             throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
         }
         
-        // Mapping-Daten aus dem AJAX-Request holen (NEU)
-$mapping = isset( $_POST['mapping'] ) && is_array( $_POST['mapping'] ) ? wp_unslash( $_POST['mapping'] ) : [];
+        // Mapping-Daten aus dem AJAX-Request holen
+        $mapping = isset( $_POST['mapping'] ) ? csv_import_sanitize_mapping( wp_unslash( $_POST['mapping'] ) ) : [];
 
-// Die run-Methode mit dem neuen Mapping-Parameter aufrufen
-$result = CSV_Import_Pro_Run::run( $source, $mapping );
+        $result = CSV_Import_Pro_Run::start_chunked( $source, $mapping );
         
         // Logging
         if ( function_exists( 'csv_import_log' ) ) {
             csv_import_log( 'info', "Import gestartet via AJAX: {$source}", [
                 'success' => $result['success'] ?? false,
-                'processed' => $result['processed'] ?? 0,
+                'total' => $result['total'] ?? 0,
                 'user_id' => get_current_user_id()
             ]);
         }
@@ -188,6 +214,37 @@ $result = CSV_Import_Pro_Run::run( $source, $mapping );
     }
 }
 
+/**
+ * Handler zur Verarbeitung des nächsten Import-Chunks.
+ * Setzt am zuletzt festgeschriebenen Cursor fort und liefert den neuen Stand zurück.
+ */
+function csv_import_process_chunk_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für Import-Verarbeitung.'] );
+    }
+
+    try {
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
+        }
+
+        $result = CSV_Import_Pro_Run::process_chunk();
+
+        if ( !empty($result['success']) ) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+
+    } catch ( Exception $e ) {
+        wp_send_json_error([
+            'message' => 'Chunk-Verarbeitung fehlgeschlagen: ' . $e->getMessage(),
+            'resumable' => true
+        ]);
+    }
+}
+
 /**
  * Handler zum Abrufen des Import-Fortschritts.
  * Version 8.5 - Erweiterte Progress-Informationen
@@ -218,9 +275,68 @@ function csv_import_get_progress_handler() {
     }
 }
 
+/**
+ * Handler zum Pausieren eines laufenden Imports.
+ * Der Import hält kooperativ nach der aktuellen Zeile an, der Cursor bleibt erhalten.
+ */
+function csv_import_pause_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für Import-Pause.'] );
+    }
+
+    try {
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
+        }
+
+        $result = CSV_Import_Pro_Run::pause();
+
+        if ( !empty($result['success']) ) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+
+    } catch ( Exception $e ) {
+        wp_send_json_error([
+            'message' => 'Import-Pause fehlgeschlagen: ' . $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handler zum Fortsetzen eines pausierten Imports.
+ */
+function csv_import_resume_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für Import-Fortsetzung.'] );
+    }
+
+    try {
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
+        }
+
+        $result = CSV_Import_Pro_Run::resume();
+
+        if ( !empty($result['success']) ) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+
+    } catch ( Exception $e ) {
+        wp_send_json_error([
+            'message' => 'Import-Fortsetzung fehlgeschlagen: ' . $e->getMessage()
+        ]);
+    }
+}
+
 /**
  * Handler zum Abbrechen eines laufenden Imports.
- * Version 8.5 - Erweiterte Reset-Logik
+ * Bricht kooperativ zwischen zwei Zeilen ab, statt nur den Status zurückzusetzen.
  */
 function csv_import_cancel_handler() {
     check_ajax_referer( 'csv_import_ajax', 'nonce' );
@@ -229,21 +345,22 @@ function csv_import_cancel_handler() {
     }
     
     try {
-        if(function_exists('csv_import_force_reset_import_status')){
-            csv_import_force_reset_import_status();
-            
-            // Logging
-            if ( function_exists( 'csv_import_log' ) ) {
-                csv_import_log( 'warning', 'Import via AJAX abgebrochen', [
-                    'user_id' => get_current_user_id(),
-                    'user_login' => wp_get_current_user()->user_login
-                ]);
-            }
-            
-            wp_send_json_success( ['message' => 'Import abgebrochen und zurückgesetzt.'] );
-        } else {
-             wp_send_json_error( ['message' => 'Reset-Funktion nicht verfügbar.'] );
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
         }
+
+        $result = CSV_Import_Pro_Run::cancel();
+        
+        // Logging
+        if ( function_exists( 'csv_import_log' ) ) {
+            csv_import_log( 'warning', 'Import via AJAX abgebrochen', [
+                'user_id' => get_current_user_id(),
+                'user_login' => wp_get_current_user()->user_login,
+                'pending' => ! empty( $result['pending'] )
+            ]);
+        }
+        
+        wp_send_json_success( $result );
         
     } catch ( Exception $e ) {
         wp_send_json_error([
@@ -252,6 +369,331 @@ function csv_import_cancel_handler() {
     }
 }
 
+/**
+ * Handler für den Sync-Probelauf.
+ * Listet Posts, die beim nächsten Import wegen fehlender CSV-Zeilen entfernt würden.
+ */
+function csv_import_sync_preview_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für Sync-Probelauf.'] );
+    }
+
+    $source = isset( $_POST['source'] ) ? sanitize_key( $_POST['source'] ) : '';
+    if ( ! csv_import_get_source( $source ) ) {
+        wp_send_json_error( [ 'message' => 'Ungültige Import-Quelle: ' . $source ] );
+    }
+
+    try {
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
+        }
+
+        $mapping = isset( $_POST['mapping'] ) ? csv_import_sanitize_mapping( wp_unslash( $_POST['mapping'] ) ) : [];
+        $result = CSV_Import_Pro_Run::preview_sync( $source, $mapping );
+
+        if ( !empty($result['success']) ) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+
+    } catch ( Exception $e ) {
+        wp_send_json_error([
+            'message' => 'Sync-Probelauf fehlgeschlagen: ' . $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handler für die Import-Simulation (Dry-Run).
+ * Liefert pro Zeile die geplante Aktion, ohne Posts zu schreiben.
+ */
+function csv_import_simulate_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für die Simulation.'] );
+    }
+
+    $source = isset( $_POST['source'] ) ? sanitize_key( $_POST['source'] ) : '';
+    if ( ! csv_import_get_source( $source ) ) {
+        wp_send_json_error( [ 'message' => 'Ungültige Import-Quelle: ' . $source ] );
+    }
+
+    try {
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
+        }
+
+        $mapping = isset( $_POST['mapping'] ) ? csv_import_sanitize_mapping( wp_unslash( $_POST['mapping'] ) ) : [];
+        $result = CSV_Import_Pro_Run::simulate( $source, $mapping );
+
+        if ( function_exists( 'csv_import_log' ) ) {
+            csv_import_log( 'debug', "Import-Simulation durchgeführt: {$source}", [
+                'success' => $result['success'] ?? false,
+                'total' => $result['total'] ?? 0,
+                'user_id' => get_current_user_id()
+            ]);
+        }
+
+        if ( !empty($result['success']) ) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+
+    } catch ( Exception $e ) {
+        wp_send_json_error([
+            'message' => 'Simulation fehlgeschlagen: ' . $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handler für die Template-Vorschau einer einzelnen Datenzeile.
+ * Erstellt einen temporären Entwurf und liefert dessen Vorschau-Link samt Platzhalter-Liste.
+ */
+function csv_import_preview_row_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für die Vorschau.'] );
+    }
+
+    $source = isset( $_POST['source'] ) ? sanitize_key( $_POST['source'] ) : '';
+    if ( ! csv_import_get_source( $source ) ) {
+        wp_send_json_error( [ 'message' => 'Ungültige Import-Quelle: ' . $source ] );
+    }
+
+    try {
+        if ( ! class_exists( 'CSV_Import_Pro_Run' ) ) {
+            throw new Exception( 'Import-Klasse (CSV_Import_Pro_Run) nicht gefunden.' );
+        }
+
+        $row = isset( $_POST['row'] ) ? absint( $_POST['row'] ) : 1;
+        $mapping = isset( $_POST['mapping'] ) ? csv_import_sanitize_mapping( wp_unslash( $_POST['mapping'] ) ) : [];
+        $result = CSV_Import_Pro_Run::preview_row( $source, $row, $mapping );
+
+        if ( !empty($result['success']) ) {
+            wp_send_json_success($result);
+        } else {
+            wp_send_json_error($result);
+        }
+
+    } catch ( Exception $e ) {
+        wp_send_json_error([
+            'message' => 'Vorschau fehlgeschlagen: ' . $e->getMessage()
+        ]);
+    }
+}
+
+/**
+ * Handler für die Zielfelder des Spalten-Mappings.
+ * Liefert Beitragsfelder, Meta-Felder, Taxonomien und SEO-Felder des Post-Typs.
+ */
+function csv_import_get_mapping_targets_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung.'] );
+    }
+
+    $post_type = isset( $_POST['post_type'] ) ? sanitize_key( $_POST['post_type'] ) : '';
+
+    wp_send_json_success( [
+        'groups' => csv_import_get_mapping_targets( $post_type )
+    ] );
+}
+
+/**
+ * Handler für die Statusanzeige einer Quelle. FTP und SFTP bauen dafür eine Verbindung auf,
+ * daher nur auf Anforderung statt bei jedem Aufruf der Einstellungsseite.
+ */
+function csv_import_source_status_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung.'] );
+    }
+
+    $source = isset( $_POST['source'] ) ? sanitize_key( $_POST['source'] ) : '';
+    if ( ! csv_import_get_source( $source ) ) {
+        wp_send_json_error( ['message' => 'Unbekannte Quelle: ' . $source] );
+    }
+
+    $status = csv_import_get_source_status( $source, csv_import_get_config() );
+
+    wp_send_json_success( [
+        'status' => $status !== '' ? $status : '<span style="color:orange;">⚠️ Quelle nicht konfiguriert</span>'
+    ] );
+}
+
+/**
+ * Handler zum Speichern des Spalten-Mappings, damit es Seiten-Reloads überdauert
+ * und beim Speichern eines Profils übernommen wird.
+ */
+function csv_import_save_mapping_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung.'] );
+    }
+
+    $mapping = isset( $_POST['mapping'] ) && is_array( $_POST['mapping'] ) ? wp_unslash( $_POST['mapping'] ) : [];
+
+    wp_send_json_success( [
+        'mapping' => (object) csv_import_save_column_mapping( $mapping )
+    ] );
+}
+
+/**
+ * Handler zum Speichern der Validierungsregeln (Spalte => Regel) aus dem Regel-Editor.
+ */
+function csv_import_save_validation_rules_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung.'] );
+    }
+
+    $rules = isset( $_POST['rules'] ) && is_array( $_POST['rules'] ) ? wp_unslash( $_POST['rules'] ) : [];
+    $rules = csv_import_save_validation_rules( $rules );
+
+    wp_send_json_success( [
+        'rules' => (object) $rules,
+        'errors' => csv_import_check_validation_rules( $rules )
+    ] );
+}
+
+/**
+ * Handler zum Speichern der Transformationen pro Spalte.
+ */
+function csv_import_save_transforms_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung.'] );
+    }
+
+    $transforms = isset( $_POST['transforms'] ) && is_array( $_POST['transforms'] ) ? wp_unslash( $_POST['transforms'] ) : [];
+
+    wp_send_json_success( [
+        'transforms' => (object) csv_import_save_column_transforms( $transforms )
+    ] );
+}
+
+/**
+ * Handler für die Vorher/Nachher-Vorschau der Transformationen auf den Beispielzeilen.
+ * Die Transformationen werden dabei nicht gespeichert.
+ */
+function csv_import_preview_transforms_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung.'] );
+    }
+
+    $transforms = isset( $_POST['transforms'] ) && is_array( $_POST['transforms'] ) ? wp_unslash( $_POST['transforms'] ) : [];
+    $transforms = CSV_Import_Transformer::sanitize( $transforms );
+    $rows = isset( $_POST['rows'] ) && is_array( $_POST['rows'] ) ? array_slice( wp_unslash( $_POST['rows'] ), 0, 10 ) : [];
+
+    $preview = [];
+    foreach ( $rows as $row ) {
+        $row = array_map( 'strval', (array) $row );
+        $columns = [];
+
+        foreach ( $transforms as $column => $steps ) {
+            $before = $row[ $column ] ?? '';
+            try {
+                $columns[ $column ] = [
+                    'before' => $before,
+                    'after' => CSV_Import_Transformer::apply_steps( $before, $steps, $row )
+                ];
+            } catch ( Exception $e ) {
+                $columns[ $column ] = [
+                    'before' => $before,
+                    'error' => $e->getMessage()
+                ];
+            }
+        }
+
+        $preview[] = (object) $columns;
+    }
+
+    wp_send_json_success( ['rows' => $preview] );
+}
+
+/**
+ * Handler für den Download der fehlgeschlagenen Zeilen einer Import-Session als CSV
+ * (Originalspalten plus Fehlerspalte). Wird per GET-Link aufgerufen und liefert die Datei direkt aus.
+ */
+function csv_import_download_failed_rows_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_die( 'Keine Berechtigung.', '', [ 'response' => 403 ] );
+    }
+
+    $session_id = isset( $_REQUEST['session_id'] ) ? sanitize_text_field( wp_unslash( $_REQUEST['session_id'] ) ) : '';
+    if ( $session_id === '' || ! class_exists( 'CSV_Import_Failed_Rows' ) || CSV_Import_Failed_Rows::count_rows( $session_id ) === 0 ) {
+        wp_die( 'Für diese Import-Session gibt es keine fehlgeschlagenen Zeilen.', '', [ 'response' => 404 ] );
+    }
+
+    nocache_headers();
+    header( 'Content-Type: text/csv; charset=utf-8' );
+    header( 'Content-Disposition: attachment; filename="' . CSV_Import_Failed_Rows::get_filename( $session_id ) . '"' );
+
+    $output = fopen( 'php://output', 'w' );
+    CSV_Import_Failed_Rows::write_csv( $session_id, $output );
+    fclose( $output );
+    exit;
+}
+
+/**
+ * Download-Link für den Fehlerbericht einer Import-Session.
+ */
+function csv_import_get_failed_rows_url( string $session_id ): string {
+    return add_query_arg( [
+        'action' => 'csv_import_download_failed_rows',
+        'session_id' => rawurlencode( $session_id ),
+        'nonce' => wp_create_nonce( 'csv_import_ajax' )
+    ], admin_url( 'admin-ajax.php' ) );
+}
+
+/**
+ * Handler für den Datei-Upload aus dem Browser. Die Datei kommt in Teilstücken (Feld "chunk"),
+ * damit auch große Dateien unter dem PHP-Upload-Limit bleiben.
+ */
+function csv_import_upload_chunk_handler() {
+    check_ajax_referer( 'csv_import_ajax', 'nonce' );
+    if ( ! current_user_can( 'edit_pages' ) ) {
+        wp_send_json_error( ['message' => 'Keine Berechtigung für Datei-Uploads.'] );
+    }
+
+    if ( csv_import_is_import_running() ) {
+        wp_send_json_error( ['message' => 'Während eines laufenden Imports kann keine neue Datei hochgeladen werden.'] );
+    }
+
+    $chunk = $_FILES['chunk'] ?? null;
+    if ( empty( $chunk['tmp_name'] ) || ! empty( $chunk['error'] ) || ! is_uploaded_file( $chunk['tmp_name'] ) ) {
+        wp_send_json_error( ['message' => 'Kein Dateiteil empfangen (Fehlercode: ' . (int) ( $chunk['error'] ?? 0 ) . ').'] );
+    }
+
+    try {
+        $result = csv_import_store_upload_chunk(
+            sanitize_key( $_POST['upload_id'] ?? '' ),
+            absint( $_POST['chunk_index'] ?? 0 ),
+            absint( $_POST['total_chunks'] ?? 0 ),
+            sanitize_file_name( wp_unslash( $_POST['file_name'] ?? '' ) ),
+            absint( $_POST['file_size'] ?? 0 ),
+            $chunk['tmp_name']
+        );
+
+        if ( $result['complete'] ) {
+            $result['message'] = 'Datei "' . $result['file']['name'] . '" hochgeladen (' . size_format( $result['file']['size'] ) . ').';
+        }
+
+        wp_send_json_success( $result );
+
+    } catch ( Exception $e ) {
+        wp_send_json_error( [
+            'message' => 'Upload fehlgeschlagen: ' . $e->getMessage()
+        ] );
+    }
+}
+
 // ===================================================================
 // SCHEDULER AJAX-HANDLER - NEU IN VERSION 8.5
 // ===================================================================
@@ -634,6 +1076,19 @@ function csv_import_get_progress_extended_handler() {
             ];
         }
         
+        // Steuerungs-Status (Pause/Abbruch) und fortsetzbarer Import
+        if ( function_exists( 'csv_import_get_import_control' ) ) {
+            $progress_data['import_control'] = csv_import_get_import_control();
+        }
+        if ( function_exists( 'csv_import_get_resumable_import' ) ) {
+            $progress_data['resumable'] = csv_import_get_resumable_import();
+        }
+        
+        // Stand der Bild-Downloads im Hintergrund
+        if ( class_exists( 'CSV_Import_Image_Queue' ) ) {
+            $progress_data['image_queue'] = CSV_Import_Image_Queue::get_status();
+        }
+        
         // Scheduler-Status hinzufügen
         if ( class_exists( 'CSV_Import_Scheduler' ) && method_exists( 'CSV_Import_Scheduler', 'is_scheduled' ) ) {
             $progress_data['scheduler_active'] = CSV_Import_Scheduler::is_scheduled();
@@ -681,6 +1136,11 @@ function csv_import_emergency_reset_handler() {
             $reset_actions[] = 'Import-Status zurückgesetzt';
         }
         
+        if ( function_exists( 'csv_import_clear_chunk_state' ) ) {
+            csv_import_clear_chunk_state();
+            $reset_actions[] = 'Unterbrochener Import verworfen';
+        }
+        
         // 2. Temporäre Dateien bereinigen
         if ( function_exists( 'csv_import_cleanup_temp_files' ) ) {
             csv_import_cleanup_temp_files();
@@ -984,8 +1444,22 @@ function csv_import_check_handlers_handler() {
         // Standard-Handler
         'csv_import_validate' => 'csv_import_validate_handler',
         'csv_import_start' => 'csv_import_start_handler',
+        'csv_import_process_chunk' => 'csv_import_process_chunk_handler',
         'csv_import_get_progress' => 'csv_import_get_progress_handler',
+        'csv_import_pause' => 'csv_import_pause_handler',
+        'csv_import_resume' => 'csv_import_resume_handler',
         'csv_import_cancel' => 'csv_import_cancel_handler',
+        'csv_import_sync_preview' => 'csv_import_sync_preview_handler',
+        'csv_import_simulate' => 'csv_import_simulate_handler',
+        'csv_import_preview_row' => 'csv_import_preview_row_handler',
+        'csv_import_get_mapping_targets' => 'csv_import_get_mapping_targets_handler',
+        'csv_import_save_mapping' => 'csv_import_save_mapping_handler',
+        'csv_import_save_validation_rules' => 'csv_import_save_validation_rules_handler',
+        'csv_import_save_transforms' => 'csv_import_save_transforms_handler',
+        'csv_import_preview_transforms' => 'csv_import_preview_transforms_handler',
+        'csv_import_download_failed_rows' => 'csv_import_download_failed_rows_handler',
+        'csv_import_upload_chunk' => 'csv_import_upload_chunk_handler',
+        'csv_import_source_status' => 'csv_import_source_status_handler',
         
         // Scheduler-Handler
         'csv_scheduler_test' => 'csv_scheduler_test_handler',
@@ -1072,7 +1546,8 @@ if ( defined( 'WP_DEBUG' ) && WP_DEBUG ) {
 
 // Handler-Anzahl für Monitoring
 $total_handlers = 0;
-foreach ( ['csv_import_validate', 'csv_import_start', 'csv_import_get_progress', 'csv_import_cancel', 
+foreach ( ['csv_import_validate', 'csv_import_start', 'csv_import_process_chunk', 'csv_import_get_progress',
+           'csv_import_pause', 'csv_import_resume', 'csv_import_cancel', 'csv_import_sync_preview', 'csv_import_simulate', 'csv_import_preview_row', 'csv_import_get_mapping_targets', 'csv_import_save_mapping', 'csv_import_save_validation_rules', 'csv_import_save_transforms', 'csv_import_preview_transforms', 'csv_import_download_failed_rows', 'csv_import_upload_chunk', 'csv_import_source_status', 
            'csv_scheduler_test', 'csv_scheduler_status', 'csv_scheduler_debug',
            'csv_import_get_progress_extended', 'csv_import_emergency_reset', 'csv_import_system_health',
            'csv_import_check_handlers'] as $action ) {
@@ -1085,7 +1560,7 @@ foreach ( ['csv_import_validate', 'csv_import_start', 'csv_import_get_progress',
 if ( function_exists( 'csv_import_log' ) ) {
     csv_import_log( 'debug', 'AJAX-Handler-Setup abgeschlossen', [
         'total_handlers' => $total_handlers,
-        'expected_handlers' => 11,
+        'expected_handlers' => 24,
         'version' => '8.5',
         'file' => basename( __FILE__ )
     ]);
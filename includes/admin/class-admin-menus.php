@@ -205,6 +205,10 @@ class CSV_Import_Pro_Admin {
             $data['sessions'] = CSV_Import_Backup_Manager::get_import_sessions();
         }
         
+        if (class_exists('CSV_Import_Failed_Rows')) {
+            $data['failed_row_sessions'] = CSV_Import_Failed_Rows::get_sessions();
+        }
+        
         // === PROFILE-SPEZIFISCHE DATEN ===
         
         if (class_exists('CSV_Import_Profile_Manager') && method_exists('CSV_Import_Profile_Manager', 'get_profiles')) {
@@ -301,6 +305,7 @@ class CSV_Import_Pro_Admin {
             
             $frequency = sanitize_key($_POST['frequency'] ?? '');
             $source = sanitize_key($_POST['import_source'] ?? '');
+            $profile_id = sanitize_key($_POST['profile_id'] ?? '');
             
             if (empty($frequency) || empty($source)) {
                 $result['action_result'] = [
@@ -311,7 +316,7 @@ class CSV_Import_Pro_Admin {
             }
             
             if (class_exists('CSV_Import_Scheduler')) {
-                $schedule_result = CSV_Import_Scheduler::schedule_import($frequency, $source);
+                $schedule_result = CSV_Import_Scheduler::schedule_import($frequency, $source, ['profile_id' => $profile_id]);
                 
                 if (is_wp_error($schedule_result)) {
                     $result['action_result'] = [
@@ -416,6 +421,12 @@ class CSV_Import_Pro_Admin {
                 $deleted_count = CSV_Import_Backup_Manager::cleanup_old_backups($retention_days);
                 $result['deleted_count'] = $deleted_count;
             }
+            
+            // Fehlerberichte haben dieselbe Aufbewahrungsdauer
+            if (class_exists('CSV_Import_Failed_Rows')) {
+                $advanced_settings = get_option('csv_import_advanced_settings', ['backup_retention_days' => 30]);
+                CSV_Import_Failed_Rows::cleanup_old_rows($advanced_settings['backup_retention_days'] ?? 30);
+            }
         }
         
         return $result;
@@ -481,7 +492,7 @@ class CSV_Import_Pro_Admin {
                 if ($success) {
                     $result['action_result'] = [
                         'success' => true,
-                        'message' => 'Profil erfolgreich geladen. Konfiguration wurde aktualisiert.'
+                        'message' => 'Profil erfolgreich geladen. Konfiguration und Spalten-Mapping wurden aktualisiert.'
                     ];
                 } else {
                     $result['action_result'] = [
@@ -552,6 +563,22 @@ class CSV_Import_Pro_Admin {
         return $result;
     }
 
+    /**
+     * Registrierte Import-Quellen für das JavaScript (ohne Zugangsdaten)
+     */
+    private function get_localized_sources() {
+        $sources = [];
+        foreach (csv_import_get_source_states(csv_import_get_config()) as $source_id => $state) {
+            $sources[] = [
+                'id'         => $source_id,
+                'label'      => $state['label'],
+                'configured' => $state['configured'],
+                'ready'      => $state['ready']
+            ];
+        }
+        return $sources;
+    }
+
     public function enqueue_admin_assets($hook_suffix) {
         if (strpos($hook_suffix, 'csv-import') === false) {
             return;
@@ -597,8 +624,8 @@ class CSV_Import_Pro_Admin {
             jQuery(document).ready(function($) {
                 // Warten, bis AJAX-Import abgeschlossen ist und Erfolgs-Nachricht angezeigt wird
                 $(document).ajaxSuccess(function(event, xhr, settings) {
-                    if (settings.data && settings.data.includes('action=csv_import_start')) {
-                        if (xhr.responseJSON && xhr.responseJSON.success) {
+                    if (settings.data && settings.data.includes('action=csv_import_process_chunk')) {
+                        if (xhr.responseJSON && xhr.responseJSON.success && xhr.responseJSON.data.done) {
                             // Warten bis die Nachricht im DOM ist
                             setTimeout(function() {
                                 if ($('.csv-import-success-message.perfect-import').length) {
@@ -618,6 +645,15 @@ class CSV_Import_Pro_Admin {
             'nonce'   => wp_create_nonce('csv_import_ajax'),
             'debug'   => defined('WP_DEBUG') && WP_DEBUG,
             'import_running' => function_exists('csv_import_is_import_running') ? csv_import_is_import_running() : false,
+            'resumable_import' => function_exists('csv_import_get_resumable_import') ? csv_import_get_resumable_import() : false,
+            'image_queue' => class_exists('CSV_Import_Image_Queue') ? CSV_Import_Image_Queue::get_status() : false,
+            'saved_mapping' => function_exists('csv_import_get_column_mapping') ? (object) csv_import_get_column_mapping() : new stdClass(),
+            'validation_rules' => function_exists('csv_import_get_validation_rules') ? (object) csv_import_get_validation_rules() : new stdClass(),
+            'rule_types' => function_exists('csv_import_get_validation_rule_types') ? csv_import_get_validation_rule_types() : [],
+            'saved_transforms' => function_exists('csv_import_get_column_transforms') ? (object) csv_import_get_column_transforms() : new stdClass(),
+            'transform_types' => class_exists('CSV_Import_Transformer') ? CSV_Import_Transformer::get_types() : [],
+            'sources' => function_exists('csv_import_get_source_states') ? $this->get_localized_sources() : [],
+            'upload' => function_exists('csv_import_get_upload_limits') ? csv_import_get_upload_limits() : [],
             'plugin_version' => CSV_IMPORT_PRO_VERSION
         ]);
     }
@@ -627,9 +663,17 @@ class CSV_Import_Pro_Admin {
 public function register_plugin_settings() {
     $settings = [
         'template_id', 'post_type', 'post_status', 'page_builder', 'dropbox_url', 
-        'local_path', 'image_source', 'image_folder', 'memory_limit', 'time_limit', 
+        'local_path', 'image_source', 'image_folder', 'gallery_field', 'memory_limit', 'time_limit',
+        'image_queue', 'image_concurrency', 'image_retries', 'image_host_rate',
         'seo_plugin', 'required_columns', 'skip_duplicates' , 'delimiter',
-        'noindex_posts' // KORREKTUR: Neue Option hier registriert
+        'noindex_posts', // KORREKTUR: Neue Option hier registriert
+        'import_mode', 'key_column', 'key_field', 'sync_mode', 'sync_threshold',
+        'term_separator', 'term_hierarchy_separator', 'term_create_mode',
+        'spreadsheet_sheet', 'spreadsheet_header_row', 'json_source', 'json_record_path',
+        'xml_source', 'xml_record_path', 'url_source', 'url_format', 'url_auth_type',
+        'url_username', 'url_password', 'url_token', 'ftp_url', 'ftp_username',
+        'ftp_password', 'sftp_url', 'sftp_username', 'sftp_password', 'sftp_private_key',
+        'invalid_row_mode'
     ];
     
     foreach ($settings as $setting) {
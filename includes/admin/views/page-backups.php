@@ -18,10 +18,18 @@ if ( ! defined( 'ABSPATH' ) ) {
     if ( isset( $deleted_count ) ) { /* ... Notices ... */ }
     ?>
     
+    <?php
+    $failed_row_sessions = $failed_row_sessions ?? [];
+    $failed_rows_by_session = [];
+    foreach ( $failed_row_sessions as $failed_session ) {
+        $failed_rows_by_session[ $failed_session->import_session ] = $failed_session;
+    }
+    ?>
+    
     <div class="csv-import-dashboard">
         <div class="csv-import-box" style="grid-column: 1 / -1;">
             <h3><span class="step-icon">🔄</span> Import-Sessions für Rollback</h3>
-            <p>Hier können Sie vergangene Imports rückgängig machen. <strong>Achtung:</strong> Ein Rollback löscht alle durch den Import erstellten Posts unwiderruflich.</p>
+            <p>Hier können Sie vergangene Imports rückgängig machen. <strong>Achtung:</strong> Ein Rollback löscht alle durch den Import erstellten Posts unwiderruflich. Aktualisierte sowie per Sync entfernte Posts werden auf ihren Stand vor dem Import zurückgesetzt.</p>
             
             <div class="sample-data-container" style="max-height: none;">
 				<?php if ( empty( $sessions ) ) : ?>
@@ -45,17 +53,82 @@ if ( ! defined( 'ABSPATH' ) ) {
     echo esc_html( wp_date( 'd.m.Y H:i:s', $timestamp ) );  ?></td>
 									<td>
 										<?php 
-										$source_labels = [ 'dropbox' => '☁️ Dropbox', 'local' => '📁 Lokal' ];
+										$source_labels = csv_import_get_source_labels();
 										echo esc_html( $source_labels[ $session->import_source ] ?? $session->import_source );
 										?>
 									</td>
-									<td><?php echo esc_html( $session->post_count ); ?> Posts</td>
+									<?php
+									$created_count = (int) ( $session->created_count ?? $session->post_count );
+									$updated_count = (int) ( $session->updated_count ?? 0 );
+									$removed_count = (int) ( $session->removed_count ?? 0 );
+									$term_count = (int) ( $session->term_count ?? 0 );
+									?>
+									<td>
+										<?php echo esc_html( $created_count ); ?> erstellt
+										<?php if ( $updated_count > 0 ) : ?>
+											<br><?php echo esc_html( $updated_count ); ?> aktualisiert
+										<?php endif; ?>
+										<?php if ( $removed_count > 0 ) : ?>
+											<br><?php echo esc_html( $removed_count ); ?> per Sync entfernt
+										<?php endif; ?>
+										<?php if ( $term_count > 0 ) : ?>
+											<br><?php echo esc_html( $term_count ); ?> Begriffe angelegt
+										<?php endif; ?>
+									</td>
 									<td>
-										<form method="post" onsubmit="return confirm('Wirklich alle <?php echo esc_js( $session->post_count ); ?> Posts aus diesem Import löschen?');">
+										<form method="post" onsubmit="return confirm('Wirklich <?php echo esc_js( $created_count ); ?> erstellte Posts löschen und <?php echo esc_js( $updated_count + $removed_count ); ?> geänderte Posts zurücksetzen?');">
 											<?php wp_nonce_field( 'csv_import_rollback' ); ?>
 											<input type="hidden" name="rollback_session" value="<?php echo esc_attr( $session->import_session ); ?>">
 											<button type="submit" class="button button-secondary">Rollback</button>
 										</form>
+										<?php if ( isset( $failed_rows_by_session[ $session->import_session ] ) ) : ?>
+											<a href="<?php echo esc_url( csv_import_get_failed_rows_url( $session->import_session ) ); ?>" class="button button-small" style="margin-top: 5px;">⬇️ Fehlgeschlagene Zeilen</a>
+										<?php endif; ?>
+									</td>
+								</tr>
+							<?php endforeach; ?>
+						</tbody>
+					</table>
+				<?php endif; ?>
+			</div>
+        </div>
+        
+        <?php if ( class_exists( 'CSV_Import_Failed_Rows' ) ) : ?>
+        <div class="csv-import-box" style="grid-column: 1 / -1;">
+            <h3><span class="step-icon">⚠️</span> Fehlgeschlagene Zeilen</h3>
+            <p>Zeilen, die beim Import fehlgeschlagen sind oder übersprungen wurden. Der Download enthält die Originalspalten und eine zusätzliche Spalte <code><?php echo esc_html( CSV_Import_Failed_Rows::ERROR_COLUMN ); ?></code> mit dem Grund - korrigieren Sie die Datei und importieren Sie nur diese Zeilen erneut.</p>
+            
+            <div class="sample-data-container" style="max-height: none;">
+				<?php if ( empty( $failed_row_sessions ) ) : ?>
+					<div class="info-message"><strong>Info:</strong> Keine fehlgeschlagenen oder übersprungenen Zeilen gespeichert.</div>
+				<?php else : ?>
+					<table class="wp-list-table widefat fixed striped">
+						<thead>
+							<tr>
+								<th>Session ID</th>
+								<th>Import-Datum</th>
+								<th>Quelle</th>
+								<th>Zeilen</th>
+								<th style="width: 200px;">Aktionen</th>
+							</tr>
+						</thead>
+						<tbody>
+							<?php foreach ( $failed_row_sessions as $failed_session ) : ?>
+								<tr>
+									<td><code><?php echo esc_html( $failed_session->import_session ); ?></code></td>
+									<td><?php echo esc_html( mysql2date( 'd.m.Y H:i:s', $failed_session->import_date ) ); ?></td>
+									<td>
+										<?php
+										$source_labels = csv_import_get_source_labels();
+										echo esc_html( $source_labels[ $failed_session->import_source ] ?? $failed_session->import_source );
+										?>
+									</td>
+									<td>
+										<?php echo esc_html( (int) $failed_session->error_count ); ?> fehlgeschlagen
+										<br><?php echo esc_html( (int) $failed_session->skipped_count ); ?> übersprungen
+									</td>
+									<td>
+										<a href="<?php echo esc_url( csv_import_get_failed_rows_url( $failed_session->import_session ) ); ?>" class="button button-secondary">⬇️ Fehlgeschlagene Zeilen (CSV)</a>
 									</td>
 								</tr>
 							<?php endforeach; ?>
@@ -64,6 +137,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 				<?php endif; ?>
 			</div>
         </div>
+        <?php endif; ?>
         
         <div class="csv-import-box">
             <h3><span class="step-icon">🧹</span> Backup-Verwaltung</h3>
@@ -71,7 +145,7 @@ if ( ! defined( 'ABSPATH' ) ) {
             $advanced_settings = get_option( 'csv_import_advanced_settings', ['backup_retention_days' => 30] );
             $retention_days = $advanced_settings['backup_retention_days'] ?? 30;
             ?>
-            <p>Alte Backups, die älter als <strong><?php echo esc_html($retention_days); ?> Tage</strong> sind, können hier manuell bereinigt werden.</p>
+            <p>Alte Backups und Fehlerberichte, die älter als <strong><?php echo esc_html($retention_days); ?> Tage</strong> sind, können hier manuell bereinigt werden.</p>
             <form method="post">
                 <?php wp_nonce_field( 'csv_import_cleanup_backups' ); ?>
                 <input type="hidden" name="cleanup_backups" value="1">
@@ -31,7 +31,14 @@ if ( ! defined( 'ABSPATH' ) ) {
 		</div>
 	<?php endif; ?>
 
-	<?php 
+	<div class="notice notice-info csv-image-queue-status" style="display: none;">
+		<p class="csv-image-queue-text"></p>
+		<div class="progress-container">
+			<div class="progress-bar-fill" style="width: 0%;"></div>
+		</div>
+	</div>
+
+	<?php
     $config_valid = csv_import_validate_config( csv_import_get_config() );
     if ( ! $config_valid['valid'] ) : 
     ?>
@@ -49,6 +56,17 @@ if ( ! defined( 'ABSPATH' ) ) {
 		</div>
 	<?php endif; ?>
 
+	<?php if ( ! empty( $config_valid['warnings'] ) ) : ?>
+		<div class="notice notice-warning">
+			<p><strong>Hinweise zur Konfiguration:</strong></p>
+			<ul style="margin-left: 20px; list-style-type: disc;">
+				<?php foreach ( $config_valid['warnings'] as $warning ) : ?>
+					<li><?php echo esc_html( $warning ); ?></li>
+				<?php endforeach; ?>
+			</ul>
+		</div>
+	<?php endif; ?>
+
 	<!-- 🎯 NEUES 2x2 DASHBOARD LAYOUT -->
 	<div class="csv-import-dashboard">
 		
@@ -74,6 +92,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 					   onclick="return confirm('Dropbox Import wirklich starten?');">
 						🚀 Dropbox Import starten
 					</button>
+					<button type="button" data-source="dropbox" class="button button-large csv-simulate-btn">
+						🧪 Simulieren
+					</button>
 				</div>
 				<div class="info-message">
 					<strong>Bereit:</strong> Dropbox-URL konfiguriert und erreichbar
@@ -92,6 +113,12 @@ if ( ! defined( 'ABSPATH' ) ) {
 					<?php endif; ?>
 				</div>
 			<?php endif; ?>
+
+			<div class="action-buttons csv-import-controls" data-source="dropbox" style="display: none;">
+				<button type="button" class="button csv-import-control-btn" data-control="pause">⏸️ Pausieren</button>
+				<button type="button" class="button button-primary csv-import-control-btn" data-control="resume">▶️ Fortsetzen</button>
+				<button type="button" class="button csv-import-control-btn" data-control="cancel" style="color: #d63638; border-color: #d63638;">⏹️ Abbrechen</button>
+			</div>
 		</div>
 
 		<!-- BOX 2: Lokaler Import (Oben Rechts) -->
@@ -116,6 +143,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 					   onclick="return confirm('Lokalen Import wirklich starten?');">
 						🚀 Lokalen Import starten
 					</button>
+					<button type="button" data-source="local" class="button button-large csv-simulate-btn">
+						🧪 Simulieren
+					</button>
 				</div>
 				<div class="info-message">
 					<strong>Bereit:</strong> CSV-Datei auf Server gefunden und lesbar
@@ -134,6 +164,12 @@ if ( ! defined( 'ABSPATH' ) ) {
 					<?php endif; ?>
 				</div>
 			<?php endif; ?>
+
+			<div class="action-buttons csv-import-controls" data-source="local" style="display: none;">
+				<button type="button" class="button csv-import-control-btn" data-control="pause">⏸️ Pausieren</button>
+				<button type="button" class="button button-primary csv-import-control-btn" data-control="resume">▶️ Fortsetzen</button>
+				<button type="button" class="button csv-import-control-btn" data-control="cancel" style="color: #d63638; border-color: #d63638;">⏹️ Abbrechen</button>
+			</div>
 		</div>
 
 		<!-- BOX 3: System Status (Unten Links) -->
@@ -246,6 +282,113 @@ if ( ! defined( 'ABSPATH' ) ) {
 			<?php endif; ?>
 		</div>
 
+		<?php
+		$uploaded_file = csv_import_get_uploaded_file();
+		$upload_limits = csv_import_get_upload_limits();
+		$upload_ready = ! empty( $uploaded_file ) && is_readable( $uploaded_file['path'] );
+		?>
+		<!-- Datei-Upload per Drag & Drop -->
+		<div class="csv-import-box csv-upload-box" style="grid-column: 1 / -1;">
+			<h3>
+				<span class="step-icon">⬆️</span>
+				Datei hochladen
+			</h3>
+
+			<div class="csv-upload-zone" id="csv-upload-zone" tabindex="0" role="button"
+				 style="border: 2px dashed #8c8f94; border-radius: 4px; padding: 24px; text-align: center; cursor: pointer;">
+				<p><strong>Datei hierher ziehen</strong> oder klicken, um eine Datei auszuwählen</p>
+				<p class="description">
+					Erlaubt: <?php echo esc_html( implode( ', ', $upload_limits['extensions'] ) ); ?>
+					· maximal <?php echo esc_html( $upload_limits['max_file_size_mb'] ); ?> MB
+				</p>
+			</div>
+			<input type="file" id="csv-upload-input" style="display: none;"
+				   accept="<?php echo esc_attr( '.' . implode( ',.', $upload_limits['extensions'] ) ); ?>">
+
+			<div class="csv-upload-progress progress-container" style="display: none;">
+				<div class="progress-bar-fill" style="width: 0%;"></div>
+			</div>
+			<div class="csv-upload-status">
+				<?php if ( $upload_ready ) : ?>
+					<div class="info-message">
+						<strong>Aktuelle Datei:</strong> <?php echo esc_html( $uploaded_file['name'] ); ?>
+						(<?php echo esc_html( size_format( $uploaded_file['size'] ) ); ?>, hochgeladen: <?php echo esc_html( $uploaded_file['uploaded_at'] ); ?>)
+					</div>
+				<?php endif; ?>
+			</div>
+
+			<div class="action-buttons csv-upload-actions" style="<?php echo $upload_ready && $progress['status'] !== 'processing' ? '' : 'display: none;'; ?>">
+				<button data-source="upload" class="button button-primary button-large csv-import-btn"
+				   onclick="return confirm('Import der hochgeladenen Datei wirklich starten?');">
+					🚀 Upload importieren
+				</button>
+				<button type="button" data-source="upload" class="button button-large csv-simulate-btn">
+					🧪 Simulieren
+				</button>
+				<a href="<?php echo esc_url( admin_url( 'tools.php?page=csv-import-settings' ) ); ?>" class="button button-large">
+					🗂️ Validieren &amp; Mapping
+				</a>
+			</div>
+
+			<div class="action-buttons csv-import-controls" data-source="upload" style="display: none;">
+				<button type="button" class="button csv-import-control-btn" data-control="pause">⏸️ Pausieren</button>
+				<button type="button" class="button button-primary csv-import-control-btn" data-control="resume">▶️ Fortsetzen</button>
+				<button type="button" class="button csv-import-control-btn" data-control="cancel" style="color: #d63638; border-color: #d63638;">⏹️ Abbrechen</button>
+			</div>
+		</div>
+
+		<?php
+		// Weitere registrierte Quellen (URL, FTP, SFTP, Feeds, per Filter ergänzte) - nur konfigurierte
+		$extra_sources = array_filter(
+			array_diff_key( csv_import_get_source_states( csv_import_get_config() ), array_flip( [ 'dropbox', 'local', 'upload' ] ) ),
+			function ( $state ) {
+				return $state['configured'];
+			}
+		);
+		?>
+		<?php if ( ! empty( $extra_sources ) ) : ?>
+		<!-- Weitere Import-Quellen -->
+		<div class="csv-import-box" style="grid-column: 1 / -1;">
+			<h3>
+				<span class="step-icon">🔌</span>
+				Weitere Import-Quellen
+			</h3>
+			
+			<p>Importiert aus den weiteren in den Einstellungen hinterlegten Quellen. JSON- und XML-Felder stehen als Spalten mit Punkt-Notation zur Verfügung.</p>
+			
+			<?php foreach ( $extra_sources as $source_id => $state ) : ?>
+				<?php if ( $state['ready'] && $progress['status'] !== 'processing' ) : ?>
+					<div class="action-buttons">
+						<button data-source="<?php echo esc_attr( $source_id ); ?>" class="button button-primary button-large csv-import-btn"
+						   onclick="return confirm('<?php echo esc_js( $state['label'] ); ?> Import wirklich starten?');">
+							🚀 <?php echo esc_html( $state['label'] ); ?> Import starten
+						</button>
+						<button type="button" data-source="<?php echo esc_attr( $source_id ); ?>" class="button button-large csv-simulate-btn">
+							🧪 Simulieren
+						</button>
+					</div>
+				<?php else : ?>
+					<div class="error-message">
+						<?php if ( $progress['status'] === 'processing' ) : ?>
+							⏳ Import läuft bereits
+						<?php else : ?>
+							⚠️ <?php echo esc_html( $state['label'] . ': ' . $state['error'] ); ?>
+						<?php endif; ?>
+					</div>
+				<?php endif; ?>
+
+				<div class="action-buttons csv-import-controls" data-source="<?php echo esc_attr( $source_id ); ?>" style="display: none;">
+					<button type="button" class="button csv-import-control-btn" data-control="pause">⏸️ Pausieren</button>
+					<button type="button" class="button button-primary csv-import-control-btn" data-control="resume">▶️ Fortsetzen</button>
+					<button type="button" class="button csv-import-control-btn" data-control="cancel" style="color: #d63638; border-color: #d63638;">⏹️ Abbrechen</button>
+				</div>
+			<?php endforeach; ?>
+		</div>
+		<?php endif; ?>
+
+		<!-- Simulationsergebnis (Dry-Run), wird per JS befüllt -->
+		<div class="csv-import-box csv-simulation-box" id="csv-simulation-results" style="grid-column: 1 / -1; display: none;"></div>
+
 	</div>
 
 	<!-- 🎯 WICHTIG: Ursprüngliche Bottom-Actions bleiben erhalten -->
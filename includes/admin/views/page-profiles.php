@@ -24,7 +24,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 	<div class="csv-import-dashboard">
 		<div class="csv-import-box">
 			<h3><span class="step-icon">➕</span> Neues Profil speichern</h3>
-			<p>Speichern Sie Ihre aktuelle CSV-Import-Konfiguration als wiederverwendbares Profil.</p>
+			<p>Speichern Sie Ihre aktuelle CSV-Import-Konfiguration inklusive Spalten-Mapping und Validierungsregeln als wiederverwendbares Profil.</p>
 			
 			<form method="post">
 				<?php wp_nonce_field( 'csv_import_save_profile' ); ?>
@@ -57,6 +57,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 						<thead>
 							<tr>
 								<th>Profil-Name</th>
+								<th style="width: 120px;">Mapping</th>
+								<th style="width: 120px;">Regeln</th>
+								<th style="width: 140px;">Transformationen</th>
 								<th>Erstellt</th>
 								<th>Letzte Nutzung</th>
 								<th style="width: 100px;">Nutzungen</th>
@@ -67,6 +70,24 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<?php foreach ( $profiles as $profile_id => $profile ) : ?>
 								<tr>
 									<td><strong><?php echo esc_html( $profile['name'] ); ?></strong></td>
+									<td>
+										<?php
+										$mapped_columns = is_array( $profile['mapping'] ?? null ) ? count( $profile['mapping'] ) : 0;
+										echo esc_html( $mapped_columns > 0 ? $mapped_columns . ' Spalten' : '—' );
+										?>
+									</td>
+									<td>
+										<?php
+										$rule_columns = is_array( $profile['rules'] ?? null ) ? count( $profile['rules'] ) : 0;
+										echo esc_html( $rule_columns > 0 ? $rule_columns . ' Spalten' : '—' );
+										?>
+									</td>
+									<td>
+										<?php
+										$transform_columns = is_array( $profile['transforms'] ?? null ) ? count( $profile['transforms'] ) : 0;
+										echo esc_html( $transform_columns > 0 ? $transform_columns . ' Spalten' : '—' );
+										?>
+									</td>
 									<td><?php echo esc_html( mysql2date( 'd.m.Y H:i', $profile['created_at'] ) ); ?></td>
 									<td>
 										<?php
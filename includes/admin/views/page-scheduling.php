@@ -158,8 +158,16 @@ if ( ! defined( 'ABSPATH' ) ) {
 				<span class="status-indicator status-success">Aktiv</span>
 
 				<ul class="status-list" style="margin: 15px 0;">
-					<li><strong>Quelle:</strong> <?php echo esc_html( ucfirst( $current_source ) ); ?></li>
+					<li><strong>Quelle:</strong> <?php echo esc_html( csv_import_get_source_labels()[ $current_source ] ?? ucfirst( $current_source ) ); ?></li>
 					<li><strong>Frequenz:</strong> <?php echo esc_html( $available_intervals[$current_frequency] ?? ucfirst( str_replace( '_', ' ', $current_frequency ) ) ); ?></li>
+					<li><strong>Spalten-Mapping:</strong>
+						<?php
+						$scheduled_profile_id = get_option( 'csv_import_scheduled_options', [] )['profile_id'] ?? '';
+						echo esc_html( $scheduled_profile_id && isset( $profiles[ $scheduled_profile_id ] )
+							? 'Profil „' . $profiles[ $scheduled_profile_id ]['name'] . '“'
+							: 'Aktuell gespeichertes Mapping' );
+						?>
+					</li>
 					<li><strong>Nächster Import:</strong>
 						<?php
 						echo $next_scheduled
@@ -198,12 +206,11 @@ if ( ! defined( 'ABSPATH' ) ) {
 								<td>
 									<select id="import_source" name="import_source" required>
 										<option value="">-- Quelle wählen --</option>
-										<?php if ( $validation['dropbox_ready'] ) : ?>
-											<option value="dropbox">☁️ Dropbox</option>
-										<?php endif; ?>
-										<?php if ( $validation['local_ready'] ) : ?>
-											<option value="local">📁 Lokale Datei</option>
-										<?php endif; ?>
+										<?php foreach ( csv_import_get_source_labels() as $source_id => $source_label ) : ?>
+											<?php if ( ! empty( $validation[ $source_id . '_ready' ] ) ) : ?>
+												<option value="<?php echo esc_attr( $source_id ); ?>"><?php echo esc_html( $source_label ); ?></option>
+											<?php endif; ?>
+										<?php endforeach; ?>
 									</select>
 									<p class="description">Nur konfigurierte Quellen sind sichtbar.</p>
 								</td>
@@ -219,6 +226,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 									</select>
 								</td>
 							</tr>
+							<tr>
+								<th scope="row"><label for="profile_id">Spalten-Mapping</label></th>
+								<td>
+									<select id="profile_id" name="profile_id">
+										<option value="">-- Aktuell gespeichertes Mapping --</option>
+										<?php foreach ( $profiles ?? [] as $profile_id => $profile ) : ?>
+											<option value="<?php echo esc_attr( $profile_id ); ?>">Profil: <?php echo esc_html( $profile['name'] ); ?></option>
+										<?php endforeach; ?>
+									</select>
+									<p class="description">Mapping, Validierungsregeln und Transformationen des Profils werden bei jedem geplanten Lauf verwendet.</p>
+								</td>
+							</tr>
 						</tbody>
 					</table>
 					<div class="action-buttons" style="margin-top: 20px;">
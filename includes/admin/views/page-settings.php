@@ -47,6 +47,11 @@ if ( ! defined( 'ABSPATH' ) ) {
 								<p class="description">
 									ID der Vorlage. Aktuell: <?php echo csv_import_get_template_info(); ?>
 								</p>
+								<p class="description">
+									Platzhalter: <code>{{spalte}}</code>, <code>{{spalte|default:"…"}}</code>, Filter <code>upper</code>, <code>lower</code>, <code>slug</code>, <code>date:"d.m.Y"</code>, <code>number:2</code>, <code>esc_url</code>,
+									Bedingungen <code>{{#if spalte}}…{{else}}…{{/if}}</code> und Listen <code>{{#each spalte}}{{this}}{{/each}}</code>.
+									Nicht auflösbare Platzhalter brechen den Import der Zeile ab.
+								</p>
 							</td>
 						</tr>
 						<tr>
@@ -54,15 +59,9 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<td>
 								<select id="csv_import_page_builder" name="csv_import_page_builder">
 									<?php
-									$pb_options = [
-    'gutenberg' => 'Gutenberg (Standard)',
-    'elementor' => 'Elementor',
-    'wpbakery' => 'WPBakery',
-    'breakdance' => 'Breakdance', 
-    'enfold' => 'Enfold'        
-];
-									foreach ( $pb_options as $val => $label ) {
-										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_pb, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									$current_pb = get_option( 'csv_import_page_builder', 'gutenberg' );
+									foreach ( csv_import_get_page_builders() as $val => $builder ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_pb, $val, false ) . '>' . esc_html( $builder['label'] ) . '</option>';
 									}
 									?>
 								</select>
@@ -109,9 +108,7 @@ if ( ! defined( 'ABSPATH' ) ) {
 				</h3>
 				
 				<?php 
-				$dropbox_url = get_option( 'csv_import_dropbox_url' );
-				$local_path = get_option( 'csv_import_local_path', 'data/landingpages.csv' );
-				$has_sources = !empty($dropbox_url) || !empty($local_path);
+				$has_sources = in_array( true, wp_list_pluck( csv_import_get_source_states( csv_import_get_config() ), 'configured' ), true );
 				?>
 				
 				<?php if ( $has_sources ) : ?>
@@ -129,7 +126,7 @@ if ( ! defined( 'ABSPATH' ) ) {
                        value="<?php echo esc_attr( get_option( 'csv_import_dropbox_url' ) ); ?>"
                        class="regular-text" placeholder="https://www.dropbox.com/s/...?dl=1">
                 <p class="description">
-                    Direkt-Download-Link. Muss mit `?dl=1` enden.
+                    Direkt-Download-Link. Muss mit `?dl=1` enden. Auch XLSX- und ODS-Dateien möglich.
                     <?php echo csv_import_get_dropbox_status( get_option( 'csv_import_dropbox_url' ) ); ?>
                 </p>
             </td>
@@ -146,6 +143,89 @@ if ( ! defined( 'ABSPATH' ) ) {
                 </p>
 							</td>
 						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_url_source">HTTP(S)-URL</label></th>
+							<td>
+								<input type="url" id="csv_import_url_source" name="csv_import_url_source"
+									   value="<?php echo esc_attr( get_option( 'csv_import_url_source', '' ) ); ?>"
+									   class="regular-text" placeholder="https://example.com/export.csv">
+								<select id="csv_import_url_format" name="csv_import_url_format">
+									<?php
+									$url_formats = [ 'auto' => 'Format: automatisch', 'csv' => 'CSV', 'xlsx' => 'XLSX', 'ods' => 'ODS', 'json' => 'JSON', 'xml' => 'XML' ];
+									$current_url_format = get_option( 'csv_import_url_format', 'auto' );
+									foreach ( $url_formats as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_url_format, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<br>
+								<select id="csv_import_url_auth_type" name="csv_import_url_auth_type">
+									<?php
+									$auth_types = [ 'none' => 'Keine Anmeldung', 'basic' => 'Basic-Auth', 'bearer' => 'Bearer-Token' ];
+									$current_auth = get_option( 'csv_import_url_auth_type', 'none' );
+									foreach ( $auth_types as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_auth, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<input type="text" id="csv_import_url_username" name="csv_import_url_username"
+									   value="<?php echo esc_attr( get_option( 'csv_import_url_username', '' ) ); ?>"
+									   placeholder="Benutzername" autocomplete="off">
+								<input type="password" id="csv_import_url_password" name="csv_import_url_password"
+									   value="<?php echo esc_attr( get_option( 'csv_import_url_password', '' ) ); ?>"
+									   placeholder="Passwort" autocomplete="new-password">
+								<input type="password" id="csv_import_url_token" name="csv_import_url_token"
+									   value="<?php echo esc_attr( get_option( 'csv_import_url_token', '' ) ); ?>"
+									   placeholder="Token" autocomplete="new-password">
+								<p class="description">
+									Beliebige Download-URL. Benutzername/Passwort gelten für Basic-Auth, das Token für Bearer-Auth.
+									<?php echo csv_import_get_source_status( 'url', csv_import_get_config() ); ?>
+								</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_ftp_url">FTP / FTPS</label></th>
+							<td>
+								<input type="text" id="csv_import_ftp_url" name="csv_import_ftp_url"
+									   value="<?php echo esc_attr( get_option( 'csv_import_ftp_url', '' ) ); ?>"
+									   class="regular-text" placeholder="ftp://ftp.example.com/export/daten.csv">
+								<br>
+								<input type="text" id="csv_import_ftp_username" name="csv_import_ftp_username"
+									   value="<?php echo esc_attr( get_option( 'csv_import_ftp_username', '' ) ); ?>"
+									   placeholder="Benutzername" autocomplete="off">
+								<input type="password" id="csv_import_ftp_password" name="csv_import_ftp_password"
+									   value="<?php echo esc_attr( get_option( 'csv_import_ftp_password', '' ) ); ?>"
+									   placeholder="Passwort" autocomplete="new-password">
+								<p class="description">
+									Adresse mit <code>ftp://</code> oder <code>ftp<strong>s</strong>://</code>, Verbindung im passiven Modus.
+									<button type="button" class="button button-small csv-source-status-btn" data-source="ftp">🔌 Verbindung prüfen</button>
+									<span class="csv-source-status" data-source="ftp"></span>
+								</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_sftp_url">SFTP</label></th>
+							<td>
+								<input type="text" id="csv_import_sftp_url" name="csv_import_sftp_url"
+									   value="<?php echo esc_attr( get_option( 'csv_import_sftp_url', '' ) ); ?>"
+									   class="regular-text" placeholder="sftp://server.example.com:22/export/daten.csv">
+								<br>
+								<input type="text" id="csv_import_sftp_username" name="csv_import_sftp_username"
+									   value="<?php echo esc_attr( get_option( 'csv_import_sftp_username', '' ) ); ?>"
+									   placeholder="Benutzername" autocomplete="off">
+								<input type="password" id="csv_import_sftp_password" name="csv_import_sftp_password"
+									   value="<?php echo esc_attr( get_option( 'csv_import_sftp_password', '' ) ); ?>"
+									   placeholder="Passwort" autocomplete="new-password">
+								<input type="text" id="csv_import_sftp_private_key" name="csv_import_sftp_private_key"
+									   value="<?php echo esc_attr( get_option( 'csv_import_sftp_private_key', '' ) ); ?>"
+									   placeholder="Schlüsseldatei (optional)">
+								<p class="description">
+									Benötigt die PHP-Erweiterung ssh2. Mit Schlüsseldatei (relativ zu ABSPATH, <code>.pub</code> daneben) dient das Passwort als Passphrase.
+									<button type="button" class="button button-small csv-source-status-btn" data-source="sftp">🔌 Verbindung prüfen</button>
+									<span class="csv-source-status" data-source="sftp"></span>
+								</p>
+							</td>
+						</tr>
 						<tr>
 							<th scope="row"><label for="csv_import_delimiter">CSV-Trennzeichen</label></th>
 							<td>
@@ -157,6 +237,52 @@ if ( ! defined( 'ABSPATH' ) ) {
 								</p>
 							</td>
 						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_spreadsheet_sheet">Tabellenblatt</label></th>
+							<td>
+								<input type="text" id="csv_import_spreadsheet_sheet" name="csv_import_spreadsheet_sheet"
+									   value="<?php echo esc_attr( get_option( 'csv_import_spreadsheet_sheet', '' ) ); ?>"
+									   class="regular-text" placeholder="Erstes Blatt">
+								<label for="csv_import_spreadsheet_header_row">Header-Zeile</label>
+								<input type="number" id="csv_import_spreadsheet_header_row" name="csv_import_spreadsheet_header_row"
+									   value="<?php echo esc_attr( get_option( 'csv_import_spreadsheet_header_row', 1 ) ); ?>"
+									   class="small-text" min="1" step="1">
+								<p class="description">
+									Nur für <code>.xlsx</code>- und <code>.ods</code>-Dateien: Name oder Nummer des Blatts (leer = erstes Blatt)
+									und die Zeile, in der die Spaltennamen stehen.
+								</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_json_source">JSON-Feed</label></th>
+							<td>
+								<input type="text" id="csv_import_json_source" name="csv_import_json_source"
+									   value="<?php echo esc_attr( get_option( 'csv_import_json_source', '' ) ); ?>"
+									   class="regular-text" placeholder="https://... oder data/feed.json">
+								<input type="text" id="csv_import_json_record_path" name="csv_import_json_record_path"
+									   value="<?php echo esc_attr( get_option( 'csv_import_json_record_path', '' ) ); ?>"
+									   class="regular-text" placeholder="$.data.items[*]">
+								<p class="description">
+									URL oder Pfad relativ zu ABSPATH, daneben der Datensatz-Pfad: JSONPath-Ausdruck, z.B. <code>$.data.items</code>. Leer = Wurzel-Liste.
+									Verschachtelte Felder werden zu Spalten wie <code>preis.brutto</code>.
+								</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_xml_source">XML-Feed</label></th>
+							<td>
+								<input type="text" id="csv_import_xml_source" name="csv_import_xml_source"
+									   value="<?php echo esc_attr( get_option( 'csv_import_xml_source', '' ) ); ?>"
+									   class="regular-text" placeholder="https://... oder data/feed.xml">
+								<input type="text" id="csv_import_xml_record_path" name="csv_import_xml_record_path"
+									   value="<?php echo esc_attr( get_option( 'csv_import_xml_record_path', '' ) ); ?>"
+									   class="regular-text" placeholder="//product">
+								<p class="description">
+									URL oder Pfad relativ zu ABSPATH, daneben der Datensatz-Pfad: XPath-Ausdruck, z.B. <code>//item</code>. Leer = Kind-Elemente der Wurzel, Standard-Namespace über <code>ns:</code>.
+									Verschachtelte Felder werden zu Spalten wie <code>preis.brutto</code>.
+								</p>
+							</td>
+						</tr>
 					</tbody>
 				</table>
 			</div>
@@ -177,13 +303,14 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<td>
 								<select id="csv_import_image_source" name="csv_import_image_source">
 									<?php
-									$img_src_options = [ 'media_library' => 'WordPress-Mediathek', 'local_folder' => 'Lokaler Ordner' ];
+									$img_src_options = [ 'none' => 'Keine Bilder importieren', 'media_library' => 'URLs und WordPress-Mediathek', 'local_folder' => 'Lokaler Ordner und URLs' ];
 									$current_img_src = get_option( 'csv_import_image_source', 'media_library' );
 									foreach ( $img_src_options as $val => $label ) {
 										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_img_src, $val, false ) . '>' . esc_html( $label ) . '</option>';
 									}
 									?>
 								</select>
+								<p class="description">Bildspalten enthalten URLs, Attachment-IDs oder Dateinamen (Mediathek bzw. Bild-Ordner). Bereits importierte Bilder werden anhand von Quelle und Prüfsumme wiederverwendet.</p>
 							</td>
 						</tr>
 						<tr>
@@ -198,6 +325,47 @@ if ( ! defined( 'ABSPATH' ) ) {
 								</p>
 							</td>
 						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_gallery_field">Galerie-Feld</label></th>
+							<td>
+								<input type="text" id="csv_import_gallery_field" name="csv_import_gallery_field"
+									   value="<?php echo esc_attr( get_option( 'csv_import_gallery_field', '' ) ); ?>"
+									   class="regular-text" placeholder="galerie">
+								<p class="description">ACF-Galeriefeld oder Meta-Feld für weitere Bilder einer Zeile (Spalte "Galerie-Bilder" bzw. mehrere Beitragsbilder). Bei WooCommerce-Produkten leer lassen für die Produktgalerie.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row">Bild-Downloads</th>
+							<td>
+								<label>
+									<input type="checkbox" name="csv_import_image_queue" value="1"
+										<?php checked( get_option( 'csv_import_image_queue' ), 1 ); ?> >
+									Bilder im Hintergrund laden
+								</label>
+								<p class="description">Der Import wartet nicht auf Bild-Downloads. Jeder Post erhält sein Beitragsbild, sobald der Download abgeschlossen ist.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_image_concurrency">Parallele Downloads</label></th>
+							<td>
+								<input type="number" id="csv_import_image_concurrency" name="csv_import_image_concurrency"
+									   value="<?php echo esc_attr( get_option( 'csv_import_image_concurrency', 4 ) ); ?>"
+									   class="small-text" min="1" max="20" step="1">
+								<input type="number" id="csv_import_image_host_rate" name="csv_import_image_host_rate"
+									   value="<?php echo esc_attr( get_option( 'csv_import_image_host_rate', 2 ) ); ?>"
+									   class="small-text" min="1" step="1"> Anfragen pro Host und Sekunde
+								<p class="description">Nur für Hintergrund-Downloads.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_image_retries">Wiederholungen</label></th>
+							<td>
+								<input type="number" id="csv_import_image_retries" name="csv_import_image_retries"
+									   value="<?php echo esc_attr( get_option( 'csv_import_image_retries', 3 ) ); ?>"
+									   class="small-text" min="0" max="10" step="1">
+								<p class="description">Fehlgeschlagene Downloads werden nach 1, 2, 4 … Minuten erneut versucht (höchstens eine Stunde Abstand).</p>
+							</td>
+						</tr>
 					</tbody>
 				</table>
 			</div>
@@ -217,14 +385,18 @@ if ( ! defined( 'ABSPATH' ) ) {
 							<td>
 								<select id="csv_import_seo_plugin" name="csv_import_seo_plugin">
 									<?php
-									$seo_options    = [ 'none' => 'Keins / Manuell', 'aioseo' => 'All in One SEO', 'yoast' => 'Yoast SEO', 'rankmath' => 'Rank Math' ];
+									$seo_options    = array_merge( [ 'none' => 'Keins / Manuell' ], CSV_Import_SEO::PLUGINS );
 									$current_seo_pl = get_option( 'csv_import_seo_plugin', 'none' );
 									foreach ( $seo_options as $val => $label ) {
 										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_seo_pl, $val, false ) . '>' . esc_html( $label ) . '</option>';
 									}
 									?>
 								</select>
-								<p class="description">Wähle dein aktives SEO-Plugin</p>
+								<p class="description">Wähle dein aktives SEO-Plugin. Titel, Beschreibung, Fokus-Keyword, Canonical-URL, Open Graph/Twitter und nofollow werden in dessen Felder geschrieben, der Schema-Typ nur bei Yoast und Rank Math.</p>
+								<?php $seo_warning = CSV_Import_SEO::get_plugin_warning( $current_seo_pl ); ?>
+								<?php if ( $seo_warning !== '' ) : ?>
+									<p class="description" style="color: #d63638;">⚠️ <?php echo esc_html( $seo_warning ); ?></p>
+								<?php endif; ?>
 							</td>
 						</tr>
 						<tr>
@@ -234,6 +406,21 @@ if ( ! defined( 'ABSPATH' ) ) {
 								<p class="description">Eine Spalte pro Zeile</p>
 							</td>
 						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_invalid_row_mode">Ungültige Zeilen</label></th>
+							<td>
+								<select id="csv_import_invalid_row_mode" name="csv_import_invalid_row_mode">
+									<?php
+									$invalid_row_options = [ 'skip' => 'Überspringen und melden', 'abort' => 'Import abbrechen' ];
+									$current_invalid_row = get_option( 'csv_import_invalid_row_mode', 'skip' );
+									foreach ( $invalid_row_options as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_invalid_row, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<p class="description">Zeilen, die eine Validierungsregel verletzen. Beim Abbruch wird die ganze Datei vorab geprüft und nichts importiert.</p>
+							</td>
+						</tr>
 						<tr>
 							<th scope="row">Duplikate</th>
 							<td>
@@ -242,6 +429,86 @@ if ( ! defined( 'ABSPATH' ) ) {
 										<?php checked( get_option( 'csv_import_skip_duplicates' ), 1 ); ?> >
 									Duplikate überspringen (basierend auf Post-Titel)
 								</label>
+								<p class="description">Gilt nur im Modus "Nur erstellen".</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_import_mode">Import-Modus</label></th>
+							<td>
+								<select id="csv_import_import_mode" name="csv_import_import_mode">
+									<?php
+									$mode_options = [ 'create' => 'Nur erstellen', 'update' => 'Nur aktualisieren', 'upsert' => 'Aktualisieren oder erstellen (Upsert)' ];
+									$current_mode = get_option( 'csv_import_import_mode', 'create' );
+									foreach ( $mode_options as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_mode, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<p class="description">Bestehende Posts werden über die Schlüsselspalte wiedererkannt.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_key_column">Schlüsselspalte</label></th>
+							<td>
+								<input type="text" id="csv_import_key_column" name="csv_import_key_column" value="<?php echo esc_attr( get_option( 'csv_import_key_column', '' ) ); ?>" class="regular-text" placeholder="external_id">
+								<select id="csv_import_key_field" name="csv_import_key_field">
+									<?php
+									$key_field_options = [ 'meta' => 'als Meta-Feld', 'post_name' => 'als Slug (post_name)' ];
+									if ( class_exists( 'WooCommerce' ) ) {
+										$key_field_options['sku'] = 'als Artikelnummer (SKU, nur Produkte)';
+									}
+									$current_key_field = get_option( 'csv_import_key_field', 'meta' );
+									foreach ( $key_field_options as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_key_field, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<p class="description">Eindeutige CSV-Spalte, z.B. <code>external_id</code>. Meta-Werte werden wie alle Spalten unter <code>_spaltenname</code> gespeichert. Beim Post-Typ <code>product</code> (WooCommerce) werden Produkte per SKU wiedererkannt und Zeilen mit <code>product:parent_sku</code> als Varianten importiert.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_sync_mode">Entfernte Zeilen</label></th>
+							<td>
+								<select id="csv_import_sync_mode" name="csv_import_sync_mode">
+									<?php
+									$sync_options = [ 'off' => 'Ignorieren', 'report' => 'Nur melden (Probelauf)', 'draft' => 'Auf Entwurf setzen', 'trash' => 'In den Papierkorb' ];
+									$current_sync = get_option( 'csv_import_sync_mode', 'off' );
+									foreach ( $sync_options as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_sync, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<p class="description">Was mit importierten Posts dieser Quelle passiert, deren Zeile in der CSV fehlt. Änderungen werden im Backup erfasst.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_sync_threshold">Sync-Schwelle</label></th>
+							<td>
+								<input type="number" id="csv_import_sync_threshold" name="csv_import_sync_threshold" value="<?php echo esc_attr( get_option( 'csv_import_sync_threshold', 20 ) ); ?>" min="0" max="100" class="small-text"> %
+								<p class="description">Sync wird abgebrochen, wenn mehr als dieser Anteil der Posts entfernt würde.</p>
+							</td>
+						</tr>
+						<tr>
+							<th scope="row"><label for="csv_import_term_separator">Taxonomie-Begriffe</label></th>
+							<td>
+								<label>
+									Trennzeichen
+									<input type="text" id="csv_import_term_separator" name="csv_import_term_separator" value="<?php echo esc_attr( get_option( 'csv_import_term_separator', ',' ) ); ?>" class="small-text">
+								</label>
+								<label>
+									Hierarchie
+									<input type="text" id="csv_import_term_hierarchy_separator" name="csv_import_term_hierarchy_separator" value="<?php echo esc_attr( get_option( 'csv_import_term_hierarchy_separator', '>' ) ); ?>" class="small-text">
+								</label>
+								<select id="csv_import_term_create_mode" name="csv_import_term_create_mode">
+									<?php
+									$term_mode_options = [ 'create' => 'Fehlende Begriffe anlegen', 'existing' => 'Nur bestehende Begriffe' ];
+									$current_term_mode = get_option( 'csv_import_term_create_mode', 'create' );
+									foreach ( $term_mode_options as $val => $label ) {
+										echo '<option value="' . esc_attr( $val ) . '" ' . selected( $current_term_mode, $val, false ) . '>' . esc_html( $label ) . '</option>';
+									}
+									?>
+								</select>
+								<p class="description">Gilt für Spalten, die einer Taxonomie zugeordnet sind, z.B. <code>News, Produkte &gt; Software</code>. Neu angelegte Begriffe werden beim Rollback wieder entfernt.</p>
 							</td>
 						</tr>
 <tr>
@@ -272,8 +539,10 @@ if ( ! defined( 'ABSPATH' ) ) {
 				
 				<div class="action-buttons">
 					<button type="button" class="button button-secondary" onclick="csvImportTestConfig()">⚙️ Konfiguration prüfen</button>
-					<button type="button" class="button button-secondary" onclick="csvImportValidateCSV('dropbox')">📊 Dropbox CSV validieren</button>
-					<button type="button" class="button button-secondary" onclick="csvImportValidateCSV('local')">📁 Lokale CSV validieren</button>
+					<span class="csv-source-buttons" data-source-action="validate"></span>
+					<?php if ( get_option( 'csv_import_sync_mode', 'off' ) !== 'off' ) : ?>
+						<span class="csv-source-buttons" data-source-action="sync"></span>
+					<?php endif; ?>
 				</div>
 				
 				<div id="csv-test-results" class="test-results-container"></div>
@@ -308,6 +577,19 @@ if ( ! defined( 'ABSPATH' ) ) {
 				<!-- Column mapping content will be inserted here by JavaScript -->
 			</div>
 
+			<!-- ROW 5: Validierungsregeln pro Spalte (sichtbar nach einer CSV-Validierung) -->
+			<div id="csv-validation-rules-container" class="csv-import-box settings-box mapping-box" style="display:none;">
+				<h3>
+					<span class="step-number active">8</span>
+					<span class="step-icon">🛡️</span>
+					Validierungsregeln
+				</h3>
+				<span class="status-indicator status-active">🛡️ Regeln pro Spalte</span>
+
+				<p class="description">Regeln gelten für die Spalten der Datei (vor dem Mapping). Leere Werte werden nur bei Pflichtfeldern beanstandet.</p>
+				<div class="csv-rules-content"></div>
+			</div>
+
 		</div>
 
 		<!-- Save Button -->
@@ -9,10 +9,28 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class CSV_Import_Backup_Manager {
     private static $backup_table = 'csv_import_backups';
+    private static $db_version = '3';
 
     public static function init() {
         // Dieser Hook wird jetzt zentral in der Haupt-Plugin-Datei aufgerufen.
         add_action('csv_import_post_created', [__CLASS__, 'backup_post'], 10, 3);
+        add_action('csv_import_post_before_update', [__CLASS__, 'backup_post_before_update'], 10, 3);
+        add_action('csv_import_post_before_sync', [__CLASS__, 'backup_post_before_sync'], 10, 4);
+        add_action('csv_import_term_created', [__CLASS__, 'backup_created_term'], 10, 4);
+
+        self::maybe_upgrade_table();
+    }
+
+    /**
+     * Legt die Tabelle an bzw. ergänzt neue Spalten, sobald sich die Schema-Version ändert.
+     */
+    public static function maybe_upgrade_table() {
+        if (get_option('csv_import_backup_db_version') === self::$db_version) {
+            return;
+        }
+
+        self::create_backup_table();
+        update_option('csv_import_backup_db_version', self::$db_version);
     }
 
     public static function create_backup_table() {
@@ -26,7 +44,9 @@ class CSV_Import_Backup_Manager {
             post_id bigint(20) NOT NULL,
             post_data longtext NOT NULL,
             meta_data longtext,
+            term_data longtext,
             import_source varchar(20) NOT NULL,
+            import_action varchar(20) NOT NULL DEFAULT 'created',
             created_at datetime DEFAULT CURRENT_TIMESTAMP,
             PRIMARY KEY (id),
             KEY import_session (import_session),
@@ -38,6 +58,56 @@ class CSV_Import_Backup_Manager {
     }
 
     public static function backup_post($post_id, $session_id, $source) {
+        return self::insert_backup($post_id, $session_id, $source, 'created');
+    }
+
+    /**
+     * Sichert den Stand eines Posts, bevor ein Import ihn aktualisiert.
+     * Pro Session wird nur der erste Stand gespeichert, damit ein Rollback
+     * immer zur Version vor dem Import zurückkehrt.
+     */
+    public static function backup_post_before_update($post_id, $session_id, $source) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$backup_table;
+
+        $exists = $wpdb->get_var($wpdb->prepare(
+            "SELECT id FROM $table_name WHERE import_session = %s AND post_id = %d LIMIT 1",
+            $session_id,
+            $post_id
+        ));
+        if ($exists) return true;
+
+        return self::insert_backup($post_id, $session_id, $source, 'updated');
+    }
+
+    /**
+     * Sichert einen Post, bevor der Sync-Modus ihn depubliziert ('drafted') oder löscht ('trashed').
+     */
+    public static function backup_post_before_sync($post_id, $session_id, $source, $action) {
+        return self::insert_backup($post_id, $session_id, $source, $action);
+    }
+
+    /**
+     * Merkt sich einen vom Import neu angelegten Taxonomie-Begriff ('term_created').
+     */
+    public static function backup_created_term($term_id, $taxonomy, $session_id, $source) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$backup_table;
+
+        return $wpdb->insert(
+            $table_name,
+            [
+                'import_session' => $session_id,
+                'post_id'        => 0,
+                'post_data'      => maybe_serialize(['term_id' => (int) $term_id, 'taxonomy' => $taxonomy]),
+                'import_source'  => $source,
+                'import_action'  => 'term_created'
+            ],
+            ['%s', '%d', '%s', '%s', '%s']
+        );
+    }
+
+    private static function insert_backup($post_id, $session_id, $source, $action) {
         global $wpdb;
         $post = get_post($post_id);
         if (!$post) return false;
@@ -45,6 +115,15 @@ class CSV_Import_Backup_Manager {
         $meta_data = get_post_meta($post_id);
         $table_name = $wpdb->prefix . self::$backup_table;
 
+        // Aktuelle Begriffs-Zuordnungen je Taxonomie sichern
+        $term_data = [];
+        foreach (get_object_taxonomies($post->post_type) as $taxonomy) {
+            $term_ids = wp_get_object_terms($post_id, $taxonomy, ['fields' => 'ids']);
+            if (!is_wp_error($term_ids)) {
+                $term_data[$taxonomy] = array_map('intval', $term_ids);
+            }
+        }
+
         return $wpdb->insert(
             $table_name,
             [
@@ -52,9 +131,11 @@ class CSV_Import_Backup_Manager {
                 'post_id'        => $post_id,
                 'post_data'      => maybe_serialize($post),
                 'meta_data'      => maybe_serialize($meta_data),
-                'import_source'  => $source
+                'term_data'      => maybe_serialize($term_data),
+                'import_source'  => $source,
+                'import_action'  => $action
             ],
-            ['%s', '%d', '%s', '%s', '%s']
+            ['%s', '%d', '%s', '%s', '%s', '%s', '%s']
         );
     }
 
@@ -68,8 +149,32 @@ class CSV_Import_Backup_Manager {
 
         $restored = 0;
         $errors = [];
+        $created_terms = [];
 
         foreach ($backups as $backup) {
+            $action = $backup->import_action ?? 'created';
+
+            // Neue Begriffe erst entfernen, wenn alle Posts zurückgesetzt sind
+            if ($action === 'term_created') {
+                $created_terms[] = maybe_unserialize($backup->post_data);
+                continue;
+            }
+
+            if ($action === 'trashed' && get_post_status($backup->post_id) === 'trash') {
+                wp_untrash_post($backup->post_id);
+            }
+
+            if (in_array($action, ['updated', 'drafted', 'trashed'], true)) {
+                if (self::restore_post($backup)) {
+                    $restored++;
+                    // z.B. abgeleitete WooCommerce-Daten neu aufbauen
+                    do_action('csv_import_post_restored', (int) $backup->post_id, $action);
+                } else {
+                    $errors[] = "Post {$backup->post_id} konnte nicht wiederhergestellt werden";
+                }
+                continue;
+            }
+
             $result = wp_delete_post($backup->post_id, true);
             if ($result) {
                 $restored++;
@@ -78,6 +183,18 @@ class CSV_Import_Backup_Manager {
             }
         }
 
+        // Vom Import angelegte Begriffe löschen, sofern sie nirgends mehr verwendet werden
+        foreach ($created_terms as $term) {
+            if (!is_array($term) || empty($term['term_id']) || !term_exists((int) $term['term_id'], $term['taxonomy'])) {
+                continue;
+            }
+            $objects = get_objects_in_term((int) $term['term_id'], $term['taxonomy']);
+            $children = get_term_children((int) $term['term_id'], $term['taxonomy']);
+            if (empty($objects) && (is_wp_error($children) || empty($children))) {
+                wp_delete_term((int) $term['term_id'], $term['taxonomy']);
+            }
+        }
+
         $wpdb->delete($table_name, ['import_session' => $session_id], ['%s']);
 
         return [
@@ -87,6 +204,60 @@ class CSV_Import_Backup_Manager {
         ];
     }
 
+    /**
+     * Stellt einen aktualisierten Post inkl. Meta-Daten und Begriffen auf den gesicherten Stand zurück.
+     */
+    private static function restore_post($backup) {
+        $post = maybe_unserialize($backup->post_data);
+        if (!is_object($post) || !get_post($backup->post_id)) {
+            return false;
+        }
+
+        $result = wp_update_post(wp_slash([
+            'ID'           => (int) $backup->post_id,
+            'post_title'   => $post->post_title,
+            'post_content' => $post->post_content,
+            'post_excerpt' => $post->post_excerpt,
+            'post_name'    => $post->post_name,
+            'post_status'  => $post->post_status
+        ]), true);
+
+        if (is_wp_error($result)) {
+            return false;
+        }
+
+        // Begriffs-Zuordnungen zurücksetzen (ältere Backups enthalten keine)
+        $saved_terms = maybe_unserialize($backup->term_data ?? '');
+        if (is_array($saved_terms)) {
+            foreach ($saved_terms as $taxonomy => $term_ids) {
+                if (taxonomy_exists($taxonomy)) {
+                    wp_set_object_terms((int) $backup->post_id, array_map('intval', (array) $term_ids), $taxonomy);
+                }
+            }
+        }
+
+        $saved_meta = maybe_unserialize($backup->meta_data);
+        if (!is_array($saved_meta)) {
+            return true;
+        }
+
+        // Vom Import hinzugefügte Meta-Felder entfernen, gesicherte Werte zurückschreiben
+        foreach (array_keys(get_post_meta($backup->post_id)) as $meta_key) {
+            if (!isset($saved_meta[$meta_key]) && !in_array($meta_key, ['_edit_lock', '_edit_last'], true)) {
+                delete_post_meta($backup->post_id, $meta_key);
+            }
+        }
+
+        foreach ($saved_meta as $meta_key => $values) {
+            delete_post_meta($backup->post_id, $meta_key);
+            foreach ((array) $values as $value) {
+                add_post_meta($backup->post_id, $meta_key, wp_slash(maybe_unserialize($value)));
+            }
+        }
+
+        return true;
+    }
+
     public static function get_import_sessions($limit = 20) {
         global $wpdb;
         $table_name = $wpdb->prefix . self::$backup_table;
@@ -95,7 +266,11 @@ class CSV_Import_Backup_Manager {
             SELECT
                 import_session,
                 import_source,
-                COUNT(*) as post_count,
+                SUM(import_action <> 'term_created') as post_count,
+                SUM(import_action = 'created') as created_count,
+                SUM(import_action = 'updated') as updated_count,
+                SUM(import_action IN ('drafted', 'trashed')) as removed_count,
+                SUM(import_action = 'term_created') as term_count,
                 MIN(created_at) as import_date
             FROM $table_name
             GROUP BY import_session
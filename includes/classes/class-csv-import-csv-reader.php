@@ -0,0 +1,382 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// STREAMING CSV READER (RFC 4180)
+// ===================================================================
+
+/**
+ * Liest CSV-Dateien zeilenweise über ein File-Handle, statt sie komplett in den Speicher zu laden.
+ *
+ * - Felder in Anführungszeichen dürfen Trennzeichen, "" und Zeilenumbrüche enthalten
+ * - UTF-8-BOM am Dateianfang wird entfernt
+ * - Jede Zeile wird mit ihrer tatsächlichen Zeilennummer in der Datei geliefert
+ */
+class CSV_Import_CSV_Reader {
+
+    const UTF8_BOM = "\xEF\xBB\xBF";
+
+    private $handle;
+    private $delimiter;
+    private $enclosure = '"';
+    private $headers = null;
+    private $line = 0;
+    private $data_offset = 0;
+    private $data_line = 0;
+    private $temp_file = '';
+    private $line_offset = 0;
+
+    public static function from_file($path, $delimiter = 'auto') {
+        if (!is_file($path) || !is_readable($path)) {
+            throw new Exception('CSV-Datei nicht gefunden oder nicht lesbar: ' . basename($path));
+        }
+
+        $handle = fopen($path, 'rb');
+        if (!$handle) {
+            throw new Exception('CSV-Datei konnte nicht geöffnet werden: ' . basename($path));
+        }
+
+        return new self($handle, $delimiter);
+    }
+
+    public static function from_string($content, $delimiter = 'auto') {
+        $handle = fopen('php://temp', 'w+b');
+        fwrite($handle, (string) $content);
+        rewind($handle);
+
+        return new self($handle, $delimiter);
+    }
+
+    /**
+     * @param resource $handle    Lesbares File-Handle, steht am Dateianfang
+     * @param string   $delimiter Trennzeichen, '\t' für Tabulator oder 'auto'
+     */
+    public function __construct($handle, $delimiter = 'auto') {
+        $this->handle = $handle;
+        $this->delimiter = ($delimiter === '' || $delimiter === 'auto') ? 'auto' : str_replace('\t', "\t", $delimiter);
+    }
+
+    public function __destruct() {
+        $this->close();
+    }
+
+    /**
+     * Temporäre Datei (z.B. ein Download), die beim Schließen gelöscht wird.
+     */
+    public function set_temp_file($path) {
+        $this->temp_file = $path;
+    }
+
+    /**
+     * Verschiebt die gemeldeten Zeilennummern, z.B. wenn eine umgewandelte Tabelle
+     * erst ab einer späteren Header-Zeile beginnt.
+     */
+    public function set_line_offset($offset) {
+        $this->line_offset = (int) $offset;
+    }
+
+    public function get_line_offset() {
+        return $this->line_offset;
+    }
+
+    /**
+     * Kopiert die komplette Datei nach $path, ohne die Leseposition zu verändern.
+     */
+    public function copy_to($path) {
+        $position = ftell($this->handle);
+        rewind($this->handle);
+
+        $target = fopen($path, 'wb');
+        $copied = $target ? stream_copy_to_stream($this->handle, $target) : false;
+        if ($target) {
+            fclose($target);
+        }
+        fseek($this->handle, $position);
+
+        if ($copied === false) {
+            throw new Exception('CSV-Datei konnte nicht zwischengespeichert werden: ' . basename($path));
+        }
+    }
+
+    public function close() {
+        if (is_resource($this->handle)) {
+            fclose($this->handle);
+        }
+        $this->handle = null;
+
+        if ($this->temp_file && file_exists($this->temp_file)) {
+            @unlink($this->temp_file);
+        }
+        $this->temp_file = '';
+    }
+
+    /**
+     * Liest die Header-Zeile (einmalig) und erkennt bei Bedarf das Trennzeichen.
+     */
+    public function get_headers() {
+        if ($this->headers !== null) {
+            return $this->headers;
+        }
+
+        rewind($this->handle);
+        $this->line = 0;
+
+        do {
+            $record = $this->read_record();
+        } while ($record !== null && trim($record) === '');
+
+        if ($record === null) {
+            throw new Exception('CSV-Inhalt ist leer');
+        }
+
+        if ($this->delimiter === 'auto') {
+            $this->delimiter = csv_import_detect_csv_delimiter($record);
+        }
+
+        $headers = array_map('trim', $this->parse_record($record));
+        if (empty(array_filter($headers, 'strlen'))) {
+            throw new Exception('Keine gültigen Header gefunden');
+        }
+
+        $this->headers = $headers;
+        $this->data_offset = ftell($this->handle);
+        $this->data_line = $this->line;
+
+        return $this->headers;
+    }
+
+    public function get_delimiter() {
+        $this->get_headers();
+        return $this->delimiter;
+    }
+
+    /**
+     * Liefert die Datenzeilen als Spalte => Wert, Schlüssel ist die Zeilennummer in der Datei.
+     * Leere Zeilen werden übersprungen. Liest ab der aktuellen Position weiter.
+     *
+     * @return Generator
+     */
+    public function rows() {
+        $headers = $this->get_headers();
+
+        foreach ($this->records() as $line => $values) {
+            $row = [];
+            foreach ($headers as $index => $column) {
+                $row[$column] = $values[$index] ?? '';
+            }
+            yield $line => $row;
+        }
+    }
+
+    /**
+     * Liefert die Datenzeilen als Liste von Werten, Schlüssel ist die Zeilennummer in der Datei.
+     *
+     * @param bool $skip_empty Leere Zeilen überspringen (sonst als leeres Array)
+     * @return Generator
+     */
+    public function records($skip_empty = true) {
+        $this->get_headers();
+
+        while (true) {
+            $start_line = $this->line + 1 + $this->line_offset;
+            $record = $this->read_record();
+            if ($record === null) {
+                return;
+            }
+
+            if (trim($record) === '') {
+                if (!$skip_empty) {
+                    yield $start_line => [];
+                }
+                continue;
+            }
+
+            yield $start_line => $this->parse_record($record);
+        }
+    }
+
+    /**
+     * Überspringt die nächsten $count (nicht leeren) Datenzeilen.
+     */
+    public function skip($count) {
+        if ($count <= 0) {
+            return;
+        }
+
+        $skipped = 0;
+        foreach ($this->records() as $values) {
+            if (++$skipped >= $count) {
+                break;
+            }
+        }
+    }
+
+    /**
+     * Zählt die (nicht leeren) Datenzeilen, ohne die aktuelle Leseposition zu verändern.
+     */
+    public function count_rows() {
+        $this->get_headers();
+        $position = $this->tell();
+
+        $this->rewind();
+        $count = 0;
+        foreach ($this->records() as $values) {
+            $count++;
+        }
+
+        $this->seek($position['offset'], $position['line']);
+
+        return $count;
+    }
+
+    /**
+     * Springt zurück an den Anfang der Datenzeilen.
+     */
+    public function rewind() {
+        $this->get_headers();
+        $this->seek($this->data_offset, $this->data_line);
+    }
+
+    /**
+     * Aktuelle Leseposition, z.B. um einen Import später an dieser Stelle fortzusetzen.
+     */
+    public function tell() {
+        return [
+            'offset' => (int) ftell($this->handle),
+            'line'   => $this->line
+        ];
+    }
+
+    /**
+     * Setzt die Leseposition auf einen zuvor mit tell() ermittelten Stand.
+     */
+    public function seek($offset, $line) {
+        $this->get_headers();
+
+        if (fseek($this->handle, (int) $offset) !== 0) {
+            throw new Exception('CSV-Position ' . (int) $offset . ' konnte nicht angesprungen werden');
+        }
+        $this->line = (int) $line;
+    }
+
+    /**
+     * Größe der Datei in Bytes.
+     */
+    public function get_size() {
+        $stat = fstat($this->handle);
+        return (int) ($stat['size'] ?? 0);
+    }
+
+    /**
+     * Anzahl der bisher gelesenen physischen Zeilen.
+     */
+    public function get_line() {
+        return $this->line;
+    }
+
+    /**
+     * Liest einen vollständigen Datensatz. Solange ein umschlossenes Feld offen ist,
+     * gehört die nächste physische Zeile noch zum selben Feld.
+     *
+     * @return string|null
+     */
+    private function read_record() {
+        $at_start = ftell($this->handle) === 0;
+        $buffer = fgets($this->handle);
+        if ($buffer === false) {
+            return null;
+        }
+        $this->line++;
+
+        if ($at_start && strncmp($buffer, self::UTF8_BOM, 3) === 0) {
+            $buffer = substr($buffer, 3);
+        }
+
+        while ($this->scan_record($buffer)['open']) {
+            $next = fgets($this->handle);
+            if ($next === false) {
+                break; // Nicht geschlossenes Anführungszeichen am Dateiende
+            }
+            $this->line++;
+            $buffer .= $next;
+        }
+
+        return str_replace("\r\n", "\n", rtrim($buffer, "\r\n"));
+    }
+
+    /**
+     * Zerlegt einen Datensatz in Felder. Werte ohne Anführungszeichen werden getrimmt,
+     * umschlossene Werte bleiben unverändert.
+     */
+    private function parse_record($record) {
+        $scan = $this->scan_record($record);
+
+        foreach ($scan['fields'] as $index => $value) {
+            if (!$scan['quoted'][$index]) {
+                $scan['fields'][$index] = trim($value);
+            }
+        }
+
+        return $scan['fields'];
+    }
+
+    /**
+     * Zerlegt einen Datensatz nach RFC 4180. Ein Anführungszeichen öffnet ein umschlossenes Feld
+     * nur am Feldanfang (Leerzeichen davor werden ignoriert), sonst gehört es zum Wert, z.B. 27" Monitor.
+     *
+     * @return array ['fields' => string[], 'quoted' => bool[], 'open' => bool] - open: letztes Feld nicht geschlossen
+     */
+    private function scan_record($record) {
+        // Vor der Erkennung des Trennzeichens (Header-Zeile) beendet jeder Kandidat ein Feld
+        $delimiters = $this->delimiter === 'auto' ? ",;\t|" : $this->delimiter;
+        $length = strlen($record);
+        $fields = [];
+        $quoted = [];
+        $position = 0;
+
+        do {
+            $start = $position;
+            while ($start < $length && ($record[$start] === ' ' || $record[$start] === "\t") && strpos($delimiters, $record[$start]) === false) {
+                $start++;
+            }
+
+            $value = '';
+            $is_quoted = $start < $length && $record[$start] === $this->enclosure;
+
+            if ($is_quoted) {
+                $position = $start + 1;
+                while (true) {
+                    $end = strpos($record, $this->enclosure, $position);
+                    if ($end === false) {
+                        $fields[] = $value . substr($record, $position);
+                        $quoted[] = true;
+                        return ['fields' => $fields, 'quoted' => $quoted, 'open' => true];
+                    }
+
+                    $value .= substr($record, $position, $end - $position);
+                    $position = $end + 1;
+
+                    // "" steht für ein Anführungszeichen im Wert
+                    if ($position < $length && $record[$position] === $this->enclosure) {
+                        $value .= $this->enclosure;
+                        $position++;
+                        continue;
+                    }
+                    break;
+                }
+            }
+
+            // Bis zum nächsten Trennzeichen, nach einem schließenden Anführungszeichen wie bei str_getcsv() angehängt
+            $next = $position + strcspn($record, $delimiters, $position);
+            $value .= substr($record, $position, $next - $position);
+
+            $fields[] = $value;
+            $quoted[] = $is_quoted;
+            $position = $next + 1;
+        } while ($next < $length);
+
+        return ['fields' => $fields, 'quoted' => $quoted, 'open' => false];
+    }
+}
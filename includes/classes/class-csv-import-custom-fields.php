@@ -0,0 +1,688 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// FELD-PLUGINS: ACF, META BOX, JETENGINE
+// ===================================================================
+
+/**
+ * Stellt Felder aus ACF, Meta Box und JetEngine als Mapping-Ziele bereit
+ * (acf:FELDSCHLÜSSEL, metabox:FELD_ID, jetengine:FELDNAME) und schreibt Werte
+ * typgerecht über die API des jeweiligen Plugins.
+ *
+ * Werteformate in der CSV:
+ * - Ja/Nein:        1, ja, yes, true, x bzw. 0, nein, no, false
+ * - Mehrfachauswahl, Galerie, Beziehungen: Liste mit dem Listen-Trennzeichen (Standard ",")
+ * - Bilder/Dateien: Attachment-ID, URL oder Dateiname aus der Mediathek
+ * - Beziehungen:    Post-ID, Slug oder Titel
+ * - Repeater:       JSON, z.B. [{"name":"A","preis":"10"},{"name":"B","preis":"12"}]
+ */
+class CSV_Import_Custom_Fields {
+
+    const PROVIDERS = [
+        'acf' => 'ACF',
+        'metabox' => 'Meta Box',
+        'jetengine' => 'JetEngine'
+    ];
+
+    // Felder pro Plugin und Post-Typ
+    private static $field_cache = [];
+
+    public static function init() {
+        add_filter('csv_import_mapping_targets', [__CLASS__, 'add_mapping_targets'], 10, 2);
+    }
+
+    public static function is_available($provider) {
+        switch ($provider) {
+            case 'acf':
+                return function_exists('acf_get_field_groups') && function_exists('update_field');
+            case 'metabox':
+                return function_exists('rwmb_get_object_fields') && function_exists('rwmb_set_meta');
+            case 'jetengine':
+                return function_exists('jet_engine') && isset(jet_engine()->meta_boxes)
+                    && method_exists(jet_engine()->meta_boxes, 'get_meta_fields_for_object');
+        }
+        return false;
+    }
+
+    /**
+     * Ergänzt die Mapping-Ziele um eine Gruppe pro aktivem Feld-Plugin.
+     * Die Meta-Schlüssel dieser Felder verschwinden aus der allgemeinen Meta-Gruppe.
+     */
+    public static function add_mapping_targets($groups, $post_type) {
+        $field_meta_keys = [];
+
+        foreach (self::PROVIDERS as $provider => $label) {
+            $targets = [];
+            foreach (self::get_fields($provider, $post_type) as $field) {
+                $targets[] = [
+                    'value' => $provider . ':' . $field['id'],
+                    'label' => $field['label'] . ' (' . $field['raw_type'] . ')',
+                    'aliases' => array_values(array_unique([$field['name'], sanitize_key($field['label'])]))
+                ];
+                // ACF legt zusätzlich _feldname mit dem Feldschlüssel an
+                $field_meta_keys[] = $field['name'];
+                $field_meta_keys[] = '_' . $field['name'];
+            }
+
+            if ($targets) {
+                $groups[$provider] = ['label' => $label . '-Felder', 'targets' => $targets];
+            }
+        }
+
+        if ($field_meta_keys && !empty($groups['meta']['targets'])) {
+            $groups['meta']['targets'] = array_values(array_filter($groups['meta']['targets'], function($target) use ($field_meta_keys) {
+                return !in_array(substr($target['value'], 5), $field_meta_keys, true);
+            }));
+            if (!$groups['meta']['targets']) {
+                unset($groups['meta']);
+            }
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Ist $key ein Mapping-Ziel dieser Klasse (acf:, metabox:, jetengine:)?
+     */
+    public static function is_field_target($key) {
+        return (bool) preg_match('/^(' . implode('|', array_keys(self::PROVIDERS)) . '):./', (string) $key);
+    }
+
+    /**
+     * Felder eines Plugins für einen Post-Typ in einheitlicher Form:
+     * id, name, label, raw_type, type (text, number, bool, date, choice, media, gallery, post, repeater, group),
+     * provider, choices, multiple, post_types, date_format, sub_fields, value_format
+     */
+    public static function get_fields($provider, $post_type) {
+        $cache_key = $provider . ':' . $post_type;
+        if (isset(self::$field_cache[$cache_key])) {
+            return self::$field_cache[$cache_key];
+        }
+
+        $fields = [];
+        if (self::is_available($provider)) {
+            switch ($provider) {
+                case 'acf':
+                    foreach (acf_get_field_groups(['post_type' => $post_type]) as $group) {
+                        foreach ((array) acf_get_fields($group['key']) as $field) {
+                            $fields[] = self::normalize_acf_field($field);
+                        }
+                    }
+                    break;
+
+                case 'metabox':
+                    foreach ((array) rwmb_get_object_fields($post_type) as $field) {
+                        $fields[] = self::normalize_metabox_field($field);
+                    }
+                    break;
+
+                case 'jetengine':
+                    foreach ((array) jet_engine()->meta_boxes->get_meta_fields_for_object($post_type) as $field) {
+                        if (($field['object_type'] ?? 'field') === 'field' && !empty($field['name'])) {
+                            $fields[] = self::normalize_jetengine_field($field);
+                        }
+                    }
+                    break;
+            }
+        }
+
+        return self::$field_cache[$cache_key] = $fields;
+    }
+
+    public static function find_field($provider, $id, $post_type) {
+        foreach (self::get_fields($provider, $post_type) as $field) {
+            if ($field['id'] === $id) {
+                return $field;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Wandelt alle Feld-Ziele einer Zeile typgerecht um, ohne etwas zu schreiben.
+     * Leere Werte werden übersprungen.
+     *
+     * @param array $options list_separator: Trennzeichen für Listen
+     * @return array Liste von ['field' => ..., 'value' => ...] für save_fields()
+     * @throws Exception bei unbekannten Feldern oder Werten, die nicht zum Feldtyp passen
+     */
+    public static function prepare_fields(array $data, $post_type, array $options = []) {
+        $prepared = [];
+
+        foreach ($data as $key => $value) {
+            if (!self::is_field_target($key) || trim((string) $value) === '') {
+                continue;
+            }
+
+            list($provider, $id) = explode(':', (string) $key, 2);
+            if (!self::is_available($provider)) {
+                throw new Exception(self::PROVIDERS[$provider] . " ist nicht aktiv - Feld '{$id}' kann nicht befüllt werden");
+            }
+
+            $field = self::find_field($provider, $id, $post_type);
+            if (!$field) {
+                throw new Exception(self::PROVIDERS[$provider] . "-Feld '{$id}' ist für den Post-Typ {$post_type} nicht registriert");
+            }
+
+            try {
+                $prepared[] = ['field' => $field, 'value' => self::convert_value($field, (string) $value, $options)];
+            } catch (Exception $e) {
+                throw new Exception("Feld '{$field['label']}': " . $e->getMessage());
+            }
+        }
+
+        return $prepared;
+    }
+
+    /**
+     * Schreibt mit prepare_fields() vorbereitete Werte. Bilder und Dateien werden erst hier
+     * aufgelöst bzw. heruntergeladen; Fehler dabei werden protokolliert, ohne den Import abzubrechen.
+     */
+    public static function save_fields($post_id, array $prepared) {
+        foreach ($prepared as $item) {
+            $field = $item['field'];
+            $value = self::format_value($field, self::resolve_media($item['value'], $post_id));
+
+            switch ($field['provider']) {
+                case 'acf':
+                    update_field($field['id'], $value, $post_id);
+                    break;
+                case 'metabox':
+                    rwmb_set_meta($post_id, $field['id'], $value);
+                    break;
+                case 'jetengine':
+                    // JetEngine liest seine Felder direkt aus den Post-Metadaten
+                    update_post_meta($post_id, $field['name'], wp_slash($value));
+                    break;
+            }
+        }
+    }
+
+    // ===================================================================
+    // FELDDEFINITIONEN VEREINHEITLICHEN
+    // ===================================================================
+
+    private static function make_field($provider, array $values) {
+        return array_merge([
+            'provider' => $provider,
+            'id' => '',
+            'name' => '',
+            'label' => '',
+            'raw_type' => '',
+            'type' => 'text',
+            'choices' => [],
+            'multiple' => false,
+            'post_types' => [],
+            'date_format' => '',
+            'sub_fields' => [],
+            'value_format' => 'id'
+        ], $values);
+    }
+
+    private static function normalize_acf_field(array $field) {
+        $type = $field['type'] ?? 'text';
+        $values = [
+            'id' => $field['key'],
+            'name' => $field['name'],
+            'label' => $field['label'] ?: $field['name'],
+            'raw_type' => $type
+        ];
+
+        switch ($type) {
+            case 'number':
+            case 'range':
+                $values['type'] = 'number';
+                break;
+            case 'true_false':
+                $values['type'] = 'bool';
+                break;
+            case 'date_picker':
+                $values += ['type' => 'date', 'date_format' => 'Ymd'];
+                break;
+            case 'date_time_picker':
+                $values += ['type' => 'date', 'date_format' => 'Y-m-d H:i:s'];
+                break;
+            case 'time_picker':
+                $values += ['type' => 'date', 'date_format' => 'H:i:s'];
+                break;
+            case 'select':
+            case 'checkbox':
+            case 'radio':
+            case 'button_group':
+                $values += [
+                    'type' => 'choice',
+                    'choices' => (array) ($field['choices'] ?? []),
+                    'multiple' => $type === 'checkbox' || !empty($field['multiple'])
+                ];
+                break;
+            case 'image':
+            case 'file':
+                $values['type'] = 'media';
+                break;
+            case 'gallery':
+                $values['type'] = 'gallery';
+                break;
+            case 'relationship':
+            case 'post_object':
+            case 'page_link':
+                $values += [
+                    'type' => 'post',
+                    'multiple' => $type === 'relationship' || !empty($field['multiple']),
+                    'post_types' => array_filter((array) ($field['post_type'] ?? []))
+                ];
+                break;
+            case 'repeater':
+            case 'group':
+                $values += [
+                    'type' => $type,
+                    'sub_fields' => array_map([__CLASS__, 'normalize_acf_field'], (array) ($field['sub_fields'] ?? []))
+                ];
+                break;
+        }
+
+        return self::make_field('acf', $values);
+    }
+
+    private static function normalize_metabox_field(array $field) {
+        $type = $field['type'] ?? 'text';
+        $values = [
+            'id' => $field['id'],
+            'name' => $field['id'],
+            'label' => ($field['name'] ?? '') ?: $field['id'],
+            'raw_type' => $type
+        ];
+
+        switch ($type) {
+            case 'number':
+            case 'range':
+            case 'slider':
+                $values['type'] = 'number';
+                break;
+            case 'checkbox':
+            case 'switch':
+                $values['type'] = 'bool';
+                break;
+            case 'date':
+            case 'datetime':
+            case 'time':
+                $default_formats = ['date' => 'Y-m-d', 'datetime' => 'Y-m-d H:i', 'time' => 'H:i'];
+                $values += [
+                    'type' => 'date',
+                    'date_format' => !empty($field['timestamp']) ? 'timestamp' : (($field['save_format'] ?? '') ?: $default_formats[$type])
+                ];
+                break;
+            case 'select':
+            case 'select_advanced':
+            case 'radio':
+            case 'checkbox_list':
+            case 'button_group':
+            case 'autocomplete':
+                $values += [
+                    'type' => 'choice',
+                    'choices' => (array) ($field['options'] ?? []),
+                    'multiple' => in_array($type, ['checkbox_list', 'autocomplete'], true) || !empty($field['multiple'])
+                ];
+                break;
+            case 'single_image':
+                $values['type'] = 'media';
+                break;
+            case 'image':
+            case 'image_advanced':
+            case 'image_upload':
+            case 'file':
+            case 'file_advanced':
+            case 'file_upload':
+            case 'video':
+                $values['type'] = !empty($field['max_file_uploads']) && (int) $field['max_file_uploads'] === 1 ? 'media' : 'gallery';
+                break;
+            case 'post':
+                $values += [
+                    'type' => 'post',
+                    'multiple' => !empty($field['multiple']),
+                    'post_types' => array_filter((array) ($field['post_type'] ?? []))
+                ];
+                break;
+            case 'group':
+                $values += [
+                    'type' => !empty($field['clone']) ? 'repeater' : 'group',
+                    'sub_fields' => array_map([__CLASS__, 'normalize_metabox_field'], (array) ($field['fields'] ?? []))
+                ];
+                break;
+        }
+
+        return self::make_field('metabox', $values);
+    }
+
+    private static function normalize_jetengine_field(array $field) {
+        $type = $field['type'] ?? 'text';
+        $values = [
+            'id' => $field['name'],
+            'name' => $field['name'],
+            'label' => ($field['title'] ?? '') ?: $field['name'],
+            'raw_type' => $type,
+            'value_format' => $field['value_format'] ?? 'id'
+        ];
+
+        switch ($type) {
+            case 'number':
+                $values['type'] = 'number';
+                break;
+            case 'switcher':
+                $values['type'] = 'bool';
+                break;
+            case 'date':
+            case 'datetime-local':
+            case 'time':
+                $default_formats = ['date' => 'Y-m-d', 'datetime-local' => 'Y-m-d\TH:i', 'time' => 'H:i'];
+                $values += [
+                    'type' => 'date',
+                    'date_format' => !empty($field['is_timestamp']) && $type !== 'time' ? 'timestamp' : $default_formats[$type]
+                ];
+                break;
+            case 'select':
+            case 'radio':
+            case 'checkbox':
+                $choices = [];
+                foreach ((array) ($field['options'] ?? []) as $option) {
+                    $choices[$option['key']] = $option['value'] ?? $option['key'];
+                }
+                $values += [
+                    'type' => 'choice',
+                    'choices' => $choices,
+                    'multiple' => $type === 'checkbox' || !empty($field['is_multiple'])
+                ];
+                break;
+            case 'media':
+                $values['type'] = 'media';
+                break;
+            case 'gallery':
+                $values['type'] = 'gallery';
+                break;
+            case 'posts':
+                $values += [
+                    'type' => 'post',
+                    'multiple' => !empty($field['is_multiple']),
+                    'post_types' => array_filter((array) ($field['search_post_type'] ?? []))
+                ];
+                break;
+            case 'repeater':
+                $values += [
+                    'type' => 'repeater',
+                    'sub_fields' => array_map([__CLASS__, 'normalize_jetengine_field'], (array) ($field['repeater-fields'] ?? []))
+                ];
+                break;
+        }
+
+        return self::make_field('jetengine', $values);
+    }
+
+    // ===================================================================
+    // WERTE UMWANDELN
+    // ===================================================================
+
+    /**
+     * Wandelt einen CSV-Wert in den Wert für den Feldtyp um. Bilder/Dateien bleiben
+     * als Platzhalter-Objekt (media_refs) stehen, bis save_fields() sie auflöst.
+     */
+    private static function convert_value(array $field, $value, array $options) {
+        $value = trim($value);
+
+        switch ($field['type']) {
+            case 'number':
+                $number = str_replace([' ', "\xC2\xA0"], '', $value);
+                if (strpos($number, ',') !== false && strpos($number, '.') === false) {
+                    $number = str_replace(',', '.', $number);
+                }
+                if (!is_numeric($number)) {
+                    throw new Exception("'{$value}' ist keine Zahl");
+                }
+                return $number;
+
+            case 'bool':
+                $normalized = mb_strtolower($value);
+                if (in_array($normalized, ['1', 'ja', 'yes', 'true', 'wahr', 'x', 'on'], true)) {
+                    return true;
+                }
+                if (in_array($normalized, ['0', 'nein', 'no', 'false', 'falsch', 'off', '-'], true)) {
+                    return false;
+                }
+                throw new Exception("'{$value}' ist kein Ja/Nein-Wert");
+
+            case 'date':
+                $timestamp = strtotime($value);
+                if ($timestamp === false) {
+                    throw new Exception("Datum '{$value}' konnte nicht gelesen werden");
+                }
+                return $field['date_format'] === 'timestamp' ? $timestamp : gmdate($field['date_format'], $timestamp);
+
+            case 'choice':
+                $selected = [];
+                foreach ($field['multiple'] ? self::split_list($value, $options) : [$value] as $item) {
+                    $selected[] = self::match_choice($field, $item);
+                }
+                return $field['multiple'] ? $selected : $selected[0];
+
+            case 'media':
+            case 'gallery':
+                $refs = $field['type'] === 'media' ? [$value] : self::split_list($value, $options);
+                foreach ($refs as $ref) {
+                    if (ctype_digit($ref) && get_post_type((int) $ref) !== 'attachment') {
+                        throw new Exception("Attachment {$ref} existiert nicht");
+                    }
+                }
+                return (object) ['media_refs' => $refs, 'multiple' => $field['type'] === 'gallery'];
+
+            case 'post':
+                $ids = [];
+                foreach ($field['multiple'] ? self::split_list($value, $options) : [$value] as $item) {
+                    $ids[] = self::find_post($item, $field['post_types']);
+                }
+                return $field['multiple'] ? $ids : $ids[0];
+
+            case 'repeater':
+            case 'group':
+                $rows = json_decode($value, true);
+                if (!is_array($rows)) {
+                    throw new Exception('Wert muss JSON sein, z.B. [{"unterfeld":"Wert"}]');
+                }
+                // Ein einzelnes Objekt ist eine Zeile
+                if ($rows && array_keys($rows) !== range(0, count($rows) - 1)) {
+                    $rows = [$rows];
+                }
+
+                $converted = [];
+                foreach ($rows as $row) {
+                    $converted[] = self::convert_row($field, (array) $row, $options);
+                }
+                return $field['type'] === 'group' ? ($converted[0] ?? []) : $converted;
+        }
+
+        return $value;
+    }
+
+    private static function convert_row(array $field, array $row, array $options) {
+        $converted = [];
+        foreach ($field['sub_fields'] as $sub_field) {
+            if (!isset($row[$sub_field['name']])) {
+                continue;
+            }
+            $sub_value = $row[$sub_field['name']];
+            // Verschachtelte Repeater dürfen direkt als Array angegeben werden
+            $sub_value = is_array($sub_value) ? wp_json_encode($sub_value) : (string) $sub_value;
+            if (trim($sub_value) === '') {
+                continue;
+            }
+            $converted[$sub_field['name']] = self::convert_value($sub_field, $sub_value, $options);
+        }
+        return $converted;
+    }
+
+    private static function split_list($value, array $options) {
+        $separator = ($options['list_separator'] ?? '') ?: ',';
+        return array_values(array_filter(array_map('trim', explode($separator, $value)), 'strlen'));
+    }
+
+    /**
+     * Auswahlwert über Schlüssel oder Beschriftung (ohne Groß-/Kleinschreibung) finden.
+     */
+    private static function match_choice(array $field, $item) {
+        if (!$field['choices'] || array_key_exists($item, $field['choices'])) {
+            return $item;
+        }
+        foreach ($field['choices'] as $key => $label) {
+            if (mb_strtolower((string) $label) === mb_strtolower($item) || mb_strtolower((string) $key) === mb_strtolower($item)) {
+                return (string) $key;
+            }
+        }
+        throw new Exception("'{$item}' ist keine erlaubte Auswahl (" . implode(', ', array_keys($field['choices'])) . ')');
+    }
+
+    /**
+     * Post über ID, Slug oder Titel finden.
+     */
+    private static function find_post($reference, array $post_types) {
+        $post_type = $post_types ?: 'any';
+
+        if (ctype_digit($reference)) {
+            $post = get_post((int) $reference);
+            if ($post && ($post_type === 'any' || in_array($post->post_type, $post_types, true))) {
+                return (int) $post->ID;
+            }
+        }
+
+        $by_slug = get_posts([
+            'name' => sanitize_title($reference),
+            'post_type' => $post_type,
+            'post_status' => 'any',
+            'numberposts' => 1,
+            'fields' => 'ids'
+        ]);
+        if ($by_slug) {
+            return (int) $by_slug[0];
+        }
+
+        $by_title = get_posts([
+            'title' => $reference,
+            'post_type' => $post_type,
+            'post_status' => 'any',
+            'numberposts' => 1,
+            'fields' => 'ids'
+        ]);
+        if ($by_title) {
+            return (int) $by_title[0];
+        }
+
+        throw new Exception("Beitrag '{$reference}' nicht gefunden (ID, Slug oder Titel)");
+    }
+
+    // ===================================================================
+    // SCHREIBEN
+    // ===================================================================
+
+    /**
+     * Ersetzt media_refs-Platzhalter (auch in Repeatern) durch Attachment-IDs.
+     */
+    private static function resolve_media($value, $post_id) {
+        if ($value instanceof stdClass && isset($value->media_refs)) {
+            $ids = [];
+            foreach ($value->media_refs as $ref) {
+                try {
+                    $ids[] = self::resolve_attachment($ref, $post_id);
+                } catch (Exception $e) {
+                    csv_import_log('warning', "Datei '{$ref}' für Post {$post_id} nicht übernommen: " . $e->getMessage());
+                }
+            }
+            return $value->multiple ? $ids : ($ids[0] ?? null);
+        }
+
+        if (is_array($value)) {
+            foreach ($value as $key => $item) {
+                $value[$key] = self::resolve_media($item, $post_id);
+            }
+        }
+
+        return $value;
+    }
+
+    /**
+     * Attachment-ID zu einer ID, URL oder einem Dateinamen. Unbekannte URLs werden heruntergeladen.
+     *
+     * @throws Exception wenn die Datei weder gefunden noch heruntergeladen werden kann
+     */
+    public static function resolve_attachment($reference, $post_id) {
+        return CSV_Import_Media::resolve($reference, $post_id);
+    }
+
+    /**
+     * Bringt umgewandelte Werte in das Speicherformat des Plugins.
+     */
+    private static function format_value(array $field, $value) {
+        $jet = $field['provider'] === 'jetengine';
+
+        switch ($field['type']) {
+            case 'bool':
+                return $jet ? ($value ? 'true' : 'false') : ($value ? 1 : 0);
+
+            case 'choice':
+                if ($jet && $field['raw_type'] === 'checkbox') {
+                    // JetEngine speichert Checkboxen als Option => 'true'/'false'
+                    $map = [];
+                    foreach (array_keys($field['choices']) as $key) {
+                        $map[$key] = in_array((string) $key, (array) $value, true) ? 'true' : 'false';
+                    }
+                    return $map;
+                }
+                return $value;
+
+            case 'media':
+                return $jet && $value ? self::format_jetengine_media((int) $value, $field['value_format']) : $value;
+
+            case 'gallery':
+                if (!$jet) {
+                    return $value;
+                }
+                $items = array_map(function($id) use ($field) {
+                    return self::format_jetengine_media((int) $id, $field['value_format']);
+                }, (array) $value);
+                return $field['value_format'] === 'both' ? $items : implode(',', $items);
+
+            case 'repeater':
+                $rows = [];
+                foreach ((array) $value as $index => $row) {
+                    $formatted = [];
+                    foreach ($field['sub_fields'] as $sub_field) {
+                        if (array_key_exists($sub_field['name'], $row)) {
+                            $formatted[$sub_field['name']] = self::format_value($sub_field, $row[$sub_field['name']]);
+                        }
+                    }
+                    // JetEngine erwartet item-0, item-1, ...
+                    $rows[$jet ? 'item-' . $index : $index] = $formatted;
+                }
+                return $rows;
+
+            case 'group':
+                $formatted = [];
+                foreach ($field['sub_fields'] as $sub_field) {
+                    if (array_key_exists($sub_field['name'], (array) $value)) {
+                        $formatted[$sub_field['name']] = self::format_value($sub_field, $value[$sub_field['name']]);
+                    }
+                }
+                return $formatted;
+        }
+
+        return $value;
+    }
+
+    private static function format_jetengine_media($attachment_id, $value_format) {
+        if ($value_format === 'url') {
+            return wp_get_attachment_url($attachment_id);
+        }
+        if ($value_format === 'both') {
+            return ['id' => $attachment_id, 'url' => wp_get_attachment_url($attachment_id)];
+        }
+        return $attachment_id;
+    }
+}
@@ -0,0 +1,190 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// FEHLGESCHLAGENE ZEILEN (FEHLERBERICHT)
+// ===================================================================
+
+/**
+ * Speichert fehlgeschlagene und übersprungene Zeilen eines Imports mit ihren Originaldaten
+ * und dem Grund. Der Bericht lässt sich als CSV herunterladen (Originalspalten + Fehlerspalte),
+ * korrigieren und erneut importieren.
+ */
+class CSV_Import_Failed_Rows {
+    private static $table = 'csv_import_failed_rows';
+    private static $db_version = '1';
+
+    // Zusätzliche Spalte im Fehlerbericht
+    const ERROR_COLUMN = 'import_fehler';
+
+    public static function init() {
+        add_action('csv_import_daily_maintenance', [__CLASS__, 'cleanup_scheduled']);
+
+        self::maybe_upgrade_table();
+    }
+
+    /**
+     * Legt die Tabelle an bzw. passt sie an, sobald sich die Schema-Version ändert.
+     */
+    public static function maybe_upgrade_table() {
+        if (get_option('csv_import_failed_rows_db_version') === self::$db_version) {
+            return;
+        }
+
+        self::create_table();
+        update_option('csv_import_failed_rows_db_version', self::$db_version);
+    }
+
+    public static function create_table() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            import_session varchar(32) NOT NULL,
+            import_source varchar(20) NOT NULL,
+            line_number int(11) NOT NULL DEFAULT 0,
+            status varchar(20) NOT NULL DEFAULT 'error',
+            reason text NOT NULL,
+            row_data longtext NOT NULL,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (id),
+            KEY import_session (import_session)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * @param int    $line     Zeilennummer in der Quelldatei
+     * @param array  $row_data Originalzeile (Spalte => Wert, vor dem Mapping)
+     * @param string $status   'error' oder 'skipped'
+     */
+    public static function record($session_id, $source, $line, array $row_data, $reason, $status = 'error') {
+        global $wpdb;
+
+        return (bool) $wpdb->insert(
+            $wpdb->prefix . self::$table,
+            [
+                'import_session' => $session_id,
+                'import_source' => $source,
+                'line_number' => (int) $line,
+                'status' => $status === 'skipped' ? 'skipped' : 'error',
+                'reason' => (string) $reason,
+                'row_data' => wp_json_encode($row_data)
+            ],
+            ['%s', '%s', '%d', '%s', '%s', '%s']
+        );
+    }
+
+    public static function count_rows($session_id) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM $table_name WHERE import_session = %s",
+            $session_id
+        ));
+    }
+
+    /**
+     * Sessions mit fehlgeschlagenen Zeilen, neueste zuerst.
+     */
+    public static function get_sessions($limit = 20) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        return $wpdb->get_results($wpdb->prepare("
+            SELECT
+                import_session,
+                import_source,
+                SUM(status = 'error') as error_count,
+                SUM(status = 'skipped') as skipped_count,
+                MIN(created_at) as import_date
+            FROM $table_name
+            GROUP BY import_session, import_source
+            ORDER BY import_date DESC
+            LIMIT %d
+        ", $limit));
+    }
+
+    public static function get_filename($session_id) {
+        return 'fehlgeschlagene-zeilen-' . sanitize_file_name($session_id) . '.csv';
+    }
+
+    /**
+     * Schreibt den Fehlerbericht einer Session als CSV in $handle.
+     * Die Zeilen werden blockweise gelesen, damit auch große Berichte wenig Speicher brauchen.
+     */
+    public static function write_csv($session_id, $handle) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+        $batch_size = 500;
+
+        // Spalten der Originaldatei in der Reihenfolge ihres ersten Auftretens
+        $columns = [];
+        $last_id = 0;
+        do {
+            $batch = $wpdb->get_results($wpdb->prepare(
+                "SELECT id, row_data FROM $table_name WHERE import_session = %s AND id > %d ORDER BY id LIMIT %d",
+                $session_id, $last_id, $batch_size
+            ));
+            foreach ($batch as $row) {
+                $last_id = (int) $row->id;
+                foreach (array_keys((array) json_decode($row->row_data, true)) as $column) {
+                    $columns[$column] = true;
+                }
+            }
+        } while (count($batch) === $batch_size);
+
+        // Ein erneut importierter Fehlerbericht bringt die Fehlerspalte bereits mit
+        unset($columns[self::ERROR_COLUMN]);
+        $columns = array_map('strval', array_keys($columns));
+
+        // BOM, damit Excel die Datei als UTF-8 erkennt - CSV_Import_CSV_Reader entfernt sie beim Einlesen
+        fwrite($handle, "\xEF\xBB\xBF");
+        fputcsv($handle, array_merge($columns, [self::ERROR_COLUMN]), ',', '"', '');
+
+        $last_id = 0;
+        do {
+            $batch = $wpdb->get_results($wpdb->prepare(
+                "SELECT id, line_number, reason, row_data FROM $table_name WHERE import_session = %s AND id > %d ORDER BY id LIMIT %d",
+                $session_id, $last_id, $batch_size
+            ));
+            foreach ($batch as $row) {
+                $last_id = (int) $row->id;
+                $data = (array) json_decode($row->row_data, true);
+
+                $values = [];
+                foreach ($columns as $column) {
+                    $values[] = (string) ($data[$column] ?? '');
+                }
+                $values[] = 'Zeile ' . $row->line_number . ': ' . $row->reason;
+
+                fputcsv($handle, $values, ',', '"', '');
+            }
+        } while (count($batch) === $batch_size);
+    }
+
+    public static function cleanup_old_rows($days = 30) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        return $wpdb->query($wpdb->prepare("
+            DELETE FROM $table_name
+            WHERE created_at < DATE_SUB(NOW(), INTERVAL %d DAY)
+        ", $days));
+    }
+
+    /**
+     * Tägliche Bereinigung mit derselben Aufbewahrungsdauer wie die Backups.
+     */
+    public static function cleanup_scheduled() {
+        $advanced_settings = get_option('csv_import_advanced_settings', []);
+        self::cleanup_old_rows((int) ($advanced_settings['backup_retention_days'] ?? 30));
+    }
+}
@@ -0,0 +1,328 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// JSON- UND XML-FEEDS
+// ===================================================================
+
+/**
+ * Wandelt JSON- oder XML-Feeds in eine temporäre CSV-Datei um, die anschließend mit
+ * CSV_Import_CSV_Reader gelesen wird. Ein Datensatz-Pfad wählt die Datensätze aus,
+ * verschachtelte Felder werden zu Spalten mit Punkt-Notation (z.B. "preis.brutto", "bilder.0").
+ *
+ * Die Spalten sind die Vereinigung aller Felder in der Reihenfolge ihres ersten Auftretens.
+ * Feeds werden komplett geparst - für sehr große Feeds ist CSV weiterhin das bessere Format.
+ */
+class CSV_Import_Feed_Converter {
+
+    const FORMATS = ['json', 'xml'];
+
+    // Präfix für den Standard-Namespace in XPath-Ausdrücken
+    const XML_DEFAULT_NS_PREFIX = 'ns';
+
+    /**
+     * Erkennt das Format anhand der Dateiendung (auch bei URLs mit Query-String).
+     *
+     * @return string 'json', 'xml' oder '' wenn kein Feed
+     */
+    public static function detect_format($path) {
+        $url_path = parse_url($path, PHP_URL_PATH);
+        $extension = strtolower(pathinfo($url_path ?: $path, PATHINFO_EXTENSION));
+        return in_array($extension, self::FORMATS, true) ? $extension : '';
+    }
+
+    /**
+     * @param string $path        Pfad zur JSON/XML-Datei
+     * @param string $format      'json' oder 'xml'
+     * @param string $record_path JSON: z.B. "$.data.items[*]", XML: XPath wie "//product", leer = Wurzel
+     * @return array ['file' => Pfad der temporären CSV, 'records' => Anzahl Datensätze, 'columns' => Spaltennamen]
+     */
+    public static function to_csv_file($path, $format, $record_path = '') {
+        if (!is_file($path) || !is_readable($path)) {
+            throw new Exception('Feed-Datei nicht gefunden oder nicht lesbar: ' . basename($path));
+        }
+
+        if ($format === 'json') {
+            $records = self::read_json_records($path, trim((string) $record_path));
+        } elseif ($format === 'xml') {
+            $records = self::read_xml_records($path, trim((string) $record_path));
+        } else {
+            throw new Exception('Unbekanntes Feed-Format: ' . $format);
+        }
+
+        if (empty($records)) {
+            throw new Exception('Keine Datensätze gefunden' . ($record_path !== '' ? ' (Datensatz-Pfad: ' . $record_path . ')' : ''));
+        }
+
+        // Spalten in der Reihenfolge ihres ersten Auftretens sammeln
+        $columns = [];
+        foreach ($records as $record) {
+            foreach ($record as $column => $value) {
+                $columns[$column] = true;
+            }
+        }
+        $columns = array_keys($columns);
+
+        if (!function_exists('wp_tempnam')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+        $csv_file = wp_tempnam('csv-import-' . $format . '.csv');
+        $out = fopen($csv_file, 'wb');
+        if (!$out) {
+            throw new Exception('Temporäre CSV-Datei konnte nicht angelegt werden');
+        }
+
+        fputcsv($out, $columns, ',', '"', '');
+        foreach ($records as $record) {
+            $row = [];
+            foreach ($columns as $column) {
+                $row[] = $record[$column] ?? '';
+            }
+            fputcsv($out, $row, ',', '"', '');
+        }
+        fclose($out);
+
+        return [
+            'file'    => $csv_file,
+            'records' => count($records),
+            'columns' => $columns
+        ];
+    }
+
+    // ===================================================================
+    // JSON
+    // ===================================================================
+
+    private static function read_json_records($path, $record_path) {
+        $content = file_get_contents($path);
+        if ($content === false) {
+            throw new Exception('JSON-Datei konnte nicht gelesen werden: ' . basename($path));
+        }
+
+        // UTF-8-BOM entfernen, json_decode lehnt sie sonst ab
+        if (strncmp($content, "\xEF\xBB\xBF", 3) === 0) {
+            $content = substr($content, 3);
+        }
+
+        $data = json_decode($content, true);
+        unset($content);
+
+        if (json_last_error() !== JSON_ERROR_NONE) {
+            throw new Exception('Ungültiges JSON: ' . json_last_error_msg());
+        }
+
+        $records = [];
+        foreach (self::select_json_records($data, $record_path) as $item) {
+            $record = [];
+            if (is_array($item)) {
+                self::flatten_json($item, '', $record);
+            } else {
+                $record['value'] = self::scalar_to_string($item);
+            }
+            if (!empty($record)) {
+                $records[] = $record;
+            }
+        }
+
+        return $records;
+    }
+
+    /**
+     * Wertet einen einfachen JSONPath-Ausdruck aus: Schlüssel mit Punkt oder [..], Listenindex [0]
+     * und Platzhalter * bzw. [*]. Zeigt der Pfad auf eine Liste, sind deren Einträge die Datensätze.
+     */
+    private static function select_json_records($data, $record_path) {
+        $tokens = self::tokenize_json_path($record_path);
+        $nodes = [$data];
+        $wildcard = false;
+
+        foreach ($tokens as $token) {
+            $next = [];
+            foreach ($nodes as $node) {
+                if (!is_array($node)) {
+                    continue;
+                }
+                if ($token === '*') {
+                    foreach ($node as $child) {
+                        $next[] = $child;
+                    }
+                } elseif (array_key_exists($token, $node)) {
+                    $next[] = $node[$token];
+                }
+            }
+            $nodes = $next;
+            $wildcard = $wildcard || $token === '*';
+        }
+
+        if (empty($nodes)) {
+            throw new Exception('JSON-Datensatz-Pfad nicht gefunden: ' . ($record_path !== '' ? $record_path : '$'));
+        }
+
+        // Einzelne Liste: Einträge sind die Datensätze, einzelnes Objekt: ein Datensatz
+        if (!$wildcard && count($nodes) === 1 && is_array($nodes[0]) && self::is_list($nodes[0])) {
+            return $nodes[0];
+        }
+
+        return $nodes;
+    }
+
+    private static function tokenize_json_path($record_path) {
+        $path = preg_replace('/^\$\.?/', '', $record_path);
+        if ($path === '') {
+            return [];
+        }
+
+        preg_match_all('/\[\s*[\'"]?([^\]\'"]*)[\'"]?\s*\]|([^.\[\]]+)/', $path, $matches, PREG_SET_ORDER);
+
+        $tokens = [];
+        foreach ($matches as $match) {
+            $token = isset($match[2]) && $match[2] !== '' ? $match[2] : $match[1];
+            $tokens[] = ctype_digit($token) ? (int) $token : $token;
+        }
+        return $tokens;
+    }
+
+    private static function flatten_json(array $value, $prefix, array &$record) {
+        if (empty($value)) {
+            if ($prefix !== '') {
+                $record[$prefix] = '';
+            }
+            return;
+        }
+
+        foreach ($value as $key => $child) {
+            $column = $prefix === '' ? (string) $key : $prefix . '.' . $key;
+            if (is_array($child)) {
+                self::flatten_json($child, $column, $record);
+            } else {
+                $record[$column] = self::scalar_to_string($child);
+            }
+        }
+    }
+
+    private static function is_list(array $value) {
+        return $value === [] || array_keys($value) === range(0, count($value) - 1);
+    }
+
+    private static function scalar_to_string($value) {
+        if ($value === null) {
+            return '';
+        }
+        if (is_bool($value)) {
+            return $value ? '1' : '0';
+        }
+        return (string) $value;
+    }
+
+    // ===================================================================
+    // XML
+    // ===================================================================
+
+    private static function read_xml_records($path, $record_path) {
+        if (!class_exists('DOMDocument')) {
+            throw new Exception('Für XML-Feeds wird die PHP-Erweiterung dom benötigt');
+        }
+
+        $previous = libxml_use_internal_errors(true);
+        $doc = new DOMDocument();
+        // Keine externen Entities oder Netzwerkzugriffe beim Parsen
+        $loaded = $doc->load($path, LIBXML_NONET | LIBXML_COMPACT | LIBXML_PARSEHUGE);
+        $error = libxml_get_last_error();
+        libxml_clear_errors();
+        libxml_use_internal_errors($previous);
+
+        if (!$loaded || !$doc->documentElement) {
+            throw new Exception('Ungültiges XML' . ($error ? ': ' . trim($error->message) . ' (Zeile ' . $error->line . ')' : ''));
+        }
+
+        $records = [];
+        foreach (self::select_xml_records($doc, $record_path) as $element) {
+            $record = [];
+            self::flatten_xml($element, '', $record);
+            if (!empty($record)) {
+                $records[] = $record;
+            }
+        }
+
+        return $records;
+    }
+
+    /**
+     * Wählt die Datensatz-Elemente per XPath aus. Ohne Pfad sind es die Kind-Elemente der Wurzel.
+     * Namespaces der Wurzel sind mit ihrem Präfix nutzbar, der Standard-Namespace als "ns:".
+     */
+    private static function select_xml_records(DOMDocument $doc, $record_path) {
+        $root = $doc->documentElement;
+
+        if ($record_path === '') {
+            $elements = [];
+            foreach ($root->childNodes as $child) {
+                if ($child instanceof DOMElement) {
+                    $elements[] = $child;
+                }
+            }
+            return $elements;
+        }
+
+        $xpath = new DOMXPath($doc);
+        foreach ($xpath->query('namespace::*', $root) as $ns) {
+            $prefix = $ns->localName === 'xmlns' ? self::XML_DEFAULT_NS_PREFIX : $ns->localName;
+            if ($prefix !== 'xml') {
+                $xpath->registerNamespace($prefix, $ns->nodeValue);
+            }
+        }
+
+        $nodes = @$xpath->query($record_path);
+        if ($nodes === false) {
+            throw new Exception('Ungültiger XPath-Ausdruck: ' . $record_path);
+        }
+
+        $elements = [];
+        foreach ($nodes as $node) {
+            if ($node instanceof DOMElement) {
+                $elements[] = $node;
+            }
+        }
+
+        if (empty($elements)) {
+            throw new Exception('XML-Datensatz-Pfad nicht gefunden: ' . $record_path);
+        }
+
+        return $elements;
+    }
+
+    /**
+     * Attribute werden zu "@name", Kind-Elemente zu "name". Wiederholte Kind-Elemente
+     * erhalten ab dem zweiten Vorkommen einen Index ("bild", "bild.1", "bild.2").
+     */
+    private static function flatten_xml(DOMElement $element, $prefix, array &$record) {
+        $base = $prefix === '' ? '' : $prefix . '.';
+
+        foreach ($element->attributes as $attribute) {
+            $record[$base . '@' . $attribute->nodeName] = trim($attribute->nodeValue);
+        }
+
+        $children = [];
+        foreach ($element->childNodes as $child) {
+            if ($child instanceof DOMElement) {
+                $children[] = $child;
+            }
+        }
+
+        if (empty($children)) {
+            $record[$prefix === '' ? 'value' : $prefix] = trim($element->textContent);
+            return;
+        }
+
+        $seen = [];
+        foreach ($children as $child) {
+            $name = $child->nodeName;
+            $index = $seen[$name] ?? 0;
+            $seen[$name] = $index + 1;
+
+            self::flatten_xml($child, $base . $name . ($index > 0 ? '.' . $index : ''), $record);
+        }
+    }
+}
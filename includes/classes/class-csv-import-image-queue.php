@@ -0,0 +1,540 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// BILD-WARTESCHLANGE (HINTERGRUND-DOWNLOADS)
+// ===================================================================
+
+/**
+ * Entkoppelt Bild-Downloads vom Import: Der Import legt pro Bild einen Eintrag an,
+ * ein Cron-Worker lädt die Bilder parallel, begrenzt pro Host und mit Wiederholungen.
+ * Sobald ein Bild fertig ist, erhält der Post sein Beitragsbild; die Galerie wird
+ * gesetzt, wenn alle Galerie-Bilder des Posts verarbeitet sind.
+ *
+ * Einstellungen: image_concurrency (parallele Downloads), image_retries (Wiederholungen,
+ * Wartezeit verdoppelt sich ab RETRY_DELAY), image_host_rate (Anfragen pro Sekunde und Host).
+ */
+class CSV_Import_Image_Queue {
+    private static $table = 'csv_import_image_queue';
+    private static $db_version = '1';
+
+    const HOOK = 'csv_import_process_image_queue';
+    const LOCK_OPTION = 'csv_import_image_queue_lock';
+
+    // Sekunden bis zur ersten Wiederholung, danach jeweils doppelt so lang (max. MAX_RETRY_DELAY)
+    const RETRY_DELAY = 60;
+    const MAX_RETRY_DELAY = 3600;
+
+    // Laufzeit eines Worker-Durchgangs in Sekunden
+    const TIME_LIMIT = 20;
+
+    public static function init() {
+        add_action(self::HOOK, [__CLASS__, 'process']);
+        add_action('csv_import_daily_maintenance', [__CLASS__, 'cleanup_scheduled']);
+
+        self::maybe_upgrade_table();
+    }
+
+    public static function maybe_upgrade_table() {
+        if (get_option('csv_import_image_queue_db_version') === self::$db_version) {
+            return;
+        }
+
+        self::create_table();
+        update_option('csv_import_image_queue_db_version', self::$db_version);
+    }
+
+    public static function create_table() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+        $charset_collate = $wpdb->get_charset_collate();
+
+        $sql = "CREATE TABLE $table_name (
+            id bigint(20) NOT NULL AUTO_INCREMENT,
+            import_session varchar(64) NOT NULL,
+            post_id bigint(20) NOT NULL,
+            reference text NOT NULL,
+            host varchar(191) NOT NULL DEFAULT '',
+            role varchar(20) NOT NULL DEFAULT 'featured',
+            position int(11) NOT NULL DEFAULT 0,
+            texts text NOT NULL,
+            status varchar(20) NOT NULL DEFAULT 'pending',
+            attempts int(11) NOT NULL DEFAULT 0,
+            next_attempt datetime NOT NULL,
+            last_error text NOT NULL,
+            attachment_id bigint(20) NOT NULL DEFAULT 0,
+            created_at datetime DEFAULT CURRENT_TIMESTAMP,
+            updated_at datetime DEFAULT NULL,
+            PRIMARY KEY (id),
+            KEY status_next (status, next_attempt),
+            KEY import_session (import_session),
+            KEY post_id (post_id)
+        ) $charset_collate;";
+
+        require_once(ABSPATH . 'wp-admin/includes/upgrade.php');
+        dbDelta($sql);
+    }
+
+    /**
+     * Stellt die Bilder einer Zeile in die Warteschlange. Noch offene Einträge desselben
+     * Posts werden ersetzt, da die neue Zeile sie überholt.
+     *
+     * @return int Anzahl der Einträge
+     */
+    public static function enqueue_row($post_id, array $data, array $config, $session_id) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $separator = (string) ($config['term_separator'] ?? ',') ?: ',';
+        $images = CSV_Import_Media::get_row_images($data, $separator);
+
+        $items = [];
+        if ($images['featured'] !== '') {
+            $items[] = ['role' => 'featured', 'reference' => $images['featured']];
+        }
+        foreach ($images['gallery'] as $reference) {
+            $items[] = ['role' => 'gallery', 'reference' => $reference];
+        }
+        if (!$items) {
+            return 0;
+        }
+
+        $wpdb->delete($table_name, ['post_id' => (int) $post_id, 'status' => 'pending'], ['%d', '%s']);
+
+        $texts = wp_json_encode(array_intersect_key($data, array_flip(['image_alt', 'image_caption', 'image_title'])));
+        foreach ($items as $position => $item) {
+            $wpdb->insert(
+                $table_name,
+                [
+                    'import_session' => $session_id,
+                    'post_id' => (int) $post_id,
+                    'reference' => $item['reference'],
+                    'host' => strtolower((string) wp_parse_url($item['reference'], PHP_URL_HOST)),
+                    'role' => $item['role'],
+                    'position' => $position,
+                    'texts' => $texts,
+                    'status' => 'pending',
+                    'next_attempt' => gmdate('Y-m-d H:i:s'),
+                    'last_error' => ''
+                ],
+                ['%s', '%d', '%s', '%s', '%s', '%d', '%s', '%s', '%s', '%s']
+            );
+        }
+
+        self::schedule();
+
+        return count($items);
+    }
+
+    /**
+     * Plant den Worker ein, sofern er nicht schon eingeplant ist.
+     *
+     * @param int $timestamp Frühester Start, 0 = sofort
+     */
+    public static function schedule($timestamp = 0) {
+        $timestamp = max(time(), (int) $timestamp);
+        $next = wp_next_scheduled(self::HOOK);
+
+        if ($next && $next <= $timestamp) {
+            return;
+        }
+        if ($next) {
+            wp_unschedule_event($next, self::HOOK);
+        }
+        wp_schedule_single_event($timestamp, self::HOOK);
+    }
+
+    /**
+     * Cron-Worker: verarbeitet fällige Einträge bis zum Zeitlimit und plant sich neu ein,
+     * solange Einträge offen sind. Ein zweiter Worker beendet sich sofort.
+     */
+    public static function process() {
+        if (!self::acquire_lock()) {
+            return;
+        }
+
+        try {
+            $config = csv_import_get_config();
+            $concurrency = max(1, (int) ($config['image_concurrency'] ?? 4));
+            $host_rate = max(1, (int) ($config['image_host_rate'] ?? 2));
+            $time_limit = (int) apply_filters('csv_import_image_queue_time_limit', self::TIME_LIMIT);
+
+            @set_time_limit($time_limit + 60);
+            self::release_stale_items();
+
+            $started = microtime(true);
+            while (microtime(true) - $started < $time_limit) {
+                $batch_started = microtime(true);
+                $batch = self::claim_batch($concurrency, $host_rate);
+                if (!$batch) {
+                    break;
+                }
+
+                self::process_batch($batch, $config);
+
+                // Jeder Durchgang ist ein Zeitfenster von einer Sekunde - so bleibt es bei image_host_rate Anfragen pro Host und Sekunde
+                $elapsed = microtime(true) - $batch_started;
+                if ($elapsed < 1) {
+                    usleep((int) ((1 - $elapsed) * 1000000));
+                }
+            }
+        } finally {
+            self::release_lock();
+        }
+
+        $next = self::get_next_due_time();
+        if ($next !== null) {
+            self::schedule($next);
+        }
+    }
+
+    /**
+     * Stand der Warteschlange für die Fortschrittsanzeige: Zähler der zuletzt befüllten Session
+     * und ob insgesamt noch Bilder offen sind.
+     */
+    public static function get_status() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $status = ['active' => false, 'session' => '', 'total' => 0, 'pending' => 0, 'processing' => 0, 'done' => 0, 'failed' => 0, 'retrying' => 0];
+
+        $session_id = $wpdb->get_var("SELECT import_session FROM $table_name ORDER BY id DESC LIMIT 1");
+        if (!$session_id) {
+            return $status;
+        }
+
+        $rows = $wpdb->get_results($wpdb->prepare(
+            "SELECT status, COUNT(*) as item_count, SUM(attempts > 0) as retry_count FROM $table_name WHERE import_session = %s GROUP BY status",
+            $session_id
+        ));
+
+        $status['session'] = $session_id;
+        foreach ($rows as $row) {
+            if (isset($status[$row->status])) {
+                $status[$row->status] = (int) $row->item_count;
+            }
+            if ($row->status === 'pending') {
+                $status['retrying'] = (int) $row->retry_count;
+            }
+            $status['total'] += (int) $row->item_count;
+        }
+
+        $status['active'] = (bool) $wpdb->get_var("SELECT id FROM $table_name WHERE status IN ('pending', 'processing') LIMIT 1");
+
+        return $status;
+    }
+
+    public static function cleanup_old_items($days = 30) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        return $wpdb->query($wpdb->prepare("
+            DELETE FROM $table_name
+            WHERE status IN ('done', 'failed') AND created_at < DATE_SUB(NOW(), INTERVAL %d DAY)
+        ", $days));
+    }
+
+    /**
+     * Tägliche Bereinigung mit derselben Aufbewahrungsdauer wie die Backups.
+     */
+    public static function cleanup_scheduled() {
+        $advanced_settings = get_option('csv_import_advanced_settings', []);
+        self::cleanup_old_items((int) ($advanced_settings['backup_retention_days'] ?? 30));
+    }
+
+    // ===================================================================
+    // WORKER
+    // ===================================================================
+
+    /**
+     * Holt fällige Einträge: höchstens $concurrency insgesamt und $host_rate pro Host.
+     */
+    private static function claim_batch($concurrency, $host_rate) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $due = $wpdb->get_results($wpdb->prepare(
+            "SELECT * FROM $table_name WHERE status = 'pending' AND next_attempt <= %s ORDER BY id LIMIT %d",
+            gmdate('Y-m-d H:i:s'),
+            $concurrency * 10
+        ));
+
+        $batch = [];
+        $per_host = [];
+        foreach ($due as $item) {
+            if (count($batch) >= $concurrency) {
+                break;
+            }
+            // Dateien und IDs ohne Host zählen nicht gegen das Host-Limit
+            if ($item->host !== '' && ($per_host[$item->host] ?? 0) >= $host_rate) {
+                continue;
+            }
+            $per_host[$item->host] = ($per_host[$item->host] ?? 0) + 1;
+            $batch[] = $item;
+        }
+
+        if ($batch) {
+            $ids = implode(',', array_map('intval', wp_list_pluck($batch, 'id')));
+            $wpdb->query($wpdb->prepare(
+                "UPDATE $table_name SET status = 'processing', updated_at = %s WHERE id IN ($ids)",
+                gmdate('Y-m-d H:i:s')
+            ));
+        }
+
+        return $batch;
+    }
+
+    private static function process_batch(array $batch, array $config) {
+        $downloads = [];
+
+        foreach ($batch as $item) {
+            if (!get_post($item->post_id)) {
+                self::fail($item, 'Post existiert nicht mehr', $config, false);
+                continue;
+            }
+
+            // Bereits importierte URLs, IDs und lokale Dateien brauchen keinen Download
+            $known = filter_var($item->reference, FILTER_VALIDATE_URL) ? CSV_Import_Media::find_by_url($item->reference) : 0;
+            if ($known || !filter_var($item->reference, FILTER_VALIDATE_URL)) {
+                try {
+                    self::complete($item, $known ?: CSV_Import_Media::resolve($item->reference, (int) $item->post_id, $config), $config);
+                } catch (Exception $e) {
+                    self::fail($item, $e->getMessage(), $config);
+                }
+                continue;
+            }
+
+            // Gleiche Prüfung wie wp_safe_remote_get(): keine internen Hosts oder Ports
+            if (!wp_http_validate_url($item->reference)) {
+                self::fail($item, 'Bild-URL nicht erlaubt: ' . $item->reference, $config, false);
+                continue;
+            }
+
+            $downloads[$item->id] = $item;
+        }
+
+        if (!$downloads) {
+            return;
+        }
+
+        foreach (self::download_parallel($downloads) as $id => $result) {
+            $item = $downloads[$id];
+            if ($result instanceof Exception) {
+                self::fail($item, $result->getMessage(), $config);
+                continue;
+            }
+
+            try {
+                self::complete($item, CSV_Import_Media::import_data($item->reference, $result, (int) $item->post_id), $config);
+            } catch (Exception $e) {
+                self::fail($item, $e->getMessage(), $config);
+            }
+        }
+    }
+
+    /**
+     * Lädt mehrere URLs gleichzeitig. Wie bei wp_safe_remote_get() gelten der Filter
+     * http_request_args, die Prüfung von Weiterleitungen und eine Größenbegrenzung.
+     *
+     * @param array $items ID => Eintrag (URLs bereits mit wp_http_validate_url() geprüft)
+     * @return array ID => Dateiinhalt oder Exception
+     */
+    private static function download_parallel(array $items) {
+        $requests = [];
+        $max_bytes = [];
+        foreach ($items as $id => $item) {
+            $url = esc_url_raw($item->reference);
+            $args = apply_filters('http_request_args', [
+                'method' => 'GET',
+                'timeout' => 30,
+                'redirection' => 5,
+                'user-agent' => 'WordPress/' . get_bloginfo('version') . '; ' . home_url(),
+                'sslverify' => true,
+                'sslcertificates' => ABSPATH . WPINC . '/certificates/ca-bundle.crt',
+                'headers' => [],
+                'reject_unsafe_urls' => true,
+                'limit_response_size' => CSV_Import_Media::MAX_DOWNLOAD_SIZE
+            ], $url);
+
+            $max_bytes[$id] = min(CSV_Import_Media::MAX_DOWNLOAD_SIZE, (int) $args['limit_response_size'] ?: CSV_Import_Media::MAX_DOWNLOAD_SIZE);
+            $requests[$id] = [
+                'url' => $url,
+                'type' => 'GET',
+                'headers' => (array) $args['headers'],
+                'options' => [
+                    'timeout' => $args['timeout'],
+                    'redirects' => $args['redirection'],
+                    'useragent' => $args['user-agent'],
+                    'verify' => $args['sslverify'] ? $args['sslcertificates'] : false,
+                    // Ein Byte mehr, um eine abgeschnittene Antwort zu erkennen
+                    'max_bytes' => $max_bytes[$id] + 1
+                ]
+            ];
+        }
+
+        if (class_exists('\WpOrg\Requests\Requests')) {
+            $hooks = new \WpOrg\Requests\Hooks();
+            $hooks->register('requests.before_redirect', ['WP_Http', 'validate_redirects']);
+            $responses = \WpOrg\Requests\Requests::request_multiple($requests, ['hooks' => $hooks]);
+        } elseif (class_exists('Requests')) {
+            $hooks = new Requests_Hooks();
+            $hooks->register('requests.before_redirect', ['WP_Http', 'validate_redirects']);
+            $responses = Requests::request_multiple($requests, ['hooks' => $hooks]);
+        } else {
+            // Ohne Requests-Bibliothek nacheinander laden
+            $responses = [];
+            foreach ($requests as $id => $request) {
+                $response = wp_safe_remote_get($request['url'], [
+                    'timeout' => 30,
+                    'limit_response_size' => $max_bytes[$id] + 1
+                ]);
+                $responses[$id] = is_wp_error($response)
+                    ? new Exception($response->get_error_message())
+                    : (object) ['status_code' => wp_remote_retrieve_response_code($response), 'body' => wp_remote_retrieve_body($response)];
+            }
+        }
+
+        $results = [];
+        foreach ($items as $id => $item) {
+            $response = $responses[$id] ?? null;
+            if ($response instanceof Exception) {
+                $results[$id] = new Exception('Konnte Bild nicht herunterladen: ' . $response->getMessage());
+            } elseif (!$response || (int) $response->status_code !== 200 || $response->body === '') {
+                $results[$id] = new Exception('Bild-Download fehlgeschlagen (HTTP ' . (int) ($response->status_code ?? 0) . ')');
+            } elseif (strlen($response->body) > $max_bytes[$id]) {
+                $results[$id] = new Exception('Bild ist größer als ' . size_format($max_bytes[$id]));
+            } else {
+                $results[$id] = $response->body;
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Bild ist importiert: Beitragsbild setzen bzw. Galerie, sobald alle Galerie-Bilder des Posts fertig sind.
+     */
+    private static function complete($item, $attachment_id, array $config) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $wpdb->update(
+            $table_name,
+            ['status' => 'done', 'attachment_id' => (int) $attachment_id, 'last_error' => '', 'updated_at' => gmdate('Y-m-d H:i:s')],
+            ['id' => (int) $item->id],
+            ['%s', '%d', '%s', '%s'],
+            ['%d']
+        );
+
+        CSV_Import_Media::apply_texts($attachment_id, (array) json_decode($item->texts, true), (int) $item->position);
+
+        if ($item->role === 'featured') {
+            set_post_thumbnail((int) $item->post_id, (int) $attachment_id);
+            update_post_meta($item->post_id, '_csv_import_image_attached', true);
+            update_post_meta($item->post_id, '_csv_import_image_url', $item->reference);
+            return;
+        }
+
+        self::maybe_assign_gallery($item, $config);
+    }
+
+    /**
+     * Fehlgeschlagenen Eintrag mit wachsendem Abstand erneut einplanen oder endgültig aufgeben.
+     */
+    private static function fail($item, $message, array $config, $retry = true) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $attempts = (int) $item->attempts + 1;
+        $max_retries = max(0, (int) ($config['image_retries'] ?? csv_import_get_default_value('image_retries')));
+        $give_up = !$retry || $attempts > $max_retries;
+
+        $wpdb->update(
+            $table_name,
+            [
+                'status' => $give_up ? 'failed' : 'pending',
+                'attempts' => $attempts,
+                'next_attempt' => gmdate('Y-m-d H:i:s', time() + min(self::MAX_RETRY_DELAY, self::RETRY_DELAY * (2 ** ($attempts - 1)))),
+                'last_error' => $message,
+                'updated_at' => gmdate('Y-m-d H:i:s')
+            ],
+            ['id' => (int) $item->id],
+            ['%s', '%d', '%s', '%s', '%s'],
+            ['%d']
+        );
+
+        if ($give_up) {
+            csv_import_log('warning', "Bild '{$item->reference}' für Post {$item->post_id} nicht übernommen: {$message}", [
+                'session_id' => $item->import_session,
+                'attempts' => $attempts
+            ]);
+            if ($item->role === 'gallery') {
+                self::maybe_assign_gallery($item, $config);
+            }
+        }
+    }
+
+    private static function maybe_assign_gallery($item, array $config) {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $open = (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT COUNT(*) FROM $table_name WHERE post_id = %d AND import_session = %s AND role = 'gallery' AND status IN ('pending', 'processing')",
+            $item->post_id,
+            $item->import_session
+        ));
+        if ($open) {
+            return;
+        }
+
+        $attachment_ids = array_map('intval', $wpdb->get_col($wpdb->prepare(
+            "SELECT attachment_id FROM $table_name WHERE post_id = %d AND import_session = %s AND role = 'gallery' AND status = 'done' ORDER BY position",
+            $item->post_id,
+            $item->import_session
+        )));
+
+        if ($attachment_ids) {
+            CSV_Import_Media::assign_gallery((int) $item->post_id, array_values(array_unique($attachment_ids)), $config);
+        }
+    }
+
+    /**
+     * Einträge, deren Worker abgebrochen wurde (z.B. Timeout), wieder freigeben.
+     */
+    private static function release_stale_items() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $wpdb->query($wpdb->prepare(
+            "UPDATE $table_name SET status = 'pending' WHERE status = 'processing' AND updated_at < %s",
+            gmdate('Y-m-d H:i:s', time() - 10 * MINUTE_IN_SECONDS)
+        ));
+    }
+
+    /**
+     * @return int|null Zeitpunkt des nächsten fälligen Eintrags, null wenn nichts offen ist
+     */
+    private static function get_next_due_time() {
+        global $wpdb;
+        $table_name = $wpdb->prefix . self::$table;
+
+        $next = $wpdb->get_var("SELECT MIN(next_attempt) FROM $table_name WHERE status = 'pending'");
+        return $next ? (int) strtotime($next . ' UTC') : null;
+    }
+
+    private static function acquire_lock() {
+        $locked_at = (int) get_option(self::LOCK_OPTION, 0);
+        // Hängende Sperre eines abgebrochenen Workers übernehmen
+        if ($locked_at && $locked_at < time() - 5 * MINUTE_IN_SECONDS) {
+            delete_option(self::LOCK_OPTION);
+        }
+
+        return add_option(self::LOCK_OPTION, time(), '', 'no');
+    }
+
+    private static function release_lock() {
+        delete_option(self::LOCK_OPTION);
+    }
+}
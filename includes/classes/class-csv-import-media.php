@@ -0,0 +1,354 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// BILDER: BEITRAGSBILD, GALERIE, DUPLIKATERKENNUNG
+// ===================================================================
+
+/**
+ * Löst Bildangaben aus der CSV in Attachments auf und vermeidet Duplikate in der Mediathek.
+ *
+ * Eine Bildangabe ist eine Attachment-ID, eine URL oder (Bildquelle "Lokaler Ordner")
+ * ein Dateiname relativ zum Bild-Ordner. Importierte Dateien merken sich Quelle
+ * (_csv_import_source_url) und Prüfsumme (_csv_import_file_hash), damit erneute Importe
+ * das vorhandene Attachment wiederverwenden, statt die Datei noch einmal anzulegen.
+ */
+class CSV_Import_Media {
+
+    const SOURCE_META = '_csv_import_source_url';
+    const HASH_META = '_csv_import_file_hash';
+
+    // Mapping-Ziele, die von dieser Klasse statt als Meta-Feld verarbeitet werden
+    const TARGETS = ['featured_image', 'gallery_images', 'image_alt', 'image_caption', 'image_title'];
+
+    // Ältere Spaltennamen für das Beitragsbild
+    const LEGACY_IMAGE_COLUMNS = ['image', 'thumbnail', 'post_image'];
+
+    // Trennzeichen für mehrere Alt-Texte, Bildunterschriften und Titel (in Bildreihenfolge)
+    const TEXT_SEPARATOR = '|';
+
+    // Maximale Dateigröße eines Bild-Downloads in Bytes (auch für die Bild-Warteschlange)
+    const MAX_DOWNLOAD_SIZE = 20971520;
+
+    /**
+     * Bildangaben einer Zeile. Enthält das Beitragsbild mehrere Angaben,
+     * werden alle weiteren der Galerie vorangestellt.
+     *
+     * @return array ['featured' => Angabe oder '', 'gallery' => [Angaben]]
+     */
+    public static function get_row_images(array $data, $separator = ',') {
+        $featured = '';
+        foreach (array_merge(['featured_image'], self::LEGACY_IMAGE_COLUMNS) as $column) {
+            if (trim((string) ($data[$column] ?? '')) !== '') {
+                $featured = (string) $data[$column];
+                break;
+            }
+        }
+
+        $featured = self::split_list($featured, $separator);
+        $gallery = array_merge(array_slice($featured, 1), self::split_list((string) ($data['gallery_images'] ?? ''), $separator));
+
+        return [
+            'featured' => $featured[0] ?? '',
+            'gallery' => array_values(array_unique($gallery))
+        ];
+    }
+
+    /**
+     * Setzt Beitragsbild und Galerie eines Posts. Fehler bei einzelnen Bildern werden
+     * protokolliert, ohne die Zeile scheitern zu lassen.
+     *
+     * @return array Attachment-IDs ['featured' => int, 'gallery' => [int]]
+     */
+    public static function process_row_images($post_id, array $data, array $config) {
+        $separator = (string) ($config['term_separator'] ?? ',') ?: ',';
+        $images = self::get_row_images($data, $separator);
+        $result = ['featured' => 0, 'gallery' => []];
+
+        $position = 0;
+        if ($images['featured'] !== '') {
+            $result['featured'] = self::resolve_logged($images['featured'], $post_id, $config);
+            if ($result['featured']) {
+                set_post_thumbnail($post_id, $result['featured']);
+                self::apply_texts($result['featured'], $data, $position);
+                update_post_meta($post_id, '_csv_import_image_attached', true);
+                update_post_meta($post_id, '_csv_import_image_url', $images['featured']);
+            }
+            $position++;
+        }
+
+        foreach ($images['gallery'] as $reference) {
+            $attachment_id = self::resolve_logged($reference, $post_id, $config);
+            if ($attachment_id) {
+                self::apply_texts($attachment_id, $data, $position);
+                $result['gallery'][] = $attachment_id;
+            }
+            $position++;
+        }
+
+        if ($result['gallery']) {
+            self::assign_gallery($post_id, array_values(array_unique($result['gallery'])), $config);
+        }
+
+        return $result;
+    }
+
+    /**
+     * Attachment-ID zu einer Bildangabe. Bereits importierte Dateien werden wiederverwendet.
+     *
+     * @param array|null $config image_source und image_folder, null = gespeicherte Einstellungen
+     * @throws Exception wenn die Datei weder gefunden noch importiert werden kann
+     */
+    public static function resolve($reference, $post_id, ?array $config = null) {
+        $reference = trim((string) $reference);
+        if ($reference === '') {
+            throw new Exception('Leere Bildangabe');
+        }
+
+        if (ctype_digit($reference)) {
+            if (get_post_type((int) $reference) !== 'attachment') {
+                throw new Exception("Attachment {$reference} existiert nicht");
+            }
+            return (int) $reference;
+        }
+
+        if (filter_var($reference, FILTER_VALIDATE_URL)) {
+            return self::find_by_url($reference) ?: self::sideload_url($reference, $post_id);
+        }
+
+        $config = $config ?? [
+            'image_source' => get_option('csv_import_image_source', csv_import_get_default_value('image_source')),
+            'image_folder' => get_option('csv_import_image_folder', csv_import_get_default_value('image_folder'))
+        ];
+
+        if (($config['image_source'] ?? '') === 'local_folder') {
+            return self::import_local_file($reference, $post_id, (string) ($config['image_folder'] ?? ''));
+        }
+
+        $attachment_id = self::find_by_filename($reference);
+        if (!$attachment_id) {
+            throw new Exception("Datei '{$reference}' nicht in der Mediathek gefunden");
+        }
+        return $attachment_id;
+    }
+
+    /**
+     * Lädt eine URL herunter und legt sie als Attachment an - außer eine Datei mit
+     * gleichem Inhalt wurde schon importiert.
+     */
+    public static function sideload_url($url, $post_id) {
+        if (!filter_var($url, FILTER_VALIDATE_URL)) {
+            throw new Exception('Ungültige Bild-URL: ' . $url);
+        }
+
+        $existing = self::find_by_meta(self::SOURCE_META, $url);
+        if ($existing) {
+            return $existing;
+        }
+
+        // Keine internen Hosts; ein Byte über dem Limit, um eine abgeschnittene Antwort zu erkennen
+        $response = wp_safe_remote_get(esc_url_raw($url), [
+            'timeout' => 30,
+            'limit_response_size' => self::MAX_DOWNLOAD_SIZE + 1
+        ]);
+        if (is_wp_error($response)) {
+            throw new Exception('Konnte Bild nicht herunterladen: ' . $response->get_error_message());
+        }
+
+        $image_data = wp_remote_retrieve_body($response);
+        $http_code = wp_remote_retrieve_response_code($response);
+        if ($http_code !== 200 || empty($image_data)) {
+            throw new Exception("Bild-Download fehlgeschlagen (HTTP {$http_code})");
+        }
+        if (strlen($image_data) > self::MAX_DOWNLOAD_SIZE) {
+            throw new Exception('Bild ist größer als ' . size_format(self::MAX_DOWNLOAD_SIZE));
+        }
+
+        return self::import_data($url, $image_data, $post_id);
+    }
+
+    /**
+     * Bereits importiertes Attachment zu einer URL (Quell-URL oder URL der Mediathek), sonst 0.
+     */
+    public static function find_by_url($url) {
+        return self::find_by_meta(self::SOURCE_META, $url) ?: (int) attachment_url_to_postid($url);
+    }
+
+    /**
+     * Legt heruntergeladene Bilddaten als Attachment an bzw. verwendet eine Datei mit gleichem Inhalt.
+     *
+     * @param string $url        Quell-URL (für Dateiname und Duplikaterkennung)
+     * @param string $image_data Dateiinhalt
+     */
+    public static function import_data($url, $image_data, $post_id) {
+        $hash = md5($image_data);
+        $existing = self::find_by_meta(self::HASH_META, $hash);
+        if ($existing) {
+            // Gleiche Datei unter anderer URL: URL merken, damit der nächste Lauf nicht mehr lädt
+            add_post_meta($existing, self::SOURCE_META, $url);
+            return $existing;
+        }
+
+        $file_name = sanitize_file_name(basename((string) wp_parse_url($url, PHP_URL_PATH))) ?: 'bild-' . $hash;
+        self::load_media_functions();
+        $temp_file = wp_tempnam($file_name);
+        if (!$temp_file || file_put_contents($temp_file, $image_data) === false) {
+            throw new Exception('Konnte temporäre Datei nicht erstellen');
+        }
+
+        return self::sideload_file($temp_file, $file_name, $post_id, $url, $hash);
+    }
+
+    /**
+     * Importiert eine Datei aus dem Bild-Ordner (Pfad relativ zum WordPress-Root).
+     */
+    public static function import_local_file($relative_path, $post_id, $image_folder) {
+        $folder = realpath(ABSPATH . ltrim($image_folder, '/'));
+        if ($folder === false || !is_dir($folder)) {
+            throw new Exception('Bildordner existiert nicht: ' . $image_folder);
+        }
+
+        $path = realpath($folder . '/' . ltrim(str_replace('\\', '/', $relative_path), '/'));
+        // Nur Dateien innerhalb des Bild-Ordners zulassen
+        if ($path === false || strpos($path, $folder . DIRECTORY_SEPARATOR) !== 0 || !is_file($path)) {
+            throw new Exception("Datei '{$relative_path}' nicht im Bildordner gefunden");
+        }
+
+        $hash = md5_file($path);
+        $existing = self::find_by_meta(self::HASH_META, $hash);
+        if ($existing) {
+            return $existing;
+        }
+
+        // media_handle_sideload() verschiebt die Datei, daher mit einer Kopie arbeiten
+        self::load_media_functions();
+        $temp_file = wp_tempnam(basename($path));
+        if (!$temp_file || !copy($path, $temp_file)) {
+            throw new Exception('Konnte temporäre Datei nicht erstellen');
+        }
+
+        return self::sideload_file($temp_file, basename($path), $post_id, 'file:' . $relative_path, $hash);
+    }
+
+    /**
+     * Setzt Alt-Text, Bildunterschrift und Titel aus image_alt, image_caption und image_title.
+     * Mehrere Werte (mit | getrennt) gelten der Reihe nach für Beitragsbild und Galerie,
+     * ein einzelner Wert für alle Bilder der Zeile.
+     */
+    public static function apply_texts($attachment_id, array $data, $position = 0) {
+        $texts = [];
+        foreach (['image_alt' => 'alt', 'image_caption' => 'caption', 'image_title' => 'title'] as $column => $key) {
+            $values = array_map('trim', explode(self::TEXT_SEPARATOR, (string) ($data[$column] ?? '')));
+            $value = count($values) === 1 ? $values[0] : ($values[$position] ?? '');
+            if ($value !== '') {
+                $texts[$key] = $value;
+            }
+        }
+
+        if (isset($texts['alt'])) {
+            update_post_meta($attachment_id, '_wp_attachment_image_alt', sanitize_text_field($texts['alt']));
+        }
+
+        $post_data = [];
+        if (isset($texts['caption'])) {
+            $post_data['post_excerpt'] = wp_kses_post($texts['caption']);
+        }
+        if (isset($texts['title'])) {
+            $post_data['post_title'] = sanitize_text_field($texts['title']);
+        }
+        if ($post_data) {
+            wp_update_post(array_merge(['ID' => (int) $attachment_id], $post_data));
+        }
+    }
+
+    /**
+     * Speichert Galerie-Bilder im eingestellten Galerie-Feld: WooCommerce-Galerie bei Produkten,
+     * sonst ein ACF-Feld oder Meta-Feld mit diesem Namen.
+     */
+    public static function assign_gallery($post_id, array $attachment_ids, array $config) {
+        $field = trim((string) ($config['gallery_field'] ?? ''));
+
+        if (get_post_type($post_id) === 'product' && function_exists('wc_get_product') && ($field === '' || $field === '_product_image_gallery')) {
+            $product = wc_get_product($post_id);
+            if ($product) {
+                $product->set_gallery_image_ids($attachment_ids);
+                $product->save();
+            }
+            return;
+        }
+
+        if ($field === '') {
+            csv_import_log('warning', "Galerie-Bilder für Post {$post_id} ignoriert: kein Galerie-Feld eingestellt");
+            return;
+        }
+
+        if (function_exists('update_field') && function_exists('acf_get_field') && acf_get_field($field)) {
+            update_field($field, $attachment_ids, $post_id);
+            return;
+        }
+
+        update_post_meta($post_id, $field, $attachment_ids);
+    }
+
+    // ===================================================================
+    // HILFSFUNKTIONEN
+    // ===================================================================
+
+    private static function resolve_logged($reference, $post_id, array $config) {
+        try {
+            return self::resolve($reference, $post_id, $config);
+        } catch (Exception $e) {
+            csv_import_log('warning', "Bild '{$reference}' für Post {$post_id} nicht übernommen: " . $e->getMessage());
+            return 0;
+        }
+    }
+
+    // wp_tempnam() und media_handle_sideload() sind außerhalb des Admins nicht geladen (Cron)
+    private static function load_media_functions() {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+        require_once ABSPATH . 'wp-admin/includes/media.php';
+        require_once ABSPATH . 'wp-admin/includes/image.php';
+    }
+
+    private static function sideload_file($temp_file, $file_name, $post_id, $source, $hash) {
+        $attachment_id = media_handle_sideload(['name' => $file_name, 'tmp_name' => $temp_file], $post_id);
+        if (is_wp_error($attachment_id)) {
+            @unlink($temp_file);
+            throw new Exception('Konnte Attachment nicht erstellen: ' . $attachment_id->get_error_message());
+        }
+
+        add_post_meta($attachment_id, self::SOURCE_META, $source);
+        update_post_meta($attachment_id, self::HASH_META, $hash);
+
+        return (int) $attachment_id;
+    }
+
+    private static function find_by_meta($meta_key, $value) {
+        global $wpdb;
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT pm.post_id FROM {$wpdb->postmeta} pm
+             INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id AND p.post_type = 'attachment'
+             WHERE pm.meta_key = %s AND pm.meta_value = %s LIMIT 1",
+            $meta_key,
+            $value
+        ));
+    }
+
+    private static function find_by_filename($reference) {
+        global $wpdb;
+        $file = basename($reference);
+
+        return (int) $wpdb->get_var($wpdb->prepare(
+            "SELECT post_id FROM {$wpdb->postmeta} WHERE meta_key = '_wp_attached_file' AND (meta_value = %s OR meta_value LIKE %s) LIMIT 1",
+            $file,
+            '%/' . $wpdb->esc_like($file)
+        ));
+    }
+
+    private static function split_list($value, $separator) {
+        return array_values(array_filter(array_map('trim', explode($separator, $value)), 'strlen'));
+    }
+}
@@ -0,0 +1,348 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// MEHRSPRACHIGKEIT (WPML / POLYLANG)
+// ===================================================================
+
+/**
+ * Mehrsprachige Importe mit WPML oder Polylang. Stellt die Mapping-Ziele lang:language
+ * (Sprachcode bzw. Locale der Zeile) und lang:translation_group (gemeinsamer Schlüssel
+ * aller Übersetzungen eines Inhalts) bereit.
+ *
+ * Jede Zeile wird in ihrer Sprache angelegt; Zeilen mit derselben Übersetzungsgruppe
+ * werden als Übersetzungen miteinander verknüpft - auch über mehrere Importe hinweg,
+ * da die Gruppe am Post gespeichert wird.
+ */
+class CSV_Import_Multilingual {
+
+    const LANGUAGE_TARGET = 'lang:language';
+    const GROUP_TARGET = 'lang:translation_group';
+    const GROUP_META = '_csv_import_translation_group';
+
+    // Sprachcode => Locale der aktiven Sprachen
+    private static $languages = null;
+
+    public static function init() {
+        add_filter('csv_import_mapping_targets', [__CLASS__, 'add_mapping_targets'], 10, 2);
+    }
+
+    /**
+     * @return string 'wpml', 'polylang' oder '' ohne Übersetzungs-Plugin
+     */
+    public static function get_provider() {
+        if (defined('ICL_SITEPRESS_VERSION') && has_filter('wpml_active_languages')) {
+            return 'wpml';
+        }
+        if (function_exists('pll_set_post_language') && function_exists('pll_save_post_translations')) {
+            return 'polylang';
+        }
+        return '';
+    }
+
+    public static function is_available() {
+        return self::get_provider() !== '';
+    }
+
+    public static function add_mapping_targets($groups, $post_type) {
+        if (!self::is_available() || !self::is_translated_post_type($post_type)) {
+            return $groups;
+        }
+
+        $groups['multilingual'] = [
+            'label' => 'Mehrsprachigkeit (' . (self::get_provider() === 'wpml' ? 'WPML' : 'Polylang') . ')',
+            'targets' => [
+                ['value' => self::LANGUAGE_TARGET, 'label' => 'Sprache (' . implode(', ', array_keys(self::get_languages())) . ')', 'aliases' => ['language', 'lang', 'sprache', 'locale', 'wpml_language', 'pll_language']],
+                ['value' => self::GROUP_TARGET, 'label' => 'Übersetzungsgruppe', 'aliases' => ['translation_group', 'translation_key', 'translation_of', 'uebersetzungsgruppe', 'uebersetzung', 'trid']]
+            ]
+        ];
+
+        return $groups;
+    }
+
+    /**
+     * Ist $key ein Mapping-Ziel dieser Klasse (lang:)?
+     */
+    public static function is_language_target($key) {
+        return strpos((string) $key, 'lang:') === 0;
+    }
+
+    public static function get_languages() {
+        if (self::$languages !== null) {
+            return self::$languages;
+        }
+
+        self::$languages = [];
+        if (self::get_provider() === 'wpml') {
+            foreach ((array) apply_filters('wpml_active_languages', null, ['skip_missing' => 0]) as $code => $language) {
+                self::$languages[$code] = $language['default_locale'] ?? $code;
+            }
+        } elseif (self::get_provider() === 'polylang') {
+            $codes = pll_languages_list(['fields' => 'slug']);
+            $locales = pll_languages_list(['fields' => 'locale']);
+            self::$languages = count($codes) === count($locales) ? array_combine($codes, $locales) : array_combine($codes, $codes);
+        }
+
+        return self::$languages;
+    }
+
+    public static function get_default_language() {
+        if (self::get_provider() === 'wpml') {
+            return (string) apply_filters('wpml_default_language', null);
+        }
+        if (self::get_provider() === 'polylang') {
+            return (string) pll_default_language();
+        }
+        return '';
+    }
+
+    /**
+     * Sprache und Übersetzungsgruppe einer Zeile. Ist nur die Gruppe gesetzt, gilt die Standardsprache.
+     *
+     * @return array ['language' => Sprachcode oder '', 'group' => Gruppe oder '']
+     * @throws Exception bei unbekannter Sprache oder ohne Übersetzungs-Plugin
+     */
+    public static function get_row_language(array $data) {
+        $value = trim((string) ($data[self::LANGUAGE_TARGET] ?? ''));
+        $group = trim((string) ($data[self::GROUP_TARGET] ?? ''));
+
+        if ($value === '' && $group === '') {
+            return ['language' => '', 'group' => ''];
+        }
+        if (!self::is_available()) {
+            throw new Exception('Sprache und Übersetzungsgruppe benötigen WPML oder Polylang');
+        }
+
+        return [
+            'language' => $value === '' ? self::get_default_language() : self::normalize_language($value),
+            'group' => $group
+        ];
+    }
+
+    /**
+     * Sprachcode zu Angaben wie "en", "EN", "en_US" oder "en-US". Regionale Varianten ohne
+     * eigene Sprache fallen auf die Hauptsprache zurück ("de-AT" => "de").
+     *
+     * @throws Exception wenn keine aktive Sprache passt
+     */
+    public static function normalize_language($value) {
+        $normalized = strtolower(str_replace('-', '_', trim((string) $value)));
+        $languages = self::get_languages();
+
+        foreach ($languages as $code => $locale) {
+            if ($normalized === strtolower($code) || $normalized === strtolower($locale)) {
+                return $code;
+            }
+        }
+
+        $base = strtok($normalized, '_');
+        foreach ($languages as $code => $locale) {
+            if ($base === strtolower($code)) {
+                return $code;
+            }
+        }
+
+        throw new Exception("Unbekannte Sprache '{$value}' - aktiv sind: " . implode(', ', array_keys($languages)));
+    }
+
+    /**
+     * Setzt die Sprache für folgende Abfragen (WPML filtert Begriffe und Posts danach).
+     * Polylang filtert Abfragen im Backend nicht nach einer aktuellen Sprache.
+     *
+     * @param string $language Sprachcode, '' = ursprüngliche Sprache
+     */
+    public static function switch_language($language) {
+        if (self::get_provider() === 'wpml') {
+            do_action('wpml_switch_language', $language !== '' ? $language : null);
+        }
+    }
+
+    public static function is_translated_post_type($post_type) {
+        if (self::get_provider() === 'wpml') {
+            return (bool) apply_filters('wpml_is_translated_post_type', null, $post_type);
+        }
+        if (self::get_provider() === 'polylang') {
+            return function_exists('pll_is_translated_post_type') && pll_is_translated_post_type($post_type);
+        }
+        return false;
+    }
+
+    public static function is_translated_taxonomy($taxonomy) {
+        if (self::get_provider() === 'wpml') {
+            return (bool) apply_filters('wpml_is_translated_taxonomy', null, $taxonomy);
+        }
+        if (self::get_provider() === 'polylang') {
+            return function_exists('pll_is_translated_taxonomy') && pll_is_translated_taxonomy($taxonomy);
+        }
+        return false;
+    }
+
+    public static function get_post_language($post_id) {
+        if (self::get_provider() === 'wpml') {
+            return (string) apply_filters('wpml_element_language_code', null, ['element_id' => (int) $post_id, 'element_type' => get_post_type($post_id)]);
+        }
+        if (self::get_provider() === 'polylang') {
+            return (string) pll_get_post_language((int) $post_id);
+        }
+        return '';
+    }
+
+    /**
+     * ID der Übersetzung eines Posts in $language.
+     *
+     * @return int Post-ID oder 0, wenn es keine Übersetzung gibt
+     */
+    public static function translate_post_id($post_id, $post_type, $language) {
+        if (self::get_provider() === 'wpml') {
+            return (int) apply_filters('wpml_object_id', (int) $post_id, $post_type, false, $language);
+        }
+        if (self::get_provider() === 'polylang') {
+            return (int) pll_get_post((int) $post_id, $language);
+        }
+        return 0;
+    }
+
+    /**
+     * Aus mehreren Treffern (z.B. gleicher Schlüssel in allen Sprachen) den Post in $language
+     * wählen, ersatzweise die Übersetzung des ersten Treffers.
+     *
+     * @return int Post-ID oder 0
+     */
+    public static function pick_post_in_language(array $post_ids, $post_type, $language) {
+        if (!$post_ids) {
+            return 0;
+        }
+        if ($language === '' || !self::is_translated_post_type($post_type)) {
+            return (int) reset($post_ids);
+        }
+
+        foreach ($post_ids as $post_id) {
+            if (self::get_post_language($post_id) === $language) {
+                return (int) $post_id;
+            }
+        }
+
+        return self::translate_post_id(reset($post_ids), $post_type, $language);
+    }
+
+    /**
+     * Post der Übersetzungsgruppe, optional in einer bestimmten Sprache.
+     *
+     * @param int $exclude_id Diesen Post nicht berücksichtigen
+     * @return int Post-ID oder 0
+     */
+    public static function find_group_post($group, $post_type, $language = '', $exclude_id = 0) {
+        $post_ids = get_posts([
+            'post_type'        => $post_type,
+            'post_status'      => 'any',
+            'meta_key'         => self::GROUP_META,
+            'meta_value'       => $group,
+            'fields'           => 'ids',
+            'posts_per_page'   => -1,
+            'post__not_in'     => $exclude_id ? [(int) $exclude_id] : [],
+            'orderby'          => 'ID',
+            'order'            => 'ASC',
+            'no_found_rows'    => true,
+            'suppress_filters' => true
+        ]);
+
+        foreach ($post_ids as $post_id) {
+            if ($language === '' || self::get_post_language($post_id) === $language) {
+                return (int) $post_id;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Setzt die Sprache eines Posts und verknüpft ihn mit den übrigen Posts seiner Übersetzungsgruppe.
+     */
+    public static function set_post_language($post_id, $post_type, $language, $group = '') {
+        if ($language === '' || !self::is_translated_post_type($post_type)) {
+            return;
+        }
+
+        if ($group !== '') {
+            update_post_meta($post_id, self::GROUP_META, $group);
+        }
+        $translation_of = $group !== '' ? self::find_group_post($group, $post_type, '', $post_id) : 0;
+
+        if (self::get_provider() === 'wpml') {
+            $element_type = 'post_' . $post_type;
+            $group_trid = $translation_of ? apply_filters('wpml_element_trid', null, $translation_of, $element_type) : null;
+            // Ohne Gruppe bestehende Übersetzungen des Posts beibehalten
+            $trid = $group_trid ?: apply_filters('wpml_element_trid', null, (int) $post_id, $element_type);
+
+            do_action('wpml_set_element_language_details', [
+                'element_id' => (int) $post_id,
+                'element_type' => $element_type,
+                'trid' => $trid ?: false,
+                'language_code' => $language,
+                'source_language_code' => $group_trid ? self::get_post_language($translation_of) : null
+            ]);
+            return;
+        }
+
+        pll_set_post_language((int) $post_id, $language);
+        if ($translation_of) {
+            $translations = pll_get_post_translations($translation_of);
+            $translations[$language] = (int) $post_id;
+            pll_save_post_translations($translations);
+        }
+    }
+
+    /**
+     * ID der Übersetzung eines Begriffs in $language.
+     *
+     * @return int Term-ID oder 0, wenn es keine Übersetzung gibt
+     */
+    public static function translate_term_id($term_id, $taxonomy, $language) {
+        if (self::get_provider() === 'wpml') {
+            return (int) apply_filters('wpml_object_id', (int) $term_id, $taxonomy, false, $language);
+        }
+        if (self::get_provider() === 'polylang') {
+            return (int) pll_get_term((int) $term_id, $language);
+        }
+        return 0;
+    }
+
+    /**
+     * Setzt die Sprache eines neu angelegten Begriffs, optional als Übersetzung von $translation_of.
+     */
+    public static function set_term_language($term_id, $taxonomy, $language, $translation_of = 0) {
+        if ($language === '' || !self::is_translated_taxonomy($taxonomy)) {
+            return;
+        }
+
+        if (self::get_provider() === 'wpml') {
+            // WPML verwaltet Begriffe über die term_taxonomy_id
+            $term = get_term((int) $term_id, $taxonomy);
+            $source = $translation_of ? get_term((int) $translation_of, $taxonomy) : null;
+            if (!$term || is_wp_error($term)) {
+                return;
+            }
+
+            $element_type = 'tax_' . $taxonomy;
+            $trid = $source && !is_wp_error($source) ? apply_filters('wpml_element_trid', null, $source->term_taxonomy_id, $element_type) : null;
+
+            do_action('wpml_set_element_language_details', [
+                'element_id' => (int) $term->term_taxonomy_id,
+                'element_type' => $element_type,
+                'trid' => $trid ?: false,
+                'language_code' => $language,
+                'source_language_code' => $trid ? apply_filters('wpml_element_language_code', null, ['element_id' => (int) $source->term_taxonomy_id, 'element_type' => $taxonomy]) : null
+            ]);
+            return;
+        }
+
+        pll_set_term_language((int) $term_id, $language);
+        if ($translation_of) {
+            $translations = pll_get_term_translations((int) $translation_of);
+            $translations[$language] = (int) $term_id;
+            pll_save_term_translations($translations);
+        }
+    }
+}
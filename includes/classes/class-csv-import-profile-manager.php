@@ -9,13 +9,27 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class CSV_Import_Profile_Manager {
     
-    public static function save_profile($name, $config) {
+    public static function save_profile($name, $config, $mapping = null, $rules = null, $transforms = null) {
         $profiles = get_option('csv_import_profiles', []);
         
+        // Ohne explizites Mapping, Regeln bzw. Transformationen werden die zuletzt gespeicherten übernommen
+        if ($mapping === null) {
+            $mapping = function_exists('csv_import_get_column_mapping') ? csv_import_get_column_mapping() : [];
+        }
+        if ($rules === null) {
+            $rules = function_exists('csv_import_get_validation_rules') ? csv_import_get_validation_rules() : [];
+        }
+        if ($transforms === null) {
+            $transforms = function_exists('csv_import_get_column_transforms') ? csv_import_get_column_transforms() : [];
+        }
+        
         $profile_id = sanitize_key($name);
         $profiles[$profile_id] = [
             'name' => sanitize_text_field($name),
             'config' => $config,
+            'mapping' => function_exists('csv_import_sanitize_mapping') ? csv_import_sanitize_mapping($mapping) : (array) $mapping,
+            'rules' => function_exists('csv_import_sanitize_validation_rules') ? csv_import_sanitize_validation_rules($rules) : (array) $rules,
+            'transforms' => class_exists('CSV_Import_Transformer') ? CSV_Import_Transformer::sanitize($transforms) : (array) $transforms,
             'created_at' => current_time('mysql'),
             'created_by' => get_current_user_id(),
             'last_used' => null,
@@ -36,6 +50,21 @@ class CSV_Import_Profile_Manager {
         return $profiles[$profile_id] ?? null;
     }
     
+    public static function get_profile_mapping($profile_id) {
+        $profile = self::get_profile($profile_id);
+        return is_array($profile['mapping'] ?? null) ? $profile['mapping'] : [];
+    }
+    
+    public static function get_profile_rules($profile_id) {
+        $profile = self::get_profile($profile_id);
+        return is_array($profile['rules'] ?? null) ? $profile['rules'] : [];
+    }
+    
+    public static function get_profile_transforms($profile_id) {
+        $profile = self::get_profile($profile_id);
+        return is_array($profile['transforms'] ?? null) ? $profile['transforms'] : [];
+    }
+    
     public static function load_profile($profile_id) {
         $profile = self::get_profile($profile_id);
         if (!$profile) {
@@ -47,6 +76,21 @@ class CSV_Import_Profile_Manager {
             update_option('csv_import_' . $key, $value);
         }
         
+        // Spalten-Mapping laden (ältere Profile enthalten noch keins)
+        if (isset($profile['mapping']) && function_exists('csv_import_save_column_mapping')) {
+            csv_import_save_column_mapping($profile['mapping']);
+        }
+        
+        // Validierungsregeln laden (ältere Profile enthalten noch keine)
+        if (isset($profile['rules']) && function_exists('csv_import_save_validation_rules')) {
+            csv_import_save_validation_rules($profile['rules']);
+        }
+        
+        // Transformationen laden (ältere Profile enthalten noch keine)
+        if (isset($profile['transforms']) && function_exists('csv_import_save_column_transforms')) {
+            csv_import_save_column_transforms($profile['transforms']);
+        }
+        
         // Nutzungsstatistik aktualisieren
         $profiles = self::get_profiles();
         $profiles[$profile_id]['last_used'] = current_time('mysql');
@@ -241,8 +241,9 @@ class CSV_Import_Scheduler {
                 throw new Exception( 'Ungültige Frequenz: ' . $frequency . '. Erlaubt: ' . implode( ', ', array_keys( self::INTERVALS ) ) );
             }
             
-            if ( ! in_array( $source, ['dropbox', 'local'] ) ) {
-                throw new Exception( 'Ungültige Quelle: ' . $source . '. Erlaubt: dropbox, local' );
+            $sources = array_keys( csv_import_get_source_labels() );
+            if ( ! in_array( $source, $sources, true ) ) {
+                throw new Exception( 'Ungültige Quelle: ' . $source . '. Erlaubt: ' . implode( ', ', $sources ) );
             }
             
             // Konfiguration validieren
@@ -254,12 +255,9 @@ class CSV_Import_Scheduler {
             }
             
             // Source-spezifische Validierung
-            if ( $source === 'dropbox' && ! $validation['dropbox_ready'] ) {
-                throw new Exception( 'Dropbox-Quelle nicht verfügbar oder nicht konfiguriert' );
-            }
-            
-            if ( $source === 'local' && ! $validation['local_ready'] ) {
-                throw new Exception( 'Lokale Quelle nicht verfügbar oder nicht lesbar' );
+            if ( empty( $validation[ $source . '_ready' ] ) ) {
+                $labels = csv_import_get_source_labels();
+                throw new Exception( 'Quelle "' . $labels[ $source ] . '" nicht verfügbar oder nicht konfiguriert' );
             }
             
             // Start-Zeit berechnen (nächste volle Stunde)
@@ -384,6 +382,51 @@ class CSV_Import_Scheduler {
     // EVENT HANDLER
     // ===================================================================
     
+    /**
+     * Ermittelt das Spalten-Mapping für einen geplanten Import:
+     * das Mapping des gewählten Profils, sonst das zuletzt gespeicherte Mapping.
+     */
+    private function get_scheduled_mapping( array $options ): array {
+        $profile_id = $options['profile_id'] ?? '';
+        
+        if ( $profile_id && class_exists( 'CSV_Import_Profile_Manager' ) ) {
+            if ( CSV_Import_Profile_Manager::get_profile( $profile_id ) ) {
+                return CSV_Import_Profile_Manager::get_profile_mapping( $profile_id );
+            }
+            $this->log_scheduler_event( 'warning', "Profil '{$profile_id}' für geplanten Import nicht gefunden - verwende gespeichertes Mapping" );
+        }
+        
+        return function_exists( 'csv_import_get_column_mapping' ) ? csv_import_get_column_mapping() : [];
+    }
+    
+    /**
+     * Validierungsregeln für einen geplanten Import: die des gewählten Profils,
+     * sonst null (CSV_Import_Pro_Run verwendet dann die gespeicherten Regeln).
+     */
+    private function get_scheduled_rules( array $options ): ?array {
+        $profile_id = $options['profile_id'] ?? '';
+        
+        if ( $profile_id && class_exists( 'CSV_Import_Profile_Manager' ) && CSV_Import_Profile_Manager::get_profile( $profile_id ) ) {
+            return CSV_Import_Profile_Manager::get_profile_rules( $profile_id );
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Transformationen für einen geplanten Import: die des gewählten Profils,
+     * sonst null (CSV_Import_Pro_Run verwendet dann die gespeicherten Transformationen).
+     */
+    private function get_scheduled_transforms( array $options ): ?array {
+        $profile_id = $options['profile_id'] ?? '';
+        
+        if ( $profile_id && class_exists( 'CSV_Import_Profile_Manager' ) && CSV_Import_Profile_Manager::get_profile( $profile_id ) ) {
+            return CSV_Import_Profile_Manager::get_profile_transforms( $profile_id );
+        }
+        
+        return null;
+    }
+    
     /**
      * Führt einen geplanten Import aus mit umfassendem Error-Handling
      */
@@ -436,7 +479,16 @@ class CSV_Import_Scheduler {
                 'source' => $source
             ], $options );
             
-            $result = csv_import_start_import( $source, $config );
+            $mapping = $this->get_scheduled_mapping( $import_options );
+            $rules = $this->get_scheduled_rules( $import_options );
+            $transforms = $this->get_scheduled_transforms( $import_options );
+            
+            // Nur CSV_Import_Pro_Run unterstützt Spalten-Mappings, Validierungsregeln und Transformationen
+            if ( class_exists( 'CSV_Import_Pro_Run' ) ) {
+                $result = CSV_Import_Pro_Run::run( $source, $mapping, $rules, $transforms );
+            } else {
+                $result = csv_import_start_import( $source, $config );
+            }
             
             if ( $result['success'] ) {
                 $this->log_scheduler_event( 'info', 
@@ -0,0 +1,363 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// SEO-FELDER (YOAST, RANK MATH, SEOPRESS, ALL IN ONE SEO)
+// ===================================================================
+
+/**
+ * Schreibt die SEO-Ziele einer Zeile (seo_*) in die Felder des eingestellten SEO-Plugins:
+ * Titel, Beschreibung, Fokus-Keyword, Canonical-URL, Open Graph und Twitter sowie
+ * noindex/nofollow. Ein einfacher Schema-Typ wird nur für Yoast und Rank Math gesetzt.
+ *
+ * Bilder für Open Graph/Twitter sind URLs oder Attachment-IDs. nofollow akzeptiert
+ * ja/nein, 1/0, true/false.
+ */
+class CSV_Import_SEO {
+
+    const PLUGINS = [
+        'yoast' => 'Yoast SEO',
+        'rankmath' => 'Rank Math',
+        'seopress' => 'SEOPress',
+        'aioseo' => 'All in One SEO'
+    ];
+
+    // Mapping-Ziele: Feld => [Label, Aliase]
+    const FIELDS = [
+        'seo_title' => ['SEO-Titel', ['meta_title', 'seo_titel']],
+        'seo_description' => ['Meta-Beschreibung', ['meta_description', 'metadesc', 'description']],
+        'seo_focus_keyword' => ['Fokus-Keyword', ['focus_keyword', 'focuskw', 'keyword', 'fokus_keyword']],
+        'seo_canonical' => ['Canonical-URL', ['canonical', 'canonical_url']],
+        'seo_og_title' => ['Open Graph: Titel', ['og_title', 'facebook_title']],
+        'seo_og_description' => ['Open Graph: Beschreibung', ['og_description', 'facebook_description']],
+        'seo_og_image' => ['Open Graph: Bild (URL/ID)', ['og_image', 'facebook_image', 'share_image']],
+        'seo_twitter_title' => ['Twitter: Titel', ['twitter_title']],
+        'seo_twitter_description' => ['Twitter: Beschreibung', ['twitter_description']],
+        'seo_twitter_image' => ['Twitter: Bild (URL/ID)', ['twitter_image']],
+        'seo_nofollow' => ['Robots: nofollow (ja/nein)', ['nofollow', 'robots_nofollow']],
+        'seo_schema_type' => ['Schema-Typ', ['schema', 'schema_type', 'rich_snippet']]
+    ];
+
+    // Schema-Typen für Yoast: Seiten- bzw. Artikeltyp
+    const YOAST_PAGE_TYPES = ['WebPage', 'ItemPage', 'AboutPage', 'FAQPage', 'QAPage', 'ProfilePage', 'ContactPage', 'MedicalWebPage', 'CollectionPage', 'CheckoutPage', 'RealEstateListing', 'SearchResultsPage'];
+    const YOAST_ARTICLE_TYPES = ['Article', 'BlogPosting', 'SocialMediaPosting', 'NewsArticle', 'AdvertiserContentArticle', 'SatiricalArticle', 'ScholarlyArticle', 'TechArticle', 'Report', 'None'];
+
+    // Rich-Snippet-Typen für Rank Math, Artikel-Typen zusätzlich als rank_math_snippet_article_type
+    const RANKMATH_TYPES = ['off', 'article', 'book', 'course', 'event', 'jobposting', 'music', 'person', 'product', 'recipe', 'restaurant', 'service', 'software', 'video'];
+    const RANKMATH_ARTICLE_TYPES = ['Article', 'BlogPosting', 'NewsArticle'];
+
+    public static function is_plugin_active($seo_plugin) {
+        switch ($seo_plugin) {
+            case 'yoast':
+                return defined('WPSEO_VERSION') || class_exists('WPSEO_Options');
+            case 'rankmath':
+                return class_exists('RankMath');
+            case 'seopress':
+                return defined('SEOPRESS_VERSION') || function_exists('seopress_init');
+            case 'aioseo':
+                return defined('AIOSEO_VERSION') || function_exists('aioseo');
+        }
+        return false;
+    }
+
+    /**
+     * Warnung, wenn das eingestellte SEO-Plugin nicht aktiv ist.
+     *
+     * @return string Meldung oder ''
+     */
+    public static function get_plugin_warning($seo_plugin) {
+        if (!isset(self::PLUGINS[$seo_plugin]) || self::is_plugin_active($seo_plugin)) {
+            return '';
+        }
+        return 'Das gewählte SEO-Plugin ' . self::PLUGINS[$seo_plugin] . ' ist nicht aktiv - SEO-Felder werden nicht gespeichert';
+    }
+
+    public static function supports_schema($seo_plugin) {
+        return in_array($seo_plugin, ['yoast', 'rankmath'], true);
+    }
+
+    /**
+     * Mapping-Ziele der SEO-Gruppe. Den Schema-Typ gibt es nur für Yoast und Rank Math.
+     */
+    public static function get_mapping_targets($seo_plugin) {
+        $targets = [];
+        foreach (self::FIELDS as $field => $definition) {
+            if ($field === 'seo_schema_type' && !self::supports_schema($seo_plugin)) {
+                continue;
+            }
+            $targets[] = ['value' => $field, 'label' => $definition[0], 'aliases' => $definition[1]];
+        }
+        return $targets;
+    }
+
+    /**
+     * Schreibt die SEO-Felder einer Zeile. Leere Zellen lassen bestehende Werte unverändert.
+     *
+     * @param bool $noindex Einstellung "Posts auf noindex setzen"
+     */
+    public static function save($post_id, array $row, $seo_plugin, $noindex = false) {
+        $values = self::get_row_values($row);
+
+        switch ($seo_plugin) {
+            case 'yoast':
+                self::save_yoast($post_id, $values, $noindex);
+                break;
+            case 'rankmath':
+                self::save_rankmath($post_id, $values, $noindex);
+                break;
+            case 'seopress':
+                self::save_seopress($post_id, $values, $noindex);
+                break;
+            case 'aioseo':
+                self::save_aioseo($post_id, $values, $noindex);
+                break;
+        }
+    }
+
+    /**
+     * Bereinigte, nicht leere Werte der Zeile (Bilder als ['url' => ..., 'id' => ...]).
+     */
+    private static function get_row_values(array $row) {
+        $values = [];
+
+        foreach (array_keys(self::FIELDS) as $field) {
+            $value = trim((string) ($row[$field] ?? ''));
+            if ($value === '') {
+                continue;
+            }
+
+            switch ($field) {
+                case 'seo_canonical':
+                    $values[$field] = esc_url_raw($value);
+                    break;
+                case 'seo_og_image':
+                case 'seo_twitter_image':
+                    $values[$field] = self::get_image($value);
+                    break;
+                case 'seo_nofollow':
+                    $values[$field] = in_array(strtolower($value), ['1', 'ja', 'yes', 'true', 'nofollow', 'x'], true);
+                    break;
+                default:
+                    $values[$field] = sanitize_text_field($value);
+            }
+        }
+
+        return array_filter($values, function($value) {
+            return $value !== '' && $value !== null;
+        });
+    }
+
+    private static function get_image($value) {
+        if (ctype_digit($value)) {
+            $url = wp_get_attachment_url((int) $value);
+            return $url ? ['url' => $url, 'id' => (int) $value] : null;
+        }
+        return ['url' => esc_url_raw($value), 'id' => 0];
+    }
+
+    private static function save_yoast($post_id, array $values, $noindex) {
+        self::update_meta($post_id, $values, [
+            'seo_title' => '_yoast_wpseo_title',
+            'seo_description' => '_yoast_wpseo_metadesc',
+            'seo_focus_keyword' => '_yoast_wpseo_focuskw',
+            'seo_canonical' => '_yoast_wpseo_canonical',
+            'seo_og_title' => '_yoast_wpseo_opengraph-title',
+            'seo_og_description' => '_yoast_wpseo_opengraph-description',
+            'seo_twitter_title' => '_yoast_wpseo_twitter-title',
+            'seo_twitter_description' => '_yoast_wpseo_twitter-description'
+        ]);
+        self::update_image_meta($post_id, $values['seo_og_image'] ?? null, '_yoast_wpseo_opengraph-image', '_yoast_wpseo_opengraph-image-id');
+        self::update_image_meta($post_id, $values['seo_twitter_image'] ?? null, '_yoast_wpseo_twitter-image', '_yoast_wpseo_twitter-image-id');
+
+        if ($noindex) {
+            update_post_meta($post_id, '_yoast_wpseo_meta-robots-noindex', '1');
+        }
+        if (isset($values['seo_nofollow'])) {
+            update_post_meta($post_id, '_yoast_wpseo_meta-robots-nofollow', $values['seo_nofollow'] ? '1' : '0');
+        }
+
+        if (isset($values['seo_schema_type'])) {
+            $type = self::match_type($values['seo_schema_type'], array_merge(self::YOAST_PAGE_TYPES, self::YOAST_ARTICLE_TYPES));
+            if (in_array($type, self::YOAST_PAGE_TYPES, true)) {
+                update_post_meta($post_id, '_yoast_wpseo_schema_page_type', $type);
+            } elseif ($type !== '') {
+                update_post_meta($post_id, '_yoast_wpseo_schema_article_type', $type);
+            } else {
+                self::log_unknown_schema($post_id, $values['seo_schema_type']);
+            }
+        }
+    }
+
+    private static function save_rankmath($post_id, array $values, $noindex) {
+        self::update_meta($post_id, $values, [
+            'seo_title' => 'rank_math_title',
+            'seo_description' => 'rank_math_description',
+            'seo_focus_keyword' => 'rank_math_focus_keyword',
+            'seo_canonical' => 'rank_math_canonical_url',
+            'seo_og_title' => 'rank_math_facebook_title',
+            'seo_og_description' => 'rank_math_facebook_description',
+            'seo_twitter_title' => 'rank_math_twitter_title',
+            'seo_twitter_description' => 'rank_math_twitter_description'
+        ]);
+        self::update_image_meta($post_id, $values['seo_og_image'] ?? null, 'rank_math_facebook_image', 'rank_math_facebook_image_id');
+        self::update_image_meta($post_id, $values['seo_twitter_image'] ?? null, 'rank_math_twitter_image', 'rank_math_twitter_image_id');
+
+        // Eigene Twitter-Angaben statt der Facebook-Daten verwenden
+        if (array_intersect_key($values, array_flip(['seo_twitter_title', 'seo_twitter_description', 'seo_twitter_image']))) {
+            update_post_meta($post_id, 'rank_math_twitter_use_facebook', 'off');
+        }
+
+        // Rank Math erwartet ein Array von Werten
+        if ($noindex || isset($values['seo_nofollow'])) {
+            $robots = (array) get_post_meta($post_id, 'rank_math_robots', true);
+            if ($noindex) {
+                $robots = array_merge(array_diff($robots, ['index']), ['noindex']);
+            }
+            if (isset($values['seo_nofollow'])) {
+                $robots = array_diff($robots, ['nofollow']);
+                if ($values['seo_nofollow']) {
+                    $robots[] = 'nofollow';
+                }
+            }
+            update_post_meta($post_id, 'rank_math_robots', array_values(array_unique(array_filter($robots))));
+        }
+
+        if (isset($values['seo_schema_type'])) {
+            $article_type = self::match_type($values['seo_schema_type'], self::RANKMATH_ARTICLE_TYPES);
+            $type = $article_type !== '' ? 'article' : self::match_type($values['seo_schema_type'], self::RANKMATH_TYPES);
+            if ($type === '') {
+                self::log_unknown_schema($post_id, $values['seo_schema_type']);
+                return;
+            }
+            update_post_meta($post_id, 'rank_math_rich_snippet', $type);
+            if ($article_type !== '') {
+                update_post_meta($post_id, 'rank_math_snippet_article_type', $article_type);
+            }
+        }
+    }
+
+    private static function save_seopress($post_id, array $values, $noindex) {
+        self::update_meta($post_id, $values, [
+            'seo_title' => '_seopress_titles_title',
+            'seo_description' => '_seopress_titles_desc',
+            'seo_focus_keyword' => '_seopress_analysis_target_kw',
+            'seo_canonical' => '_seopress_robots_canonical',
+            'seo_og_title' => '_seopress_social_fb_title',
+            'seo_og_description' => '_seopress_social_fb_desc',
+            'seo_twitter_title' => '_seopress_social_twitter_title',
+            'seo_twitter_description' => '_seopress_social_twitter_desc'
+        ]);
+        self::update_image_meta($post_id, $values['seo_og_image'] ?? null, '_seopress_social_fb_img', '_seopress_social_fb_img_attachment_id');
+        self::update_image_meta($post_id, $values['seo_twitter_image'] ?? null, '_seopress_social_twitter_img', '_seopress_social_twitter_img_attachment_id');
+
+        // SEOPress speichert "yes" für noindex bzw. nofollow
+        if ($noindex) {
+            update_post_meta($post_id, '_seopress_robots_index', 'yes');
+        }
+        if (isset($values['seo_nofollow'])) {
+            if ($values['seo_nofollow']) {
+                update_post_meta($post_id, '_seopress_robots_follow', 'yes');
+            } else {
+                delete_post_meta($post_id, '_seopress_robots_follow');
+            }
+        }
+    }
+
+    /**
+     * All in One SEO (ab Version 4) speichert in einer eigenen Tabelle - daher über das Post-Model.
+     */
+    private static function save_aioseo($post_id, array $values, $noindex) {
+        if (!class_exists('\AIOSEO\Plugin\Common\Models\Post')) {
+            return;
+        }
+
+        $aioseo_post = \AIOSEO\Plugin\Common\Models\Post::getPost($post_id);
+        if (!$aioseo_post->exists()) {
+            $aioseo_post->post_id = $post_id;
+        }
+
+        $columns = [
+            'seo_title' => 'title',
+            'seo_description' => 'description',
+            'seo_canonical' => 'canonical_url',
+            'seo_og_title' => 'og_title',
+            'seo_og_description' => 'og_description',
+            'seo_twitter_title' => 'twitter_title',
+            'seo_twitter_description' => 'twitter_description'
+        ];
+        foreach ($columns as $field => $column) {
+            if (isset($values[$field])) {
+                $aioseo_post->$column = $values[$field];
+            }
+        }
+
+        if (isset($values['seo_focus_keyword'])) {
+            $aioseo_post->keyphrases = wp_json_encode(['focus' => ['keyphrase' => $values['seo_focus_keyword']], 'additional' => []]);
+        }
+        if (isset($values['seo_og_image'])) {
+            $aioseo_post->og_image_type = 'custom_image';
+            $aioseo_post->og_image_custom_url = $values['seo_og_image']['url'];
+        }
+        if (isset($values['seo_twitter_title']) || isset($values['seo_twitter_description']) || isset($values['seo_twitter_image'])) {
+            $aioseo_post->twitter_use_og = false;
+        }
+        if (isset($values['seo_twitter_image'])) {
+            $aioseo_post->twitter_image_type = 'custom_image';
+            $aioseo_post->twitter_image_custom_url = $values['seo_twitter_image']['url'];
+        }
+
+        // Eigene Robots-Angaben nur, wenn die Zeile oder die Einstellung sie vorgibt
+        if ($noindex || isset($values['seo_nofollow'])) {
+            $aioseo_post->robots_default = false;
+            if ($noindex) {
+                $aioseo_post->robots_noindex = true;
+            }
+            if (isset($values['seo_nofollow'])) {
+                $aioseo_post->robots_nofollow = $values['seo_nofollow'];
+            }
+        }
+
+        $aioseo_post->save();
+    }
+
+    private static function update_meta($post_id, array $values, array $meta_keys) {
+        foreach ($meta_keys as $field => $meta_key) {
+            if (isset($values[$field])) {
+                update_post_meta($post_id, $meta_key, $values[$field]);
+            }
+        }
+    }
+
+    private static function update_image_meta($post_id, $image, $url_key, $id_key) {
+        if (!$image) {
+            return;
+        }
+        update_post_meta($post_id, $url_key, $image['url']);
+        if ($image['id']) {
+            update_post_meta($post_id, $id_key, $image['id']);
+        } else {
+            delete_post_meta($post_id, $id_key);
+        }
+    }
+
+    /**
+     * Schema-Typ ohne Rücksicht auf Groß-/Kleinschreibung, Leerzeichen und Bindestriche.
+     *
+     * @return string Typ in der Schreibweise des Plugins oder ''
+     */
+    private static function match_type($value, array $types) {
+        $normalized = strtolower(str_replace([' ', '-', '_'], '', $value));
+        foreach ($types as $type) {
+            if (strtolower($type) === $normalized) {
+                return $type;
+            }
+        }
+        return '';
+    }
+
+    private static function log_unknown_schema($post_id, $value) {
+        csv_import_log('warning', "Unbekannter Schema-Typ '{$value}' für Post {$post_id} wird übersprungen");
+    }
+}
@@ -0,0 +1,551 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// TABELLENDOKUMENTE (XLSX / ODS)
+// ===================================================================
+
+/**
+ * Wandelt ein Tabellenblatt aus einer XLSX- oder ODS-Datei in eine temporäre CSV-Datei um,
+ * die anschließend mit CSV_Import_CSV_Reader gelesen wird. Beide Formate sind ZIP-Archive
+ * mit XML-Inhalt und werden per XMLReader gestreamt, damit auch große Mappen wenig Speicher brauchen.
+ *
+ * Jede Tabellenzeile wird zu genau einer CSV-Zeile (leere Zeilen bleiben als Leerzeile erhalten),
+ * sodass die Zeilennummern des Readers zusammen mit dem Offset den Zeilen im Tabellenblatt entsprechen.
+ */
+class CSV_Import_Spreadsheet_Converter {
+
+    const FORMATS = ['xlsx', 'ods'];
+
+    // Eingebaute Excel-Zahlenformate für Datum/Uhrzeit
+    const XLSX_DATE_FORMATS = [14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47];
+
+    /**
+     * Erkennt das Format anhand der Dateiendung (auch bei URLs mit Query-String).
+     *
+     * @return string 'xlsx', 'ods' oder 'csv'
+     */
+    public static function detect_format($path) {
+        $url_path = parse_url($path, PHP_URL_PATH);
+        $extension = strtolower(pathinfo($url_path ?: $path, PATHINFO_EXTENSION));
+        return in_array($extension, self::FORMATS, true) ? $extension : 'csv';
+    }
+
+    /**
+     * @param string     $path       Pfad zur XLSX/ODS-Datei
+     * @param string     $format     'xlsx' oder 'ods'
+     * @param string|int $sheet      Blattname oder Nummer (ab 1), leer = erstes Blatt
+     * @param int        $header_row Zeile mit den Spaltennamen (ab 1)
+     * @return array ['file' => Pfad der temporären CSV, 'line_offset' => int, 'sheet' => Blattname, 'sheets' => alle Blattnamen]
+     */
+    public static function to_csv_file($path, $format, $sheet = '', $header_row = 1) {
+        if (!class_exists('ZipArchive') || !class_exists('XMLReader')) {
+            throw new Exception('Für XLSX/ODS-Dateien werden die PHP-Erweiterungen zip und xmlreader benötigt');
+        }
+        if (!is_file($path) || !is_readable($path)) {
+            throw new Exception('Tabellendatei nicht gefunden oder nicht lesbar: ' . basename($path));
+        }
+
+        $header_row = max(1, (int) $header_row);
+
+        if (!function_exists('wp_tempnam')) {
+            require_once ABSPATH . 'wp-admin/includes/file.php';
+        }
+        $csv_file = wp_tempnam('csv-import-' . $format . '.csv');
+        $out = fopen($csv_file, 'wb');
+        if (!$out) {
+            throw new Exception('Temporäre CSV-Datei konnte nicht angelegt werden');
+        }
+
+        try {
+            $writer = self::create_row_writer($out, $header_row);
+
+            if ($format === 'xlsx') {
+                $info = self::convert_xlsx($path, $sheet, $writer);
+            } elseif ($format === 'ods') {
+                $info = self::convert_ods($path, $sheet, $writer);
+            } else {
+                throw new Exception('Unbekanntes Tabellenformat: ' . $format);
+            }
+        } catch (Exception $e) {
+            fclose($out);
+            @unlink($csv_file);
+            throw $e;
+        }
+
+        fclose($out);
+
+        return array_merge($info, [
+            'file'        => $csv_file,
+            'line_offset' => $header_row - 1
+        ]);
+    }
+
+    /**
+     * Schreibt Zeilen ab der Header-Zeile in die CSV. Lücken zwischen Zeilennummern werden
+     * als Leerzeilen geschrieben, leere Zeilen am Blattende entfallen.
+     */
+    private static function create_row_writer($out, $header_row) {
+        $next_row = $header_row;
+        $pending_empty = 0;
+
+        return function ($row_number, array $cells) use ($out, $header_row, &$next_row, &$pending_empty) {
+            if ($row_number < $header_row) {
+                return;
+            }
+
+            $pending_empty += max(0, $row_number - $next_row);
+            $next_row = $row_number + 1;
+
+            $cells = self::fill_cells($cells);
+            if (empty($cells)) {
+                $pending_empty++;
+                return;
+            }
+
+            if ($pending_empty > 0) {
+                fwrite($out, str_repeat("\n", $pending_empty));
+                $pending_empty = 0;
+            }
+            fputcsv($out, $cells, ',', '"', '');
+        };
+    }
+
+    /**
+     * Wandelt Spaltenindex => Wert in eine lückenlose Liste um; leere Zellen am Zeilenende entfallen.
+     */
+    private static function fill_cells(array $cells) {
+        $cells = array_filter($cells, function ($value) {
+            return $value !== '' && $value !== null;
+        });
+        if (empty($cells)) {
+            return [];
+        }
+
+        $row = array_fill(0, max(array_keys($cells)) + 1, '');
+        foreach ($cells as $index => $value) {
+            $row[$index] = $value;
+        }
+        return $row;
+    }
+
+    // ===================================================================
+    // XLSX
+    // ===================================================================
+
+    private static function convert_xlsx($path, $sheet, callable $write_row) {
+        $zip = new ZipArchive();
+        if ($zip->open($path) !== true) {
+            throw new Exception('XLSX-Datei konnte nicht geöffnet werden: ' . basename($path));
+        }
+
+        $sheets = self::read_xlsx_sheets($zip);
+        $shared_strings = self::read_xlsx_shared_strings($zip);
+        $date_styles = self::read_xlsx_date_styles($zip);
+        $zip->close();
+
+        if (empty($sheets)) {
+            throw new Exception('XLSX-Datei enthält keine Tabellenblätter');
+        }
+
+        $sheet_name = self::select_sheet(array_keys($sheets), $sheet);
+
+        $reader = new XMLReader();
+        if (!$reader->open('zip://' . $path . '#' . $sheets[$sheet_name])) {
+            throw new Exception('Tabellenblatt "' . $sheet_name . '" konnte nicht gelesen werden');
+        }
+
+        $row_number = 0;
+        $cells = null;
+
+        while ($reader->read()) {
+            if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'row') {
+                $row_number = (int) $reader->getAttribute('r') ?: $row_number + 1;
+                $cells = [];
+                $column = 0;
+                if ($reader->isEmptyElement) {
+                    $write_row($row_number, $cells);
+                    $cells = null;
+                }
+                continue;
+            }
+
+            if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'c' && $cells !== null) {
+                $reference = $reader->getAttribute('r');
+                $column = $reference ? self::column_index($reference) : $column;
+                $cells[$column] = self::read_xlsx_cell($reader, $shared_strings, $date_styles);
+                $column++;
+                continue;
+            }
+
+            if ($reader->nodeType === XMLReader::END_ELEMENT && $reader->localName === 'row' && $cells !== null) {
+                $write_row($row_number, $cells);
+                $cells = null;
+            }
+        }
+        $reader->close();
+
+        return ['sheet' => $sheet_name, 'sheets' => array_keys($sheets)];
+    }
+
+    /**
+     * Blattnamen => Pfad im Archiv, in der Reihenfolge der Arbeitsmappe.
+     */
+    private static function read_xlsx_sheets(ZipArchive $zip) {
+        $workbook = $zip->getFromName('xl/workbook.xml');
+        $relations = $zip->getFromName('xl/_rels/workbook.xml.rels');
+        if ($workbook === false || $relations === false) {
+            throw new Exception('Ungültige XLSX-Datei (workbook.xml fehlt)');
+        }
+
+        $targets = [];
+        $rels = simplexml_load_string($relations);
+        foreach ($rels->Relationship as $relation) {
+            $target = (string) $relation['Target'];
+            $targets[(string) $relation['Id']] = strpos($target, '/') === 0 ? ltrim($target, '/') : 'xl/' . $target;
+        }
+
+        $sheets = [];
+        $xml = simplexml_load_string($workbook);
+        foreach ($xml->sheets->sheet as $sheet) {
+            $id = (string) $sheet->attributes('http://schemas.openxmlformats.org/officeDocument/2006/relationships')['id'];
+            if (isset($targets[$id])) {
+                $sheets[(string) $sheet['name']] = $targets[$id];
+            }
+        }
+
+        return $sheets;
+    }
+
+    private static function read_xlsx_shared_strings(ZipArchive $zip) {
+        $content = $zip->getFromName('xl/sharedStrings.xml');
+        if ($content === false) {
+            return [];
+        }
+
+        $strings = [];
+        $reader = new XMLReader();
+        $reader->XML($content);
+
+        while ($reader->read()) {
+            if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'si') {
+                $strings[] = self::read_xlsx_text($reader, 'si');
+            }
+        }
+        $reader->close();
+
+        return $strings;
+    }
+
+    /**
+     * Verkettet alle <t>-Elemente bis zum Ende des Elements (Rich-Text-Runs), ohne Lautschrift (rPh).
+     */
+    private static function read_xlsx_text(XMLReader $reader, $element) {
+        if ($reader->isEmptyElement) {
+            return '';
+        }
+
+        $text = '';
+        $depth = $reader->depth;
+        $skip_depth = null;
+
+        while ($reader->read()) {
+            if ($reader->nodeType === XMLReader::END_ELEMENT && $reader->localName === $element && $reader->depth === $depth) {
+                break;
+            }
+            if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'rPh' && !$reader->isEmptyElement) {
+                $skip_depth = $reader->depth;
+            } elseif ($reader->nodeType === XMLReader::END_ELEMENT && $reader->localName === 'rPh' && $reader->depth === $skip_depth) {
+                $skip_depth = null;
+            } elseif ($skip_depth === null && $reader->nodeType === XMLReader::ELEMENT && $reader->localName === 't') {
+                $text .= $reader->readString();
+            }
+        }
+
+        return $text;
+    }
+
+    /**
+     * Indizes der Zellformate (cellXfs), die ein Datum darstellen.
+     */
+    private static function read_xlsx_date_styles(ZipArchive $zip) {
+        $content = $zip->getFromName('xl/styles.xml');
+        if ($content === false) {
+            return [];
+        }
+
+        $xml = simplexml_load_string($content);
+        if (!$xml || !isset($xml->cellXfs)) {
+            return [];
+        }
+
+        $custom_date_formats = [];
+        if (isset($xml->numFmts)) {
+            foreach ($xml->numFmts->numFmt as $format) {
+                // Text in Anführungszeichen und Farbangaben ignorieren
+                $code = preg_replace('/"[^"]*"|\[[^\]]*\]/', '', (string) $format['formatCode']);
+                if (preg_match('/[dmyh]/i', $code)) {
+                    $custom_date_formats[] = (int) $format['numFmtId'];
+                }
+            }
+        }
+
+        $date_styles = [];
+        $index = 0;
+        foreach ($xml->cellXfs->xf as $xf) {
+            $format_id = (int) $xf['numFmtId'];
+            if (in_array($format_id, self::XLSX_DATE_FORMATS, true) || in_array($format_id, $custom_date_formats, true)) {
+                $date_styles[$index] = true;
+            }
+            $index++;
+        }
+
+        return $date_styles;
+    }
+
+    private static function read_xlsx_cell(XMLReader $reader, array $shared_strings, array $date_styles) {
+        $type = $reader->getAttribute('t') ?: 'n';
+        $style = (int) $reader->getAttribute('s');
+
+        if ($reader->isEmptyElement) {
+            return '';
+        }
+
+        if ($type === 'inlineStr') {
+            return self::read_xlsx_text($reader, 'c');
+        }
+
+        $value = '';
+        $depth = $reader->depth;
+        while ($reader->read()) {
+            if ($reader->nodeType === XMLReader::END_ELEMENT && $reader->localName === 'c' && $reader->depth === $depth) {
+                break;
+            }
+            if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'v') {
+                $value = $reader->readString();
+            }
+        }
+
+        switch ($type) {
+            case 's':
+                return $shared_strings[(int) $value] ?? '';
+            case 'b':
+                return $value === '1' ? '1' : '0';
+            case 'n':
+                if ($value !== '' && isset($date_styles[$style]) && is_numeric($value)) {
+                    return self::excel_date($value);
+                }
+                return $value;
+            default:
+                return $value;
+        }
+    }
+
+    /**
+     * Excel-Seriennummer (Tage seit 1899-12-30) als Datum bzw. Datum mit Uhrzeit.
+     */
+    private static function excel_date($serial) {
+        $serial = (float) $serial;
+        $timestamp = (int) round(($serial - 25569) * 86400);
+        $has_time = abs($serial - floor($serial)) > 0.0000001;
+
+        return gmdate($has_time ? 'Y-m-d H:i:s' : 'Y-m-d', $timestamp);
+    }
+
+    /**
+     * "C12" => 2 (Spaltenindex ab 0)
+     */
+    private static function column_index($reference) {
+        $letters = preg_replace('/[^A-Z]/', '', strtoupper($reference));
+        $index = 0;
+        for ($i = 0; $i < strlen($letters); $i++) {
+            $index = $index * 26 + (ord($letters[$i]) - 64);
+        }
+        return $index - 1;
+    }
+
+    // ===================================================================
+    // ODS
+    // ===================================================================
+
+    const ODS_TABLE_NS = 'urn:oasis:names:tc:opendocument:xmlns:table:1.0';
+    const ODS_OFFICE_NS = 'urn:oasis:names:tc:opendocument:xmlns:office:1.0';
+    const ODS_TEXT_NS = 'urn:oasis:names:tc:opendocument:xmlns:text:1.0';
+
+    private static function convert_ods($path, $sheet, callable $write_row) {
+        $sheets = self::read_ods_sheets($path);
+        if (empty($sheets)) {
+            throw new Exception('ODS-Datei enthält keine Tabellenblätter');
+        }
+        $sheet_name = self::select_sheet($sheets, $sheet);
+
+        $reader = self::open_ods_content($path);
+        $in_sheet = false;
+        $row_number = 0;
+
+        $has_node = $reader->read();
+        while ($has_node) {
+            if ($reader->nodeType !== XMLReader::ELEMENT || $reader->namespaceURI !== self::ODS_TABLE_NS) {
+                $has_node = $reader->read();
+                continue;
+            }
+
+            if ($reader->localName === 'table') {
+                if ($in_sheet) {
+                    break; // Gewähltes Blatt ist vollständig gelesen
+                }
+                $in_sheet = $reader->getAttributeNs('name', self::ODS_TABLE_NS) === $sheet_name;
+                // Andere Blätter komplett überspringen
+                $has_node = $in_sheet ? $reader->read() : $reader->next();
+                continue;
+            }
+
+            if (!$in_sheet || $reader->localName !== 'table-row') {
+                $has_node = $reader->read();
+                continue;
+            }
+
+            $repeat = max(1, (int) $reader->getAttributeNs('number-rows-repeated', self::ODS_TABLE_NS));
+            $cells = self::read_ods_row($reader->expand());
+
+            // Wiederholte Leerzeilen (oft bis Zeile 1.048.576) nicht einzeln schreiben
+            if (empty(self::fill_cells($cells))) {
+                $row_number += $repeat;
+            } else {
+                for ($i = 0; $i < $repeat; $i++) {
+                    $write_row(++$row_number, $cells);
+                }
+            }
+
+            $has_node = $reader->next();
+        }
+        $reader->close();
+
+        return ['sheet' => $sheet_name, 'sheets' => $sheets];
+    }
+
+    private static function open_ods_content($path) {
+        $reader = new XMLReader();
+        if (!$reader->open('zip://' . $path . '#content.xml')) {
+            throw new Exception('ODS-Datei konnte nicht geöffnet werden: ' . basename($path));
+        }
+        return $reader;
+    }
+
+    private static function read_ods_sheets($path) {
+        $reader = self::open_ods_content($path);
+        $sheets = [];
+
+        $has_node = $reader->read();
+        while ($has_node) {
+            if ($reader->nodeType === XMLReader::ELEMENT && $reader->localName === 'table' && $reader->namespaceURI === self::ODS_TABLE_NS) {
+                $sheets[] = $reader->getAttributeNs('name', self::ODS_TABLE_NS);
+                $has_node = $reader->next(); // Inhalt des Blatts nicht durchlaufen
+                continue;
+            }
+            $has_node = $reader->read();
+        }
+        $reader->close();
+
+        return $sheets;
+    }
+
+    /**
+     * Liest die Zellen einer <table:table-row> (Spaltenindex => Wert).
+     */
+    private static function read_ods_row($row_node) {
+        $cells = [];
+        if (!$row_node) {
+            return $cells;
+        }
+
+        $column = 0;
+        foreach ($row_node->childNodes as $cell) {
+            if ($cell->nodeType !== XML_ELEMENT_NODE || $cell->namespaceURI !== self::ODS_TABLE_NS) {
+                continue;
+            }
+            if (!in_array($cell->localName, ['table-cell', 'covered-table-cell'], true)) {
+                continue;
+            }
+
+            $repeat = max(1, (int) $cell->getAttributeNS(self::ODS_TABLE_NS, 'number-columns-repeated'));
+            $value = self::read_ods_cell_value($cell);
+
+            if ($value !== '') {
+                for ($i = 0; $i < $repeat; $i++) {
+                    $cells[$column + $i] = $value;
+                }
+            }
+            $column += $repeat;
+        }
+
+        return $cells;
+    }
+
+    private static function read_ods_cell_value($cell) {
+        $type = $cell->getAttributeNS(self::ODS_OFFICE_NS, 'value-type');
+
+        switch ($type) {
+            case 'float':
+            case 'percentage':
+            case 'currency':
+                return $cell->getAttributeNS(self::ODS_OFFICE_NS, 'value');
+            case 'date':
+                return str_replace('T', ' ', $cell->getAttributeNS(self::ODS_OFFICE_NS, 'date-value'));
+            case 'boolean':
+                return $cell->getAttributeNS(self::ODS_OFFICE_NS, 'boolean-value') === 'true' ? '1' : '0';
+        }
+
+        // Text: Absätze mit Zeilenumbruch verbinden, <text:s/> steht für Leerzeichen
+        $paragraphs = [];
+        foreach ($cell->childNodes as $child) {
+            if ($child->nodeType === XML_ELEMENT_NODE && $child->namespaceURI === self::ODS_TEXT_NS && $child->localName === 'p') {
+                $paragraphs[] = self::read_ods_text($child);
+            }
+        }
+
+        return implode("\n", $paragraphs);
+    }
+
+    private static function read_ods_text($node) {
+        $text = '';
+        foreach ($node->childNodes as $child) {
+            if ($child->nodeType === XML_TEXT_NODE) {
+                $text .= $child->nodeValue;
+            } elseif ($child->nodeType === XML_ELEMENT_NODE && $child->namespaceURI === self::ODS_TEXT_NS && $child->localName === 's') {
+                $text .= str_repeat(' ', max(1, (int) $child->getAttributeNS(self::ODS_TEXT_NS, 'c')));
+            } elseif ($child->nodeType === XML_ELEMENT_NODE && $child->namespaceURI === self::ODS_TEXT_NS && $child->localName === 'tab') {
+                $text .= "\t";
+            } elseif ($child->nodeType === XML_ELEMENT_NODE && $child->namespaceURI === self::ODS_TEXT_NS && $child->localName === 'line-break') {
+                $text .= "\n";
+            } elseif ($child->nodeType === XML_ELEMENT_NODE) {
+                $text .= self::read_ods_text($child);
+            }
+        }
+        return $text;
+    }
+
+    // ===================================================================
+    // HILFSFUNKTIONEN
+    // ===================================================================
+
+    /**
+     * Wählt ein Blatt über Namen oder Nummer (ab 1), leer = erstes Blatt.
+     */
+    private static function select_sheet(array $sheet_names, $sheet) {
+        $sheet = trim((string) $sheet);
+        if ($sheet === '') {
+            return $sheet_names[0];
+        }
+        if (in_array($sheet, $sheet_names, true)) {
+            return $sheet;
+        }
+        if (ctype_digit($sheet) && isset($sheet_names[(int) $sheet - 1])) {
+            return $sheet_names[(int) $sheet - 1];
+        }
+
+        throw new Exception('Tabellenblatt "' . $sheet . '" nicht gefunden. Vorhanden: ' . implode(', ', $sheet_names));
+    }
+}
@@ -0,0 +1,449 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// TEMPLATE-SPRACHE FÜR PAGE-BUILDER-TEMPLATES
+// ===================================================================
+
+/**
+ * Kleine, sichere Template-Sprache für post_content und Page-Builder-Daten.
+ * Es wird kein PHP ausgeführt, nur Werte der CSV-Zeile eingesetzt.
+ *
+ *   {{spalte}}                              Wert der Spalte
+ *   {{spalte|default:"Kein Preis"}}         Ersatzwert bei leerer oder fehlender Spalte
+ *   {{titel|upper}} {{datum|date:"d.m.Y"}}  Filter, beliebig verkettbar
+ *   {{#if spalte}}...{{else}}...{{/if}}     Abschnitt nur bei nicht-leerem Wert ({{#unless}} umgekehrt)
+ *   {{#each tags separator=";"}}{{this}}{{/each}}  Schleife über eine Liste (@index, @number, @first, @last)
+ *
+ * Platzhalter, die sich nicht auflösen lassen, führen zu einer Exception statt
+ * unverändert im veröffentlichten Inhalt zu landen.
+ */
+class CSV_Import_Template_Engine {
+
+    // Geparste Templates, damit große Templates nicht für jede Zeile neu zerlegt werden
+    private static $parsed = [];
+
+    /**
+     * Verfügbare Filter (Name => callable($value, array $args)). Eigene Filter über csv_import_template_filters.
+     */
+    public static function get_filters() {
+        return apply_filters('csv_import_template_filters', [
+            'upper' => function($value) {
+                return mb_strtoupper($value);
+            },
+            'lower' => function($value) {
+                return mb_strtolower($value);
+            },
+            'ucfirst' => function($value) {
+                return mb_strtoupper(mb_substr($value, 0, 1)) . mb_substr($value, 1);
+            },
+            'trim' => function($value) {
+                return trim($value);
+            },
+            'slug' => function($value) {
+                return sanitize_title($value);
+            },
+            'date' => function($value, array $args) {
+                if (trim($value) === '') {
+                    return '';
+                }
+                $timestamp = strtotime(trim($value));
+                if ($timestamp === false) {
+                    throw new Exception("Datum '{$value}' konnte nicht gelesen werden");
+                }
+                return date_i18n($args[0] ?? get_option('date_format', 'd.m.Y'), $timestamp);
+            },
+            'number' => function($value, array $args) {
+                if (trim($value) === '') {
+                    return '';
+                }
+                if (!is_numeric(trim($value))) {
+                    throw new Exception("'{$value}' ist keine Zahl");
+                }
+                $decimals = max(0, (int) ($args[0] ?? 0));
+                if (isset($args[1])) {
+                    return number_format((float) $value, $decimals, $args[1], $args[2] ?? '');
+                }
+                return number_format_i18n((float) $value, $decimals);
+            },
+            'esc_url' => function($value) {
+                return esc_url($value);
+            },
+            'esc_html' => function($value) {
+                return esc_html($value);
+            },
+            'esc_attr' => function($value) {
+                return esc_attr($value);
+            },
+            'nl2br' => function($value) {
+                return nl2br($value);
+            }
+        ]);
+    }
+
+    /**
+     * Rendert ein Template mit den Werten einer Zeile.
+     *
+     * @param array $options list_separator: Standard-Trennzeichen für {{#each}} (Standard ",")
+     * @throws Exception bei Syntaxfehlern, fehlgeschlagenen Filtern oder nicht auflösbaren Platzhaltern
+     */
+    public static function render($template, array $data, array $options = []) {
+        $unresolved = [];
+        $output = self::render_partial($template, $data, $unresolved, $options);
+
+        if ($unresolved) {
+            throw new Exception(self::format_unresolved($unresolved));
+        }
+
+        return $output;
+    }
+
+    /**
+     * Wie render(), sammelt nicht auflösbare Platzhalter aber in $unresolved, statt abzubrechen.
+     * So lassen sich mehrere Teile eines Templates rendern und gemeinsam melden.
+     */
+    public static function render_partial($template, array $data, array &$unresolved, array $options = []) {
+        $template = (string) $template;
+        if (strpos($template, '{{') === false) {
+            return $template;
+        }
+
+        $output = self::render_nodes(self::parse($template), $data, [], $unresolved, $options);
+        $unresolved = array_values(array_unique($unresolved));
+
+        return $output;
+    }
+
+    /**
+     * Prüft nur die Syntax (Blöcke, Filter) eines Templates.
+     *
+     * @return string Fehlermeldung, leer wenn gültig
+     */
+    public static function check_syntax($template) {
+        try {
+            self::parse((string) $template);
+            return '';
+        } catch (Exception $e) {
+            return $e->getMessage();
+        }
+    }
+
+    /**
+     * Listet alle Platzhalter und Blöcke eines Templates mit ihrem Wert für eine Zeile auf.
+     *
+     * @return array Liste von ['placeholder', 'name', 'value', 'missing', 'loop', 'error'];
+     *               Schleifenvariablen ({{this}}, {{@index}}) haben loop = true und keinen Wert
+     */
+    public static function describe_placeholders($template, array $data) {
+        $template = (string) $template;
+        if (strpos($template, '{{') === false) {
+            return [];
+        }
+
+        $placeholders = [];
+        self::describe_nodes(self::parse($template), $data, $placeholders, false);
+        return array_values($placeholders);
+    }
+
+    public static function format_unresolved(array $unresolved) {
+        $placeholders = array_map(function($name) {
+            return '{{' . $name . '}}';
+        }, array_unique($unresolved));
+
+        return 'Nicht auflösbare Platzhalter im Template: ' . implode(', ', $placeholders);
+    }
+
+    /**
+     * Zerlegt ein Template in einen Baum aus Text, Platzhaltern und Blöcken.
+     */
+    private static function parse($template) {
+        $cache_key = md5($template);
+        if (isset(self::$parsed[$cache_key])) {
+            return self::$parsed[$cache_key];
+        }
+
+        $parts = preg_split('/(\{\{.*?\}\})/s', $template, -1, PREG_SPLIT_DELIM_CAPTURE);
+        $stack = [['type' => 'root', 'children' => []]];
+
+        foreach ($parts as $index => $part) {
+            $top = count($stack) - 1;
+
+            if ($index % 2 === 0) {
+                if ($part !== '') {
+                    $stack[$top]['children'][] = ['type' => 'text', 'text' => $part];
+                }
+                continue;
+            }
+
+            $tag = trim(substr($part, 2, -2));
+
+            if ($tag === '') {
+                $stack[$top]['children'][] = ['type' => 'text', 'text' => $part];
+            } elseif (preg_match('/^#(if|unless)\s+(.+)$/s', $tag, $match)) {
+                $stack[] = [
+                    'type' => 'if',
+                    'tag' => $match[1],
+                    'expression' => self::parse_expression($match[2], $part),
+                    'children' => [],
+                    'then' => null
+                ];
+            } elseif (preg_match('/^#each\s+(.+?)(?:\s+separator\s*=\s*(["\'])(.*?)\2)?$/s', $tag, $match)) {
+                $stack[] = [
+                    'type' => 'each',
+                    'tag' => 'each',
+                    'name' => trim($match[1]),
+                    'separator' => isset($match[3]) ? $match[3] : null,
+                    'children' => []
+                ];
+            } elseif ($tag === 'else') {
+                if ($stack[$top]['type'] !== 'if' || $stack[$top]['then'] !== null) {
+                    throw new Exception('{{else}} ohne passendes {{#if}}');
+                }
+                $stack[$top]['then'] = $stack[$top]['children'];
+                $stack[$top]['children'] = [];
+            } elseif (preg_match('/^\/(if|unless|each)$/', $tag, $match)) {
+                if ($top === 0 || $stack[$top]['tag'] !== $match[1]) {
+                    throw new Exception("{{/{$match[1]}}} ohne passendes {{#{$match[1]}}}");
+                }
+                $node = array_pop($stack);
+                if ($node['type'] === 'if') {
+                    $node['else'] = $node['then'] === null ? [] : $node['children'];
+                    $node['then'] = $node['then'] === null ? $node['children'] : $node['then'];
+                    unset($node['children']);
+                }
+                $stack[$top - 1]['children'][] = $node;
+            } elseif ($tag[0] === '#' || $tag[0] === '/') {
+                throw new Exception("Unbekannter Block {$part}");
+            } else {
+                $stack[$top]['children'][] = [
+                    'type' => 'var',
+                    'expression' => self::parse_expression($tag, $part)
+                ];
+            }
+        }
+
+        if (count($stack) > 1) {
+            $open = end($stack);
+            throw new Exception("Block {{#{$open['tag']}}} wurde nicht mit {{/{$open['tag']}}} geschlossen");
+        }
+
+        if (count(self::$parsed) > 100) {
+            self::$parsed = [];
+        }
+
+        return self::$parsed[$cache_key] = $stack[0]['children'];
+    }
+
+    /**
+     * "spalte|filter:arg|filter2" → Name und Filterliste
+     */
+    private static function parse_expression($expression, $tag) {
+        $parts = self::split_unquoted($expression, '|');
+        $name = trim(array_shift($parts));
+        if ($name === '') {
+            throw new Exception("Platzhalter ohne Spaltennamen: {$tag}");
+        }
+
+        $available = self::get_filters();
+        $filters = [];
+        foreach ($parts as $part) {
+            $args = array_map([__CLASS__, 'unquote'], self::split_unquoted($part, ':'));
+            $filter = trim(array_shift($args));
+
+            if ($filter !== 'default' && !isset($available[$filter])) {
+                throw new Exception("Unbekannter Filter '{$filter}' in {$tag}");
+            }
+            $filters[] = ['name' => $filter, 'args' => $args];
+        }
+
+        return ['name' => $name, 'filters' => $filters, 'tag' => $tag];
+    }
+
+    /**
+     * Teilt an $delimiter, außer innerhalb von "..." bzw. '...'.
+     */
+    private static function split_unquoted($string, $delimiter) {
+        $parts = [];
+        $current = '';
+        $quote = '';
+        $length = strlen($string);
+
+        for ($i = 0; $i < $length; $i++) {
+            $char = $string[$i];
+
+            if ($quote !== '') {
+                if ($char === '\\' && $i + 1 < $length) {
+                    $current .= $char . $string[++$i];
+                    continue;
+                }
+                if ($char === $quote) {
+                    $quote = '';
+                }
+            } elseif ($char === '"' || $char === "'") {
+                $quote = $char;
+            } elseif ($char === $delimiter) {
+                $parts[] = $current;
+                $current = '';
+                continue;
+            }
+
+            $current .= $char;
+        }
+        $parts[] = $current;
+
+        return $parts;
+    }
+
+    private static function unquote($value) {
+        $value = trim($value);
+        $quote = $value[0] ?? '';
+        if (($quote === '"' || $quote === "'") && strlen($value) > 1 && substr($value, -1) === $quote) {
+            return str_replace('\\' . $quote, $quote, substr($value, 1, -1));
+        }
+        return $value;
+    }
+
+    private static function render_nodes(array $nodes, array $data, array $scope, array &$unresolved, array $options) {
+        $output = '';
+
+        foreach ($nodes as $node) {
+            switch ($node['type']) {
+                case 'text':
+                    $output .= $node['text'];
+                    break;
+
+                case 'var':
+                    $output .= self::evaluate($node['expression'], $data, $scope, $unresolved);
+                    break;
+
+                case 'if':
+                    $truthy = trim(self::evaluate($node['expression'], $data, $scope, $unresolved)) !== '';
+                    if ($node['tag'] === 'unless') {
+                        $truthy = !$truthy;
+                    }
+                    $output .= self::render_nodes($truthy ? $node['then'] : $node['else'], $data, $scope, $unresolved, $options);
+                    break;
+
+                case 'each':
+                    $list = self::lookup($node['name'], $data, $scope);
+                    if ($list === null) {
+                        $unresolved[] = $node['name'];
+                        break;
+                    }
+
+                    $separator = $node['separator'] ?? ($options['list_separator'] ?? ',');
+                    $items = $separator === '' ? [$list] : explode($separator, $list);
+                    $items = array_values(array_filter(array_map('trim', $items), 'strlen'));
+                    $last = count($items) - 1;
+
+                    foreach ($items as $index => $item) {
+                        $item_scope = [
+                            'this' => $item,
+                            '@index' => (string) $index,
+                            '@number' => (string) ($index + 1),
+                            '@first' => $index === 0 ? '1' : '',
+                            '@last' => $index === $last ? '1' : ''
+                        ];
+                        $output .= self::render_nodes($node['children'], $data, $item_scope, $unresolved, $options);
+                    }
+                    break;
+            }
+        }
+
+        return $output;
+    }
+
+    private static function describe_nodes(array $nodes, array $data, array &$placeholders, $in_loop) {
+        foreach ($nodes as $node) {
+            if ($node['type'] === 'text') {
+                continue;
+            }
+
+            $expression = $node['type'] === 'each'
+                ? ['name' => $node['name'], 'filters' => [], 'tag' => '{{#each ' . $node['name'] . '}}']
+                : $node['expression'];
+
+            if (!isset($placeholders[$expression['tag']])) {
+                $entry = [
+                    'placeholder' => $expression['tag'],
+                    'name' => $expression['name'],
+                    'value' => null,
+                    'missing' => false,
+                    'loop' => $in_loop && ($expression['name'] === 'this' || $expression['name'][0] === '@'),
+                    'error' => ''
+                ];
+
+                if (!$entry['loop']) {
+                    $unresolved = [];
+                    try {
+                        $value = self::evaluate($expression, $data, [], $unresolved);
+                        $entry['missing'] = !empty($unresolved);
+                        $entry['value'] = $entry['missing'] ? null : $value;
+                    } catch (Exception $e) {
+                        $entry['error'] = $e->getMessage();
+                    }
+                }
+
+                $placeholders[$expression['tag']] = $entry;
+            }
+
+            if ($node['type'] === 'if') {
+                self::describe_nodes(array_merge($node['then'], $node['else']), $data, $placeholders, $in_loop);
+            } elseif ($node['type'] === 'each') {
+                self::describe_nodes($node['children'], $data, $placeholders, true);
+            }
+        }
+    }
+
+    /**
+     * Wert eines Platzhalters inkl. Filtern. Nicht auflösbare Namen landen in $unresolved.
+     */
+    private static function evaluate(array $expression, array $data, array $scope, array &$unresolved) {
+        $value = self::lookup($expression['name'], $data, $scope);
+        $found = $value !== null;
+        $value = (string) $value;
+        $available = self::get_filters();
+
+        foreach ($expression['filters'] as $filter) {
+            if ($filter['name'] === 'default') {
+                if (!$found || trim($value) === '') {
+                    $value = (string) ($filter['args'][0] ?? '');
+                    $found = true;
+                }
+                continue;
+            }
+
+            if (!$found) {
+                continue;
+            }
+
+            try {
+                $value = (string) call_user_func($available[$filter['name']], $value, $filter['args']);
+            } catch (Exception $e) {
+                throw new Exception("Filter '{$filter['name']}' in {$expression['tag']}: " . $e->getMessage());
+            }
+        }
+
+        if (!$found) {
+            $unresolved[] = $expression['name'];
+            return '';
+        }
+
+        return $value;
+    }
+
+    /**
+     * @return string|null null, wenn es weder eine Spalte noch eine Schleifenvariable dieses Namens gibt
+     */
+    private static function lookup($name, array $data, array $scope) {
+        if (array_key_exists($name, $scope)) {
+            return (string) $scope[$name];
+        }
+        if (array_key_exists($name, $data) && is_scalar($data[$name])) {
+            return (string) $data[$name];
+        }
+        return null;
+    }
+}
@@ -0,0 +1,348 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// TRANSFORMATIONEN PRO SPALTE
+// ===================================================================
+
+/**
+ * Wendet eine Kette von Transformationen auf die Werte einer Spalte an, bevor
+ * sie den Zielfeldern zugeordnet werden (z.B. trimmen, Datum umformatieren,
+ * deutsche Zahlen normalisieren, Markdown in HTML umwandeln).
+ *
+ * Eine Kette ist eine Liste von Schritten ['type' => ..., 'args' => [...]].
+ * Verweise auf andere Spalten ({spalte}) lesen immer den Originalwert der Datei.
+ */
+class CSV_Import_Transformer {
+
+    /**
+     * Verfügbare Schritte mit Bezeichnung, Argumenten (Name => Beschriftung)
+     * und optionalen Auswahllisten für Argumente.
+     */
+    public static function get_types() {
+        return apply_filters('csv_import_transform_types', [
+            'trim' => ['label' => 'Leerzeichen entfernen', 'args' => []],
+            'lowercase' => ['label' => 'Kleinbuchstaben', 'args' => []],
+            'uppercase' => ['label' => 'Großbuchstaben', 'args' => []],
+            'ucwords' => ['label' => 'Wortanfänge groß', 'args' => []],
+            'replace' => [
+                'label' => 'Suchen & Ersetzen',
+                'args' => ['search' => 'Suchen', 'replace' => 'Ersetzen durch']
+            ],
+            'regex_replace' => [
+                'label' => 'Regex ersetzen',
+                'args' => ['pattern' => 'Muster, z.B. /\s+/', 'replace' => 'Ersetzen durch ($1 möglich)']
+            ],
+            'date' => [
+                'label' => 'Datum umwandeln',
+                'args' => ['from' => 'Eingabeformat, z.B. d.m.Y (leer = automatisch)', 'to' => 'Zielformat, z.B. Y-m-d']
+            ],
+            'number' => [
+                'label' => 'Zahl normalisieren',
+                'args' => ['locale' => 'Eingabe', 'decimals' => 'Nachkommastellen (leer = unverändert)'],
+                'options' => [
+                    'locale' => ['auto' => 'Automatisch', 'de' => 'Deutsch (1.234,56)', 'en' => 'Englisch (1,234.56)']
+                ]
+            ],
+            'markdown' => ['label' => 'Markdown → HTML', 'args' => []],
+            'split_join' => [
+                'label' => 'Teilen & verbinden',
+                'args' => ['separator' => 'Trennzeichen', 'join' => 'Verbinden mit', 'index' => 'Nur Teil Nr. (ab 1, leer = alle)']
+            ],
+            'default' => ['label' => 'Standardwert bei leerem Wert', 'args' => ['value' => 'Standardwert']],
+            'concat' => [
+                'label' => 'Spalten verbinden',
+                'args' => ['template' => 'Vorlage, z.B. {vorname} {nachname} ({value} = aktueller Wert)']
+            ]
+        ]);
+    }
+
+    /**
+     * Bereinigt Transformationen (Spalte => Liste von Schritten). Unbekannte Schritte werden verworfen.
+     * Argumente bleiben unverändert (bis auf ungültiges UTF-8), da Muster und Vorlagen Sonderzeichen brauchen.
+     */
+    public static function sanitize($transforms) {
+        if (!is_array($transforms)) {
+            return [];
+        }
+
+        $types = self::get_types();
+        $clean = [];
+
+        foreach ($transforms as $column => $steps) {
+            $column = sanitize_text_field((string) $column);
+            if ($column === '' || !is_array($steps)) {
+                continue;
+            }
+
+            $clean_steps = [];
+            foreach (array_values($steps) as $step) {
+                $type = sanitize_key($step['type'] ?? '');
+                if (!isset($types[$type])) {
+                    continue;
+                }
+
+                $args = [];
+                foreach (array_keys($types[$type]['args']) as $arg) {
+                    $args[$arg] = wp_check_invalid_utf8((string) ($step['args'][$arg] ?? ''));
+                }
+                $clean_steps[] = ['type' => $type, 'args' => $args];
+            }
+
+            if ($clean_steps) {
+                $clean[$column] = $clean_steps;
+            }
+        }
+
+        return $clean;
+    }
+
+    /**
+     * Wendet die Transformationen auf eine Zeile an.
+     *
+     * @param array $row        Spalte => Wert (Originalzeile)
+     * @param array $transforms Spalte => Schritte
+     * @return array Zeile mit transformierten Werten
+     * @throws Exception wenn ein Schritt den Wert nicht verarbeiten kann (z.B. ungültiges Datum)
+     */
+    public static function apply_row(array $row, array $transforms) {
+        $result = $row;
+
+        foreach ($transforms as $column => $steps) {
+            // Spalten, die nur durch "Spalten verbinden" entstehen, dürfen fehlen
+            $value = (string) ($row[$column] ?? '');
+            try {
+                $result[$column] = self::apply_steps($value, $steps, $row);
+            } catch (Exception $e) {
+                throw new Exception("Transformation für Spalte '{$column}' fehlgeschlagen: " . $e->getMessage());
+            }
+        }
+
+        return $result;
+    }
+
+    /**
+     * @param string $value Ausgangswert
+     * @param array  $steps Liste von Schritten
+     * @param array  $row   Originalzeile für Verweise auf andere Spalten
+     */
+    public static function apply_steps($value, array $steps, array $row = []) {
+        foreach ($steps as $step) {
+            $value = self::apply_step((string) $value, $step['type'], $step['args'] ?? [], $row);
+        }
+        return $value;
+    }
+
+    private static function apply_step($value, $type, array $args, array $row) {
+        switch ($type) {
+            case 'trim':
+                return trim($value);
+
+            case 'lowercase':
+                return mb_strtolower($value);
+
+            case 'uppercase':
+                return mb_strtoupper($value);
+
+            case 'ucwords':
+                return mb_convert_case($value, MB_CASE_TITLE);
+
+            case 'replace':
+                if (($args['search'] ?? '') === '') {
+                    return $value;
+                }
+                return str_replace($args['search'], $args['replace'] ?? '', $value);
+
+            case 'regex_replace':
+                if (($args['pattern'] ?? '') === '') {
+                    return $value;
+                }
+                $replaced = @preg_replace($args['pattern'], $args['replace'] ?? '', $value);
+                if ($replaced === null) {
+                    throw new Exception('Ungültiger regulärer Ausdruck ' . $args['pattern']);
+                }
+                return $replaced;
+
+            case 'date':
+                return self::convert_date($value, $args['from'] ?? '', $args['to'] ?? '');
+
+            case 'number':
+                return self::normalize_number($value, ($args['locale'] ?? '') ?: 'auto', $args['decimals'] ?? '');
+
+            case 'markdown':
+                return self::markdown_to_html($value);
+
+            case 'split_join':
+                return self::split_join($value, $args);
+
+            case 'default':
+                return trim($value) === '' ? (string) ($args['value'] ?? '') : $value;
+
+            case 'concat':
+                return self::fill_template($args['template'] ?? '', $value, $row);
+        }
+
+        // Eigene Schritte über den Filter csv_import_transform_types
+        return (string) apply_filters('csv_import_transform_' . $type, $value, $args, $row);
+    }
+
+    private static function convert_date($value, $from, $to) {
+        if (trim($value) === '') {
+            return $value;
+        }
+
+        $to = $to !== '' ? $to : 'Y-m-d';
+
+        if ($from !== '') {
+            $date = DateTime::createFromFormat('!' . $from, trim($value));
+            if ($date === false) {
+                throw new Exception("Datum '{$value}' entspricht nicht dem Format {$from}");
+            }
+            return $date->format($to);
+        }
+
+        $timestamp = strtotime(trim($value));
+        if ($timestamp === false) {
+            throw new Exception("Datum '{$value}' konnte nicht gelesen werden");
+        }
+        return gmdate($to, $timestamp);
+    }
+
+    /**
+     * Wandelt Zahlen wie "1.234,56" (de) oder "1,234.56" (en) in "1234.56" um.
+     * Werte, die danach keine Zahl sind, bleiben unverändert.
+     */
+    private static function normalize_number($value, $locale, $decimals) {
+        $number = preg_replace('/[\s\x{00A0}\']/u', '', $value);
+        if ($number === '') {
+            return $value;
+        }
+
+        if ($locale === 'auto') {
+            $last_comma = strrpos($number, ',');
+            $last_dot = strrpos($number, '.');
+            // Das zuletzt stehende Trennzeichen ist das Dezimaltrennzeichen, ein einzelnes Komma ebenfalls
+            $locale = $last_comma !== false && ($last_dot === false || $last_comma > $last_dot) ? 'de' : 'en';
+        }
+
+        $number = $locale === 'de'
+            ? str_replace(['.', ','], ['', '.'], $number)
+            : str_replace(',', '', $number);
+
+        if (!is_numeric($number)) {
+            return $value;
+        }
+
+        if ($decimals !== '' && is_numeric($decimals)) {
+            return number_format((float) $number, max(0, (int) $decimals), '.', '');
+        }
+
+        return $number;
+    }
+
+    private static function split_join($value, array $args) {
+        $separator = (string) ($args['separator'] ?? '');
+        if ($separator === '') {
+            return $value;
+        }
+
+        $parts = array_map('trim', explode($separator, $value));
+
+        $index = trim((string) ($args['index'] ?? ''));
+        if ($index !== '' && ctype_digit($index)) {
+            return $parts[(int) $index - 1] ?? '';
+        }
+
+        $parts = array_filter($parts, 'strlen');
+        return implode((string) ($args['join'] ?? ''), $parts);
+    }
+
+    /**
+     * Ersetzt {spalte} durch Werte der Originalzeile und {value} durch den aktuellen Wert.
+     */
+    private static function fill_template($template, $value, array $row) {
+        return preg_replace_callback('/\{([^{}]+)\}/', function($match) use ($value, $row) {
+            $name = trim($match[1]);
+            if ($name === 'value') {
+                return $value;
+            }
+            return array_key_exists($name, $row) ? (string) $row[$name] : $match[0];
+        }, $template);
+    }
+
+    /**
+     * Einfaches Markdown: Überschriften, Absätze, Listen, fett, kursiv, Code und Links.
+     * Vorhandenes HTML wird maskiert.
+     */
+    private static function markdown_to_html($value) {
+        $lines = preg_split('/\r\n|\r|\n/', trim($value));
+        $html = [];
+        $paragraph = [];
+        $list_type = '';
+
+        $flush_paragraph = function() use (&$paragraph, &$html) {
+            if ($paragraph) {
+                $html[] = '<p>' . implode('<br>', $paragraph) . '</p>';
+                $paragraph = [];
+            }
+        };
+        $close_list = function() use (&$list_type, &$html) {
+            if ($list_type !== '') {
+                $html[] = '</' . $list_type . '>';
+                $list_type = '';
+            }
+        };
+
+        foreach ($lines as $line) {
+            $text = trim($line);
+
+            if ($text === '') {
+                $flush_paragraph();
+                $close_list();
+                continue;
+            }
+
+            if (preg_match('/^(#{1,6})\s+(.*)$/', $text, $match)) {
+                $flush_paragraph();
+                $close_list();
+                $level = strlen($match[1]);
+                $html[] = "<h{$level}>" . self::markdown_inline($match[2]) . "</h{$level}>";
+                continue;
+            }
+
+            if (preg_match('/^([-*+]|\d+\.)\s+(.*)$/', $text, $match)) {
+                $flush_paragraph();
+                $type = ctype_digit(rtrim($match[1], '.')) ? 'ol' : 'ul';
+                if ($list_type !== $type) {
+                    $close_list();
+                    $html[] = '<' . $type . '>';
+                    $list_type = $type;
+                }
+                $html[] = '<li>' . self::markdown_inline($match[2]) . '</li>';
+                continue;
+            }
+
+            $close_list();
+            $paragraph[] = self::markdown_inline($text);
+        }
+
+        $flush_paragraph();
+        $close_list();
+
+        return implode("\n", $html);
+    }
+
+    private static function markdown_inline($text) {
+        $text = esc_html($text);
+
+        $text = preg_replace('/`([^`]+)`/', '<code>$1</code>', $text);
+        $text = preg_replace('/(\*\*|__)(.+?)\1/', '<strong>$2</strong>', $text);
+        $text = preg_replace('/(?<![*\w])[*_](?![\s*_])(.+?)(?<!\s)[*_](?![*\w])/', '<em>$1</em>', $text);
+
+        return preg_replace_callback('/\[([^\]]+)\]\(([^)\s]+)\)/', function($match) {
+            return '<a href="' . esc_url($match[2]) . '">' . $match[1] . '</a>';
+        }, $text);
+    }
+}
@@ -9,46 +9,55 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class CSV_Import_Validator {
     
-    public static function comprehensive_csv_check($csv_content, $config) {
+    // Maximale Anzahl gemeldeter Regelverstöße (gezählt werden alle)
+    const RULE_REPORT_LIMIT = 1000;
+    
+    /**
+     * Prüft eine CSV-Datei auf Struktur- und Inhaltsprobleme.
+     *
+     * @param CSV_Import_CSV_Reader|string $csv Reader oder CSV-Inhalt als String
+     * @param array $config Plugin-Konfiguration
+     */
+    public static function comprehensive_csv_check($csv, $config) {
         $issues = [];
         $warnings = [];
         $info = [];
         
-        // Basis-Checks
-        if (empty($csv_content)) {
-            $issues[] = 'CSV-Datei ist leer';
-            return ['issues' => $issues, 'warnings' => $warnings, 'info' => $info];
+        if (!($csv instanceof CSV_Import_CSV_Reader)) {
+            // Basis-Checks
+            if (empty($csv)) {
+                $issues[] = 'CSV-Datei ist leer';
+                return ['issues' => $issues, 'warnings' => $warnings, 'info' => $info];
+            }
+            $csv = CSV_Import_CSV_Reader::from_string($csv, get_option('csv_import_delimiter', 'auto'));
         }
+        $reader = $csv;
         
-        $size = strlen($csv_content);
+        $size = $reader->get_size();
         $info['file_size'] = size_format($size);
         
+        if ($size === 0) {
+            $issues[] = 'CSV-Datei ist leer';
+            return ['issues' => $issues, 'warnings' => $warnings, 'info' => $info];
+        }
+        
         if ($size > 100 * 1024 * 1024) { // 100MB
             $warnings[] = 'Sehr große CSV-Datei (' . size_format($size) . ') - Import könnte lange dauern';
         }
         
-        // Encoding-Check
-        $encoding = mb_detect_encoding($csv_content, ['UTF-8', 'ISO-8859-1', 'Windows-1252'], true);
-        if ($encoding !== 'UTF-8') {
-            $warnings[] = "CSV-Encoding ist $encoding (empfohlen: UTF-8)";
-        }
-        $info['encoding'] = $encoding ?: 'Unbekannt';
-        
-        // CSV-Struktur analysieren
-        $csv_content = csv_import_normalize_line_endings($csv_content);
-        $lines = explode("\n", $csv_content);
-        $info['total_lines'] = count($lines);
-        
-        if (count($lines) < 2) {
-            $issues[] = 'CSV muss mindestens Header und eine Datenzeile enthalten';
+        // Header analysieren
+        try {
+            $header = $reader->get_headers();
+        } catch (Exception $e) {
+            $issues[] = $e->getMessage();
             return ['issues' => $issues, 'warnings' => $warnings, 'info' => $info];
         }
-        
-        // Header analysieren
-        $header_line = array_shift($lines);
-        $header = str_getcsv($header_line);
         $info['columns'] = count($header);
         $info['column_names'] = $header;
+        $info['delimiter'] = $reader->get_delimiter();
+        
+        // Encoding-Check anhand der Header und der ersten Datenzeilen
+        $encoding_sample = implode(',', $header);
         
         // Duplizierte Spalten prüfen
         $duplicates = array_diff_assoc($header, array_unique($header));
@@ -68,43 +77,75 @@ class CSV_Import_Validator {
             $issues[] = 'Fehlende erforderliche Spalten: ' . implode(', ', $missing_required);
         }
         
-        // Datenzeilen analysieren (Sample)
-        $data_lines = array_filter($lines, 'trim');
-        $info['data_rows'] = count($data_lines);
-        
-        $sample_size = min(100, count($data_lines)); // Erste 100 Zeilen analysieren
+        // Datenzeilen zeilenweise lesen, die ersten 100 genauer analysieren
+        $sample_limit = 100;
+        $data_rows = 0;
+        $sample_size = 0;
         $column_inconsistencies = 0;
+        $inconsistent_lines = [];
         $empty_rows = 0;
         
-        foreach (array_slice($data_lines, 0, $sample_size) as $i => $line) {
-            if (empty(trim($line))) {
+        foreach ($reader->records(false) as $line => $row) {
+            if (empty($row)) {
                 $empty_rows++;
                 continue;
             }
             
-            $row = str_getcsv($line);
+            $data_rows++;
+            if ($sample_size >= $sample_limit) {
+                continue;
+            }
+            $sample_size++;
+            
+            if (strlen($encoding_sample) < 65536) {
+                $encoding_sample .= implode(',', $row);
+            }
             
             // Spaltenanzahl prüfen
             if (count($row) !== count($header)) {
                 $column_inconsistencies++;
+                if (count($inconsistent_lines) < 10) {
+                    $inconsistent_lines[] = $line;
+                }
             }
         }
         
+        $info['total_lines'] = $reader->get_line();
+        $info['data_rows'] = $data_rows;
+        
+        $encoding = mb_detect_encoding($encoding_sample, ['UTF-8', 'ISO-8859-1', 'Windows-1252'], true);
+        if ($encoding !== 'UTF-8') {
+            $warnings[] = "CSV-Encoding ist $encoding (empfohlen: UTF-8)";
+        }
+        $info['encoding'] = $encoding ?: 'Unbekannt';
+        
+        if ($data_rows === 0) {
+            $issues[] = 'CSV muss mindestens Header und eine Datenzeile enthalten';
+            return ['issues' => $issues, 'warnings' => $warnings, 'info' => $info];
+        }
+        
         if ($empty_rows > 0) {
             $warnings[] = "$empty_rows leere Zeilen in der CSV gefunden";
         }
         
         if ($column_inconsistencies > 0) {
             $percentage = round(($column_inconsistencies / $sample_size) * 100, 1);
+            $message = "$column_inconsistencies von $sample_size Zeilen haben falsche Spaltenanzahl ($percentage%, Zeilen " . implode(', ', $inconsistent_lines) . ")";
             if ($percentage > 10) {
-                $issues[] = "$column_inconsistencies von $sample_size Zeilen haben falsche Spaltenanzahl ($percentage%)";
+                $issues[] = $message;
             } else {
-                $warnings[] = "$column_inconsistencies von $sample_size Zeilen haben falsche Spaltenanzahl ($percentage%)";
+                $warnings[] = $message;
             }
         }
         
+        // SEO-Spalten werden ohne aktives SEO-Plugin nicht gespeichert
+        $seo_warning = CSV_Import_SEO::get_plugin_warning($config['seo_plugin'] ?? 'none');
+        if ($seo_warning !== '') {
+            $warnings[] = $seo_warning;
+        }
+        
         // Performance-Schätzung
-        $estimated_time = self::estimate_import_time(count($data_lines));
+        $estimated_time = self::estimate_import_time($data_rows);
         $info['estimated_import_time'] = $estimated_time;
         
         if ($estimated_time > 300) { // 5 Minuten
@@ -118,6 +159,190 @@ class CSV_Import_Validator {
         ];
     }
     
+    /**
+     * Prüft alle Datenzeilen ab der aktuellen Leseposition gegen die Validierungsregeln.
+     *
+     * @param CSV_Import_CSV_Reader $reader
+     * @param array $rules Regeln aus csv_import_get_validation_rules()
+     * @return array checked_rows, invalid_rows, invalid_cells, errors (line, column, value, message),
+     *               duplicates (Zeile => Spalte => Meldung) und truncated
+     */
+    public static function validate_rows(CSV_Import_CSV_Reader $reader, array $rules) {
+        $report = [
+            'checked_rows' => 0,
+            'invalid_rows' => 0,
+            'invalid_cells' => 0,
+            'errors' => [],
+            'duplicates' => [],
+            'truncated' => false
+        ];
+        
+        if (empty($rules)) {
+            return $report;
+        }
+        
+        // Fehlende Pflichtspalten einmalig für die Kopfzeile melden
+        $header = $reader->get_headers();
+        foreach ($rules as $column => $rule) {
+            if (!empty($rule['required']) && !in_array($column, $header, true)) {
+                $report['errors'][] = [
+                    'line' => 1,
+                    'column' => $column,
+                    'value' => '',
+                    'message' => 'Pflichtspalte fehlt in der Datei'
+                ];
+                $report['invalid_cells']++;
+            }
+        }
+        
+        $unique_seen = [];
+        foreach ($reader->rows() as $line => $row) {
+            $report['checked_rows']++;
+            
+            $cell_errors = self::validate_row($row, $rules, $unique_seen, $line);
+            if (empty($cell_errors)) {
+                continue;
+            }
+            
+            $report['invalid_rows']++;
+            foreach ($cell_errors as $column => $message) {
+                $report['invalid_cells']++;
+                // Verstoß nur wegen Eindeutigkeit - im Import nur mit Blick auf die ganze Datei erkennbar
+                if (!empty($rules[$column]['unique']) && self::validate_value(trim((string) ($row[$column] ?? '')), $rules[$column]) === '') {
+                    $report['duplicates'][$line][$column] = $message;
+                }
+                if (count($report['errors']) >= self::RULE_REPORT_LIMIT) {
+                    $report['truncated'] = true;
+                    continue;
+                }
+                $report['errors'][] = [
+                    'line' => $line,
+                    'column' => $column,
+                    'value' => (string) ($row[$column] ?? ''),
+                    'message' => $message
+                ];
+            }
+        }
+        
+        return $report;
+    }
+    
+    /**
+     * Prüft eine Datenzeile gegen die Validierungsregeln.
+     *
+     * @param array      $row         Spalte => Wert (unverändert aus der Datei, vor dem Mapping)
+     * @param array      $rules       Spalte => Regel
+     * @param array|null $unique_seen Bereits gesehene Werte für "eindeutig" (null = nicht prüfen)
+     * @param int        $line        Zeilennummer, wird für Duplikat-Meldungen gemerkt
+     * @return array Spalte => Fehlermeldung, leer wenn gültig
+     */
+    public static function validate_row(array $row, array $rules, ?array &$unique_seen = null, $line = 0) {
+        $errors = [];
+        
+        foreach ($rules as $column => $rule) {
+            // Fehlende Spalten zählen als leer
+            $value = trim((string) ($row[$column] ?? ''));
+            $message = self::validate_value($value, $rule);
+            
+            if ($message === '' && $value !== '' && !empty($rule['unique']) && $unique_seen !== null) {
+                $key = md5($value);
+                if (isset($unique_seen[$column][$key])) {
+                    $message = 'Doppelter Wert (bereits in Zeile ' . $unique_seen[$column][$key] . ')';
+                } else {
+                    $unique_seen[$column][$key] = $line;
+                }
+            }
+            
+            if ($message !== '') {
+                $errors[$column] = $message;
+            }
+        }
+        
+        return $errors;
+    }
+    
+    /**
+     * Prüft einen einzelnen Wert (ohne Eindeutigkeit).
+     *
+     * @return string Fehlermeldung oder '' wenn gültig
+     */
+    public static function validate_value($value, array $rule) {
+        if ($value === '') {
+            return !empty($rule['required']) ? 'Pflichtfeld ist leer' : '';
+        }
+        
+        switch ($rule['type'] ?? '') {
+            case 'int':
+                if (!preg_match('/^[+-]?\d+$/', $value)) {
+                    return 'Keine Ganzzahl';
+                }
+                break;
+            case 'float':
+                if (!preg_match('/^[+-]?(\d+([.,]\d+)?|[.,]\d+)$/', $value)) {
+                    return 'Keine Dezimalzahl';
+                }
+                break;
+            case 'date':
+                if (!self::is_valid_date($value, $rule['date_format'] ?? '')) {
+                    return 'Kein gültiges Datum' . (!empty($rule['date_format']) ? ' (Format ' . $rule['date_format'] . ')' : '');
+                }
+                break;
+            case 'url':
+                if (!preg_match('#^https?://#i', $value) || filter_var($value, FILTER_VALIDATE_URL) === false) {
+                    return 'Keine gültige URL';
+                }
+                break;
+            case 'email':
+                if (!is_email($value)) {
+                    return 'Keine gültige E-Mail-Adresse';
+                }
+                break;
+            case 'enum':
+                if (!in_array($value, $rule['enum'] ?? [], true)) {
+                    return 'Wert nicht erlaubt (erlaubt: ' . implode(', ', $rule['enum'] ?? []) . ')';
+                }
+                break;
+        }
+        
+        $length = mb_strlen($value);
+        if (!empty($rule['min_length']) && $length < $rule['min_length']) {
+            return 'Zu kurz (mindestens ' . $rule['min_length'] . ' Zeichen)';
+        }
+        if (!empty($rule['max_length']) && $length > $rule['max_length']) {
+            return 'Zu lang (höchstens ' . $rule['max_length'] . ' Zeichen)';
+        }
+        
+        if (!empty($rule['regex'])) {
+            $match = @preg_match($rule['regex'], $value);
+            if ($match === false) {
+                return 'Ungültiger regulärer Ausdruck in der Regel';
+            }
+            if ($match === 0) {
+                return 'Entspricht nicht dem Muster ' . $rule['regex'];
+            }
+        }
+        
+        return '';
+    }
+    
+    /**
+     * Einzeilige Darstellung eines Eintrags aus validate_rows()['errors'].
+     */
+    public static function format_rule_error(array $error) {
+        $value = $error['value'] !== '' ? " ('" . mb_substr($error['value'], 0, 50) . "')" : '';
+        return 'Zeile ' . $error['line'] . ", Spalte '" . $error['column'] . "': " . $error['message'] . $value . '.';
+    }
+    
+    private static function is_valid_date($value, $format) {
+        if ($format === '') {
+            return strtotime($value) !== false;
+        }
+        
+        // "!" setzt nicht angegebene Felder zurück, der Rückvergleich erkennt Überläufe wie 31.02.
+        $date = DateTime::createFromFormat('!' . $format, $value);
+        return $date !== false && $date->format($format) === $value;
+    }
+    
     private static function estimate_import_time($row_count) {
         // Schätzung basierend auf Erfahrungswerten:
         // ~2-5 Sekunden pro 100 Zeilen je nach Komplexität
@@ -0,0 +1,581 @@
+<?php
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit; // Direkten Zugriff verhindern
+}
+// ===================================================================
+// WOOCOMMERCE PRODUKTIMPORT
+// ===================================================================
+
+/**
+ * Produktimport über die CRUD-Klassen von WooCommerce. Aktiv, wenn als Post-Typ
+ * "product" eingestellt ist. Stellt die Mapping-Ziele product:* und attribute:pa_*
+ * bereit und schreibt einfache und variable Produkte sowie Varianten.
+ *
+ * Varianten stehen als eigene Zeilen in der CSV: Ist product:parent_sku gefüllt,
+ * wird die Zeile zur Variante des Produkts mit dieser SKU. Die Zeile des
+ * Elternprodukts muss vor seinen Varianten stehen.
+ *
+ * Werteformate in der CSV:
+ * - Preise, Maße: 19.99 oder 19,99
+ * - Globale Attribute (attribute:pa_farbe): Werte mit dem Listen-Trennzeichen, bei Varianten genau ein Wert
+ * - Eigene Attribute (product:attributes): "Material: Holz, Metall | Garantie: 2 Jahre"
+ * - Galerie: Attachment-IDs, URLs oder Dateinamen mit dem Listen-Trennzeichen
+ */
+class CSV_Import_WooCommerce {
+
+    const TYPES = [
+        'simple' => ['simple', 'einfach'],
+        'variable' => ['variable', 'variabel']
+    ];
+
+    // Meta-Felder, die WooCommerce selbst verwaltet
+    const INTERNAL_META = [
+        '_sku', '_price', '_regular_price', '_sale_price', '_stock', '_stock_status',
+        '_manage_stock', '_backorders', '_weight', '_length', '_width', '_height',
+        '_product_image_gallery', '_product_attributes', '_product_version'
+    ];
+
+    public static function init() {
+        add_filter('csv_import_mapping_targets', [__CLASS__, 'add_mapping_targets'], 10, 2);
+        add_action('csv_import_post_restored', [__CLASS__, 'after_restore']);
+    }
+
+    public static function is_available() {
+        return class_exists('WooCommerce') && function_exists('wc_get_product');
+    }
+
+    public static function is_product_import(array $config) {
+        return ($config['post_type'] ?? '') === 'product' && self::is_available();
+    }
+
+    public static function add_mapping_targets($groups, $post_type) {
+        if ($post_type !== 'product' || !self::is_available()) {
+            return $groups;
+        }
+
+        $targets = [
+            ['value' => 'product:sku', 'label' => 'Artikelnummer (SKU)', 'aliases' => ['sku', 'artikelnummer', 'artnr', 'art_nr']],
+            ['value' => 'product:parent_sku', 'label' => 'SKU des Elternprodukts (Variante)', 'aliases' => ['parent_sku', 'eltern_sku', 'parent']],
+            ['value' => 'product:type', 'label' => 'Produkttyp (simple/variable)', 'aliases' => ['type', 'product_type', 'produkttyp']],
+            ['value' => 'product:regular_price', 'label' => 'Regulärer Preis', 'aliases' => ['price', 'preis', 'regular_price', 'regulaerer_preis']],
+            ['value' => 'product:sale_price', 'label' => 'Angebotspreis', 'aliases' => ['sale_price', 'angebotspreis', 'sonderpreis']],
+            ['value' => 'product:stock_quantity', 'label' => 'Lagerbestand', 'aliases' => ['stock', 'stock_quantity', 'bestand', 'lagerbestand']],
+            ['value' => 'product:stock_status', 'label' => 'Lagerstatus', 'aliases' => ['stock_status', 'lagerstatus', 'verfuegbarkeit']],
+            ['value' => 'product:manage_stock', 'label' => 'Lagerverwaltung (ja/nein)', 'aliases' => ['manage_stock', 'lagerverwaltung']],
+            ['value' => 'product:backorders', 'label' => 'Lieferrückstände (no/notify/yes)', 'aliases' => ['backorders', 'lieferrueckstaende']],
+            ['value' => 'product:weight', 'label' => 'Gewicht', 'aliases' => ['weight', 'gewicht']],
+            ['value' => 'product:length', 'label' => 'Länge', 'aliases' => ['length', 'laenge']],
+            ['value' => 'product:width', 'label' => 'Breite', 'aliases' => ['width', 'breite']],
+            ['value' => 'product:height', 'label' => 'Höhe', 'aliases' => ['height', 'hoehe']],
+            ['value' => 'product:gallery', 'label' => 'Galeriebilder', 'aliases' => ['gallery', 'galerie', 'images', 'bilder']],
+            ['value' => 'product:attributes', 'label' => 'Eigene Attribute (Name: Werte | ...)', 'aliases' => ['attributes', 'attribute', 'eigenschaften']]
+        ];
+
+        foreach (wc_get_attribute_taxonomies() as $attribute) {
+            $targets[] = [
+                'value' => 'attribute:' . wc_attribute_taxonomy_name($attribute->attribute_name),
+                'label' => 'Attribut: ' . $attribute->attribute_label,
+                'aliases' => array_values(array_unique([$attribute->attribute_name, sanitize_key($attribute->attribute_label)]))
+            ];
+        }
+
+        $groups['woocommerce'] = ['label' => 'WooCommerce', 'targets' => $targets];
+
+        if (!empty($groups['meta']['targets'])) {
+            $groups['meta']['targets'] = array_values(array_filter($groups['meta']['targets'], function($target) {
+                return !in_array(substr($target['value'], 5), self::INTERNAL_META, true);
+            }));
+            if (!$groups['meta']['targets']) {
+                unset($groups['meta']);
+            }
+        }
+
+        return $groups;
+    }
+
+    /**
+     * Ist $key ein Mapping-Ziel dieser Klasse (product:, attribute:)?
+     */
+    public static function is_product_target($key) {
+        return strpos((string) $key, 'product:') === 0 || strpos((string) $key, 'attribute:') === 0;
+    }
+
+    public static function get_parent_sku(array $data) {
+        return trim((string) ($data['product:parent_sku'] ?? ''));
+    }
+
+    /**
+     * Produkt-ID (keine Variante) zu einer SKU, 0 wenn keine gefunden wurde.
+     */
+    public static function find_product_id($sku) {
+        $product_id = $sku !== '' ? (int) wc_get_product_id_by_sku($sku) : 0;
+        return $product_id && get_post_type($product_id) === 'product' ? $product_id : 0;
+    }
+
+    /**
+     * Ist die SKU bereits einem Produkt oder einer Variante zugeordnet?
+     */
+    public static function is_sku_taken($sku) {
+        return $sku !== '' && (bool) wc_get_product_id_by_sku($sku);
+    }
+
+    /**
+     * Wandelt die Produktfelder einer Zeile um, ohne etwas zu schreiben.
+     *
+     * @param array $options list_separator: Trennzeichen für Listen, default_sku: SKU, falls product:sku fehlt
+     * @return array sku, parent_sku, type, props, gallery, attributes
+     * @throws Exception bei ungültigen Werten
+     */
+    public static function prepare(array $data, array $options = []) {
+        $prepared = [
+            'sku' => trim((string) ($data['product:sku'] ?? '')),
+            'parent_sku' => self::get_parent_sku($data),
+            'type' => '',
+            'props' => [],
+            'gallery' => null,
+            'attributes' => []
+        ];
+
+        if ($prepared['sku'] === '' && $prepared['parent_sku'] === '') {
+            $prepared['sku'] = trim((string) ($options['default_sku'] ?? ''));
+        }
+
+        $type = mb_strtolower(trim((string) ($data['product:type'] ?? '')));
+        if ($type !== '') {
+            foreach (self::TYPES as $key => $names) {
+                if (in_array($type, $names, true)) {
+                    $prepared['type'] = $key;
+                }
+            }
+            if ($prepared['type'] === '') {
+                throw new Exception("Unbekannter Produkttyp '{$type}' (erlaubt: simple, variable)");
+            }
+        }
+
+        foreach (['regular_price', 'sale_price', 'weight', 'length', 'width', 'height'] as $prop) {
+            $value = trim((string) ($data['product:' . $prop] ?? ''));
+            if ($value !== '') {
+                $prepared['props'][$prop] = self::normalize_decimal($value, $prop);
+            }
+        }
+
+        if (isset($prepared['props']['sale_price'], $prepared['props']['regular_price'])
+            && (float) $prepared['props']['sale_price'] >= (float) $prepared['props']['regular_price']) {
+            throw new Exception('Angebotspreis muss unter dem regulären Preis liegen');
+        }
+
+        $manage_stock = trim((string) ($data['product:manage_stock'] ?? ''));
+        if ($manage_stock !== '') {
+            $prepared['props']['manage_stock'] = self::to_bool($manage_stock);
+        }
+
+        $stock = trim((string) ($data['product:stock_quantity'] ?? ''));
+        if ($stock !== '') {
+            if (!preg_match('/^-?\d+$/', $stock)) {
+                throw new Exception("Lagerbestand '{$stock}' ist keine ganze Zahl");
+            }
+            $prepared['props']['stock_quantity'] = (int) $stock;
+            $prepared['props'] += ['manage_stock' => true];
+        }
+
+        $stock_status = trim((string) ($data['product:stock_status'] ?? ''));
+        if ($stock_status !== '') {
+            $prepared['props']['stock_status'] = self::match_option($stock_status, wc_get_product_stock_status_options(), 'Lagerstatus');
+        }
+
+        $backorders = trim((string) ($data['product:backorders'] ?? ''));
+        if ($backorders !== '') {
+            $prepared['props']['backorders'] = self::match_option($backorders, wc_get_product_backorder_options(), 'Lieferrückstände');
+        }
+
+        $gallery = trim((string) ($data['product:gallery'] ?? ''));
+        if ($gallery !== '') {
+            $prepared['gallery'] = self::split_list($gallery, $options);
+        }
+
+        $prepared['attributes'] = self::parse_attributes($data, $options);
+
+        if ($prepared['parent_sku'] !== '') {
+            if ($prepared['parent_sku'] === $prepared['sku']) {
+                throw new Exception('Eine Variante kann nicht ihr eigenes Elternprodukt sein');
+            }
+            foreach ($prepared['attributes'] as $attribute) {
+                if (count($attribute['values']) !== 1) {
+                    throw new Exception("Varianten brauchen genau einen Wert für das Attribut '{$attribute['label']}'");
+                }
+            }
+        }
+
+        return $prepared;
+    }
+
+    /**
+     * Legt ein Produkt an ($product_id = 0) oder aktualisiert es.
+     *
+     * @param array $post_data Beitragsfelder wie für wp_insert_post (post_title, post_content, meta_input, ...)
+     * @param array $prepared  Ergebnis von prepare()
+     * @param array $options   term_resolver: callable(Name, Taxonomie) => Term-ID für Attributwerte
+     * @return int Produkt-ID
+     * @throws Exception wenn WooCommerce das Produkt ablehnt (z.B. doppelte SKU)
+     */
+    public static function save_product($product_id, array $post_data, array $prepared, array $options = []) {
+        $product = $product_id ? wc_get_product($product_id) : null;
+        if ($product_id && !$product) {
+            throw new Exception("Produkt {$product_id} konnte nicht geladen werden");
+        }
+
+        $type = $prepared['type'] ?: ($product ? $product->get_type() : 'simple');
+        if (!$product || $product->get_type() !== $type) {
+            $classname = WC_Product_Factory::get_product_classname($product_id, $type);
+            $product = new $classname($product_id);
+        }
+
+        try {
+            self::apply_post_data($product, $post_data);
+            if ($prepared['sku'] !== '') {
+                $product->set_sku($prepared['sku']);
+            }
+            self::apply_props($product, $prepared['props']);
+
+            if ($prepared['attributes']) {
+                $product->set_attributes(self::merge_attributes($product, $prepared['attributes'], $type === 'variable', $options));
+            }
+
+            $product_id = $product->save();
+
+            // Galeriebilder brauchen die Produkt-ID als Elternbeitrag
+            if ($prepared['gallery'] !== null) {
+                $product->set_gallery_image_ids(self::resolve_gallery($prepared['gallery'], $product_id));
+                $product->save();
+            }
+        } catch (WC_Data_Exception $e) {
+            throw new Exception('WooCommerce: ' . $e->getMessage());
+        }
+
+        return (int) $product_id;
+    }
+
+    /**
+     * Sucht die Variante einer Zeile: zuerst über die SKU, sonst über die Attributwerte.
+     *
+     * @return int Varianten-ID oder 0
+     * @throws Exception wenn die SKU bereits von einem anderen Produkt verwendet wird
+     */
+    public static function find_variation($parent_id, array $prepared) {
+        if ($prepared['sku'] !== '') {
+            $variation_id = (int) wc_get_product_id_by_sku($prepared['sku']);
+            if ($variation_id) {
+                if (wp_get_post_parent_id($variation_id) !== (int) $parent_id) {
+                    throw new Exception("SKU '{$prepared['sku']}' gehört bereits zu einem anderen Produkt");
+                }
+                return $variation_id;
+            }
+        }
+
+        if (!$prepared['attributes']) {
+            return 0;
+        }
+
+        $wanted = self::get_variation_attributes($prepared['attributes']);
+        foreach (get_children(['post_parent' => $parent_id, 'post_type' => 'product_variation', 'post_status' => 'any', 'fields' => 'ids']) as $variation_id) {
+            $variation = wc_get_product($variation_id);
+            if ($variation && self::same_attributes($variation->get_attributes(), $wanted)) {
+                return (int) $variation_id;
+            }
+        }
+
+        return 0;
+    }
+
+    /**
+     * Legt eine Variante an ($variation_id = 0) oder aktualisiert sie. Das Elternprodukt
+     * wird bei Bedarf zum variablen Produkt und erhält fehlende Attributwerte.
+     *
+     * @return int Varianten-ID
+     */
+    public static function save_variation($variation_id, $parent_id, array $post_data, array $prepared, array $options = []) {
+        $parent = wc_get_product($parent_id);
+        if (!$parent) {
+            throw new Exception("Elternprodukt {$parent_id} konnte nicht geladen werden");
+        }
+
+        try {
+            if (!$parent->is_type('variable') || $prepared['attributes']) {
+                if (!$parent->is_type('variable')) {
+                    $parent = new WC_Product_Variable($parent_id);
+                }
+                $parent->set_attributes(self::merge_attributes($parent, $prepared['attributes'], true, $options, true));
+                $parent->save();
+            }
+
+            $variation = $variation_id ? wc_get_product($variation_id) : new WC_Product_Variation();
+            $variation->set_parent_id($parent_id);
+
+            if (!$variation_id) {
+                $variation->set_status('publish');
+            }
+            if (($post_data['post_content'] ?? '') !== '') {
+                $variation->set_description($post_data['post_content']);
+            }
+            if (isset($post_data['menu_order'])) {
+                $variation->set_menu_order($post_data['menu_order']);
+            }
+            if ($prepared['sku'] !== '') {
+                $variation->set_sku($prepared['sku']);
+            }
+            self::apply_props($variation, $prepared['props']);
+
+            if ($prepared['attributes']) {
+                $variation->set_attributes(self::get_variation_attributes($prepared['attributes']));
+            }
+
+            $variation_id = $variation->save();
+
+            if ($prepared['gallery'] !== null) {
+                csv_import_log('warning', "Galeriebilder werden für Varianten nicht unterstützt (Variante {$variation_id})");
+            }
+        } catch (WC_Data_Exception $e) {
+            throw new Exception('WooCommerce: ' . $e->getMessage());
+        }
+
+        // Preisspanne und Lagerstatus des Elternprodukts aktualisieren
+        WC_Product_Variable::sync($parent_id);
+        wc_delete_product_transients($parent_id);
+
+        return (int) $variation_id;
+    }
+
+    /**
+     * Nach einem Rollback die von WooCommerce abgeleiteten Daten (Lookup-Tabelle,
+     * Preisspannen, Transients) aus den wiederhergestellten Meta-Daten neu aufbauen.
+     */
+    public static function after_restore($post_id) {
+        if (!self::is_available() || !in_array(get_post_type($post_id), ['product', 'product_variation'], true)) {
+            return;
+        }
+
+        $product = wc_get_product($post_id);
+        if (!$product) {
+            return;
+        }
+
+        $product->save();
+        if ($product->is_type('variable')) {
+            WC_Product_Variable::sync($post_id);
+        }
+        wc_delete_product_transients($product->get_parent_id() ?: $post_id);
+    }
+
+    // ===================================================================
+    // HILFSFUNKTIONEN
+    // ===================================================================
+
+    private static function apply_post_data(WC_Product $product, array $post_data) {
+        $setters = [
+            'post_title' => 'set_name',
+            'post_content' => 'set_description',
+            'post_excerpt' => 'set_short_description',
+            'post_name' => 'set_slug',
+            'post_status' => 'set_status',
+            'menu_order' => 'set_menu_order',
+            'post_date' => 'set_date_created'
+        ];
+
+        foreach ($setters as $field => $setter) {
+            if (isset($post_data[$field])) {
+                $product->$setter($post_data[$field]);
+            }
+        }
+
+        foreach ((array) ($post_data['meta_input'] ?? []) as $meta_key => $meta_value) {
+            $product->update_meta_data($meta_key, $meta_value);
+        }
+    }
+
+    private static function apply_props(WC_Product $product, array $props) {
+        $errors = $product->set_props($props);
+        if (is_wp_error($errors)) {
+            throw new Exception('WooCommerce: ' . $errors->get_error_message());
+        }
+    }
+
+    /**
+     * Globale (attribute:pa_*) und eigene (product:attributes) Attribute der Zeile.
+     *
+     * @return array Liste von ['name' => Taxonomie oder Name, 'label' => ..., 'taxonomy' => bool, 'values' => [...]]
+     */
+    private static function parse_attributes(array $data, array $options) {
+        $attributes = [];
+
+        foreach ($data as $key => $value) {
+            if (strpos((string) $key, 'attribute:') !== 0 || trim((string) $value) === '') {
+                continue;
+            }
+            $taxonomy = substr($key, 10);
+            if (!taxonomy_exists($taxonomy)) {
+                throw new Exception("Attribut '{$taxonomy}' ist in WooCommerce nicht angelegt");
+            }
+            $attributes[] = [
+                'name' => $taxonomy,
+                'label' => wc_attribute_label($taxonomy),
+                'taxonomy' => true,
+                'values' => self::split_list((string) $value, $options)
+            ];
+        }
+
+        $custom = trim((string) ($data['product:attributes'] ?? ''));
+        if ($custom !== '') {
+            foreach (preg_split('/\s*(?:\||\r\n|\r|\n)\s*/', $custom) as $definition) {
+                if ($definition === '') {
+                    continue;
+                }
+                if (strpos($definition, ':') === false) {
+                    throw new Exception("Attribut '{$definition}' muss das Format 'Name: Werte' haben");
+                }
+                list($name, $values) = array_map('trim', explode(':', $definition, 2));
+                $values = self::split_list($values, $options);
+                if ($name === '' || !$values) {
+                    throw new Exception("Attribut '{$definition}' braucht einen Namen und mindestens einen Wert");
+                }
+                $attributes[] = ['name' => $name, 'label' => $name, 'taxonomy' => false, 'values' => $values];
+            }
+        }
+
+        return $attributes;
+    }
+
+    /**
+     * Führt die Attribute der Zeile mit den vorhandenen Attributen des Produkts zusammen.
+     * Attribute der Zeile ersetzen gleichnamige, bei $append_values werden Werte nur ergänzt (Varianten).
+     */
+    private static function merge_attributes(WC_Product $product, array $attributes, $for_variations, array $options, $append_values = false) {
+        $existing = $product->get_attributes();
+
+        foreach ($attributes as $attribute) {
+            $key = $attribute['taxonomy'] ? $attribute['name'] : sanitize_title($attribute['name']);
+            $current = $existing[$key] ?? null;
+
+            if ($attribute['taxonomy']) {
+                $term_ids = [];
+                foreach ($attribute['values'] as $value) {
+                    $term_id = self::resolve_attribute_term($value, $attribute['name'], $options);
+                    if ($term_id) {
+                        $term_ids[] = $term_id;
+                    }
+                }
+                $options_list = $append_values && $current ? array_merge($current->get_options(), $term_ids) : $term_ids;
+                $options_list = array_values(array_unique(array_map('intval', $options_list)));
+            } else {
+                $options_list = $append_values && $current ? array_merge($current->get_options(), $attribute['values']) : $attribute['values'];
+                $options_list = array_values(array_unique($options_list));
+            }
+
+            $wc_attribute = new WC_Product_Attribute();
+            $wc_attribute->set_id($attribute['taxonomy'] ? wc_attribute_taxonomy_id_by_name($attribute['name']) : 0);
+            $wc_attribute->set_name($attribute['name']);
+            $wc_attribute->set_options($options_list);
+            $wc_attribute->set_position($current ? $current->get_position() : count($existing));
+            $wc_attribute->set_visible($current ? $current->get_visible() : true);
+            $wc_attribute->set_variation($for_variations || ($current && $current->get_variation()));
+
+            $existing[$key] = $wc_attribute;
+        }
+
+        return $existing;
+    }
+
+    private static function resolve_attribute_term($value, $taxonomy, array $options) {
+        if (isset($options['term_resolver']) && is_callable($options['term_resolver'])) {
+            return (int) call_user_func($options['term_resolver'], $value, $taxonomy);
+        }
+
+        $term = get_term_by('name', $value, $taxonomy) ?: get_term_by('slug', sanitize_title($value), $taxonomy);
+        return $term ? (int) $term->term_id : 0;
+    }
+
+    /**
+     * Attributwerte einer Variante: Taxonomie => Term-Slug bzw. Attributname => Wert.
+     */
+    private static function get_variation_attributes(array $attributes) {
+        $values = [];
+        foreach ($attributes as $attribute) {
+            $value = $attribute['values'][0];
+            if ($attribute['taxonomy']) {
+                $term = get_term_by('name', $value, $attribute['name']) ?: get_term_by('slug', sanitize_title($value), $attribute['name']);
+                $values[$attribute['name']] = $term ? $term->slug : sanitize_title($value);
+            } else {
+                $values[sanitize_title($attribute['name'])] = $value;
+            }
+        }
+        return $values;
+    }
+
+    private static function same_attributes(array $current, array $wanted) {
+        foreach ($wanted as $key => $value) {
+            if (mb_strtolower((string) ($current[$key] ?? '')) !== mb_strtolower((string) $value)) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    private static function resolve_gallery(array $references, $product_id) {
+        $ids = [];
+        foreach ($references as $reference) {
+            try {
+                $ids[] = CSV_Import_Media::resolve($reference, $product_id);
+            } catch (Exception $e) {
+                csv_import_log('warning', "Galeriebild '{$reference}' für Produkt {$product_id} nicht übernommen: " . $e->getMessage());
+            }
+        }
+        return array_values(array_unique(array_filter($ids)));
+    }
+
+    private static function normalize_decimal($value, $prop) {
+        $number = str_replace([' ', "\xC2\xA0"], '', $value);
+        $last_comma = strrpos($number, ',');
+        $last_dot = strrpos($number, '.');
+
+        // Das zuletzt stehende Trennzeichen ist das Dezimaltrennzeichen
+        if ($last_comma !== false && ($last_dot === false || $last_comma > $last_dot)) {
+            $number = str_replace(['.', ','], ['', '.'], $number);
+        } else {
+            $number = str_replace(',', '', $number);
+        }
+
+        if (!is_numeric($number) || (float) $number < 0) {
+            throw new Exception("'{$value}' ist kein gültiger Wert für {$prop}");
+        }
+
+        return wc_format_decimal($number);
+    }
+
+    private static function to_bool($value) {
+        $normalized = mb_strtolower($value);
+        if (in_array($normalized, ['1', 'ja', 'yes', 'true', 'x', 'on'], true)) {
+            return true;
+        }
+        if (in_array($normalized, ['0', 'nein', 'no', 'false', 'off', '-'], true)) {
+            return false;
+        }
+        throw new Exception("'{$value}' ist kein Ja/Nein-Wert");
+    }
+
+    /**
+     * Wert über Schlüssel oder Beschriftung einer WooCommerce-Optionsliste finden.
+     */
+    private static function match_option($value, array $choices, $label) {
+        foreach ($choices as $key => $choice_label) {
+            if (mb_strtolower($value) === mb_strtolower((string) $key) || mb_strtolower($value) === mb_strtolower((string) $choice_label)) {
+                return (string) $key;
+            }
+        }
+        throw new Exception("{$label} '{$value}' ist ungültig (erlaubt: " . implode(', ', array_keys($choices)) . ')');
+    }
+
+    private static function split_list($value, array $options) {
+        $separator = ($options['list_separator'] ?? '') ?: ',';
+        return array_values(array_filter(array_map('trim', explode($separator, $value)), 'strlen'));
+    }
+}
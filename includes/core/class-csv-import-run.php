@@ -11,29 +11,269 @@ if ( ! defined( 'ABSPATH' ) ) {
 class CSV_Import_Pro_Run {
 
 	private array $config;
-	private ?object $template_post;
+	private ?object $template_post = null;
 	private string $session_id;
 	private array $existing_slugs = [];
 	private string $source;
-	private array $csv_data = [];
+	// Kennung der konkreten Quelle für den Sync-Modus, siehe csv_import_get_source_key()
+	private string $source_key = '';
     private array $mapping = [];
+	// Meta-Felder der Template-Posts (je Template und Lauf einmal geladen)
+	private array $template_meta = [];
+	private array $term_cache = [];
+	private ?array $validation_rules = null;
+	// Transformationen pro Spalte, null = gespeicherte Transformationen
+	private ?array $transforms = null;
+	// Zeile => Spalte => Meldung für Werte, die gegen "eindeutig" verstoßen
+	private array $duplicate_lines = [];
+	// Grund, warum process_single_row() zuletzt 'skipped' geliefert hat
+	private string $skip_reason = '';
+	// SKUs, die die Simulation neu anlegen würde (Elternprodukte späterer Variantenzeilen)
+	private array $simulated_skus = [];
+	// Sprache (WPML/Polylang) und Übersetzungsgruppe der aktuellen Zeile
+	private string $row_language = '';
+	private string $translation_group = '';
 
 	private function __construct( string $source ) {
 		$this->source     = $source;
 		$this->session_id = 'run_' . time() . '_' . uniqid();
 	}
 
-	public static function run( string $source, array $mapping = [] ): array {
+	/**
+	 * Maximale Laufzeit eines einzelnen Chunks in Sekunden.
+	 * Bleibt bewusst unter üblichen PHP- und Proxy-Timeouts.
+	 */
+	const CHUNK_TIME_LIMIT = 20;
+
+	const CHUNK_LOCK_OPTION = 'csv_import_chunk_lock';
+
+	/**
+	 * Gespeicherte Fehlermeldungen pro Lauf, weitere werden nur gezählt.
+	 * Ab mehr als MAX_FAILED_ROWS fehlerhaften oder ungültigen Zeilen bricht der Import ab.
+	 */
+	const MAX_ERROR_MESSAGES = 20;
+	const MAX_FAILED_ROWS = 50;
+
+	/**
+	 * @param array|null $rules      Validierungsregeln, null = gespeicherte Regeln
+	 * @param array|null $transforms Transformationen, null = gespeicherte Transformationen
+	 */
+	public static function run( string $source, array $mapping = [], ?array $rules = null, ?array $transforms = null ): array {
         $importer = new self( $source );
         $importer->mapping = $mapping;
+        $importer->validation_rules = $rules;
+        $importer->transforms = $transforms;
         return $importer->execute_import();
     }
 
+	/**
+	 * Bereitet einen chunk-basierten Import vor, der vom Admin-Client
+	 * Chunk für Chunk über process_chunk() abgearbeitet wird.
+	 */
+	public static function start_chunked( string $source, array $mapping = [] ): array {
+		$importer = new self( $source );
+		$importer->mapping = $mapping;
+		return $importer->prepare_chunked_import();
+	}
+
+	/**
+	 * Probelauf für den Sync-Modus: listet Posts dieser Quelle, die in der
+	 * aktuellen CSV nicht mehr vorkommen, ohne etwas zu verändern.
+	 */
+	public static function preview_sync( string $source, array $mapping = [] ): array {
+		$importer = new self( $source );
+		$importer->mapping = $mapping;
+		return $importer->execute_sync_preview();
+	}
+
+	/**
+	 * Simuliert einen Import Zeile für Zeile, ohne etwas in die Datenbank zu schreiben.
+	 */
+	public static function simulate( string $source, array $mapping = [] ): array {
+		$importer = new self( $source );
+		$importer->mapping = $mapping;
+		return $importer->execute_simulation();
+	}
+
+	/**
+	 * Rendert Datenzeile $row_number (ab 1) in einen temporären Entwurf, um das Template zu prüfen.
+	 */
+	public static function preview_row( string $source, int $row_number, array $mapping = [] ): array {
+		$importer = new self( $source );
+		$importer->mapping = $mapping;
+		return $importer->execute_row_preview( $row_number );
+	}
+
+	/**
+	 * Verarbeitet die nächsten Zeilen ab dem gespeicherten Cursor.
+	 */
+	public static function process_chunk(): array {
+		$state = csv_import_get_chunk_state();
+		if ( empty( $state['session_id'] ) ) {
+			// Import wurde zwischen zwei Chunks abgebrochen
+			if ( csv_import_get_import_control() === 'cancel' ) {
+				return [
+					'success' => true,
+					'done' => false,
+					'cancelled' => true,
+					'message' => 'Import wurde abgebrochen.'
+				];
+			}
+
+			return [
+				'success' => false,
+				'done' => false,
+				'message' => 'Kein fortsetzbarer Import gefunden.'
+			];
+		}
+
+		// Pausierte Imports laufen erst nach resume() weiter
+		if ( ( $state['status'] ?? 'running' ) === 'paused' ) {
+			return [
+				'success' => true,
+				'done' => false,
+				'paused' => true,
+				'cursor' => (int) $state['cursor'],
+				'total' => (int) $state['total'],
+				'message' => csv_import_get_status_message( 'paused', (int) $state['cursor'], (int) $state['total'] )
+			];
+		}
+
+		// Parallele Chunk-Requests (z.B. zweiter Tab) verhindern
+		if ( ! self::acquire_chunk_lock() ) {
+			return [
+				'success' => false,
+				'done' => false,
+				'locked' => true,
+				'message' => 'Ein anderer Chunk dieses Imports wird gerade verarbeitet.'
+			];
+		}
+
+		$importer = new self( $state['source'] );
+		$importer->session_id = $state['session_id'];
+		$importer->mapping = $state['mapping'] ?? [];
+		$importer->validation_rules = $state['rules'] ?? null;
+		$importer->transforms = $state['transforms'] ?? null;
+		$importer->duplicate_lines = $state['duplicate_lines'] ?? [];
+		$importer->source_key = $state['source_key'] ?? '';
+
+		try {
+			return $importer->execute_chunk( $state );
+		} finally {
+			self::release_chunk_lock();
+		}
+	}
+
+	/**
+	 * Atomare Sperre über add_option(), eine hängende Sperre wird nach 5 Minuten übernommen.
+	 */
+	private static function acquire_chunk_lock(): bool {
+		$locked_at = (int) get_option( self::CHUNK_LOCK_OPTION, 0 );
+		if ( $locked_at && $locked_at < time() - 5 * MINUTE_IN_SECONDS ) {
+			delete_option( self::CHUNK_LOCK_OPTION );
+		}
+
+		return add_option( self::CHUNK_LOCK_OPTION, time(), '', 'no' );
+	}
+
+	private static function release_chunk_lock(): void {
+		delete_option( self::CHUNK_LOCK_OPTION );
+	}
+
+	private static function is_chunk_locked(): bool {
+		$locked_at = (int) get_option( self::CHUNK_LOCK_OPTION, 0 );
+		return $locked_at > time() - 5 * MINUTE_IN_SECONDS;
+	}
+
+	/**
+	 * Fordert das Pausieren des laufenden Imports an.
+	 * Läuft gerade ein Chunk, hält dieser nach der aktuellen Zeile an.
+	 */
+	public static function pause(): array {
+		$state = csv_import_get_chunk_state();
+
+		if ( empty( $state['session_id'] ) && ! csv_import_is_import_running() ) {
+			return [ 'success' => false, 'message' => 'Kein laufender Import zum Pausieren.' ];
+		}
+
+		csv_import_set_import_control( 'pause' );
+
+		if ( empty( $state['session_id'] ) || self::is_chunk_locked() ) {
+			return [
+				'success' => true,
+				'pending' => true,
+				'message' => 'Import wird nach der aktuellen Zeile pausiert.'
+			];
+		}
+
+		$importer = new self( $state['source'] );
+		$importer->session_id = $state['session_id'];
+		return $importer->stop_import( 'pause', $state );
+	}
+
+	/**
+	 * Setzt einen pausierten oder unterbrochenen Import fort.
+	 * Die eigentliche Verarbeitung übernimmt danach wieder process_chunk().
+	 */
+	public static function resume(): array {
+		$state = csv_import_get_chunk_state();
+		if ( empty( $state['session_id'] ) ) {
+			return [ 'success' => false, 'message' => 'Kein fortsetzbarer Import gefunden.' ];
+		}
+
+		csv_import_clear_import_control();
+
+		$state['status'] = 'running';
+		csv_import_save_chunk_state( $state );
+		csv_import_update_progress( (int) $state['cursor'], (int) $state['total'], 'processing' );
+
+		csv_import_log( 'info', "Import fortgesetzt ab Zeile " . ( $state['cursor'] + 2 ), [ 'session_id' => $state['session_id'] ] );
+
+		return [
+			'success' => true,
+			'done' => false,
+			'session_id' => $state['session_id'],
+			'source' => $state['source'],
+			'cursor' => (int) $state['cursor'],
+			'total' => (int) $state['total'],
+			'message' => csv_import_get_status_message( 'processing', (int) $state['cursor'], (int) $state['total'] )
+		];
+	}
+
+	/**
+	 * Bricht den laufenden Import kooperativ ab.
+	 * Bereits erstellte Posts bleiben erhalten und können per Rollback entfernt werden.
+	 */
+	public static function cancel(): array {
+		$state = csv_import_get_chunk_state();
+
+		csv_import_set_import_control( 'cancel' );
+
+		if ( self::is_chunk_locked() || ( empty( $state['session_id'] ) && csv_import_is_import_running() ) ) {
+			return [
+				'success' => true,
+				'pending' => true,
+				'message' => 'Import wird nach der aktuellen Zeile abgebrochen.'
+			];
+		}
+
+		if ( ! empty( $state['session_id'] ) ) {
+			$importer = new self( $state['source'] );
+			$importer->session_id = $state['session_id'];
+			return $importer->stop_import( 'cancel', $state );
+		}
+
+		// Kein aktiver Import - nur Überreste zurücksetzen
+		csv_import_force_reset_import_status();
+		return [ 'success' => true, 'message' => 'Import abgebrochen und zurückgesetzt.' ];
+	}
+
 	private function execute_import(): array {
 		if ( class_exists( 'CSV_Import_Error_Handler' ) && method_exists( 'CSV_Import_Error_Handler', 'reset_error_counts' ) ) {
 			CSV_Import_Error_Handler::reset_error_counts();
 		}
 		
+		csv_import_clear_import_control();
 		do_action( 'csv_import_start' );
 		update_option( 'csv_import_session_id', $this->session_id );
         // Performance-Monitoring starten
@@ -45,329 +285,1960 @@ class CSV_Import_Pro_Run {
 			$this->load_and_validate_config();
 			$this->set_system_limits();
 
-			$this->csv_data = csv_import_load_csv_data( $this->source, $this->config );
-			
-			if ( empty( $this->csv_data['data'] ) ) {
-				throw new Exception( 'CSV muss mindestens Header und eine Datenzeile enthalten.' );
+			$reader = csv_import_open_csv_reader( $this->source, $this->config );
+
+			try {
+				$header = $reader->get_headers();
+				$total_rows = $reader->count_rows();
+
+				if ( $total_rows === 0 ) {
+					throw new Exception( 'CSV muss mindestens Header und eine Datenzeile enthalten.' );
+				}
+
+				$this->validate_header( $header );
+				$this->check_validation_rules( $reader );
+				update_option( 'csv_import_current_header', implode( ',', $header ) );
+
+				csv_import_log( 'info', "CSV-Import gestartet: " . $total_rows . " Zeilen." );
+
+				$batch_size = apply_filters( 'csv_import_batch_size', 25 );
+				$results = $this->process_batches( $reader, $header, $total_rows, $batch_size );
+
+				// Fortsetzung liest aus einer Kopie, damit die Quelle nicht erneut geladen werden muss
+				$snapshot = ! empty( $results['stopped'] ) ? $this->create_snapshot( $reader ) : [];
+			} finally {
+				$reader->close();
+			}
+
+			// Pausierter Lauf wird als Chunk-Import mit Cursor gespeichert und kann fortgesetzt werden
+			if ( ! empty( $results['stopped'] ) ) {
+				$signal = $results['stopped'];
+				$cursor = $results['cursor'];
+				$position = $results['position'];
+				unset( $results['stopped'], $results['cursor'], $results['position'] );
+				return $this->stop_import( $signal, $this->build_chunk_state( $total_rows, $cursor, $results, $position, $snapshot ) );
+			}
+
+			$aborted = ! empty( $results['aborted'] );
+			unset( $results['aborted'] );
+
+			return $this->complete_import( $results, $total_rows, $aborted );
+
+		} catch ( Exception $e ) {
+			$this->cleanup_after_import( true );
+			$error_message = 'Kritischer Import-Fehler: ' . $e->getMessage();
+			csv_import_log( 'critical', $error_message, [ 'source' => $this->source ] );
+			do_action( 'csv_import_failed', $error_message, $this->source );
+			
+			return [ 
+				'success' => false, 
+				'message' => $e->getMessage(),
+				'processed' => 0,
+				'total' => 0,
+				'errors' => 1
+			];
+		}
+	}
+
+
+	private function prepare_chunked_import(): array {
+		if ( class_exists( 'CSV_Import_Error_Handler' ) && method_exists( 'CSV_Import_Error_Handler', 'reset_error_counts' ) ) {
+			CSV_Import_Error_Handler::reset_error_counts();
+		}
+
+		try {
+			$this->load_and_validate_config();
+			$this->set_system_limits();
+
+			$reader = csv_import_open_csv_reader( $this->source, $this->config );
+
+			try {
+				$header = $reader->get_headers();
+				$total_rows = $reader->count_rows();
+
+				if ( $total_rows === 0 ) {
+					throw new Exception( 'CSV muss mindestens Header und eine Datenzeile enthalten.' );
+				}
+
+				$this->validate_header( $header );
+				$this->validate_required_columns( $header );
+				$this->check_validation_rules( $reader );
+
+				$position = $reader->tell();
+
+				// Quelle nur einmal laden bzw. umwandeln - alle Chunks lesen aus dieser Kopie
+				$snapshot = $this->create_snapshot( $reader );
+			} finally {
+				$reader->close();
+			}
+
+			// Alten Fortschritt und alte Steuersignale verwerfen
+			csv_import_clear_progress();
+			csv_import_clear_import_control();
+
+			do_action( 'csv_import_start' );
+			update_option( 'csv_import_session_id', $this->session_id );
+			update_option( 'csv_import_current_header', implode( ',', $header ) );
+
+			csv_import_save_chunk_state( $this->build_chunk_state( $total_rows, 0, [], $position, $snapshot ) );
+			csv_import_update_progress( 0, $total_rows, 'processing' );
+
+			csv_import_log( 'info', "Chunk-Import gestartet: " . $total_rows . " Zeilen.", [ 'session_id' => $this->session_id ] );
+
+			return [
+				'success' => true,
+				'done' => false,
+				'session_id' => $this->session_id,
+				'cursor' => 0,
+				'total' => $total_rows,
+				'message' => csv_import_get_status_message( 'processing', 0, $total_rows )
+			];
+
+		} catch ( Exception $e ) {
+			$this->cleanup_after_import( true );
+			$error_message = 'Kritischer Import-Fehler: ' . $e->getMessage();
+			csv_import_log( 'critical', $error_message, [ 'source' => $this->source ] );
+			do_action( 'csv_import_failed', $error_message, $this->source );
+
+			return [
+				'success' => false,
+				'done' => false,
+				'message' => $e->getMessage()
+			];
+		}
+	}
+
+	private function execute_chunk( array $state ): array {
+		try {
+			$this->load_and_validate_config();
+			$this->set_system_limits();
+
+			$reader = $this->open_snapshot( $state['snapshot'] ?? [] );
+			$total_rows = (int) $state['total'];
+
+			try {
+				$reader->seek( $state['offset'], $state['line'] );
+
+				update_option( 'csv_import_session_id', $this->session_id );
+
+				$chunk_size = max( 1, (int) apply_filters( 'csv_import_batch_size', 25 ) );
+				$chunk_start = microtime( true );
+				$chunk_rows = 0;
+				$aborted = false;
+
+				foreach ( $reader->rows() as $line => $row_data ) {
+					if ( $state['cursor'] >= $total_rows ) {
+						break;
+					}
+
+					$signal = csv_import_get_import_control();
+					if ( $signal ) {
+						return $this->stop_import( $signal, $state );
+					}
+
+					$this->process_row( $line, $row_data, $state['results'] );
+
+					// Cursor nach jeder Zeile festschreiben, damit ein Abbruch nichts doppelt importiert
+					$position = $reader->tell();
+					$state['cursor']++;
+					$state['offset'] = $position['offset'];
+					$state['line'] = $position['line'];
+					csv_import_save_chunk_state( $state );
+					$chunk_rows++;
+
+					if ( $this->has_too_many_failed_rows( $state['results'] ) ) {
+						csv_import_log( 'error', 'Import abgebrochen - zu viele fehlerhafte oder ungültige Zeilen (>' . self::MAX_FAILED_ROWS . ')' );
+						$aborted = true;
+						break;
+					}
+
+					if ( $chunk_rows >= $chunk_size || microtime( true ) - $chunk_start > self::CHUNK_TIME_LIMIT ) {
+						break;
+					}
+				}
+			} finally {
+				$reader->close();
+			}
+
+			// Kopie endet früher als beim Start gezählt
+			if ( ! $aborted && $chunk_rows === 0 && $state['cursor'] < $total_rows ) {
+				throw new Exception( 'Zwischengespeicherte CSV-Datei ist unvollständig. Bitte Import abbrechen und neu starten.' );
+			}
+
+			csv_import_update_progress( $state['cursor'], $total_rows, 'processing' );
+
+			if ( $aborted || $state['cursor'] >= $total_rows ) {
+				csv_import_clear_chunk_state();
+				return array_merge(
+					$this->complete_import( $state['results'], $total_rows, $aborted ),
+					[ 'done' => true, 'cursor' => $state['cursor'] ]
+				);
+			}
+
+			return [
+				'success' => true,
+				'done' => false,
+				'session_id' => $this->session_id,
+				'cursor' => $state['cursor'],
+				'total' => $total_rows,
+				'created' => $state['results']['created'],
+				'updated' => $state['results']['updated'] ?? 0,
+				'unchanged' => $state['results']['unchanged'] ?? 0,
+				'skipped' => $state['results']['skipped'],
+				'errors' => $state['results']['errors'],
+				'message' => csv_import_get_status_message( 'processing', $state['cursor'], $total_rows )
+			];
+
+		} catch ( Exception $e ) {
+			// Cursor bleibt erhalten - der Client kann den Chunk erneut anfordern
+			csv_import_log( 'error', 'Chunk-Verarbeitung fehlgeschlagen: ' . $e->getMessage(), [
+				'session_id' => $this->session_id,
+				'cursor' => $state['cursor']
+			] );
+
+			return [
+				'success' => false,
+				'done' => false,
+				'resumable' => true,
+				'cursor' => $state['cursor'],
+				'total' => $state['total'],
+				'message' => $e->getMessage()
+			];
+		}
+	}
+
+	/**
+	 * Legt eine Kopie der (ggf. heruntergeladenen oder umgewandelten) CSV an,
+	 * aus der alle folgenden Chunks lesen. Gelöscht wird sie mit dem Chunk-Zustand.
+	 */
+	private function create_snapshot( CSV_Import_CSV_Reader $reader ): array {
+		if ( ! function_exists( 'wp_tempnam' ) ) {
+			require_once ABSPATH . 'wp-admin/includes/file.php';
+		}
+
+		$file = wp_tempnam( 'csv-import-' . $this->session_id . '.csv' );
+
+		try {
+			$reader->copy_to( $file );
+		} catch ( Exception $e ) {
+			@unlink( $file );
+			throw $e;
+		}
+
+		return [
+			'file'        => $file,
+			'delimiter'   => $reader->get_delimiter(),
+			'line_offset' => $reader->get_line_offset()
+		];
+	}
+
+	private function open_snapshot( array $snapshot ): CSV_Import_CSV_Reader {
+		if ( empty( $snapshot['file'] ) || ! is_file( $snapshot['file'] ) ) {
+			throw new Exception( 'Zwischengespeicherte CSV-Datei nicht gefunden. Bitte Import abbrechen und neu starten.' );
+		}
+
+		$reader = CSV_Import_CSV_Reader::from_file( $snapshot['file'], $snapshot['delimiter'] );
+		$reader->set_line_offset( $snapshot['line_offset'] );
+
+		return $reader;
+	}
+
+	/**
+	 * @param array $position Leseposition des Readers (offset, line) für die nächste Zeile
+	 * @param array $snapshot Kopie der Quelle, siehe create_snapshot()
+	 */
+	private function build_chunk_state( int $total_rows, int $cursor, array $results, array $position, array $snapshot ): array {
+		$state = [
+			'session_id' => $this->session_id,
+			'source'     => $this->source,
+			'source_key' => $this->source_key,
+			'mapping'    => $this->mapping,
+			'rules'      => $this->validation_rules,
+			'transforms' => $this->transforms,
+			'status'     => 'running',
+			'cursor'     => $cursor,
+			'total'      => $total_rows,
+			'offset'     => (int) $position['offset'],
+			'line'       => (int) $position['line'],
+			'snapshot'   => $snapshot,
+			'results'    => wp_parse_args( $results, [
+				'created' => 0,
+				'updated' => 0,
+				'unchanged' => 0,
+				'skipped' => 0,
+				'invalid' => 0,
+				'errors' => 0,
+				'error_messages' => []
+			] ),
+			'started_at' => time(),
+			'user_id'    => get_current_user_id()
+		];
+
+		if ( $this->duplicate_lines ) {
+			$state['duplicate_lines'] = $this->duplicate_lines;
+		}
+
+		return $state;
+	}
+
+	/**
+	 * Hält den Import nach einem Pause- oder Abbruch-Signal an.
+	 * Bei einer Pause bleibt der Cursor erhalten, ein Abbruch verwirft ihn.
+	 */
+	private function stop_import( string $signal, array $state ): array {
+		$cursor = (int) $state['cursor'];
+		$total_rows = (int) $state['total'];
+
+		if ( $signal === 'pause' ) {
+			$state['status'] = 'paused';
+			csv_import_save_chunk_state( $state );
+			csv_import_update_progress( $cursor, $total_rows, 'paused' );
+			csv_import_log( 'info', "Import pausiert bei Zeile " . ( $state['line'] + 1 ), [ 'session_id' => $this->session_id ] );
+
+			return [
+				'success' => true,
+				'done' => false,
+				'paused' => true,
+				'cursor' => $cursor,
+				'total' => $total_rows,
+				'message' => csv_import_get_status_message( 'paused', $cursor, $total_rows )
+			];
+		}
+
+		$results = $state['results'] ?? [];
+		csv_import_clear_chunk_state();
+		delete_option( 'csv_import_current_header' );
+		delete_option( 'csv_import_session_id' );
+		csv_import_update_progress( $cursor, $total_rows, 'cancelled' );
+
+		csv_import_log( 'warning', "Import abgebrochen nach {$cursor} von {$total_rows} Zeilen", [
+			'session_id' => $this->session_id,
+			'created' => $results['created'] ?? 0,
+			'updated' => $results['updated'] ?? 0,
+			'user_id' => get_current_user_id()
+		] );
+
+		return [
+			'success' => true,
+			'done' => false,
+			'cancelled' => true,
+			'cursor' => $cursor,
+			'total' => $total_rows,
+			'processed' => ( $results['created'] ?? 0 ) + ( $results['updated'] ?? 0 ),
+			'errors' => $results['errors'] ?? 0,
+			'message' => csv_import_get_status_message( 'cancelled', $cursor, $total_rows )
+		];
+	}
+
+	/**
+	 * Gemeinsamer Abschluss für blockierende und chunk-basierte Imports.
+	 *
+	 * @param bool $aborted true, wenn der Lauf wegen zu vieler Fehler abgebrochen wurde
+	 */
+	private function complete_import( array $results, int $total_rows, bool $aborted = false ): array {
+		// Performance-Daten loggen
+		if ( class_exists( 'CSV_Import_Performance_Monitor' ) ) {
+			CSV_Import_Performance_Monitor::checkpoint( 'import_finished' );
+			CSV_Import_Performance_Monitor::log_performance( $results );
+		}
+
+		// Sync nur nach vollständigem Durchlauf - sonst würden unverarbeitete Zeilen als entfernt gelten
+		$sync = $aborted ? null : $this->sync_removed_posts( (int) ( $results['sync_unresolved'] ?? 0 ) );
+
+		$counts = [
+			'created' => $results['created'] ?? 0,
+			'updated' => $results['updated'] ?? 0,
+			'unchanged' => $results['unchanged'] ?? 0,
+			'skipped' => $results['skipped'] ?? 0
+		];
+
+		// Die neue, motivierende Erfolgsmeldung generieren
+		$success_message = csv_import_generate_success_message(
+			array_merge( $counts, [
+				'processed' => $counts['created'] + $counts['updated'],
+				'total' => $total_rows,
+				'errors' => $results['errors'],
+				'session_id' => $this->session_id,
+				'mode' => $this->config['import_mode'] ?? 'create',
+				'sync' => $sync
+			] ),
+			$this->source
+		);
+
+		$final_result = array_merge( [
+			'success' => ( $results['errors'] === 0 ),
+			'message' => $success_message, // Die neue HTML-Nachricht
+			'processed' => $counts['created'] + $counts['updated'],
+			'total' => $total_rows,
+			'errors' => $results['errors'],
+			'html_message' => true, // Wichtiges Flag für die Darstellung
+			'invalid' => $results['invalid'] ?? 0,
+			'session_id' => $this->session_id,
+			'failed_rows' => class_exists( 'CSV_Import_Failed_Rows' ) ? CSV_Import_Failed_Rows::count_rows( $this->session_id ) : 0,
+			'error_messages' => array_slice( $results['error_messages'] ?? [], 0, self::MAX_ERROR_MESSAGES ),
+			'error_messages_omitted' => $results['error_messages_omitted'] ?? 0,
+			'sync' => $sync
+		], $counts );
+
+		do_action( 'csv_import_completed', $final_result, $this->source );
+		csv_import_log( 'info', "Import erfolgreich: {$counts['created']} Posts erstellt, {$counts['updated']} aktualisiert, {$counts['unchanged']} unverändert, {$counts['skipped']} übersprungen (davon " . ( $results['invalid'] ?? 0 ) . " ungültig), {$results['errors']} Fehler." );
+
+		$this->cleanup_after_import();
+		return $final_result;
+	}
+
+	/**
+	 * Wendet zuerst die Transformationen pro Spalte und dann das Mapping an.
+	 *
+	 * @throws Exception wenn eine Transformation fehlschlägt
+	 */
+	private function apply_mapping( array $row ): array {
+        if ( ! empty( $this->transforms ) ) {
+            $row = CSV_Import_Transformer::apply_row( $row, $this->transforms );
+        }
+
+        if ( empty( $this->mapping ) ) {
+            return $row;
+        }
+
+        $mapped_row = $row;
+        
+        // Eine Spalte kann mehreren Zielfeldern zugeordnet sein
+        foreach ( $this->mapping as $original_column => $target_fields ) {
+            if ( ! isset( $row[ $original_column ] ) ) {
+                continue;
+            }
+            foreach ( (array) $target_fields as $target_field ) {
+                $target_field = trim( (string) $target_field );
+                if ( $target_field !== '' ) {
+                    $mapped_row[ $target_field ] = $row[ $original_column ];
+                }
+            }
+        }
+        
+        return $mapped_row;
+    }
+
+    /**
+     * Alle Zielfelder des Mappings als flache Liste.
+     */
+    private function get_mapping_target_fields(): array {
+        $targets = [];
+        foreach ( $this->mapping as $target_fields ) {
+            $targets = array_merge( $targets, (array) $target_fields );
+        }
+        return array_values( array_unique( array_filter( array_map( 'strval', $targets ) ) ) );
+    }
+	
+	private function load_and_validate_config(): void {
+		$this->config = csv_import_get_config();
+		
+		if ( empty( $this->config['post_type'] ) ) {
+			throw new Exception( 'Post-Typ nicht konfiguriert' );
+		}
+		
+		if ( ! post_type_exists( $this->config['post_type'] ) ) {
+			throw new Exception( 'Post-Typ existiert nicht: ' . $this->config['post_type'] );
+		}
+
+		if ( $this->get_import_mode() !== 'create' && $this->get_key_column() === '' ) {
+			throw new Exception( 'Für den Import-Modus "' . $this->get_import_mode() . '" ist eine Schlüsselspalte erforderlich' );
+		}
+		
+		if ( $this->source_key === '' ) {
+			$this->source_key = csv_import_get_source_key( $this->source, $this->config );
+		}
+
+		if ( ! empty( $this->config['template_id'] ) ) {
+			$this->template_post = get_post( $this->config['template_id'] );
+			if ( ! $this->template_post ) {
+				throw new Exception( 'Template Post nicht gefunden: ID ' . $this->config['template_id'] );
+			}
+		}
+
+		$this->validation_rules = $this->validation_rules === null
+			? csv_import_get_validation_rules()
+			: csv_import_sanitize_validation_rules( $this->validation_rules );
+
+		$rule_errors = csv_import_check_validation_rules( $this->validation_rules );
+		if ( $rule_errors ) {
+			throw new Exception( 'Ungültige Validierungsregeln: ' . implode( '; ', $rule_errors ) );
+		}
+
+		$this->transforms = $this->transforms === null
+			? csv_import_get_column_transforms()
+			: CSV_Import_Transformer::sanitize( $this->transforms );
+	}
+
+	/**
+	 * Umgang mit Zeilen, die Validierungsregeln verletzen: 'skip' oder 'abort'.
+	 */
+	private function get_invalid_row_mode(): string {
+		return ( $this->config['invalid_row_mode'] ?? 'skip' ) === 'abort' ? 'abort' : 'skip';
+	}
+
+	/**
+	 * Prüft vor dem Import die ganze Datei gegen die Validierungsregeln.
+	 * Im Modus 'abort' wird bei einem Verstoß abgebrochen, bevor etwas geschrieben wird.
+	 * Doppelte Werte werden gemerkt, da sie sich Zeile für Zeile nicht erkennen lassen.
+	 */
+	private function check_validation_rules( CSV_Import_CSV_Reader $reader ): void {
+		$this->duplicate_lines = [];
+
+		$has_unique = in_array( true, array_column( $this->validation_rules, 'unique' ), true );
+		if ( empty( $this->validation_rules ) || ( ! $has_unique && $this->get_invalid_row_mode() !== 'abort' ) ) {
+			return;
+		}
+
+		$position = $reader->tell();
+		$reader->rewind();
+		try {
+			$report = CSV_Import_Validator::validate_rows( $reader, $this->validation_rules );
+		} finally {
+			$reader->seek( $position['offset'], $position['line'] );
+		}
+
+		if ( $this->get_invalid_row_mode() === 'abort' && $report['invalid_cells'] > 0 ) {
+			throw new Exception( sprintf(
+				'Validierungsregeln verletzt (%d ungültige Zeilen, %d Zellen) - Import nicht gestartet. %s',
+				$report['invalid_rows'],
+				$report['invalid_cells'],
+				implode( ' ', array_map( [ 'CSV_Import_Validator', 'format_rule_error' ], array_slice( $report['errors'], 0, 5 ) ) )
+			) );
+		}
+
+		$this->duplicate_lines = $report['duplicates'];
+	}
+
+	/**
+	 * Regelverstöße einer Zeile (Spalte => Meldung), inklusive vorab ermittelter Duplikate.
+	 */
+	private function get_rule_errors( int $line, array $row_data ): array {
+		if ( empty( $this->validation_rules ) ) {
+			return [];
+		}
+
+		return CSV_Import_Validator::validate_row( $row_data, $this->validation_rules ) + ( $this->duplicate_lines[ $line ] ?? [] );
+	}
+
+	private function format_rule_errors( array $rule_errors ): string {
+		$parts = [];
+		foreach ( $rule_errors as $column => $message ) {
+			$parts[] = "{$column}: {$message}";
+		}
+		return 'Validierungsregeln verletzt - ' . implode( '; ', $parts );
+	}
+
+	/**
+	 * Verarbeitet alle Zeilen des Readers nacheinander, ohne die Datei komplett zu laden.
+	 */
+	private function process_batches( CSV_Import_CSV_Reader $reader, array $header, int $total_rows, int $batch_size ): array {
+		$results = [
+			'created' => 0,
+			'updated' => 0,
+			'unchanged' => 0,
+			'skipped' => 0,
+			'invalid' => 0,
+			'errors' => 0,
+			'error_messages' => []
+		];
+		
+		$processed = 0;
+		$index = 0;
+		
+		$this->validate_required_columns( $header );
+		$position = $reader->tell();
+		
+		foreach ( $reader->rows() as $line => $row_data ) {
+			// Kooperativer Abbruch bzw. Pause zwischen zwei Zeilen
+			$signal = csv_import_get_import_control();
+			if ( $signal ) {
+				$results['stopped'] = $signal;
+				$results['cursor'] = $index;
+				$results['position'] = $position;
+				break;
+			}
+
+			if ( $processed % 5 === 0 ) {
+				csv_import_update_progress( $processed, $total_rows, 'processing' );
+			}
+
+			$row_ok = $this->process_row( $line, $row_data, $results );
+			$position = $reader->tell();
+			$index++;
+
+			if ( $row_ok ) {
+				$processed++;
+
+				if ( $processed % 10 === 0 ) {
+					usleep( 100000 );
+				}
+			}
+
+			if ( $this->has_too_many_failed_rows( $results ) ) {
+				csv_import_log( 'error', 'Import abgebrochen - zu viele fehlerhafte oder ungültige Zeilen (>' . self::MAX_FAILED_ROWS . ')' );
+				$results['aborted'] = true;
+				break;
+			}
+		}
+		
+		return $results;
+	}
+
+	/**
+	 * Verarbeitet eine einzelne CSV-Zeile und trägt das Ergebnis in $results ein.
+	 *
+	 * @param int $line Zeilennummer in der CSV-Datei (für Fehlermeldungen)
+	 * @return bool false, wenn die Zeile einen Fehler verursacht hat
+	 */
+	private function process_row( int $line, array $row_data, array &$results ): bool {
+		// Vor Prüfung und Verarbeitung - auch übersprungene oder fehlerhafte Zeilen stehen noch in der Quelle
+		$row_match = $this->mark_row_seen( $row_data, $results );
+
+		try {
+			// Regeln beziehen sich auf die Spalten der Datei, daher vor dem Mapping prüfen
+			$rule_errors = $this->get_rule_errors( $line, $row_data );
+			if ( $rule_errors ) {
+				$rule_message = $this->format_rule_errors( $rule_errors );
+
+				if ( $this->get_invalid_row_mode() === 'abort' ) {
+					throw new Exception( $rule_message );
+				}
+
+				$results['skipped']++;
+				$results['invalid'] = ( $results['invalid'] ?? 0 ) + 1;
+				$this->add_error_message( $results, "Zeile " . $line . ": " . $rule_message );
+				$this->record_failed_row( $line, $row_data, $rule_message, 'skipped' );
+
+				csv_import_log( 'warning', "Zeile " . $line . " übersprungen: " . $rule_message, [
+					'row_data' => $row_data,
+					'session_id' => $this->session_id
+				] );
+
+				return true;
+			}
+
+			$this->skip_reason = '';
+			$post_result = $row_match
+				? $this->process_single_row( $row_match['data'], $row_match['post_id'] )
+				: $this->process_single_row( $this->apply_mapping( $row_data ) );
+
+			// created, updated, unchanged oder skipped
+			if ( isset( $results[ $post_result ] ) ) {
+				$results[ $post_result ]++;
+			}
+
+			if ( $post_result === 'skipped' ) {
+				$this->record_failed_row( $line, $row_data, $this->skip_reason ?: 'Übersprungen', 'skipped' );
+			}
+
+			return true;
+
+		} catch ( Exception $e ) {
+			$results['errors']++;
+			$error_msg = "Zeile " . $line . ": " . $e->getMessage();
+			$this->add_error_message( $results, $error_msg );
+			$this->record_failed_row( $line, $row_data, $e->getMessage(), 'error' );
+			
+			csv_import_log( 'warning', $error_msg, [
+				'row_data' => $row_data,
+				'session_id' => $this->session_id
+			] );
+
+			return false;
+		}
+	}
+
+	/**
+	 * Hält die Fehlermeldungen im (bei Chunk-Imports pro Zeile gespeicherten) Ergebnis klein.
+	 * Alle Zeilen stehen vollständig im Fehlerbericht, siehe record_failed_row().
+	 */
+	private function add_error_message( array &$results, string $message ): void {
+		if ( count( $results['error_messages'] ?? [] ) < self::MAX_ERROR_MESSAGES ) {
+			$results['error_messages'][] = $message;
+		} else {
+			$results['error_messages_omitted'] = ( $results['error_messages_omitted'] ?? 0 ) + 1;
+		}
+	}
+
+	private function has_too_many_failed_rows( array $results ): bool {
+		return ( $results['errors'] ?? 0 ) + ( $results['invalid'] ?? 0 ) > self::MAX_FAILED_ROWS;
+	}
+
+	/**
+	 * Speichert eine fehlgeschlagene oder übersprungene Zeile für den Fehlerbericht dieser Session.
+	 */
+	private function record_failed_row( int $line, array $row_data, string $reason, string $status ): void {
+		if ( class_exists( 'CSV_Import_Failed_Rows' ) ) {
+			CSV_Import_Failed_Rows::record( $this->session_id, $this->source, $line, $row_data, $reason, $status );
+		}
+	}
+
+	private function validate_required_columns( array $header ): void {
+		$required_columns = $this->config['required_columns'] ?? [];
+		if ( is_string( $required_columns ) ) {
+			$required_columns = array_filter( array_map( 'trim', explode( "\n", $required_columns ) ) );
+		}
+		
+		$column_validation = csv_import_validate_required_columns( $header, $required_columns );
+		if ( ! $column_validation['valid'] ) {
+			throw new Exception( 'Erforderliche Spalten fehlen: ' . implode( ', ', $column_validation['missing'] ) );
+		}
+
+		// Die Schlüsselspalte darf auch erst durch das Mapping entstehen
+		if ( $this->get_import_mode() !== 'create' ) {
+			$key_column = $this->get_key_column();
+			if ( ! in_array( $key_column, $header, true ) && ! in_array( $key_column, $this->get_mapping_target_fields(), true ) ) {
+				throw new Exception( "Schlüsselspalte '{$key_column}' fehlt in der CSV" );
+			}
+		}
+	}
+
+	/**
+	 * @param int|null $known_post_id Bereits per mark_row_seen() ermittelter Post (0 = keiner),
+	 *                                die Sprache der Zeile ist dann schon gesetzt. null = hier ermitteln.
+	 */
+	private function process_single_row( array $data, ?int $known_post_id = null ): string {
+		if ( $known_post_id === null ) {
+			$this->use_row_language( $data );
+		}
+
+		if ( $this->is_product_import() && CSV_Import_WooCommerce::get_parent_sku( $data ) !== '' ) {
+			return $this->process_variation_row( $data );
+		}
+
+		$post_title = $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' );
+		
+		if ( empty( $post_title ) ) {
+			throw new Exception( 'Post-Titel ist erforderlich' );
+		}
+		
+		$import_mode = $this->get_import_mode();
+
+		if ( $import_mode !== 'create' ) {
+			$existing_id = $known_post_id ?? $this->find_existing_post( $data );
+			if ( $existing_id ) {
+				$post_result = $this->update_existing_post( $existing_id, $data );
+				$this->mark_post_seen( $existing_id );
+				return $post_result;
+			}
+			if ( $import_mode === 'update' ) {
+				$this->skip_reason = 'Kein bestehender Post zum Schlüssel gefunden';
+				return 'skipped';
+			}
+		} elseif ( ! empty( $this->config['skip_duplicates'] ) ) {
+			$duplicate_id = $known_post_id ?? $this->find_row_post( $data );
+			if ( $duplicate_id ) {
+				$this->mark_post_seen( $duplicate_id, false );
+				$this->skip_reason = 'Duplikat (gleicher Titel, Post-ID ' . $duplicate_id . ')';
+				return 'skipped';
+			}
+		}
+		
+		$this->check_translation_group();
+		$post_slug = $this->resolve_new_post_slug( $data, $post_title );
+		
+		$post_id = $this->create_post_transaction( $data, $post_slug );
+		
+		if ( $post_id ) {
+            // Hook für Backup-System
+            do_action('csv_import_post_created', $post_id, $this->session_id, $this->source);
+			return 'created';
+		} else {
+			throw new Exception( 'Post konnte nicht erstellt werden' );
+		}
+	}
+
+	private function create_post_transaction( array $data, string $post_slug ): ?int {
+		$post_data = [
+			'post_title'   => $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' ),
+			'post_content' => '', // Wird vom Page Builder bzw. einer gemappten Inhaltsspalte gesetzt
+			'post_excerpt' => $data['post_excerpt'] ?? $data['excerpt'] ?? '',
+			'post_name'    => $post_slug,
+			'post_status'  => $this->config['post_status'] ?? 'draft',
+			'post_type'    => $this->config['post_type'] ?? 'post',
+			'meta_input'   => [
+				'_csv_import_session' => $this->session_id,
+				'_csv_import_date' => current_time( 'mysql' ),
+				'_csv_import_row_hash' => $this->get_row_hash( $data ),
+				'_csv_import_source' => $this->source,
+				'_csv_import_source_key' => $this->source_key,
+				'_csv_import_last_seen' => $this->session_id,
+			]
+		];
+		$post_data = array_merge( $post_data, $this->get_core_post_fields( $data ) );
+
+        // Template vorab rendern, damit ein fehlerhaftes Template keinen halb befüllten Post hinterlässt
+        $rendered_template = $this->uses_page_builder_template() ? $this->render_page_builder_template( $data ) : null;
+        $custom_fields = $this->prepare_custom_fields( $data );
+        $product_data = $this->prepare_product_data( $data );
+		
+        // Post zuerst erstellen, um eine ID zu erhalten - Produkte über die CRUD-Klassen von WooCommerce
+        $post_id = $product_data !== null
+            ? CSV_Import_WooCommerce::save_product( 0, $post_data, $product_data, $this->get_product_options( $data ) )
+            : wp_insert_post( $post_data );
+
+        if ( is_wp_error( $post_id ) ) {
+            throw new Exception( 'WordPress Fehler: ' . $post_id->get_error_message() );
+        }
+
+        CSV_Import_Multilingual::set_post_language( $post_id, $post_data['post_type'], $this->row_language, $this->translation_group );
+
+        // Template und Page-Builder-spezifische Daten anwenden
+        if ( $rendered_template !== null ) {
+            $this->apply_page_builder_template( $post_id, $rendered_template );
+        }
+		
+		// Meta-Felder, Taxonomien und SEO-Daten hinzufügen
+		$this->add_meta_fields( $post_id, $data );
+		CSV_Import_Custom_Fields::save_fields( $post_id, $custom_fields );
+		$this->assign_taxonomy_terms( $post_id, $data );
+		csv_import_add_seo_data( $post_id, $data, $this->config );
+		
+		// Bilder verarbeiten
+		if ( ! empty( $this->config['image_source'] ) && $this->config['image_source'] !== 'none' ) {
+			$this->process_post_images( $post_id, $data );
+		}
+		
+		return $post_id;
+	}
+
+	/**
+	 * Slug für einen neuen Post: Schlüsselspalte (Slug-Modus), gemappter post_name oder Titel.
+	 */
+	private function resolve_new_post_slug( array $data, string $post_title ): string {
+		// Bei Slug-Schlüsseln muss der neue Post über den Schlüssel wiederauffindbar sein
+		if ( $this->get_import_mode() !== 'create' && ( $this->config['key_field'] ?? 'meta' ) === 'post_name' ) {
+			$post_slug = sanitize_title( $data[ $this->get_key_column() ] );
+			$this->existing_slugs[] = $post_slug;
+			return $post_slug;
+		}
+
+		if ( ! empty( $data['post_name'] ) ) {
+			return $this->generate_unique_slug( $data['post_name'] );
+		}
+
+		return $this->generate_unique_slug( $post_title );
+	}
+
+	/**
+	 * Optionale Beitragsfelder aus der Zeile (Inhalt, Datum, Reihenfolge).
+	 */
+	private function get_core_post_fields( array $data ): array {
+		$fields = [];
+
+		$content = $data['post_content'] ?? $data['content'] ?? '';
+		if ( $content !== '' ) {
+			$fields['post_content'] = wp_kses_post( $content );
+		}
+
+		if ( ! empty( $data['post_date'] ) ) {
+			$timestamp = strtotime( $data['post_date'] );
+			if ( $timestamp ) {
+				$fields['post_date'] = date( 'Y-m-d H:i:s', $timestamp );
+			}
+		}
+
+		if ( isset( $data['menu_order'] ) && is_numeric( $data['menu_order'] ) ) {
+			$fields['menu_order'] = (int) $data['menu_order'];
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Weist Begriffe aus tax:-Zielen zu. Mehrere Begriffe werden über das
+	 * konfigurierte Trennzeichen getrennt, Hierarchien als "Eltern > Kind" angegeben.
+	 */
+	private function assign_taxonomy_terms( int $post_id, array $data ): void {
+		foreach ( $data as $key => $value ) {
+			if ( strpos( $key, 'tax:' ) !== 0 || trim( (string) $value ) === '' ) {
+				continue;
+			}
+
+			$taxonomy = substr( $key, 4 );
+			if ( ! taxonomy_exists( $taxonomy ) || ! is_object_in_taxonomy( $this->config['post_type'], $taxonomy ) ) {
+				csv_import_log( 'warning', "Taxonomie '{$taxonomy}' gehört nicht zum Post-Typ {$this->config['post_type']}" );
+				continue;
+			}
+
+			$term_ids = [];
+			foreach ( $this->split_term_list( (string) $value ) as $term_path ) {
+				$term_id = $this->resolve_term_path( $term_path, $taxonomy );
+				if ( $term_id ) {
+					$term_ids[] = $term_id;
+				}
+			}
+
+			// Keine gültigen Begriffe: bestehende Zuordnung nicht leeren
+			if ( empty( $term_ids ) ) {
+				continue;
+			}
+
+			$result = wp_set_object_terms( $post_id, array_values( array_unique( $term_ids ) ), $taxonomy );
+
+			if ( is_wp_error( $result ) ) {
+				csv_import_log( 'warning', "Begriffe für Post {$post_id} ({$taxonomy}) konnten nicht gesetzt werden: " . $result->get_error_message() );
+			}
+		}
+	}
+
+	/**
+	 * Zerlegt einen Zellwert anhand des konfigurierten Begriff-Trennzeichens.
+	 */
+	private function split_term_list( string $value ): array {
+		$separator = (string) ( $this->config['term_separator'] ?? ',' );
+		if ( $separator === '' ) {
+			$separator = ',';
+		}
+
+		return array_values( array_filter( array_map( 'trim', explode( $separator, $value ) ), 'strlen' ) );
+	}
+
+	/**
+	 * Löst einen Begriff bzw. Pfad ("Eltern > Kind") in eine Term-ID auf.
+	 * Fehlende Begriffe werden angelegt, außer der Modus erlaubt nur bestehende Begriffe.
+	 *
+	 * @return int Term-ID oder 0, wenn der Begriff nicht zugeordnet werden kann
+	 */
+	private function resolve_term_path( string $term_path, string $taxonomy ): int {
+		$hierarchy_separator = (string) ( $this->config['term_hierarchy_separator'] ?? '>' );
+
+		$segments = ( $hierarchy_separator !== '' && is_taxonomy_hierarchical( $taxonomy ) )
+			? array_values( array_filter( array_map( 'trim', explode( $hierarchy_separator, $term_path ) ), 'strlen' ) )
+			: [ trim( $term_path ) ];
+
+		$parent_id = 0;
+		foreach ( $segments as $segment ) {
+			$cache_key = $this->row_language . '|' . $taxonomy . '|' . $parent_id . '|' . strtolower( $segment );
+
+			if ( ! isset( $this->term_cache[ $cache_key ] ) ) {
+				$this->term_cache[ $cache_key ] = $this->find_term_in_row_language( $segment, $taxonomy, $parent_id );
+			}
+
+			$parent_id = $this->term_cache[ $cache_key ];
+			if ( ! $parent_id ) {
+				return 0;
+			}
+		}
+
+		return $parent_id;
+	}
+
+	/**
+	 * Begriff in der Sprache der Zeile. Gibt es den Begriff nur in einer anderen Sprache,
+	 * wird die Übersetzung angelegt und mit ihm verknüpft.
+	 */
+	private function find_term_in_row_language( string $name, string $taxonomy, int $parent_id ): int {
+		$term_id = $this->find_term( $name, $taxonomy, $parent_id );
+
+		if ( $this->row_language === '' || ! CSV_Import_Multilingual::is_translated_taxonomy( $taxonomy ) ) {
+			return $term_id ?: $this->create_term( $name, $taxonomy, $parent_id );
+		}
+
+		$translated_id = $term_id ? CSV_Import_Multilingual::translate_term_id( $term_id, $taxonomy, $this->row_language ) : 0;
+
+		return $translated_id ?: $this->create_term( $name, $taxonomy, $parent_id, $term_id );
+	}
+
+	/**
+	 * Sucht einen Begriff über Name oder Slug unterhalb des angegebenen Elternbegriffs.
+	 */
+	private function find_term( string $name, string $taxonomy, int $parent_id ): int {
+		$args = [
+			'taxonomy'   => $taxonomy,
+			'hide_empty' => false,
+			'number'     => 1,
+			'fields'     => 'ids',
+		];
+		if ( is_taxonomy_hierarchical( $taxonomy ) ) {
+			$args['parent'] = $parent_id;
+		}
+
+		foreach ( [ 'name' => $name, 'slug' => sanitize_title( $name ) ] as $field => $search ) {
+			$term_ids = get_terms( array_merge( $args, [ $field => $search ] ) );
+			if ( ! is_wp_error( $term_ids ) && ! empty( $term_ids ) ) {
+				return (int) $term_ids[0];
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Legt einen fehlenden Begriff an. Neu angelegte Begriffe werden über den Hook
+	 * csv_import_term_created gesichert, damit ein Rollback sie wieder entfernen kann.
+	 *
+	 * @param int $translation_of Begriff einer anderen Sprache, dessen Übersetzung angelegt wird
+	 */
+	private function create_term( string $name, string $taxonomy, int $parent_id, int $translation_of = 0 ): int {
+		if ( ( $this->config['term_create_mode'] ?? 'create' ) === 'existing' ) {
+			csv_import_log( 'warning', "Begriff '{$name}' existiert nicht in Taxonomie {$taxonomy} und wird übersprungen" );
+			return 0;
+		}
+
+		$result = wp_insert_term( $name, $taxonomy, [ 'parent' => $parent_id ] );
+
+		if ( is_wp_error( $result ) ) {
+			// Parallel angelegt oder Slug-Kollision: vorhandenen Begriff verwenden
+			if ( $result->get_error_code() === 'term_exists' ) {
+				return (int) $result->get_error_data();
+			}
+			csv_import_log( 'warning', "Begriff '{$name}' ({$taxonomy}) konnte nicht angelegt werden: " . $result->get_error_message() );
+			return 0;
+		}
+
+		if ( $this->row_language !== '' ) {
+			CSV_Import_Multilingual::set_term_language( (int) $result['term_id'], $taxonomy, $this->row_language, $translation_of );
+		}
+
+		do_action( 'csv_import_term_created', (int) $result['term_id'], $taxonomy, $this->session_id, $this->source );
+
+		return (int) $result['term_id'];
+	}
+
+	private function get_import_mode(): string {
+		$mode = $this->config['import_mode'] ?? 'create';
+		return in_array( $mode, ['create', 'update', 'upsert'], true ) ? $mode : 'create';
+	}
+
+	private function get_key_column(): string {
+		return trim( (string) ( $this->config['key_column'] ?? '' ) );
+	}
+
+	/**
+	 * Prüfsumme einer Zeile, um unveränderte Datensätze beim Update zu erkennen.
+	 */
+	private function get_row_hash( array $data ): string {
+		return md5( serialize( $data ) );
+	}
+
+	/**
+	 * Sucht den bestehenden Post zur Schlüsselspalte der Zeile.
+	 *
+	 * @return int Post-ID oder 0, wenn kein Post gefunden wurde
+	 */
+	private function find_existing_post( array $data ): int {
+		$key_column = $this->get_key_column();
+		$key_value = trim( (string) ( $data[ $key_column ] ?? '' ) );
+
+		if ( $key_value === '' ) {
+			throw new Exception( "Schlüsselspalte '{$key_column}' ist leer" );
+		}
+
+		if ( ( $this->config['key_field'] ?? 'meta' ) === 'post_name' ) {
+			$existing_post = get_page_by_path( sanitize_title( $key_value ), OBJECT, $this->config['post_type'] );
+			return $existing_post ? $this->pick_row_language_post( [ (int) $existing_post->ID ] ) : 0;
+		}
+
+		if ( ( $this->config['key_field'] ?? 'meta' ) === 'sku' ) {
+			$product_id = CSV_Import_WooCommerce::find_product_id( $key_value );
+			return $product_id ? $this->pick_row_language_post( [ $product_id ] ) : 0;
+		}
+
+		// Gleiche Schlüsselbildung wie in add_meta_fields()
+		$meta_key = sanitize_key( $key_column );
+		if ( strpos( $meta_key, '_' ) !== 0 ) {
+			$meta_key = '_' . $meta_key;
+		}
+
+		$key_clause = [ 'key' => $meta_key, 'value' => sanitize_text_field( $key_value ) ];
+
+		// Zuerst nicht gelöschte Posts; im Papierkorb nur, was der Sync dorthin verschoben hat
+		$lookups = [
+			[ 'any', [ $key_clause ] ],
+			[ 'trash', [ 'relation' => 'AND', $key_clause, [ 'key' => '_csv_import_sync_removed', 'compare' => 'EXISTS' ] ] ]
+		];
+
+		foreach ( $lookups as list( $post_status, $meta_query ) ) {
+			$post_ids = get_posts( [
+				'post_type'        => $this->config['post_type'],
+				'post_status'      => $post_status,
+				'meta_query'       => $meta_query,
+				'fields'           => 'ids',
+				// Mehrsprachig kann derselbe Schlüssel einmal pro Sprache vorkommen
+				'posts_per_page'   => $this->row_language !== '' ? 50 : 1,
+				'no_found_rows'    => true,
+				'suppress_filters' => true
+			] );
+
+			$post_id = $this->pick_row_language_post( array_map( 'intval', $post_ids ) );
+			if ( $post_id ) {
+				return $post_id;
+			}
+		}
+
+		return 0;
+	}
+
+	/**
+	 * Wählt unter den Treffern einer Schlüsselsuche den Post in der Sprache der Zeile.
+	 */
+	private function pick_row_language_post( array $post_ids ): int {
+		return CSV_Import_Multilingual::pick_post_in_language( $post_ids, $this->config['post_type'], $this->row_language );
+	}
+
+	/**
+	 * Sprache und Übersetzungsgruppe der Zeile übernehmen: Begriffe werden in dieser Sprache
+	 * gesucht und angelegt, und ein übersetztes Template ersetzt das konfigurierte.
+	 *
+	 * @throws Exception bei unbekannter Sprache
+	 */
+	private function use_row_language( array $data ): void {
+		$row_language = CSV_Import_Multilingual::get_row_language( $data );
+		$this->row_language = $row_language['language'];
+		$this->translation_group = $row_language['group'];
+
+		CSV_Import_Multilingual::switch_language( $this->row_language );
+
+		if ( ! $this->template_post ) {
+			return;
+		}
+
+		$template_id = (int) $this->config['template_id'];
+		if ( $this->row_language !== '' ) {
+			$template_id = CSV_Import_Multilingual::translate_post_id( $template_id, get_post_type( $template_id ), $this->row_language ) ?: $template_id;
+		}
+		if ( $template_id !== (int) $this->template_post->ID ) {
+			$this->template_post = get_post( $template_id ) ?: $this->template_post;
+		}
+	}
+
+	/**
+	 * Eine Übersetzungsgruppe kann je Sprache nur einen Post enthalten.
+	 *
+	 * @throws Exception wenn die Gruppe bereits einen Post in der Sprache der Zeile hat
+	 */
+	private function check_translation_group(): void {
+		if ( $this->translation_group === '' ) {
+			return;
+		}
+
+		$existing_id = CSV_Import_Multilingual::find_group_post( $this->translation_group, $this->config['post_type'], $this->row_language );
+		if ( $existing_id ) {
+			throw new Exception( "Übersetzungsgruppe '{$this->translation_group}' hat bereits einen Post in der Sprache '{$this->row_language}' (ID {$existing_id})" );
+		}
+	}
+
+	/**
+	 * Aktualisiert einen bestehenden Post mit den Daten der CSV-Zeile.
+	 * Der vorherige Stand wird über den Hook csv_import_post_before_update gesichert.
+	 *
+	 * @return string 'updated' oder 'unchanged'
+	 */
+	private function update_existing_post( int $post_id, array $data ): string {
+		$row_hash = $this->get_row_hash( $data );
+		if ( get_post_meta( $post_id, '_csv_import_row_hash', true ) === $row_hash ) {
+			return 'unchanged';
+		}
+
+		$rendered_template = $this->uses_page_builder_template() ? $this->render_page_builder_template( $data ) : null;
+		$custom_fields = $this->prepare_custom_fields( $data );
+		$product_data = $this->prepare_product_data( $data );
+
+		// Hook für Backup-System (vor der ersten Änderung)
+		do_action( 'csv_import_post_before_update', $post_id, $this->session_id, $this->source );
+
+		$post_data = [
+			'ID'         => $post_id,
+			'post_title' => $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' ),
+		];
+		if ( isset( $data['post_excerpt'] ) || isset( $data['excerpt'] ) ) {
+			$post_data['post_excerpt'] = $data['post_excerpt'] ?? $data['excerpt'];
+		}
+		$post_data = array_merge( $post_data, $this->get_core_post_fields( $data ) );
+
+		if ( $product_data !== null ) {
+			CSV_Import_WooCommerce::save_product( $post_id, $post_data, $product_data, $this->get_product_options( $data ) );
+		} else {
+			$result = wp_update_post( $post_data, true );
+			if ( is_wp_error( $result ) ) {
+				throw new Exception( 'WordPress Fehler: ' . $result->get_error_message() );
+			}
+		}
+
+		// Neue Übersetzungsgruppe oder Sprache der Zeile übernehmen
+		if ( $this->row_language !== '' ) {
+			CSV_Import_Multilingual::set_post_language( $post_id, $this->config['post_type'], $this->row_language, $this->translation_group );
+		}
+
+		if ( $rendered_template !== null ) {
+			$this->apply_page_builder_template( $post_id, $rendered_template );
+		}
+
+		$this->add_meta_fields( $post_id, $data );
+		CSV_Import_Custom_Fields::save_fields( $post_id, $custom_fields );
+		$this->assign_taxonomy_terms( $post_id, $data );
+		csv_import_add_seo_data( $post_id, $data, $this->config );
+
+		// Bereits importierte Bilder werden wiederverwendet, nicht erneut geladen
+		if ( ! empty( $this->config['image_source'] ) && $this->config['image_source'] !== 'none' ) {
+			$this->process_post_images( $post_id, $data );
+		}
+
+		update_post_meta( $post_id, '_csv_import_session', $this->session_id );
+		update_post_meta( $post_id, '_csv_import_date', current_time( 'mysql' ) );
+		update_post_meta( $post_id, '_csv_import_row_hash', $row_hash );
+
+		do_action( 'csv_import_post_updated', $post_id, $this->session_id, $this->source );
+		return 'updated';
+	}
+
+	/**
+	 * Markiert einen Post als in der aktuellen CSV vorhanden (Grundlage für den Sync-Modus).
+	 * Per Sync depublizierte oder gelöschte Posts werden wieder mit dem konfigurierten Status veröffentlicht.
+	 *
+	 * @param bool $adopt Post der aktuellen Quelle zuordnen
+	 */
+	private function mark_post_seen( int $post_id, bool $adopt = true ): void {
+		update_post_meta( $post_id, '_csv_import_last_seen', $this->session_id );
+
+		if ( $adopt ) {
+			update_post_meta( $post_id, '_csv_import_source', $this->source );
+			update_post_meta( $post_id, '_csv_import_source_key', $this->source_key );
+		}
+
+		if ( get_post_meta( $post_id, '_csv_import_sync_removed', true ) ) {
+			if ( get_post_status( $post_id ) === 'trash' ) {
+				wp_untrash_post( $post_id );
+			}
+			wp_update_post( [
+				'ID' => $post_id,
+				'post_status' => $this->config['post_status'] ?? 'draft'
+			] );
+			delete_post_meta( $post_id, '_csv_import_sync_removed' );
+		}
+	}
+
+	/**
+	 * Markiert den Post einer Zeile als gesehen, bevor die Zeile geprüft und verarbeitet wird.
+	 * Lässt sich der Post nicht ermitteln, meldet der Sync dieses Laufs fehlende Posts nur.
+	 *
+	 * @return array|null ['data' => gemappte Zeile, 'post_id' => int] für die weitere Verarbeitung,
+	 *                    null bei deaktiviertem Sync oder nicht ermittelbarem Post
+	 */
+	private function mark_row_seen( array $row_data, array &$results ): ?array {
+		if ( $this->get_sync_mode() === 'off' ) {
+			return null;
+		}
+
+		try {
+			$data = $this->apply_mapping( $row_data );
+			$this->use_row_language( $data );
+			$post_id = $this->find_row_post( $data );
+		} catch ( Exception $e ) {
+			$results['sync_unresolved'] = ( $results['sync_unresolved'] ?? 0 ) + 1;
+			return null;
+		}
+
+		if ( $post_id ) {
+			update_post_meta( $post_id, '_csv_import_last_seen', $this->session_id );
+		}
+
+		return [ 'data' => $data, 'post_id' => $post_id ];
+	}
+
+	/**
+	 * Ermittelt den bestehenden Post einer gemappten Zeile (nur lesend).
+	 *
+	 * @return int Post-ID oder 0
+	 */
+	private function find_row_post( array $data ): int {
+		if ( $this->get_import_mode() !== 'create' ) {
+			return $this->find_existing_post( $data );
+		}
+
+		$existing_post = ! empty( $this->config['skip_duplicates'] )
+			? get_page_by_title( $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' ), OBJECT, $this->config['post_type'] )
+			: null;
+
+		return $existing_post ? (int) $existing_post->ID : 0;
+	}
+
+	private function get_sync_mode(): string {
+		$mode = $this->config['sync_mode'] ?? 'off';
+		return in_array( $mode, ['report', 'draft', 'trash'], true ) ? $mode : 'off';
+	}
+
+	/**
+	 * Ermittelt Posts dieser Quelle, die im aktuellen Lauf nicht vorkamen.
+	 *
+	 * @param array|null $seen_ids Bekannte Post-IDs (Probelauf) oder null für die _csv_import_last_seen-Markierung
+	 * @return array [ 'total' => int, 'missing' => int[] ]
+	 */
+	private function find_sync_candidates( ?array $seen_ids = null ): array {
+		$source_ids = get_posts( [
+			'post_type'        => $this->config['post_type'],
+			'post_status'      => 'any',
+			'fields'           => 'ids',
+			'posts_per_page'   => -1,
+			'no_found_rows'    => true,
+			'suppress_filters' => true,
+			'meta_query'       => [
+				'relation' => 'AND',
+				[ 'key' => '_csv_import_source_key', 'value' => $this->source_key ],
+				[ 'key' => '_csv_import_sync_removed', 'compare' => 'NOT EXISTS' ]
+			]
+		] );
+
+		if ( $seen_ids === null ) {
+			update_meta_cache( 'post', $source_ids );
+		}
+		$seen_lookup = array_flip( $seen_ids ?? [] );
+		$session_id = $this->session_id;
+
+		$missing = array_filter( $source_ids, function( $post_id ) use ( $seen_ids, $seen_lookup, $session_id ) {
+			if ( $seen_ids !== null ) {
+				return ! isset( $seen_lookup[ $post_id ] );
+			}
+			return get_post_meta( $post_id, '_csv_import_last_seen', true ) !== $session_id;
+		} );
+
+		return [
+			'total' => count( $source_ids ),
+			'missing' => array_values( $missing )
+		];
+	}
+
+	/**
+	 * Baut das Sync-Ergebnis inkl. Schwellenwert-Prüfung und Post-Liste.
+	 */
+	private function build_sync_report( array $candidates, string $sync_mode ): array {
+		$total = $candidates['total'];
+		$count = count( $candidates['missing'] );
+		$percent = $total > 0 ? round( $count / $total * 100, 1 ) : 0;
+		$threshold = max( 0, min( 100, (int) ( $this->config['sync_threshold'] ?? 20 ) ) );
+
+		$posts = [];
+		foreach ( array_slice( $candidates['missing'], 0, 100 ) as $post_id ) {
+			$posts[] = [
+				'id' => $post_id,
+				'title' => get_the_title( $post_id ),
+				'status' => get_post_status( $post_id ),
+				'edit_url' => get_edit_post_link( $post_id, 'raw' )
+			];
+		}
+
+		return [
+			'mode' => $sync_mode,
+			'dry_run' => $sync_mode === 'report',
+			'total' => $total,
+			'count' => $count,
+			'percent' => $percent,
+			'threshold' => $threshold,
+			'exceeds_threshold' => $count > 0 && $percent > $threshold,
+			'applied' => 0,
+			'aborted' => false,
+			'posts' => $posts
+		];
+	}
+
+	/**
+	 * Entfernt bzw. meldet Posts, die in der aktuellen CSV nicht mehr vorkommen.
+	 * Jede Änderung wird über csv_import_post_before_sync im Backup erfasst.
+	 *
+	 * @param int $unresolved Zeilen, deren Post nicht ermittelt werden konnte - dann wird nur gemeldet
+	 * @return array|null null, wenn der Sync-Modus deaktiviert ist
+	 */
+	private function sync_removed_posts( int $unresolved = 0 ): ?array {
+		$sync_mode = $this->get_sync_mode();
+		if ( $sync_mode === 'off' ) {
+			return null;
+		}
+
+		$candidates = $this->find_sync_candidates();
+		$report = $this->build_sync_report( $candidates, $sync_mode );
+
+		if ( $unresolved > 0 && $sync_mode !== 'report' && $report['count'] > 0 ) {
+			$report['dry_run'] = true;
+			$report['unresolved'] = $unresolved;
+			csv_import_log( 'warning', "Sync: {$unresolved} Zeilen konnten keinem Post zugeordnet werden - {$report['count']} fehlende Posts werden nur gemeldet", [
+				'session_id' => $this->session_id
+			] );
+			return $report;
+		}
+
+		if ( $sync_mode === 'report' || $report['count'] === 0 ) {
+			if ( $report['count'] > 0 ) {
+				csv_import_log( 'info', "Sync: {$report['count']} Posts fehlen in der Quelle (nur gemeldet)", [ 'session_id' => $this->session_id ] );
+			}
+			return $report;
+		}
+
+		if ( $report['exceeds_threshold'] ) {
+			$report['aborted'] = true;
+			csv_import_log( 'warning', "Sync abgebrochen: {$report['percent']}% der Posts würden entfernt (Schwelle {$report['threshold']}%)", [
+				'session_id' => $this->session_id,
+				'count' => $report['count'],
+				'total' => $report['total']
+			] );
+			return $report;
+		}
+
+		$action = $sync_mode === 'trash' ? 'trashed' : 'drafted';
+
+		foreach ( $candidates['missing'] as $post_id ) {
+			// Hook für Backup-System (vor der Änderung)
+			do_action( 'csv_import_post_before_sync', $post_id, $this->session_id, $this->source, $action );
+
+			update_post_meta( $post_id, '_csv_import_sync_removed', $this->session_id );
+
+			if ( $sync_mode === 'trash' ) {
+				$result = wp_trash_post( $post_id );
+			} else {
+				$result = wp_update_post( [ 'ID' => $post_id, 'post_status' => 'draft' ] );
+			}
+
+			if ( $result && ! is_wp_error( $result ) ) {
+				$report['applied']++;
+			} else {
+				csv_import_log( 'warning', "Sync: Post {$post_id} konnte nicht entfernt werden", [ 'session_id' => $this->session_id ] );
+			}
+		}
+
+		csv_import_log( 'info', "Sync: {$report['applied']} von {$report['count']} fehlenden Posts " . ( $sync_mode === 'trash' ? 'in den Papierkorb verschoben' : 'auf Entwurf gesetzt' ), [
+			'session_id' => $this->session_id
+		] );
+
+		return $report;
+	}
+
+	private function execute_simulation(): array {
+		try {
+			$this->load_and_validate_config();
+			$this->set_system_limits();
+
+			$reader = csv_import_open_csv_reader( $this->source, $this->config );
+
+			$rows = [];
+			$summary = [ 'create' => 0, 'update' => 0, 'unchanged' => 0, 'skip' => 0, 'error' => 0 ];
+
+			try {
+				$header = $reader->get_headers();
+				$this->validate_header( $header );
+				$this->validate_required_columns( $header );
+
+				$unique_seen = [];
+				foreach ( $reader->rows() as $line => $row_data ) {
+					try {
+						$row = $this->simulate_row( $this->apply_mapping( $row_data ) );
+					} catch ( Exception $e ) {
+						$row = [
+							'action' => 'error',
+							'title' => '',
+							'post_id' => 0,
+							'slug' => '',
+							'meta_keys' => [],
+							'unresolved' => [],
+							'message' => $e->getMessage()
+						];
+					}
+					$row['row'] = $line;
+
+					$rule_errors = empty( $this->validation_rules ) ? [] : CSV_Import_Validator::validate_row( $row_data, $this->validation_rules, $unique_seen, $line );
+					if ( $rule_errors ) {
+						$row['action'] = $this->get_invalid_row_mode() === 'abort' ? 'error' : 'skip';
+						$row['message'] = $this->format_rule_errors( $rule_errors );
+					}
+					$summary[ $row['action'] ]++;
+					$rows[] = $row;
+				}
+			} finally {
+				$reader->close();
+			}
+
+			if ( empty( $rows ) ) {
+				throw new Exception( 'CSV muss mindestens Header und eine Datenzeile enthalten.' );
+			}
+
+			return [
+				'success' => true,
+				'total' => count( $rows ),
+				'summary' => $summary,
+				'import_mode' => $this->get_import_mode(),
+				'rows' => $rows,
+				'message' => sprintf(
+					'Simulation: %d erstellen, %d aktualisieren, %d unverändert, %d überspringen, %d Fehler.',
+					$summary['create'],
+					$summary['update'],
+					$summary['unchanged'],
+					$summary['skip'],
+					$summary['error']
+				)
+			];
+
+		} catch ( Exception $e ) {
+			return [
+				'success' => false,
+				'message' => $e->getMessage()
+			];
+		}
+	}
+
+	/**
+	 * Ermittelt, was process_single_row() mit einer Zeile tun würde - nur lesend.
+	 */
+	private function simulate_row( array $data ): array {
+		$this->use_row_language( $data );
+
+		if ( $this->is_product_import() && CSV_Import_WooCommerce::get_parent_sku( $data ) !== '' ) {
+			return $this->simulate_variation_row( $data );
+		}
+
+		$result = [
+			'action' => 'create',
+			'title' => $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' ),
+			'post_id' => 0,
+			'slug' => '',
+			'meta_keys' => array_keys( $this->get_meta_fields( $data ) ),
+			'unresolved' => [],
+			'message' => ''
+		];
+
+		try {
+			if ( $result['title'] === '' ) {
+				throw new Exception( 'Post-Titel ist erforderlich' );
+			}
+
+			$result['unresolved'] = $this->find_unresolved_placeholders( $data );
+			$this->prepare_custom_fields( $data );
+			$product_data = $this->prepare_product_data( $data );
+
+			$import_mode = $this->get_import_mode();
+
+			if ( $import_mode !== 'create' ) {
+				$existing_id = $this->find_existing_post( $data );
+				if ( $existing_id ) {
+					$unchanged = get_post_meta( $existing_id, '_csv_import_row_hash', true ) === $this->get_row_hash( $data );
+					$result['action'] = $unchanged ? 'unchanged' : 'update';
+					$result['post_id'] = $existing_id;
+					$result['slug'] = get_post_field( 'post_name', $existing_id );
+					if ( ! $unchanged && $result['unresolved'] ) {
+						throw new Exception( CSV_Import_Template_Engine::format_unresolved( $result['unresolved'] ) );
+					}
+					return $result;
+				}
+				if ( $import_mode === 'update' ) {
+					$result['action'] = 'skip';
+					$result['message'] = 'Kein bestehender Post zum Schlüssel gefunden';
+					return $result;
+				}
+			} elseif ( ! empty( $this->config['skip_duplicates'] ) ) {
+				$existing_post = get_page_by_title( $result['title'], OBJECT, $this->config['post_type'] );
+				if ( $existing_post ) {
+					$result['action'] = 'skip';
+					$result['post_id'] = (int) $existing_post->ID;
+					$result['slug'] = $existing_post->post_name;
+					$result['message'] = 'Duplikat (gleicher Titel)';
+					return $result;
+				}
+			}
+
+			if ( $result['unresolved'] ) {
+				throw new Exception( CSV_Import_Template_Engine::format_unresolved( $result['unresolved'] ) );
+			}
+
+			$this->check_translation_group();
+
+			if ( $product_data !== null && $product_data['sku'] !== '' ) {
+				if ( CSV_Import_WooCommerce::is_sku_taken( $product_data['sku'] ) || in_array( $product_data['sku'], $this->simulated_skus, true ) ) {
+					throw new Exception( "SKU '{$product_data['sku']}' ist bereits vergeben" );
+				}
+				$this->simulated_skus[] = $product_data['sku'];
+			}
+
+			$slug = $this->resolve_new_post_slug( $data, $result['title'] );
+
+			// WordPress vergibt beim Einfügen ggf. noch ein Suffix
+			$result['slug'] = wp_unique_post_slug( $slug, 0, $this->config['post_status'] ?? 'draft', $this->config['post_type'], 0 );
+
+		} catch ( Exception $e ) {
+			$result['action'] = 'error';
+			$result['message'] = $e->getMessage();
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Gegenstück zu process_variation_row() für die Simulation. Elternprodukte, die erst
+	 * durch frühere Zeilen derselben Datei entstehen, gelten als vorhanden.
+	 */
+	private function simulate_variation_row( array $data ): array {
+		$result = [
+			'action' => 'create',
+			'title' => '',
+			'post_id' => 0,
+			'slug' => '',
+			'meta_keys' => [],
+			'unresolved' => [],
+			'message' => ''
+		];
+
+		try {
+			$product_data = $this->prepare_product_data( $data );
+			$result['title'] = 'Variante von ' . $product_data['parent_sku'] . ( $product_data['sku'] !== '' ? ' (' . $product_data['sku'] . ')' : '' );
+
+			$parent_id = CSV_Import_WooCommerce::find_product_id( $product_data['parent_sku'] );
+			if ( ! $parent_id && ! in_array( $product_data['parent_sku'], $this->simulated_skus, true ) ) {
+				throw new Exception( "Elternprodukt mit SKU '{$product_data['parent_sku']}' nicht gefunden - seine Zeile muss vor den Varianten stehen" );
+			}
+
+			$import_mode = $this->get_import_mode();
+			$variation_id = $parent_id ? CSV_Import_WooCommerce::find_variation( $parent_id, $product_data ) : 0;
+
+			if ( $variation_id ) {
+				$result['post_id'] = $variation_id;
+				if ( $import_mode === 'create' ) {
+					$result['action'] = 'skip';
+					$result['message'] = 'Variante existiert bereits';
+				} else {
+					$unchanged = get_post_meta( $variation_id, '_csv_import_row_hash', true ) === $this->get_row_hash( $data );
+					$result['action'] = $unchanged ? 'unchanged' : 'update';
+				}
+				return $result;
+			}
+
+			if ( $import_mode === 'update' ) {
+				$result['action'] = 'skip';
+				$result['message'] = 'Keine bestehende Variante gefunden';
+			} elseif ( $product_data['sku'] !== '' && CSV_Import_WooCommerce::is_sku_taken( $product_data['sku'] ) ) {
+				throw new Exception( "SKU '{$product_data['sku']}' ist bereits vergeben" );
+			}
+
+		} catch ( Exception $e ) {
+			$result['action'] = 'error';
+			$result['message'] = $e->getMessage();
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Platzhalter des Templates, für die die Zeile keinen Wert liefert.
+	 *
+	 * @throws Exception bei Syntaxfehlern im Template oder fehlgeschlagenen Filtern
+	 */
+	private function find_unresolved_placeholders( array $data ): array {
+		if ( ! $this->uses_page_builder_template() ) {
+			return [];
+		}
+
+		return $this->render_page_builder_template( $data, false )['unresolved'];
+	}
+
+	/**
+	 * Erstellt einen Entwurf aus einer Datenzeile über denselben Weg wie der Import
+	 * (render_page_builder_template + apply_page_builder_template) und listet alle Platzhalter
+	 * mit ihrem Wert auf. Die vorherige Vorschau des Benutzers wird dabei gelöscht.
+	 */
+	private function execute_row_preview( int $row_number ): array {
+		try {
+			$this->load_and_validate_config();
+
+			if ( ! $this->uses_page_builder_template() ) {
+				throw new Exception( 'Für die Vorschau müssen ein Template-Post und ein Page Builder konfiguriert sein.' );
+			}
+			if ( $row_number < 1 ) {
+				throw new Exception( 'Die Zeilennummer muss 1 oder größer sein.' );
+			}
+
+			$reader = csv_import_open_csv_reader( $this->source, $this->config );
+
+			$row_data = null;
+			$line = 0;
+			$count = 0;
+			try {
+				$this->validate_header( $reader->get_headers() );
+				foreach ( $reader->rows() as $line => $row ) {
+					if ( ++$count === $row_number ) {
+						$row_data = $row;
+						break;
+					}
+				}
+			} finally {
+				$reader->close();
 			}
-			
-			$header = $this->csv_data['headers'];
-			$data_rows = $this->csv_data['data'];
-            $total_rows = count($data_rows);
-			
-			$this->validate_header( $header );
-			update_option( 'csv_import_current_header', implode( ',', $header ) );
 
-			csv_import_log( 'info', "CSV-Import gestartet: " . $total_rows . " Zeilen." );
-			
-			$batch_size = apply_filters( 'csv_import_batch_size', 25 );
-			$results = $this->process_batches( $data_rows, $header, $batch_size );
+			if ( $row_data === null ) {
+				throw new Exception( sprintf( 'Zeile %d existiert nicht - die Quelle enthält %d Datenzeilen.', $row_number, $count ) );
+			}
 
-            // Performance-Daten loggen
-            if (class_exists('CSV_Import_Performance_Monitor')) {
-                CSV_Import_Performance_Monitor::checkpoint('import_finished');
-                CSV_Import_Performance_Monitor::log_performance($results);
-            }
+			$data = $this->apply_mapping( $row_data );
+			$this->use_row_language( $data );
+			$rendered = $this->render_page_builder_template( $data, false );
 
-            // Die neue, motivierende Erfolgsmeldung generieren
-            $success_message = csv_import_generate_success_message(
-                [
-                    'processed' => $results['created'],
-                    'total' => $total_rows,
-                    'errors' => $results['errors'],
-                    'session_id' => $this->session_id
-                ],
-                $this->source
-            );
-
-			$final_result = [
-				'success' => ( $results['errors'] === 0 ),
-				'message' => $success_message, // Die neue HTML-Nachricht
-				'processed' => $results['created'],
-				'total' => $total_rows,
-				'errors' => $results['errors'],
-                'html_message' => true // Wichtiges Flag für die Darstellung
+			$placeholders = [];
+			foreach ( $this->get_template_texts() as $text ) {
+				foreach ( CSV_Import_Template_Engine::describe_placeholders( $text, $data ) as $placeholder ) {
+					$placeholders[ $placeholder['placeholder'] ] = $placeholder;
+				}
+			}
+
+			csv_import_delete_template_previews( get_current_user_id() );
+
+			$title = $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' );
+			$post_id = wp_insert_post( [
+				'post_title'  => 'Vorschau: ' . ( $title !== '' ? $title : 'Zeile ' . $row_number ),
+				'post_status' => 'draft',
+				'post_type'   => $this->config['post_type'],
+				'post_author' => get_current_user_id(),
+				'meta_input'  => [
+					'_csv_import_preview' => get_current_user_id()
+				]
+			], true );
+
+			if ( is_wp_error( $post_id ) ) {
+				throw new Exception( 'Vorschau konnte nicht erstellt werden: ' . $post_id->get_error_message() );
+			}
+
+			// Sprache für die Vorschau, ohne die Vorschau in die Übersetzungsgruppe aufzunehmen
+			CSV_Import_Multilingual::set_post_language( $post_id, $this->config['post_type'], $this->row_language );
+
+			$this->apply_page_builder_template( $post_id, $rendered );
+
+			return [
+				'success' => true,
+				'row' => $row_number,
+				'line' => $line,
+				'post_id' => $post_id,
+				'preview_url' => get_preview_post_link( $post_id ),
+				'placeholders' => array_values( $placeholders ),
+				'unresolved' => $rendered['unresolved'],
+				'message' => $rendered['unresolved']
+					? sprintf( 'Vorschau für Zeile %d erstellt - Import dieser Zeile würde fehlschlagen: %s', $row_number, CSV_Import_Template_Engine::format_unresolved( $rendered['unresolved'] ) )
+					: sprintf( 'Vorschau für Zeile %d erstellt.', $row_number )
 			];
-			
-			do_action( 'csv_import_completed', $final_result, $this->source );
-			csv_import_log( 'info', "Import erfolgreich: {$results['created']} Posts erstellt, {$results['skipped']} übersprungen, {$results['errors']} Fehler." );
-			
-			$this->cleanup_after_import();
-			return $final_result;
 
 		} catch ( Exception $e ) {
-			$this->cleanup_after_import( true );
-			$error_message = 'Kritischer Import-Fehler: ' . $e->getMessage();
-			csv_import_log( 'critical', $error_message, [ 'source' => $this->source ] );
-			do_action( 'csv_import_failed', $error_message, $this->source );
-			
-			return [ 
-				'success' => false, 
-				'message' => $e->getMessage(),
-				'processed' => 0,
-				'total' => 0,
-				'errors' => 1
+			return [
+				'success' => false,
+				'message' => $e->getMessage()
 			];
 		}
 	}
 
+	private function execute_sync_preview(): array {
+		try {
+			$this->load_and_validate_config();
 
-	private function apply_mapping( array $row ): array {
-        if ( empty( $this->mapping ) ) {
-            return $row;
-        }
+			$sync_mode = $this->get_sync_mode();
+			if ( $sync_mode === 'off' ) {
+				throw new Exception( 'Sync-Modus ist deaktiviert' );
+			}
 
-        $mapped_row = $row;
-        
-        foreach ( $this->mapping as $original_column => $target_field ) {
-            if ( isset( $row[ $original_column ] ) && ! empty( $target_field ) ) {
-                $mapped_row[ $target_field ] = $row[ $original_column ];
-            }
-        }
-        
-        return $mapped_row;
-    }
-	
-	private function load_and_validate_config(): void {
-		$this->config = csv_import_get_config();
-		
-		if ( empty( $this->config['post_type'] ) ) {
-			throw new Exception( 'Post-Typ nicht konfiguriert' );
-		}
-		
-		if ( ! post_type_exists( $this->config['post_type'] ) ) {
-			throw new Exception( 'Post-Typ existiert nicht: ' . $this->config['post_type'] );
-		}
-		
-		if ( ! empty( $this->config['template_id'] ) ) {
-			$this->template_post = get_post( $this->config['template_id'] );
-			if ( ! $this->template_post ) {
-				throw new Exception( 'Template Post nicht gefunden: ID ' . $this->config['template_id'] );
+			$reader = csv_import_open_csv_reader( $this->source, $this->config );
+
+			$unresolved = 0;
+			try {
+				$seen_ids = $this->collect_seen_post_ids( $reader, $unresolved );
+			} finally {
+				$reader->close();
 			}
-		}
-	}
 
-	private function process_batches( array $rows, array $header, int $batch_size ): array {
-		$results = [
-			'created' => 0,
-			'skipped' => 0,
-			'errors' => 0,
-			'error_messages' => []
-		];
-		
-		$total_rows = count( $rows );
-		$processed = 0;
-		
-		$required_columns = $this->config['required_columns'] ?? [];
-		if ( is_string( $required_columns ) ) {
-			$required_columns = array_filter( array_map( 'trim', explode( "\n", $required_columns ) ) );
-		}
-		
-		$column_validation = csv_import_validate_required_columns( $header, $required_columns );
-		if ( ! $column_validation['valid'] ) {
-			throw new Exception( 'Erforderliche Spalten fehlen: ' . implode( ', ', $column_validation['missing'] ) );
+			$report = $this->build_sync_report( $this->find_sync_candidates( $seen_ids ), $sync_mode );
+			$report['dry_run'] = true;
+			if ( $unresolved > 0 && $sync_mode !== 'report' ) {
+				$report['unresolved'] = $unresolved;
+			}
+
+			return array_merge( $report, [
+				'success' => true,
+				'message' => sprintf(
+					'%d von %d Posts dieser Quelle fehlen in der CSV (%s%%).',
+					$report['count'],
+					$report['total'],
+					$report['percent']
+				)
+			] );
+
+		} catch ( Exception $e ) {
+			return [
+				'success' => false,
+				'message' => $e->getMessage()
+			];
 		}
-		
-		foreach ( $rows as $index => $row_data ) {
-            try {
-                if ( $processed % 5 === 0 ) {
-                    csv_import_update_progress( $processed, $total_rows, 'processing' );
-                }
+	}
 
-                $mapped_row = $this->apply_mapping( $row_data );
-                $post_result = $this->process_single_row( $mapped_row );
+	/**
+	 * Ermittelt die Posts, die zu den Zeilen der CSV gehören (nur lesend).
+	 *
+	 * @param int $unresolved Anzahl der Zeilen, deren Post nicht ermittelt werden konnte
+	 */
+	private function collect_seen_post_ids( CSV_Import_CSV_Reader $reader, int &$unresolved = 0 ): array {
+		$header = $reader->get_headers();
+		$this->validate_header( $header );
+		$this->validate_required_columns( $header );
 
-                if ( $post_result === 'created' ) {
-					$results['created']++;
-				} elseif ( $post_result === 'skipped' ) {
-					$results['skipped']++;
-				}
-				
-				$processed++;
-				
-				if ( $processed % 10 === 0 ) {
-					usleep( 100000 );
-				}
-				
+		$seen_ids = [];
+		foreach ( $reader->rows() as $row ) {
+			try {
+				$data = $this->apply_mapping( $row );
+				$this->use_row_language( $data );
+				$post_id = $this->find_row_post( $data );
 			} catch ( Exception $e ) {
-				$results['errors']++;
-				$error_msg = "Zeile " . ($index + 2) . ": " . $e->getMessage();
-				$results['error_messages'][] = $error_msg;
-				
-				csv_import_log( 'warning', $error_msg, [
-					'row_data' => $row_data,
-					'session_id' => $this->session_id
-				] );
-				
-				if ( $results['errors'] > 50 ) {
-					csv_import_log( 'error', 'Import abgebrochen - zu viele Fehler (>50)' );
-					break;
-				}
+				$post_id = 0;
+				$unresolved++;
 			}
-		}
-		
-		return $results;
-	}
 
-	private function process_single_row( array $data ): string {
-		$post_title = $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' );
-		
-		if ( empty( $post_title ) ) {
-			throw new Exception( 'Post-Titel ist erforderlich' );
-		}
-		
-		if ( ! empty( $this->config['skip_duplicates'] ) ) {
-			$existing_post = get_page_by_title( $post_title, OBJECT, $this->config['post_type'] );
-			if ( $existing_post ) {
-				return 'skipped';
+			if ( $post_id ) {
+				$seen_ids[] = $post_id;
 			}
 		}
-		
-		$post_slug = $this->generate_unique_slug( $post_title );
-		
-		$post_id = $this->create_post_transaction( $data, $post_slug );
-		
-		if ( $post_id ) {
-            // Hook für Backup-System
-            do_action('csv_import_post_created', $post_id, $this->session_id, $this->source);
-			return 'created';
-		} else {
-			throw new Exception( 'Post konnte nicht erstellt werden' );
-		}
-	}
 
-	private function create_post_transaction( array $data, string $post_slug ): ?int {
-		$post_data = [
-			'post_title'   => $this->sanitize_title( $data['post_title'] ?? $data['title'] ?? '' ),
-			'post_content' => '', // Wird vom Page Builder gesetzt
-			'post_excerpt' => $data['post_excerpt'] ?? $data['excerpt'] ?? '',
-			'post_name'    => $post_slug,
-			'post_status'  => $this->config['post_status'] ?? 'draft',
-			'post_type'    => $this->config['post_type'] ?? 'post',
-			'meta_input'   => [
-				'_csv_import_session' => $this->session_id,
-				'_csv_import_date' => current_time( 'mysql' ),
-			]
-		];
-		
-        // Post zuerst erstellen, um eine ID zu erhalten
-        $post_id = wp_insert_post( $post_data );
+		return $seen_ids;
+	}
 
-        if ( is_wp_error( $post_id ) ) {
-            throw new Exception( 'WordPress Fehler: ' . $post_id->get_error_message() );
-        }
+    private function uses_page_builder_template(): bool {
+        return $this->template_post && ! empty( $this->config['page_builder'] ) && $this->config['page_builder'] !== 'none';
+    }
 
-        // Template und Page-Builder-spezifische Daten anwenden
-        if ( $this->template_post && ! empty( $this->config['page_builder'] ) && $this->config['page_builder'] !== 'none' ) {
-            $this->apply_page_builder_template( $post_id, $data );
+    private function get_template_meta(): array {
+        $template_id = (int) $this->template_post->ID;
+        if ( ! isset( $this->template_meta[ $template_id ] ) ) {
+            $this->template_meta[ $template_id ] = get_post_meta( $template_id );
         }
-		
-		// Meta-Felder hinzufügen
-		$this->add_meta_fields( $post_id, $data );
-		
-		// Bilder verarbeiten
-		if ( ! empty( $this->config['image_source'] ) && $this->config['image_source'] !== 'none' ) {
-			$this->process_post_images( $post_id, $data );
-		}
-		
-		return $post_id;
-	}
+        return $this->template_meta[ $template_id ];
+    }
 
     /**
-     * Wendet das Template basierend auf dem ausgewählten Page Builder an.
-     * Diese Methode verarbeitet sowohl den post_content als auch die notwendigen Meta-Felder.
-     *
-     * @param int $post_id Die ID des neu erstellten Posts.
-     * @param array $data Die Datenzeile aus der CSV.
+     * Definition des konfigurierten Page Builders, siehe csv_import_get_page_builders().
      */
-    private function apply_page_builder_template( int $post_id, array $data ): void {
-        if ( ! $this->template_post ) {
-            return;
+    private function get_page_builder(): array {
+        $builders = csv_import_get_page_builders();
+        if ( ! isset( $builders[ $this->config['page_builder'] ] ) ) {
+            throw new Exception( 'Unbekannter Page Builder: ' . $this->config['page_builder'] );
         }
+        return $builders[ $this->config['page_builder'] ];
+    }
 
-        $page_builder = $this->config['page_builder'];
-        $template_content = $this->template_post->post_content;
-        $template_meta = get_post_meta( $this->template_post->ID );
+    /**
+     * Alle Texte des Templates, die Platzhalter enthalten können (JSON und Daten Feld für Feld).
+     */
+    private function get_template_texts(): array {
+        $builder = $this->get_page_builder();
+        $texts = [];
 
-        // Globale Ersetzungsfunktion für Strings
-        $replacer = function( $value ) use ( $data ) {
-            if ( ! is_string( $value ) ) return $value;
-            foreach ( $data as $key => $csv_value ) {
-                $value = str_replace( '{{' . $key . '}}', $csv_value, $value );
-            }
-            return $value;
-        };
-        
-        // Globale Ersetzungsfunktion für JSON-Strukturen (rekursiv)
-        $json_replacer = function( &$item ) use ( $data, &$json_replacer ) {
-            if ( is_string( $item ) ) {
-                foreach ( $data as $key => $csv_value ) {
-                    $item = str_replace( '{{' . $key . '}}', $csv_value, $item );
+        $collect = function( $value, string $format ) use ( &$collect, &$texts ) {
+            if ( is_string( $value ) ) {
+                $decoded = $format === 'json' ? json_decode( $value, true ) : null;
+                if ( is_array( $decoded ) ) {
+                    $collect( $decoded, $format );
+                } else {
+                    $texts[] = $value;
                 }
-            } elseif ( is_array( $item ) ) {
-                foreach ( $item as &$value ) {
-                    $json_replacer( $value );
+            } elseif ( is_array( $value ) || $value instanceof stdClass ) {
+                foreach ( (array) $value as $item ) {
+                    $collect( $item, $format );
                 }
             }
         };
 
-        // Standard-Meta-Felder vom Template auf den neuen Post übertragen
-        foreach ( $template_meta as $meta_key => $meta_values ) {
-            if ( isset( $meta_values[0] ) ) {
-                $unserialized_value = maybe_unserialize( $meta_values[0] );
-                // Platzhalter ersetzen, falls es ein String ist
-                if ( is_string( $unserialized_value ) ) {
-                    update_post_meta( $post_id, $meta_key, $replacer( $unserialized_value ) );
-                } else {
-                    update_post_meta( $post_id, $meta_key, $unserialized_value );
-                }
+        $collect( $this->template_post->post_content, $builder['content'] );
+        foreach ( $this->get_template_meta() as $meta_key => $meta_values ) {
+            $value = isset( $meta_values[0] ) ? maybe_unserialize( $meta_values[0] ) : null;
+            $format = $builder['meta'][ $meta_key ] ?? 'text';
+            if ( is_string( $value ) || $format !== 'text' ) {
+                $collect( $value, $format );
             }
         }
 
-        $final_content = $replacer( $template_content );
+        return $texts;
+    }
+
+    /**
+     * Rendert post_content und Meta-Felder des Templates mit den Werten einer Zeile
+     * (siehe CSV_Import_Template_Engine). JSON-Daten und serialisierte Layouts werden Feld
+     * für Feld gerendert, damit eingesetzte Werte die Struktur nicht zerstören.
+     *
+     * @param bool $strict Bei nicht auflösbaren Platzhaltern abbrechen statt sie nur zu melden
+     * @return array ['content' => string, 'meta' => [Meta-Key => Wert], 'unresolved' => Platzhalter]
+     * @throws Exception bei Syntaxfehlern, fehlgeschlagenen Filtern oder (strict) nicht auflösbaren Platzhaltern
+     */
+    private function render_page_builder_template( array $data, bool $strict = true ): array {
+        $builder = $this->get_page_builder();
+        $options = [ 'list_separator' => (string) ( $this->config['term_separator'] ?? ',' ) ?: ',' ];
+        $unresolved = [];
 
-        // Page-Builder-spezifische Logik
-        switch ( $page_builder ) {
-            case 'elementor':
-                if ( isset( $template_meta['_elementor_data'][0] ) ) {
-                    $elementor_data_string = $replacer( $template_meta['_elementor_data'][0] );
-                    update_post_meta( $post_id, '_elementor_data', wp_slash( $elementor_data_string ) );
+        // Strings, JSON (auch verschachtelt), Arrays und einfache Objekte rekursiv rendern
+        $render = function( $value, string $format ) use ( &$render, $data, $options, &$unresolved ) {
+            if ( is_string( $value ) ) {
+                $decoded = $format === 'json' ? json_decode( $value, true ) : null;
+                if ( is_array( $decoded ) ) {
+                    return wp_json_encode( $render( $decoded, $format ), JSON_UNESCAPED_UNICODE );
                 }
-                update_post_meta( $post_id, '_elementor_edit_mode', 'builder' );
-                break;
-
-            case 'breakdance':
-                // Breakdance speichert Daten als JSON im post_content.
-                $json_data = json_decode( $template_content, true );
-                if ( json_last_error() === JSON_ERROR_NONE ) {
-                    $json_replacer( $json_data );
-                    $final_content = wp_slash( json_encode( $json_data, JSON_UNESCAPED_UNICODE ) );
+                return CSV_Import_Template_Engine::render_partial( $value, $data, $unresolved, $options );
+            }
+            if ( is_array( $value ) ) {
+                foreach ( $value as $key => $item ) {
+                    $value[ $key ] = $render( $item, $format );
                 }
-                // Meta-Feld, um Breakdance zu aktivieren
-                update_post_meta( $post_id, '_breakdance_is_editable', '1' );
-                break;
-
-            case 'enfold':
-                // Enfold speichert Shortcodes im post_content. Die Standard-Ersetzung ist ausreichend.
-                // Wichtig ist das Meta-Feld, um den "Advanced Layout Builder" zu aktivieren.
-                update_post_meta( $post_id, '_av_alb_advanced_layout_status', 'active' );
-                if ( isset( $template_meta['_aviaLayoutBuilder_active'][0] ) ) {
-                     update_post_meta( $post_id, '_aviaLayoutBuilder_active', 'active' );
+                return $value;
+            }
+            if ( $value instanceof stdClass ) {
+                $value = clone $value;
+                foreach ( get_object_vars( $value ) as $key => $item ) {
+                    $value->$key = $render( $item, $format );
                 }
-                break;
+            }
+            return $value;
+        };
+
+        // Meta-Felder vom Template übernehmen, Platzhalter ersetzen
+        $meta = [];
+        foreach ( $this->get_template_meta() as $meta_key => $meta_values ) {
+            if ( ! isset( $meta_values[0] ) ) {
+                continue;
+            }
+            $value = maybe_unserialize( $meta_values[0] );
+            $format = $builder['meta'][ $meta_key ] ?? 'text';
+            if ( is_string( $value ) || $format !== 'text' ) {
+                $value = $render( $value, $format );
+            }
+            $meta[ $meta_key ] = $value;
+        }
+
+        $content = $render( $this->template_post->post_content, $builder['content'] );
+
+        if ( $strict && $unresolved ) {
+            throw new Exception( CSV_Import_Template_Engine::format_unresolved( $unresolved ) );
+        }
+
+        return [
+            'content' => $content,
+            'meta' => $meta,
+            'unresolved' => array_values( array_unique( $unresolved ) )
+        ];
+    }
+
+    /**
+     * Schreibt ein mit render_page_builder_template() gerendertes Template in den Post
+     * und setzt die Meta-Felder, die der jeweilige Page Builder zum Bearbeiten braucht.
+     *
+     * @param int $post_id Die ID des neu erstellten bzw. aktualisierten Posts.
+     * @param array $rendered Ergebnis von render_page_builder_template().
+     */
+    private function apply_page_builder_template( int $post_id, array $rendered ): void {
+        $builder = $this->get_page_builder();
+
+        foreach ( $rendered['meta'] as $meta_key => $value ) {
+            update_post_meta( $post_id, $meta_key, wp_slash( $value ) );
+        }
 
-            case 'wpbakery':
-            case 'gutenberg':
-            default:
-                // Für diese Builder ist das Ersetzen der Platzhalter im `post_content` ausreichend.
-                break;
+        // Builder für den Post aktivieren
+        foreach ( $builder['flags'] as $meta_key => $value ) {
+            update_post_meta( $post_id, $meta_key, $value );
         }
         
         // Den finalen post_content für alle Builder aktualisieren
         wp_update_post( [
             'ID' => $post_id,
-            'post_content' => $final_content
+            'post_content' => wp_slash( $rendered['content'] )
         ] );
+
+        if ( is_callable( $builder['after_apply'] ) ) {
+            call_user_func( $builder['after_apply'], $post_id, $rendered );
+        }
     }
 
 	private function validate_header( array $header ): void {
@@ -438,46 +2309,164 @@ class CSV_Import_Pro_Run {
 		return $slug;
 	}
 	
+	/**
+	 * Wandelt ACF-, Meta-Box- und JetEngine-Felder der Zeile vor dem Speichern um.
+	 *
+	 * @throws Exception wenn ein Wert nicht zum Feldtyp passt oder eine Beziehung nicht gefunden wird
+	 */
+	private function prepare_custom_fields( array $data ): array {
+		return CSV_Import_Custom_Fields::prepare_fields( $data, $this->config['post_type'] ?? 'post', [
+			'list_separator' => (string) ( $this->config['term_separator'] ?? ',' ) ?: ','
+		] );
+	}
+
+	private function is_product_import(): bool {
+		return CSV_Import_WooCommerce::is_product_import( $this->config );
+	}
+
+	/**
+	 * Wandelt die WooCommerce-Felder einer Zeile vor dem Speichern um.
+	 *
+	 * @return array|null null, wenn kein Produktimport läuft
+	 * @throws Exception bei ungültigen Preisen, Lagerangaben oder Attributen
+	 */
+	private function prepare_product_data( array $data ): ?array {
+		if ( ! $this->is_product_import() ) {
+			return null;
+		}
+
+		return CSV_Import_WooCommerce::prepare( $data, $this->get_product_options( $data ) );
+	}
+
+	private function get_product_options( array $data ): array {
+		return [
+			'list_separator' => (string) ( $this->config['term_separator'] ?? ',' ) ?: ',',
+			// Mit "Schlüssel als SKU" ist die Schlüsselspalte zugleich die Artikelnummer
+			'default_sku' => ( $this->config['key_field'] ?? 'meta' ) === 'sku' ? trim( (string) ( $data[ $this->get_key_column() ] ?? '' ) ) : '',
+			// Attributwerte wie tax:-Begriffe anlegen, damit ein Rollback sie wieder entfernt
+			'term_resolver' => function ( string $name, string $taxonomy ): int {
+				return $this->resolve_term_path( $name, $taxonomy );
+			}
+		];
+	}
+
+	/**
+	 * Legt eine Variante an oder aktualisiert sie (Zeile mit product:parent_sku).
+	 * Das Elternprodukt wird vorher gesichert, da neue Attributwerte auch dort landen.
+	 */
+	private function process_variation_row( array $data ): string {
+		$product_data = $this->prepare_product_data( $data );
+
+		$parent_id = CSV_Import_WooCommerce::find_product_id( $product_data['parent_sku'] );
+		if ( ! $parent_id ) {
+			throw new Exception( "Elternprodukt mit SKU '{$product_data['parent_sku']}' nicht gefunden - seine Zeile muss vor den Varianten stehen" );
+		}
+
+		$import_mode = $this->get_import_mode();
+		$variation_id = CSV_Import_WooCommerce::find_variation( $parent_id, $product_data );
+		$row_hash = $this->get_row_hash( $data );
+
+		if ( $variation_id ) {
+			if ( $import_mode === 'create' ) {
+				$this->skip_reason = 'Variante existiert bereits (ID ' . $variation_id . ')';
+				return 'skipped';
+			}
+			if ( get_post_meta( $variation_id, '_csv_import_row_hash', true ) === $row_hash ) {
+				return 'unchanged';
+			}
+			do_action( 'csv_import_post_before_update', $variation_id, $this->session_id, $this->source );
+		} elseif ( $import_mode === 'update' ) {
+			$this->skip_reason = 'Keine bestehende Variante gefunden';
+			return 'skipped';
+		}
+
+		do_action( 'csv_import_post_before_update', $parent_id, $this->session_id, $this->source );
+
+		$is_new = ! $variation_id;
+		$variation_id = CSV_Import_WooCommerce::save_variation( $variation_id, $parent_id, $this->get_core_post_fields( $data ), $product_data, $this->get_product_options( $data ) );
+
+		if ( ! empty( $this->config['image_source'] ) && $this->config['image_source'] !== 'none' ) {
+			$this->process_post_images( $variation_id, $data );
+		}
+
+		update_post_meta( $variation_id, '_csv_import_session', $this->session_id );
+		update_post_meta( $variation_id, '_csv_import_date', current_time( 'mysql' ) );
+		update_post_meta( $variation_id, '_csv_import_row_hash', $row_hash );
+
+		if ( $is_new ) {
+			do_action( 'csv_import_post_created', $variation_id, $this->session_id, $this->source );
+			return 'created';
+		}
+
+		do_action( 'csv_import_post_updated', $variation_id, $this->session_id, $this->source );
+		return 'updated';
+	}
+
 	private function add_meta_fields( int $post_id, array $data ): void {
-		$skip_fields = ['post_title', 'title', 'post_content', 'content', 'post_excerpt', 'excerpt', 'post_name'];
+		foreach ( $this->get_meta_fields( $data ) as $meta_key => $value ) {
+			update_post_meta( $post_id, $meta_key, $value );
+		}
+	}
+	
+	/**
+	 * Liefert die Meta-Felder, die add_meta_fields() für eine Zeile schreiben würde.
+	 *
+	 * @return array meta_key => bereinigter Wert
+	 */
+	private function get_meta_fields( array $data ): array {
+		$skip_fields = array_merge(
+			['post_title', 'title', 'post_content', 'content', 'post_excerpt', 'excerpt', 'post_name', 'post_date', 'menu_order'],
+			array_diff( CSV_Import_Media::TARGETS, ['featured_image'] ),
+			array_diff( array_keys( CSV_Import_SEO::FIELDS ), ['seo_title', 'seo_description'] )
+		);
+		$meta_fields = [];
 		
 		foreach ( $data as $key => $value ) {
+			$key = (string) $key;
+			
+			// Taxonomie-Ziele werden von assign_taxonomy_terms(), ACF-/Meta-Box-/JetEngine-Felder von CSV_Import_Custom_Fields,
+			// Produktfelder von CSV_Import_WooCommerce und Sprachangaben von CSV_Import_Multilingual verarbeitet
+			if ( strpos( $key, 'tax:' ) === 0 || CSV_Import_Custom_Fields::is_field_target( $key ) || CSV_Import_WooCommerce::is_product_target( $key ) || CSV_Import_Multilingual::is_language_target( $key ) ) {
+				continue;
+			}
+			
+			// Explizite Meta-Ziele werden unverändert als Schlüssel übernommen
+			if ( strpos( $key, 'meta:' ) === 0 ) {
+				$meta_key = csv_import_clean_meta_key( substr( $key, 5 ) );
+				if ( $meta_key !== '' && strpos( $meta_key, '_csv_import_' ) !== 0 && $value !== '' && $value !== null ) {
+					$meta_fields[ $meta_key ] = sanitize_text_field( $value );
+				}
+				continue;
+			}
+			
 			if ( ! in_array( $key, $skip_fields ) && ! empty( $value ) ) {
 				$meta_key = sanitize_key( $key );
 				if ( strpos( $meta_key, '_' ) !== 0 ) {
 					$meta_key = '_' . $meta_key;
 				}
 				
-				update_post_meta( $post_id, $meta_key, sanitize_text_field( $value ) );
+				// Interne Felder (Quellschlüssel, Sync) dürfen nicht aus CSV-Spalten überschrieben werden
+				if ( strpos( $meta_key, '_csv_import_' ) === 0 ) {
+					continue;
+				}
+				
+				$meta_fields[ $meta_key ] = sanitize_text_field( $value );
 			}
 		}
+		
+		return $meta_fields;
 	}
 	
+	/**
+	 * Beitragsbild, Galerie sowie Alt-Text, Bildunterschrift und Titel der Bilder setzen.
+	 * Mit aktiver Bild-Warteschlange werden die Bilder nur eingereiht und im Hintergrund geladen.
+	 */
 	private function process_post_images( int $post_id, array $data ): void {
-		$image_fields = ['image', 'featured_image', 'thumbnail', 'post_image'];
-		$image_url = '';
-		
-		foreach ( $image_fields as $field ) {
-			if ( ! empty( $data[ $field ] ) ) {
-				$image_url = $data[ $field ];
-				break;
-			}
-		}
-		
-		if ( empty( $image_url ) ) {
+		if ( ! empty( $this->config['image_queue'] ) ) {
+			CSV_Import_Image_Queue::enqueue_row( $post_id, $data, $this->config, $this->session_id );
 			return;
 		}
-		
-		try {
-			$attachment_id = csv_import_download_and_attach_image( $image_url, $post_id );
-			
-			if ( $attachment_id ) {
-				set_post_thumbnail( $post_id, $attachment_id );
-				update_post_meta( $post_id, '_csv_import_image_attached', true );
-			}
-			
-		} catch ( Exception $e ) {
-			csv_import_log( 'warning', "Bild-Fehler für Post {$post_id}: " . $e->getMessage() );
-		}
+
+		CSV_Import_Media::process_row_images( $post_id, $data, $this->config );
 	}
 }
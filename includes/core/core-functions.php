@@ -21,9 +21,10 @@ function csv_import_check_stuck_imports() {
     $progress = get_option('csv_import_progress', []);
     
     if (!empty($progress['running']) && !empty($progress['start_time'])) {
-        $runtime = time() - $progress['start_time'];
+        // Chunk-Imports laufen über viele Requests - maßgeblich ist die letzte Aktivität
+        $runtime = time() - ($progress['last_activity'] ?? $progress['start_time']);
         
-        // Wenn Import länger als 10 Minuten läuft, als hängend betrachten
+        // Wenn Import seit 10 Minuten keine Aktivität zeigt, als hängend betrachten
         if ($runtime > 600) {
             csv_import_force_reset_import_status();
             csv_import_log('warning', 'Hängender Import-Prozess wurde automatisch zurückgesetzt', [
@@ -48,7 +49,8 @@ function csv_import_force_reset_import_status() {
         'csv_import_start_time',
         'csv_import_current_header',
         'csv_import_running_lock',
-        'csv_import_batch_progress'
+        'csv_import_batch_progress',
+        'csv_import_control'
     ];
     
     foreach ($import_options as $option) {
@@ -81,9 +83,9 @@ function csv_import_is_import_running() {
     
     // Timestamp-basierte Validierung
     if (!empty($progress['start_time'])) {
-        $runtime = time() - $progress['start_time'];
+        $runtime = time() - ($progress['last_activity'] ?? $progress['start_time']);
         
-        // Imports länger als 15 Minuten sind definitiv hängend
+        // Imports ohne Aktivität seit 15 Minuten sind definitiv hängend
         if ($runtime > 900) {
             csv_import_force_reset_import_status();
             return false;
@@ -200,7 +202,8 @@ function csv_import_emergency_reset() {
     
     csv_import_force_reset_import_status();
     
-    // Zusätzlich alle temporären Daten löschen
+    // Zusätzlich alle temporären Daten löschen (inkl. Cursor unterbrochener Imports)
+    csv_import_clear_chunk_state();
     csv_import_cleanup_temp_files();
     csv_import_cleanup_dead_processes();
     
@@ -254,9 +257,17 @@ add_action('admin_init', function() {
 function csv_import_get_config(): array {
     $config_keys = [
         'template_id', 'post_type', 'post_status', 'page_builder',
-        'dropbox_url', 'local_path', 'image_source', 'image_folder',
+        'dropbox_url', 'local_path', 'image_source', 'image_folder', 'gallery_field',
+        'image_queue', 'image_concurrency', 'image_retries', 'image_host_rate',
         'memory_limit', 'time_limit', 'seo_plugin', 'required_columns',
-        'skip_duplicates'
+        'skip_duplicates', 'import_mode', 'key_column', 'key_field',
+        'sync_mode', 'sync_threshold', 'term_separator',
+        'term_hierarchy_separator', 'term_create_mode', 'spreadsheet_sheet',
+        'spreadsheet_header_row', 'json_source', 'json_record_path',
+        'xml_source', 'xml_record_path', 'url_source', 'url_format',
+        'url_auth_type', 'url_username', 'url_password', 'url_token',
+        'ftp_url', 'ftp_username', 'ftp_password', 'sftp_url',
+        'sftp_username', 'sftp_password', 'sftp_private_key', 'invalid_row_mode'
     ];
 
     $config = [];
@@ -290,11 +301,44 @@ function csv_import_get_default_value( string $key ) {
         'local_path'       => 'data/landingpages.csv',
         'image_source'     => 'media_library',
         'image_folder'     => 'wp-content/uploads/csv-import-images/',
+        'gallery_field'    => '',
+        'image_queue'      => false,
+        'image_concurrency' => 4,
+        'image_retries'    => 3,
+        'image_host_rate'  => 2,
         'memory_limit'     => '256M',
         'time_limit'       => 300,
         'seo_plugin'       => 'none',
         'required_columns' => "post_title\npost_name",
-        'skip_duplicates'  => true
+        'skip_duplicates'  => true,
+        'import_mode'      => 'create',
+        'key_column'       => '',
+        'key_field'        => 'meta',
+        'sync_mode'        => 'off',
+        'sync_threshold'   => 20,
+        'term_separator'   => ',',
+        'term_hierarchy_separator' => '>',
+        'term_create_mode' => 'create',
+        'spreadsheet_sheet' => '',
+        'spreadsheet_header_row' => 1,
+        'json_source'      => '',
+        'json_record_path' => '',
+        'xml_source'       => '',
+        'xml_record_path'  => '',
+        'url_source'       => '',
+        'url_format'       => 'auto',
+        'url_auth_type'    => 'none',
+        'url_username'     => '',
+        'url_password'     => '',
+        'url_token'        => '',
+        'ftp_url'          => '',
+        'ftp_username'     => '',
+        'ftp_password'     => '',
+        'sftp_url'         => '',
+        'sftp_username'    => '',
+        'sftp_password'    => '',
+        'sftp_private_key' => '',
+        'invalid_row_mode' => 'skip'
     ];
 
     return $defaults[ $key ] ?? null;
@@ -311,9 +355,12 @@ function csv_import_get_default_value( string $key ) {
  */
 function csv_import_validate_config( $config ): array {
     $errors = [];
+    // Warnungen verhindern den Import nicht
+    $warnings = [];
     $validation = [
         'valid' => true,
         'errors' => [],
+        'warnings' => [],
         'dropbox_ready' => false,
         'local_ready' => false
     ];
@@ -342,33 +389,38 @@ function csv_import_validate_config( $config ): array {
         }
     }
     
-    // Dropbox URL prüfen
-    if ( ! empty( $config['dropbox_url'] ) ) {
-        if ( filter_var( $config['dropbox_url'], FILTER_VALIDATE_URL ) ) {
-            // Zusätzlich prüfen ob es eine Dropbox URL ist
-            if ( strpos( $config['dropbox_url'], 'dropbox.com' ) !== false ) {
-                $validation['dropbox_ready'] = true;
-            } else {
-                $errors[] = 'URL ist kein gültiger Dropbox-Link';
+    // Page Builder muss registriert sein (siehe csv_import_get_page_builders())
+    $page_builders = csv_import_get_page_builders();
+    $page_builder = $config['page_builder'] ?? 'none';
+    if ( $page_builder !== 'none' && ! isset( $page_builders[ $page_builder ] ) ) {
+        $errors[] = 'Unbekannter Page Builder: ' . $page_builder;
+    }
+    
+    // Template-Syntax ({{#if}}, Filter) prüfen - JSON-Inhalte (Breakdance) werden erst beim Import Feld für Feld geprüft
+    if ( isset( $page_builders[ $page_builder ] ) && ! empty( $config['template_id'] ) && class_exists( 'CSV_Import_Template_Engine' ) ) {
+        $template_post = get_post( $config['template_id'] );
+        if ( $template_post && $page_builders[ $page_builder ]['content'] !== 'json' ) {
+            $syntax_error = CSV_Import_Template_Engine::check_syntax( $template_post->post_content );
+            if ( $syntax_error !== '' ) {
+                $errors[] = 'Template-Syntax: ' . $syntax_error;
             }
-        } else {
-            $errors[] = 'Dropbox URL ist nicht gültig: ' . $config['dropbox_url'];
         }
     }
     
-    // Lokaler Pfad prüfen
-    if ( ! empty( $config['local_path'] ) ) {
-        $full_path = ABSPATH . ltrim( $config['local_path'], '/' );
-        if ( file_exists( $full_path ) && is_readable( $full_path ) ) {
-            $validation['local_ready'] = true;
-        } else {
-            $errors[] = 'Lokaler Pfad existiert nicht oder ist nicht lesbar: ' . $config['local_path'];
+    // Import-Quellen prüfen (ohne Netzwerkzugriff)
+    $source_states = csv_import_get_source_states( $config );
+    $has_ready_source = false;
+    foreach ( $source_states as $source_id => $state ) {
+        $validation[ $source_id . '_ready' ] = $state['ready'];
+        $has_ready_source = $has_ready_source || $state['ready'];
+        if ( $state['error'] !== '' ) {
+            $errors[] = $state['error'];
         }
     }
     
     // Mindestens eine Quelle muss konfiguriert sein
-    if ( ! $validation['dropbox_ready'] && ! $validation['local_ready'] ) {
-        $errors[] = 'Mindestens eine CSV-Quelle (Dropbox oder lokal) muss konfiguriert und verfügbar sein';
+    if ( ! $has_ready_source ) {
+        $errors[] = 'Mindestens eine Import-Quelle (' . implode( ', ', wp_list_pluck( $source_states, 'label' ) ) . ') muss konfiguriert und verfügbar sein';
     }
     
     // Erforderliche Spalten prüfen
@@ -380,13 +432,79 @@ function csv_import_validate_config( $config ): array {
         $errors[] = 'Erforderliche Spalten müssen definiert sein';
     }
     
-    // Bildordner prüfen (falls Bildimport aktiviert)
-    if ( ( $config['image_source'] ?? 'none' ) !== 'none' ) {
+    // Import-Modus prüfen (Aktualisieren benötigt eine Schlüsselspalte)
+    $import_mode = $config['import_mode'] ?? 'create';
+    if ( ! in_array( $import_mode, ['create', 'update', 'upsert'], true ) ) {
+        $errors[] = 'Ungültiger Import-Modus: ' . $import_mode;
+    } elseif ( $import_mode !== 'create' && trim( (string) ( $config['key_column'] ?? '' ) ) === '' ) {
+        $errors[] = 'Für den Import-Modus "' . $import_mode . '" muss eine Schlüsselspalte angegeben werden';
+    }
+
+    $key_field = $config['key_field'] ?? 'meta';
+    if ( ! in_array( $key_field, ['meta', 'post_name', 'sku'], true ) ) {
+        $errors[] = 'Ungültige Art der Schlüsselspalte: ' . $key_field;
+    } elseif ( $key_field === 'sku' && ! ( class_exists( 'CSV_Import_WooCommerce' ) && CSV_Import_WooCommerce::is_product_import( $config ) ) ) {
+        $errors[] = 'Die Schlüsselspalte als SKU setzt WooCommerce und den Post-Typ "product" voraus';
+    }
+    
+    // Sync-Einstellungen prüfen
+    if ( ! in_array( $config['sync_mode'] ?? 'off', ['off', 'report', 'draft', 'trash'], true ) ) {
+        $errors[] = 'Ungültiger Sync-Modus: ' . $config['sync_mode'];
+    }
+    $sync_threshold = $config['sync_threshold'] ?? 20;
+    if ( ! is_numeric( $sync_threshold ) || $sync_threshold < 0 || $sync_threshold > 100 ) {
+        $errors[] = 'Sync-Schwellenwert muss zwischen 0 und 100 Prozent liegen';
+    }
+    
+    // Taxonomie-Einstellungen prüfen
+    if ( ! in_array( $config['term_create_mode'] ?? 'create', ['create', 'existing'], true ) ) {
+        $errors[] = 'Ungültiger Modus für Taxonomie-Begriffe: ' . $config['term_create_mode'];
+    }
+    // Umgang mit Zeilen, die Validierungsregeln verletzen
+    if ( ! in_array( $config['invalid_row_mode'] ?? 'skip', ['skip', 'abort'], true ) ) {
+        $errors[] = 'Ungültiger Modus für ungültige Zeilen: ' . $config['invalid_row_mode'];
+    }
+
+    foreach ( csv_import_check_validation_rules( csv_import_get_validation_rules() ) as $rule_error ) {
+        $errors[] = 'Validierungsregel: ' . $rule_error;
+    }
+
+    // Tabellen-Einstellungen (XLSX/ODS) prüfen
+    $header_row = $config['spreadsheet_header_row'] ?? 1;
+    if ( ! is_numeric( $header_row ) || (int) $header_row < 1 ) {
+        $errors[] = 'Header-Zeile für Tabellen muss 1 oder größer sein';
+    }
+    
+    $term_separator = $config['term_separator'] ?? ',';
+    if ( $term_separator !== '' && $term_separator === ( $config['term_hierarchy_separator'] ?? '>' ) ) {
+        $errors[] = 'Begriff-Trennzeichen und Hierarchie-Trennzeichen müssen sich unterscheiden';
+    }
+    
+    // Bildquelle prüfen - der Bildordner wird nur für lokale Dateien gelesen
+    $image_source = $config['image_source'] ?? 'none';
+    if ( ! in_array( $image_source, ['none', 'media_library', 'local_folder'], true ) ) {
+        $errors[] = 'Ungültige Bildquelle: ' . $image_source;
+    } elseif ( $image_source === 'local_folder' ) {
         $image_dir = ABSPATH . ltrim( $config['image_folder'] ?? '', '/' );
         if ( ! is_dir( $image_dir ) ) {
             $errors[] = 'Bildordner existiert nicht: ' . ($config['image_folder'] ?? 'nicht gesetzt');
-        } elseif ( ! is_writable( $image_dir ) ) {
-            $errors[] = 'Bildordner ist nicht beschreibbar: ' . $config['image_folder'];
+        } elseif ( ! is_readable( $image_dir ) ) {
+            $errors[] = 'Bildordner ist nicht lesbar: ' . $config['image_folder'];
+        }
+    }
+
+    // Bild-Warteschlange: Grenzen für parallele Downloads, Wiederholungen und Anfragen pro Host
+    if ( ! empty( $config['image_queue'] ) ) {
+        $image_concurrency = (int) ( $config['image_concurrency'] ?? 4 );
+        if ( $image_concurrency < 1 || $image_concurrency > 20 ) {
+            $errors[] = 'Parallele Bild-Downloads müssen zwischen 1 und 20 liegen';
+        }
+        $image_retries = (int) ( $config['image_retries'] ?? 3 );
+        if ( $image_retries < 0 || $image_retries > 10 ) {
+            $errors[] = 'Wiederholungen für Bild-Downloads müssen zwischen 0 und 10 liegen';
+        }
+        if ( (int) ( $config['image_host_rate'] ?? 2 ) < 1 ) {
+            $errors[] = 'Anfragen pro Host und Sekunde müssen mindestens 1 betragen';
         }
     }
     
@@ -397,15 +515,37 @@ function csv_import_validate_config( $config ): array {
         $errors[] = 'Memory Limit sollte mindestens 128M betragen (aktuell: ' . $memory_limit . ')';
     }
     
+    // SEO-Plugin prüfen
+    $seo_plugin = $config['seo_plugin'] ?? 'none';
+    if ( $seo_plugin !== 'none' && ! isset( CSV_Import_SEO::PLUGINS[ $seo_plugin ] ) ) {
+        $errors[] = 'Ungültiges SEO-Plugin: ' . $seo_plugin;
+    } elseif ( CSV_Import_SEO::get_plugin_warning( $seo_plugin ) !== '' ) {
+        $warnings[] = CSV_Import_SEO::get_plugin_warning( $seo_plugin );
+    }
+    
     $validation['errors'] = $errors;
+    $validation['warnings'] = $warnings;
     $validation['valid'] = empty( $errors );
     
     return $validation;
 }
 
 /**
- * Validiert eine CSV-Quelle (Dropbox oder lokal)
- * @param string $type 'dropbox' oder 'local'
+ * Ersetzt Zugangsdaten der Quellen, bevor eine Konfiguration geloggt wird.
+ */
+function csv_import_redact_config( array $config ): array {
+    foreach ( [ 'url_password', 'url_token', 'ftp_password', 'sftp_password', 'sftp_private_key' ] as $key ) {
+        if ( ! empty( $config[ $key ] ) ) {
+            $config[ $key ] = '***';
+        }
+    }
+    
+    return $config;
+}
+
+/**
+ * Validiert eine registrierte Import-Quelle (siehe csv_import_get_sources())
+ * @param string $type Quellen-ID, z.B. 'dropbox', 'local', 'url' oder 'sftp'
  * @param array $config Plugin-Konfiguration
  * @return array Validierungsergebnis
  */
@@ -419,13 +559,20 @@ function csv_import_validate_csv_source( string $type, array $config ): array {
     ];
     
     try {
-        if ( $type === 'dropbox' ) {
-            $result = csv_import_validate_dropbox_source( $config );
-        } elseif ( $type === 'local' ) {
-            $result = csv_import_validate_local_source( $config );
-        } else {
+        $source = csv_import_get_source( $type );
+        if ( ! $source ) {
             throw new Exception( 'Unbekannter Quelltyp: ' . $type );
         }
+        
+        if ( ! empty( $source['validate'] ) ) {
+            $result = call_user_func( $source['validate'], $config );
+        } else {
+            $result = csv_import_analyze_csv_reader( call_user_func( $source['open'], $config ), $source['label'] );
+        }
+
+        if ( ! empty( $result['valid'] ) ) {
+            $result = csv_import_add_rule_report( $result, $type, $config );
+        }
     } catch ( Exception $e ) {
         $result['message'] = 'Validierungsfehler: ' . $e->getMessage();
         
@@ -436,7 +583,7 @@ function csv_import_validate_csv_source( string $type, array $config ): array {
                 'CSV-Quellen-Validierung fehlgeschlagen: ' . $e->getMessage(),
                 [
                     'type' => $type,
-                    'config' => $config,
+                    'config' => csv_import_redact_config( $config ),
                     'trace' => $e->getTraceAsString()
                 ]
             );
@@ -445,168 +592,1066 @@ function csv_import_validate_csv_source( string $type, array $config ): array {
         }
     }
     
-    return $result;
+    return $result;
+}
+
+/**
+ * Validiert Dropbox CSV-Quelle
+ */
+function csv_import_validate_dropbox_source( array $config ): array {
+    $format = csv_import_detect_file_format( $config['dropbox_url'] ?? '' );
+    
+    return csv_import_analyze_csv_reader( csv_import_open_dropbox_csv( $config ), 'Dropbox', $format );
+}
+
+/**
+ * Validiert lokale CSV-Quelle
+ */
+function csv_import_validate_local_source( array $config ): array {
+    if ( empty( $config['local_path'] ) ) {
+        throw new Exception( 'Lokaler Pfad nicht konfiguriert' );
+    }
+    
+    $file_path = ABSPATH . ltrim( $config['local_path'], '/' );
+    
+    if ( ! file_exists( $file_path ) ) {
+        throw new Exception( 'Datei nicht gefunden: ' . $config['local_path'] . ' (Vollständiger Pfad: ' . $file_path . ')' );
+    }
+    
+    if ( ! is_readable( $file_path ) ) {
+        throw new Exception( 'Datei nicht lesbar: ' . $config['local_path'] );
+    }
+    
+    $format = csv_import_detect_file_format( $file_path );
+    
+    return csv_import_analyze_csv_reader( csv_import_open_local_csv( $config ), 'Lokal (' . basename( $file_path ) . ')', $format );
+}
+
+/**
+ * Validiert einen JSON- oder XML-Feed
+ */
+function csv_import_validate_feed_source( string $format, array $config ): array {
+    return csv_import_analyze_csv_reader( csv_import_open_feed_reader( $format, $config ), strtoupper( $format ) . '-Feed', $format );
+}
+
+/**
+ * Analysiert CSV-Inhalt und gibt Validierungsergebnis zurück
+ */
+function csv_import_analyze_csv_content( string $csv_content, string $source_name ): array {
+    if ( empty( trim( $csv_content ) ) ) {
+        throw new Exception( 'CSV-Datei ist leer' );
+    }
+    
+    return csv_import_analyze_csv_reader(
+        CSV_Import_CSV_Reader::from_string( $csv_content, get_option( 'csv_import_delimiter', 'auto' ) ),
+        $source_name
+    );
+}
+
+/**
+ * Analysiert eine Quelle zeilenweise und gibt das Validierungsergebnis zurück.
+ * Der Reader wird anschließend geschlossen.
+ *
+ * @param string $format 'csv', 'xlsx', 'ods', 'json' oder 'xml' (nur für die Anzeige)
+ */
+function csv_import_analyze_csv_reader( CSV_Import_CSV_Reader $reader, string $source_name, string $format = 'csv' ): array {
+    try {
+        $headers = $reader->get_headers();
+        $delimiter = $reader->get_delimiter();
+        
+        if ( count( $headers ) < 2 ) {
+            throw new Exception( 'Keine gültigen CSV-Daten gefunden. Stellen Sie sicher, dass die Datei korrekt formatiert ist.' );
+        }
+        
+        // Header bereinigen
+        $headers = array_filter( $headers ); // Leere Header entfernen
+        
+        if ( empty( $headers ) ) {
+            throw new Exception( 'Keine gültigen Spalten-Header gefunden' );
+        }
+        
+        // Beispieldaten sammeln (erste 4 Datenzeilen) und Zeilen zählen
+        $sample_data = [];
+        $total_rows = 0;
+        $non_empty_rows = 0;
+        foreach ( $reader->records( false ) as $row_data ) {
+            $total_rows++;
+            if ( empty( $row_data ) ) {
+                continue;
+            }
+            $non_empty_rows++;
+            if ( count( $sample_data ) < 4 ) {
+                $sample_data[] = array_slice( $row_data, 0, min( 5, count( $headers ) ) ); // Nur erste 5 Spalten
+            }
+        }
+    } finally {
+        $reader->close();
+    }
+    
+    $delimiter_label = $delimiter === "\t" ? 'Tab' : $delimiter;
+    $format_line = $format === 'csv'
+        ? "<strong>Delimiter:</strong> " . $delimiter_label . "<br>"
+        : "<strong>Format:</strong> " . strtoupper( $format ) . "<br>";
+    
+    $message = "✅ {$source_name} CSV erfolgreich validiert!<br>" .
+               "<strong>Gesamtzeilen:</strong> {$total_rows}<br>" .
+               "<strong>Datenzeilen:</strong> {$non_empty_rows}<br>" .
+               "<strong>Spalten:</strong> " . count( $headers ) . "<br>" .
+               $format_line .
+               "<strong>Header:</strong> " . implode( ', ', array_slice( $headers, 0, 5 ) ) . 
+               ( count( $headers ) > 5 ? ' ... (und ' . (count( $headers ) - 5) . ' weitere)' : '' );
+    
+    return [
+        'valid' => true,
+        'message' => $message,
+        'rows' => $non_empty_rows,
+        'total_rows' => $total_rows,
+        'columns' => array_values( $headers ),
+        'sample_data' => $sample_data,
+        'delimiter' => $delimiter === "\t" ? '\t' : $delimiter,
+        'format' => $format
+    ];
+}
+
+/**
+ * Prüft die ganze Datei einer Quelle gegen die Validierungsregeln und ergänzt das
+ * Validierungsergebnis um 'rule_report' (siehe CSV_Import_Validator::validate_rows()).
+ */
+function csv_import_add_rule_report( array $result, string $type, array $config ): array {
+    $rules = csv_import_get_validation_rules();
+    if ( empty( $rules ) ) {
+        return $result;
+    }
+
+    $rule_errors = csv_import_check_validation_rules( $rules );
+    if ( $rule_errors ) {
+        $result['message'] .= '<br>⚠️ <strong>Validierungsregeln fehlerhaft:</strong> ' . esc_html( implode( '; ', $rule_errors ) );
+        return $result;
+    }
+
+    $reader = csv_import_open_csv_reader( $type, $config );
+    try {
+        $report = CSV_Import_Validator::validate_rows( $reader, $rules );
+    } finally {
+        $reader->close();
+    }
+
+    // Duplikat-Zuordnung wird nur vom Import benötigt
+    unset( $report['duplicates'] );
+    $result['rule_report'] = $report;
+
+    if ( $report['invalid_cells'] === 0 ) {
+        $result['message'] .= '<br>✅ Alle ' . $report['checked_rows'] . ' Zeilen erfüllen die Validierungsregeln.';
+    } else {
+        $mode_label = ( $config['invalid_row_mode'] ?? 'skip' ) === 'abort'
+            ? 'der Import wird abgebrochen'
+            : 'diese Zeilen werden beim Import übersprungen';
+        $result['message'] .= sprintf(
+            '<br>⚠️ <strong>%d von %d Zeilen</strong> verletzen Validierungsregeln (%d Zellen) - %s.',
+            $report['invalid_rows'],
+            $report['checked_rows'],
+            $report['invalid_cells'],
+            $mode_label
+        );
+    }
+
+    return $result;
+}
+
+// ===================================================================
+// IMPORT-QUELLEN (REGISTRY)
+// ===================================================================
+
+/**
+ * Alle registrierten Import-Quellen. Eigene Quellen lassen sich über den Filter
+ * 'csv_import_sources' ergänzen.
+ *
+ * Jede Quelle ist ein Array mit:
+ * - label:    Bezeichnung in der Oberfläche
+ * - open:     callable( array $config ): CSV_Import_CSV_Reader
+ * - check:    callable( array $config ): bool - false = nicht konfiguriert, true = nutzbar,
+ *             Exception = fehlerhaft konfiguriert. Ohne Netzwerkzugriff, da bei jedem Seitenaufruf genutzt.
+ * - validate: callable( array $config ): array - optional, Standard: Quelle öffnen und analysieren
+ * - status:   callable( array $config ): string - HTML-Statusanzeige für die Einstellungen
+ * - location: callable( array $config ): string - optional, URL bzw. Pfad der Datei (Grundlage für den Sync-Modus)
+ *
+ * @return array Quellen-ID => Definition
+ */
+function csv_import_get_sources(): array {
+    $sources = [
+        'dropbox' => [
+            'label'    => '☁️ Dropbox',
+            'open'     => 'csv_import_open_dropbox_csv',
+            'check'    => 'csv_import_check_dropbox_source',
+            'validate' => 'csv_import_validate_dropbox_source',
+            'status'   => static function ( array $config ) {
+                return csv_import_get_dropbox_status( $config['dropbox_url'] ?? '' );
+            },
+            'location' => static function ( array $config ) {
+                return $config['dropbox_url'] ?? '';
+            }
+        ],
+        'upload' => [
+            'label'    => '⬆️ Upload',
+            'open'     => 'csv_import_open_upload_source',
+            'check'    => 'csv_import_check_upload_source',
+            'validate' => 'csv_import_validate_upload_source',
+            'status'   => 'csv_import_get_upload_status',
+            'location' => static function ( array $config ) {
+                $file = csv_import_get_uploaded_file();
+                return $file['name'] ?? '';
+            }
+        ],
+        'local' => [
+            'label'    => '📁 Lokal',
+            'open'     => 'csv_import_open_local_csv',
+            'check'    => 'csv_import_check_local_source',
+            'validate' => 'csv_import_validate_local_source',
+            'status'   => static function ( array $config ) {
+                return csv_import_get_file_status( $config['local_path'] ?? '' );
+            },
+            'location' => static function ( array $config ) {
+                return $config['local_path'] ?? '';
+            }
+        ],
+        'url' => [
+            'label'    => '🌐 HTTP(S)-URL',
+            'open'     => 'csv_import_open_url_source',
+            'check'    => 'csv_import_check_url_source',
+            'validate' => 'csv_import_validate_url_source',
+            'status'   => 'csv_import_get_url_status',
+            'location' => static function ( array $config ) {
+                return $config['url_source'] ?? '';
+            }
+        ],
+        'ftp' => [
+            'label'    => '📡 FTP',
+            'open'     => 'csv_import_open_ftp_source',
+            'check'    => 'csv_import_check_ftp_source',
+            'validate' => 'csv_import_validate_ftp_source',
+            'status'   => 'csv_import_get_ftp_status',
+            'location' => static function ( array $config ) {
+                return $config['ftp_url'] ?? '';
+            }
+        ],
+        'sftp' => [
+            'label'    => '🔐 SFTP',
+            'open'     => 'csv_import_open_sftp_source',
+            'check'    => 'csv_import_check_sftp_source',
+            'validate' => 'csv_import_validate_sftp_source',
+            'status'   => 'csv_import_get_sftp_status',
+            'location' => static function ( array $config ) {
+                return $config['sftp_url'] ?? '';
+            }
+        ]
+    ];
+    
+    foreach ( [ 'json' => '🧩 JSON-Feed', 'xml' => '📰 XML-Feed' ] as $feed_format => $feed_label ) {
+        $sources[ $feed_format ] = [
+            'label'    => $feed_label,
+            'open'     => static function ( array $config ) use ( $feed_format ) {
+                return csv_import_open_feed_reader( $feed_format, $config );
+            },
+            'check'    => static function ( array $config ) use ( $feed_format ) {
+                return csv_import_check_feed_source( $feed_format, $config );
+            },
+            'validate' => static function ( array $config ) use ( $feed_format ) {
+                return csv_import_validate_feed_source( $feed_format, $config );
+            },
+            'status'   => static function ( array $config ) use ( $feed_format ) {
+                return csv_import_get_feed_status( $feed_format, $config );
+            },
+            'location' => static function ( array $config ) use ( $feed_format ) {
+                return $config[ $feed_format . '_source' ] ?? '';
+            }
+        ];
+    }
+    
+    return apply_filters( 'csv_import_sources', $sources );
+}
+
+/**
+ * Liefert die Definition einer Quelle oder null, wenn sie nicht registriert ist.
+ */
+function csv_import_get_source( string $source_id ): ?array {
+    $sources = csv_import_get_sources();
+    
+    if ( ! isset( $sources[ $source_id ] ) || ! is_callable( $sources[ $source_id ]['open'] ?? null ) ) {
+        return null;
+    }
+    
+    return $sources[ $source_id ] + [ 'label' => $source_id ];
+}
+
+/**
+ * Stabile Kennung einer konkreten Quelle (Quellentyp, Datei-URL bzw. -Pfad und Post-Typ).
+ * Der Sync-Modus betrachtet nur Posts mit derselben Kennung.
+ */
+function csv_import_get_source_key( string $source_id, array $config ): string {
+    $source = csv_import_get_source( $source_id );
+    $location = $source && is_callable( $source['location'] ?? null )
+        ? (string) call_user_func( $source['location'], $config )
+        : '';
+    
+    return md5( $source_id . '|' . trim( $location ) . '|' . ( $config['post_type'] ?? '' ) );
+}
+
+/**
+ * Liefert alle Import-Quellen mit ihrer Bezeichnung für die Oberfläche.
+ */
+function csv_import_get_source_labels(): array {
+    return array_map( static function ( $source ) {
+        return $source['label'];
+    }, csv_import_get_sources() );
+}
+
+/**
+ * Konfigurationsstand aller Quellen (ohne Netzwerkzugriff).
+ *
+ * @return array Quellen-ID => ['label', 'configured', 'ready', 'error']
+ */
+function csv_import_get_source_states( array $config ): array {
+    $states = [];
+    
+    foreach ( csv_import_get_sources() as $source_id => $source ) {
+        $state = [
+            'label' => $source['label'] ?? $source_id,
+            'configured' => false,
+            'ready' => false,
+            'error' => ''
+        ];
+        
+        try {
+            $state['ready'] = is_callable( $source['check'] ?? null ) && (bool) call_user_func( $source['check'], $config );
+            $state['configured'] = $state['ready'];
+        } catch ( Exception $e ) {
+            $state['configured'] = true;
+            $state['error'] = $e->getMessage();
+        }
+        
+        $states[ $source_id ] = $state;
+    }
+    
+    return $states;
+}
+
+/**
+ * HTML-Statusanzeige einer Quelle für die Einstellungsseite.
+ */
+function csv_import_get_source_status( string $source_id, array $config ): string {
+    $source = csv_import_get_source( $source_id );
+    if ( ! $source || ! is_callable( $source['status'] ?? null ) ) {
+        return '';
+    }
+    
+    try {
+        return (string) call_user_func( $source['status'], $config );
+    } catch ( Exception $e ) {
+        return '<span style="color:red;">❌ ' . esc_html( $e->getMessage() ) . '</span>';
+    }
+}
+
+/**
+ * Dropbox: Link muss eine gültige dropbox.com-URL sein
+ */
+function csv_import_check_dropbox_source( array $config ): bool {
+    if ( empty( $config['dropbox_url'] ) ) {
+        return false;
+    }
+    
+    if ( ! filter_var( $config['dropbox_url'], FILTER_VALIDATE_URL ) ) {
+        throw new Exception( 'Dropbox URL ist nicht gültig: ' . $config['dropbox_url'] );
+    }
+    
+    // Zusätzlich prüfen ob es eine Dropbox URL ist
+    if ( strpos( $config['dropbox_url'], 'dropbox.com' ) === false ) {
+        throw new Exception( 'URL ist kein gültiger Dropbox-Link' );
+    }
+    
+    return true;
+}
+
+/**
+ * Lokal: Datei relativ zu ABSPATH muss existieren und lesbar sein
+ */
+function csv_import_check_local_source( array $config ): bool {
+    if ( empty( $config['local_path'] ) ) {
+        return false;
+    }
+    
+    $full_path = ABSPATH . ltrim( $config['local_path'], '/' );
+    if ( ! file_exists( $full_path ) || ! is_readable( $full_path ) ) {
+        throw new Exception( 'Lokaler Pfad existiert nicht oder ist nicht lesbar: ' . $config['local_path'] );
+    }
+    
+    return true;
+}
+
+/**
+ * JSON/XML-Feed: gültige URL oder lesbare Datei relativ zu ABSPATH
+ */
+function csv_import_check_feed_source( string $format, array $config ): bool {
+    $feed_source = trim( (string) ( $config[ $format . '_source' ] ?? '' ) );
+    if ( $feed_source === '' ) {
+        return false;
+    }
+    
+    $label = strtoupper( $format ) . '-Feed';
+    
+    if ( preg_match( '#^https?://#i', $feed_source ) ) {
+        if ( ! filter_var( $feed_source, FILTER_VALIDATE_URL ) ) {
+            throw new Exception( $label . ' URL ist nicht gültig: ' . $feed_source );
+        }
+        return true;
+    }
+    
+    if ( ! is_readable( csv_import_resolve_local_path( $feed_source ) ) ) {
+        throw new Exception( $label . ' existiert nicht oder ist nicht lesbar: ' . $feed_source );
+    }
+    
+    return true;
+}
+
+/**
+ * Statusanzeige für JSON/XML-Feeds
+ */
+function csv_import_get_feed_status( string $format, array $config ): string {
+    $feed_source = trim( (string) ( $config[ $format . '_source' ] ?? '' ) );
+    if ( $feed_source === '' ) {
+        return '';
+    }
+    
+    if ( preg_match( '#^https?://#i', $feed_source ) ) {
+        return csv_import_get_http_status( $feed_source );
+    }
+    
+    return csv_import_get_file_status( csv_import_resolve_local_path( $feed_source ) );
+}
+
+// ===================================================================
+// QUELLE: BROWSER-UPLOAD
+// ===================================================================
+
+/**
+ * Dateiformate, die als Upload angenommen werden - unabhängig von den erweiterten
+ * Einstellungen, damit nie ausführbare Dateien im Upload-Ordner landen.
+ */
+function csv_import_get_supported_upload_extensions(): array {
+    return [ 'csv', 'txt', 'tsv', 'xlsx', 'ods', 'json', 'xml' ];
+}
+
+/**
+ * Upload-Grenzen aus den erweiterten Einstellungen (Sicherheit).
+ *
+ * @return array ['extensions' => string[], 'max_bytes' => int, 'max_file_size_mb' => int, 'chunk_size' => int]
+ */
+function csv_import_get_upload_limits(): array {
+    $advanced_settings = get_option( 'csv_import_advanced_settings', [] );
+    $security = $advanced_settings['security_settings'] ?? [];
+    
+    $extensions = $security['allowed_file_extensions'] ?? [ 'csv' ];
+    if ( is_string( $extensions ) ) {
+        $extensions = explode( ',', $extensions );
+    }
+    $extensions = array_values( array_intersect(
+        array_unique( array_map( static function ( $extension ) {
+            return strtolower( ltrim( trim( $extension ), '.' ) );
+        }, (array) $extensions ) ),
+        csv_import_get_supported_upload_extensions()
+    ) );
+    
+    $max_file_size_mb = max( 1, (int) ( $security['max_file_size_mb'] ?? 50 ) );
+    
+    return [
+        'extensions' => $extensions ?: [ 'csv' ],
+        'max_bytes' => $max_file_size_mb * MB_IN_BYTES,
+        'max_file_size_mb' => $max_file_size_mb,
+        // Teilstücke deutlich unter upload_max_filesize/post_max_size halten
+        'chunk_size' => (int) max( 64 * KB_IN_BYTES, min( MB_IN_BYTES, floor( wp_max_upload_size() / 2 ) ) )
+    ];
+}
+
+/**
+ * Geschützter Ordner für hochgeladene Dateien (kein Direktzugriff per Browser).
+ */
+function csv_import_get_upload_dir(): string {
+    $upload_dir = wp_upload_dir();
+    $dir = trailingslashit( $upload_dir['basedir'] ) . 'csv-import-uploads/';
+    
+    if ( ! is_dir( $dir ) && ! wp_mkdir_p( $dir ) ) {
+        throw new Exception( 'Upload-Ordner konnte nicht angelegt werden: ' . $dir );
+    }
+    
+    if ( ! file_exists( $dir . '.htaccess' ) ) {
+        @file_put_contents( $dir . '.htaccess', "Options -Indexes\nDeny from all" );
+    }
+    if ( ! file_exists( $dir . 'index.php' ) ) {
+        @file_put_contents( $dir . 'index.php', '<?php // Silence is golden.' );
+    }
+    
+    return $dir;
+}
+
+/**
+ * Aktuell registrierte Upload-Datei.
+ *
+ * @return array ['file', 'name', 'size', 'uploaded_at', 'user_id', 'path'] oder leer
+ */
+function csv_import_get_uploaded_file(): array {
+    $file = get_option( 'csv_import_uploaded_file', [] );
+    if ( empty( $file['file'] ) ) {
+        return [];
+    }
+    
+    $upload_dir = wp_upload_dir();
+    $file['path'] = trailingslashit( $upload_dir['basedir'] ) . 'csv-import-uploads/' . basename( $file['file'] );
+    
+    return $file;
+}
+
+/**
+ * Prüft Dateiname und angekündigte Größe eines Uploads gegen die erweiterten Einstellungen.
+ *
+ * @return string Dateiendung
+ */
+function csv_import_validate_upload_file( string $file_name, int $file_size ): string {
+    $limits = csv_import_get_upload_limits();
+    $extension = strtolower( pathinfo( $file_name, PATHINFO_EXTENSION ) );
+    
+    if ( ! in_array( $extension, $limits['extensions'], true ) ) {
+        throw new Exception( 'Dateityp ".' . $extension . '" ist nicht erlaubt (erlaubt: ' . implode( ', ', $limits['extensions'] ) . ')' );
+    }
+    
+    if ( $file_size <= 0 ) {
+        throw new Exception( 'Die Datei ist leer' );
+    }
+    
+    if ( $file_size > $limits['max_bytes'] ) {
+        throw new Exception( 'Die Datei ist zu groß (' . size_format( $file_size ) . ', maximal ' . $limits['max_file_size_mb'] . ' MB)' );
+    }
+    
+    return $extension;
+}
+
+/**
+ * Hängt ein Teilstück an den laufenden Upload an. Nach dem letzten Teilstück wird die Datei
+ * als Upload-Quelle registriert, eine vorher hochgeladene Datei wird ersetzt.
+ *
+ * @return array ['complete' => bool, 'received' => int, 'file' => array|null]
+ */
+function csv_import_store_upload_chunk( string $upload_id, int $chunk_index, int $total_chunks, string $file_name, int $file_size, string $chunk_path ): array {
+    $extension = csv_import_validate_upload_file( $file_name, $file_size );
+    
+    if ( $upload_id === '' || $total_chunks < 1 || $chunk_index >= $total_chunks ) {
+        throw new Exception( 'Ungültige Upload-Parameter' );
+    }
+    
+    $dir = csv_import_get_upload_dir();
+    $part_file = $dir . $upload_id . '.part';
+    
+    if ( $chunk_index === 0 ) {
+        @unlink( $part_file );
+    } elseif ( ! file_exists( $part_file ) ) {
+        throw new Exception( 'Upload nicht gefunden oder abgelaufen - bitte erneut hochladen' );
+    }
+    
+    $in = fopen( $chunk_path, 'rb' );
+    $out = fopen( $part_file, 'ab' );
+    if ( ! $in || ! $out ) {
+        throw new Exception( 'Teilstück konnte nicht gespeichert werden' );
+    }
+    stream_copy_to_stream( $in, $out );
+    fclose( $in );
+    fclose( $out );
+    
+    clearstatcache( true, $part_file );
+    $received = (int) filesize( $part_file );
+    
+    if ( $received > $file_size ) {
+        @unlink( $part_file );
+        throw new Exception( 'Es wurden mehr Daten gesendet als angekündigt' );
+    }
+    
+    if ( $chunk_index < $total_chunks - 1 ) {
+        return [ 'complete' => false, 'received' => $received, 'file' => null ];
+    }
+    
+    if ( $received !== $file_size ) {
+        @unlink( $part_file );
+        throw new Exception( 'Upload unvollständig (' . $received . ' von ' . $file_size . ' Bytes)' );
+    }
+    
+    $stored_name = 'upload-' . gmdate( 'Ymd-His' ) . '-' . wp_generate_password( 8, false ) . '.' . $extension;
+    if ( ! @rename( $part_file, $dir . $stored_name ) ) {
+        @unlink( $part_file );
+        throw new Exception( 'Hochgeladene Datei konnte nicht gespeichert werden' );
+    }
+    
+    // Vorherige Upload-Datei ersetzen
+    $previous = csv_import_get_uploaded_file();
+    if ( ! empty( $previous['path'] ) && file_exists( $previous['path'] ) ) {
+        @unlink( $previous['path'] );
+    }
+    
+    $file = [
+        'file' => $stored_name,
+        'name' => $file_name,
+        'size' => $received,
+        'uploaded_at' => current_time( 'mysql' ),
+        'user_id' => get_current_user_id()
+    ];
+    update_option( 'csv_import_uploaded_file', $file, false );
+    
+    csv_import_log( 'info', 'Datei für den Import hochgeladen: ' . $file_name, [
+        'size' => $received,
+        'user_id' => $file['user_id']
+    ] );
+    
+    return [ 'complete' => true, 'received' => $received, 'file' => $file ];
+}
+
+/**
+ * Upload: eine hochgeladene Datei ist registriert und noch vorhanden
+ */
+function csv_import_check_upload_source( array $config ): bool {
+    $file = csv_import_get_uploaded_file();
+    if ( empty( $file ) ) {
+        return false;
+    }
+    
+    if ( ! is_readable( $file['path'] ) ) {
+        throw new Exception( 'Hochgeladene Datei nicht mehr vorhanden: ' . $file['name'] );
+    }
+    
+    return true;
+}
+
+/**
+ * Öffnet die hochgeladene Datei zum Lesen.
+ */
+function csv_import_open_upload_source( array $config ): CSV_Import_CSV_Reader {
+    if ( ! csv_import_check_upload_source( $config ) ) {
+        throw new Exception( 'Es wurde noch keine Datei hochgeladen' );
+    }
+    
+    $file = csv_import_get_uploaded_file();
+    
+    return csv_import_open_file_reader( $file['path'], csv_import_detect_file_format( $file['file'] ), $config );
+}
+
+/**
+ * Validiert die hochgeladene Datei
+ */
+function csv_import_validate_upload_source( array $config ): array {
+    $reader = csv_import_open_upload_source( $config );
+    $file = csv_import_get_uploaded_file();
+    
+    return csv_import_analyze_csv_reader( $reader, 'Upload (' . $file['name'] . ')', csv_import_detect_file_format( $file['file'] ) );
+}
+
+/**
+ * Statusanzeige für die hochgeladene Datei
+ */
+function csv_import_get_upload_status( array $config ): string {
+    $file = csv_import_get_uploaded_file();
+    if ( empty( $file ) ) {
+        return '';
+    }
+    
+    if ( ! is_readable( $file['path'] ) ) {
+        return '<span style="color:red;">❌ Hochgeladene Datei nicht mehr vorhanden: ' . esc_html( $file['name'] ) . '</span>';
+    }
+    
+    return sprintf(
+        '<span style="color:green;">✅ %s (%s, hochgeladen: %s)</span>',
+        esc_html( $file['name'] ),
+        size_format( $file['size'] ),
+        esc_html( $file['uploaded_at'] )
+    );
+}
+
+// ===================================================================
+// QUELLE: HTTP(S)-URL
+// ===================================================================
+
+/**
+ * HTTP(S)-URL: gültige Adresse und vollständige Zugangsdaten für die gewählte Authentifizierung
+ */
+function csv_import_check_url_source( array $config ): bool {
+    $url = trim( (string) ( $config['url_source'] ?? '' ) );
+    if ( $url === '' ) {
+        return false;
+    }
+    
+    if ( ! preg_match( '#^https?://#i', $url ) || ! filter_var( $url, FILTER_VALIDATE_URL ) ) {
+        throw new Exception( 'Quell-URL ist nicht gültig (nur http:// und https://): ' . $url );
+    }
+    
+    $auth_type = $config['url_auth_type'] ?? 'none';
+    if ( ! in_array( $auth_type, [ 'none', 'basic', 'bearer' ], true ) ) {
+        throw new Exception( 'Ungültige Authentifizierung für die Quell-URL: ' . $auth_type );
+    }
+    if ( $auth_type === 'basic' && trim( (string) ( $config['url_username'] ?? '' ) ) === '' ) {
+        throw new Exception( 'Für Basic-Auth der Quell-URL wird ein Benutzername benötigt' );
+    }
+    if ( $auth_type === 'bearer' && trim( (string) ( $config['url_token'] ?? '' ) ) === '' ) {
+        throw new Exception( 'Für Bearer-Auth der Quell-URL wird ein Token benötigt' );
+    }
+    
+    if ( ! in_array( $config['url_format'] ?? 'auto', [ 'auto', 'csv', 'xlsx', 'ods', 'json', 'xml' ], true ) ) {
+        throw new Exception( 'Ungültiges Format für die Quell-URL: ' . $config['url_format'] );
+    }
+    
+    return true;
+}
+
+/**
+ * Authorization-Header für die Quell-URL
+ */
+function csv_import_get_url_auth_headers( array $config ): array {
+    switch ( $config['url_auth_type'] ?? 'none' ) {
+        case 'basic':
+            return [ 'Authorization' => 'Basic ' . base64_encode( ( $config['url_username'] ?? '' ) . ':' . ( $config['url_password'] ?? '' ) ) ];
+        case 'bearer':
+            return [ 'Authorization' => 'Bearer ' . trim( (string) ( $config['url_token'] ?? '' ) ) ];
+        default:
+            return [];
+    }
+}
+
+/**
+ * Format der Quell-URL: fest eingestellt oder anhand der Dateiendung erkannt
+ */
+function csv_import_get_url_format( array $config ): string {
+    $format = $config['url_format'] ?? 'auto';
+    
+    return $format !== 'auto' ? $format : csv_import_detect_file_format( $config['url_source'] ?? '' );
+}
+
+/**
+ * Lädt die Quell-URL in eine temporäre Datei und öffnet sie zum Lesen.
+ */
+function csv_import_open_url_source( array $config ): CSV_Import_CSV_Reader {
+    if ( ! csv_import_check_url_source( $config ) ) {
+        throw new Exception( 'Quell-URL nicht konfiguriert' );
+    }
+    
+    $temp_file = csv_import_download_to_temp_file( trim( $config['url_source'] ), 'URL-Datei', csv_import_get_url_auth_headers( $config ) );
+    
+    return csv_import_open_downloaded_file( $temp_file, csv_import_get_url_format( $config ), $config );
+}
+
+/**
+ * Validiert die HTTP(S)-Quelle
+ */
+function csv_import_validate_url_source( array $config ): array {
+    $host = wp_parse_url( $config['url_source'] ?? '', PHP_URL_HOST );
+    
+    return csv_import_analyze_csv_reader( csv_import_open_url_source( $config ), 'URL (' . $host . ')', csv_import_get_url_format( $config ) );
+}
+
+/**
+ * Statusanzeige für die HTTP(S)-Quelle
+ */
+function csv_import_get_url_status( array $config ): string {
+    if ( ! csv_import_check_url_source( $config ) ) {
+        return '';
+    }
+    
+    return csv_import_get_http_status( trim( $config['url_source'] ), csv_import_get_url_auth_headers( $config ) );
+}
+
+/**
+ * Prüft per HEAD-Request, ob eine URL erreichbar ist.
+ */
+function csv_import_get_http_status( string $url, array $headers = [] ): string {
+    $response = wp_remote_head( $url, [
+        'timeout'     => 10,
+        'redirection' => 5,
+        'headers'     => $headers
+    ] );
+    
+    if ( is_wp_error( $response ) ) {
+        return '<span style="color:red;">❌ Fehler bei der Verbindung: ' . esc_html( $response->get_error_message() ) . '</span>';
+    }
+    
+    $http_code = wp_remote_retrieve_response_code( $response );
+    
+    if ( $http_code === 200 ) {
+        $content_length = wp_remote_retrieve_header( $response, 'content-length' );
+        return sprintf(
+            '<span style="color:green;">✅ Datei gefunden (%s)</span>',
+            $content_length ? size_format( $content_length ) : 'unbekannte Größe'
+        );
+    }
+    
+    // Manche APIs erlauben keinen HEAD-Request, liefern beim Import aber trotzdem Daten
+    if ( $http_code === 405 ) {
+        return '<span style="color:orange;">⚠️ Server erreichbar, HEAD-Anfragen werden nicht unterstützt</span>';
+    }
+    
+    if ( in_array( $http_code, [ 401, 403 ], true ) ) {
+        return '<span style="color:red;">❌ Zugriff verweigert (Code: ' . esc_html( $http_code ) . ') - Zugangsdaten prüfen</span>';
+    }
+    
+    return '<span style="color:red;">❌ Datei nicht erreichbar (Code: ' . esc_html( $http_code ) . ')</span>';
+}
+
+// ===================================================================
+// QUELLEN: FTP / SFTP
+// ===================================================================
+
+/**
+ * Zerlegt eine Adresse wie ftp://host:21/pfad/datei.csv.
+ *
+ * @param array $schemes Erlaubte Protokolle
+ * @return array ['scheme', 'host', 'port', 'path', 'user', 'pass']
+ */
+function csv_import_parse_remote_url( string $url, array $schemes ): array {
+    $parts = wp_parse_url( trim( $url ) );
+    $scheme = strtolower( $parts['scheme'] ?? '' );
+    
+    if ( empty( $parts['host'] ) || empty( $parts['path'] ) || ! in_array( $scheme, $schemes, true ) ) {
+        throw new Exception( 'Ungültige Adresse: ' . $url . ' (erwartet: ' . $schemes[0] . '://host/pfad/datei.csv)' );
+    }
+    
+    return [
+        'scheme' => $scheme,
+        'host'   => $parts['host'],
+        'port'   => (int) ( $parts['port'] ?? 0 ),
+        'path'   => rawurldecode( $parts['path'] ),
+        'user'   => isset( $parts['user'] ) ? rawurldecode( $parts['user'] ) : '',
+        'pass'   => isset( $parts['pass'] ) ? rawurldecode( $parts['pass'] ) : ''
+    ];
+}
+
+/**
+ * FTP: gültige ftp:// bzw. ftps:// Adresse und verfügbare PHP-Erweiterung
+ */
+function csv_import_check_ftp_source( array $config ): bool {
+    if ( trim( (string) ( $config['ftp_url'] ?? '' ) ) === '' ) {
+        return false;
+    }
+    
+    $remote = csv_import_parse_remote_url( $config['ftp_url'], [ 'ftp', 'ftps' ] );
+    
+    if ( ! function_exists( 'ftp_connect' ) ) {
+        throw new Exception( 'Für FTP-Quellen wird die PHP-Erweiterung ftp benötigt' );
+    }
+    if ( $remote['scheme'] === 'ftps' && ! function_exists( 'ftp_ssl_connect' ) ) {
+        throw new Exception( 'Für FTPS-Quellen wird PHP mit OpenSSL-Unterstützung benötigt' );
+    }
+    
+    return true;
+}
+
+/**
+ * Baut eine FTP-Verbindung auf (passiver Modus).
+ *
+ * @return array [FTP-Verbindung, zerlegte Adresse]
+ */
+function csv_import_ftp_connect( array $config, int $timeout = 30 ): array {
+    $remote = csv_import_parse_remote_url( $config['ftp_url'] ?? '', [ 'ftp', 'ftps' ] );
+    $port = $remote['port'] ?: 21;
+    
+    $connection = $remote['scheme'] === 'ftps'
+        ? @ftp_ssl_connect( $remote['host'], $port, $timeout )
+        : @ftp_connect( $remote['host'], $port, $timeout );
+    
+    if ( ! $connection ) {
+        throw new Exception( 'FTP-Verbindung zu ' . $remote['host'] . ':' . $port . ' fehlgeschlagen' );
+    }
+    
+    $username = trim( (string) ( $config['ftp_username'] ?? '' ) ) ?: ( $remote['user'] ?: 'anonymous' );
+    $password = (string) ( $config['ftp_password'] ?? '' ) ?: $remote['pass'];
+    
+    if ( ! @ftp_login( $connection, $username, $password ) ) {
+        ftp_close( $connection );
+        throw new Exception( 'FTP-Anmeldung fehlgeschlagen für Benutzer ' . $username );
+    }
+    
+    ftp_pasv( $connection, true );
+    
+    return [ $connection, $remote ];
+}
+
+/**
+ * Lädt die FTP-Datei in eine temporäre Datei und öffnet sie zum Lesen.
+ */
+function csv_import_open_ftp_source( array $config ): CSV_Import_CSV_Reader {
+    if ( ! csv_import_check_ftp_source( $config ) ) {
+        throw new Exception( 'FTP-Adresse nicht konfiguriert' );
+    }
+    
+    list( $connection, $remote ) = csv_import_ftp_connect( $config );
+    
+    if ( ! function_exists( 'wp_tempnam' ) ) {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+    }
+    $temp_file = wp_tempnam( 'csv-import-ftp.tmp' );
+    
+    $downloaded = @ftp_get( $connection, $temp_file, $remote['path'], FTP_BINARY );
+    ftp_close( $connection );
+    
+    if ( ! $downloaded ) {
+        @unlink( $temp_file );
+        throw new Exception( 'FTP-Datei konnte nicht geladen werden: ' . $remote['path'] );
+    }
+    
+    return csv_import_open_downloaded_file( $temp_file, csv_import_detect_file_format( $remote['path'] ), $config );
 }
 
 /**
- * Validiert Dropbox CSV-Quelle
+ * Validiert die FTP-Quelle
  */
-function csv_import_validate_dropbox_source( array $config ): array {
-    if ( empty( $config['dropbox_url'] ) ) {
-        throw new Exception( 'Dropbox URL nicht konfiguriert' );
-    }
+function csv_import_validate_ftp_source( array $config ): array {
+    $remote = csv_import_parse_remote_url( $config['ftp_url'] ?? '', [ 'ftp', 'ftps' ] );
     
-    // Dropbox URL zu direktem Download-Link umwandeln
-    $download_url = $config['dropbox_url'];
-    if ( strpos( $download_url, 'dropbox.com' ) !== false ) {
-        // URL normalisieren für direkten Download
-        $download_url = str_replace( 'www.dropbox.com', 'dl.dropboxusercontent.com', $download_url );
-        $download_url = str_replace( 'dropbox.com', 'dl.dropboxusercontent.com', $download_url );
-        $download_url = str_replace( '?dl=0', '', $download_url );
-        $download_url = str_replace( '?dl=1', '', $download_url );
-        if ( strpos( $download_url, '?' ) === false ) {
-            $download_url .= '?raw=1';
-        }
+    return csv_import_analyze_csv_reader(
+        csv_import_open_ftp_source( $config ),
+        strtoupper( $remote['scheme'] ) . ' (' . $remote['host'] . ')',
+        csv_import_detect_file_format( $remote['path'] )
+    );
+}
+
+/**
+ * Statusanzeige für die FTP-Quelle
+ */
+function csv_import_get_ftp_status( array $config ): string {
+    if ( ! csv_import_check_ftp_source( $config ) ) {
+        return '';
     }
     
-    // CSV-Datei herunterladen und validieren
-    $response = wp_remote_get( $download_url, [
-        'timeout' => 30,
-        'headers' => [
-            'User-Agent' => 'CSV Import Pro/' . (defined('CSV_IMPORT_PRO_VERSION') ? CSV_IMPORT_PRO_VERSION : '5.1')
-        ]
-    ] );
+    list( $connection, $remote ) = csv_import_ftp_connect( $config, 10 );
+    $size = ftp_size( $connection, $remote['path'] );
+    ftp_close( $connection );
     
-    if ( is_wp_error( $response ) ) {
-        throw new Exception( 'Dropbox-Datei konnte nicht abgerufen werden: ' . $response->get_error_message() );
+    if ( $size < 0 ) {
+        return '<span style="color:red;">❌ Datei nicht gefunden: ' . esc_html( $remote['path'] ) . '</span>';
     }
     
-    $http_code = wp_remote_retrieve_response_code( $response );
-    if ( $http_code !== 200 ) {
-        throw new Exception( 'Dropbox-Datei nicht verfügbar (HTTP ' . $http_code . ')' );
+    return '<span style="color:green;">✅ Datei gefunden (' . esc_html( size_format( $size ) ) . ')</span>';
+}
+
+/**
+ * SFTP: gültige sftp:// Adresse und verfügbare PHP-Erweiterung ssh2
+ */
+function csv_import_check_sftp_source( array $config ): bool {
+    if ( trim( (string) ( $config['sftp_url'] ?? '' ) ) === '' ) {
+        return false;
+    }
+    
+    csv_import_parse_remote_url( $config['sftp_url'], [ 'sftp' ] );
+    
+    if ( ! function_exists( 'ssh2_connect' ) ) {
+        throw new Exception( 'Für SFTP-Quellen wird die PHP-Erweiterung ssh2 benötigt' );
     }
     
-    $csv_content = wp_remote_retrieve_body( $response );
-    if ( empty( $csv_content ) ) {
-        throw new Exception( 'Dropbox-Datei ist leer oder konnte nicht gelesen werden' );
+    $private_key = trim( (string) ( $config['sftp_private_key'] ?? '' ) );
+    if ( $private_key !== '' && ! is_readable( csv_import_resolve_local_path( $private_key ) ) ) {
+        throw new Exception( 'SFTP-Schlüsseldatei nicht lesbar: ' . $private_key );
     }
     
-    return csv_import_analyze_csv_content( $csv_content, 'Dropbox' );
+    return true;
 }
 
 /**
- * Validiert lokale CSV-Quelle
+ * Baut eine SFTP-Verbindung auf. Mit Schlüsseldatei wird "<schlüssel>.pub" als
+ * öffentlicher Schlüssel und das Passwort als Passphrase verwendet.
+ *
+ * @param int $timeout Timeout für den Verbindungsaufbau in Sekunden
+ * @return array [SFTP-Ressource, zerlegte Adresse]
  */
-function csv_import_validate_local_source( array $config ): array {
-    if ( empty( $config['local_path'] ) ) {
-        throw new Exception( 'Lokaler Pfad nicht konfiguriert' );
+function csv_import_sftp_connect( array $config, int $timeout = 30 ): array {
+    $remote = csv_import_parse_remote_url( $config['sftp_url'] ?? '', [ 'sftp' ] );
+    $port = $remote['port'] ?: 22;
+    
+    // ssh2_connect() kennt keinen eigenen Timeout und nutzt default_socket_timeout
+    $socket_timeout = ini_set( 'default_socket_timeout', (string) $timeout );
+    $session = @ssh2_connect( $remote['host'], $port );
+    if ( $socket_timeout !== false ) {
+        ini_set( 'default_socket_timeout', $socket_timeout );
     }
     
-    $file_path = ABSPATH . ltrim( $config['local_path'], '/' );
+    if ( ! $session ) {
+        throw new Exception( 'SFTP-Verbindung zu ' . $remote['host'] . ':' . $port . ' fehlgeschlagen' );
+    }
     
-    if ( ! file_exists( $file_path ) ) {
-        throw new Exception( 'Datei nicht gefunden: ' . $config['local_path'] . ' (Vollständiger Pfad: ' . $file_path . ')' );
+    $username = trim( (string) ( $config['sftp_username'] ?? '' ) ) ?: $remote['user'];
+    $password = (string) ( $config['sftp_password'] ?? '' ) ?: $remote['pass'];
+    $private_key = trim( (string) ( $config['sftp_private_key'] ?? '' ) );
+    
+    if ( $private_key !== '' ) {
+        $key_path = csv_import_resolve_local_path( $private_key );
+        $authenticated = @ssh2_auth_pubkey_file( $session, $username, $key_path . '.pub', $key_path, $password );
+    } else {
+        $authenticated = @ssh2_auth_password( $session, $username, $password );
     }
     
-    if ( ! is_readable( $file_path ) ) {
-        throw new Exception( 'Datei nicht lesbar: ' . $config['local_path'] );
+    if ( ! $authenticated ) {
+        throw new Exception( 'SFTP-Anmeldung fehlgeschlagen für Benutzer ' . $username );
     }
     
-    $csv_content = file_get_contents( $file_path );
-    if ( $csv_content === false ) {
-        throw new Exception( 'Datei konnte nicht gelesen werden: ' . $config['local_path'] );
+    $sftp = @ssh2_sftp( $session );
+    if ( ! $sftp ) {
+        throw new Exception( 'SFTP-Subsystem konnte nicht gestartet werden' );
     }
     
-    return csv_import_analyze_csv_content( $csv_content, 'Lokal (' . basename( $file_path ) . ')' );
+    return [ $sftp, $remote ];
 }
 
 /**
- * Analysiert CSV-Inhalt und gibt Validierungsergebnis zurück
+ * Lädt die SFTP-Datei in eine temporäre Datei und öffnet sie zum Lesen.
  */
-function csv_import_analyze_csv_content( string $csv_content, string $source_name ): array {
-    if ( empty( trim( $csv_content ) ) ) {
-        throw new Exception( 'CSV-Datei ist leer' );
+function csv_import_open_sftp_source( array $config ): CSV_Import_CSV_Reader {
+    if ( ! csv_import_check_sftp_source( $config ) ) {
+        throw new Exception( 'SFTP-Adresse nicht konfiguriert' );
     }
     
-    // CSV-Inhalt normalisieren
-    $csv_content = csv_import_normalize_line_endings( $csv_content );
-    
-    // CSV in Array umwandeln - verschiedene Trennzeichen probieren
-    $delimiters = [',', ';', '\t', '|'];
-    $best_result = null;
-    $max_columns = 0;
+    list( $sftp, $remote ) = csv_import_sftp_connect( $config );
     
-    foreach ( $delimiters as $delimiter ) {
-        $test_lines = str_getcsv( $csv_content, "\n" );
-        if ( ! empty( $test_lines ) ) {
-            $actual_delimiter = $delimiter === '\t' ? "\t" : $delimiter;
-            $test_headers = str_getcsv( $test_lines[0], $actual_delimiter );
-            if ( count( $test_headers ) > $max_columns ) {
-                $max_columns = count( $test_headers );
-                $best_result = [
-                    'delimiter' => $delimiter,
-                    'actual_delimiter' => $actual_delimiter,
-                    'lines' => $test_lines,
-                    'headers' => $test_headers
-                ];
-            }
-        }
+    if ( ! function_exists( 'wp_tempnam' ) ) {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
     }
+    $temp_file = wp_tempnam( 'csv-import-sftp.tmp' );
     
-    if ( ! $best_result || $max_columns < 2 ) {
-        throw new Exception( 'Keine gültigen CSV-Daten gefunden. Stellen Sie sicher, dass die Datei korrekt formatiert ist.' );
+    if ( ! @copy( 'ssh2.sftp://' . intval( $sftp ) . $remote['path'], $temp_file ) ) {
+        @unlink( $temp_file );
+        throw new Exception( 'SFTP-Datei konnte nicht geladen werden: ' . $remote['path'] );
     }
     
-    $lines = $best_result['lines'];
-    $headers = $best_result['headers'];
-    $delimiter = $best_result['delimiter'];
-    $actual_delimiter = $best_result['actual_delimiter'];
-    
-    // Header bereinigen
-    $headers = array_map( 'trim', $headers );
-    $headers = array_filter( $headers ); // Leere Header entfernen
+    return csv_import_open_downloaded_file( $temp_file, csv_import_detect_file_format( $remote['path'] ), $config );
+}
+
+/**
+ * Validiert die SFTP-Quelle
+ */
+function csv_import_validate_sftp_source( array $config ): array {
+    $remote = csv_import_parse_remote_url( $config['sftp_url'] ?? '', [ 'sftp' ] );
     
-    if ( empty( $headers ) ) {
-        throw new Exception( 'Keine gültigen Spalten-Header gefunden' );
+    return csv_import_analyze_csv_reader(
+        csv_import_open_sftp_source( $config ),
+        'SFTP (' . $remote['host'] . ')',
+        csv_import_detect_file_format( $remote['path'] )
+    );
+}
+
+/**
+ * Statusanzeige für die SFTP-Quelle
+ */
+function csv_import_get_sftp_status( array $config ): string {
+    if ( ! csv_import_check_sftp_source( $config ) ) {
+        return '';
     }
     
-    // Beispieldaten sammeln (erste 3 Datenzeilen)
-    $sample_data = [];
-    for ( $i = 1; $i <= min( 4, count( $lines ) - 1 ); $i++ ) {
-        if ( ! empty( trim( $lines[ $i ] ) ) ) {
-            $row_data = str_getcsv( $lines[ $i ], $actual_delimiter );
-            $row_data = array_map( 'trim', $row_data );
-            $sample_data[] = array_slice( $row_data, 0, min( 5, count( $headers ) ) ); // Nur erste 5 Spalten
-        }
-    }
+    list( $sftp, $remote ) = csv_import_sftp_connect( $config, 10 );
+    $stat = @ssh2_sftp_stat( $sftp, $remote['path'] );
     
-    $total_rows = count( $lines ) - 1; // Minus Header-Zeile
-    $non_empty_rows = 0;
-    for ( $i = 1; $i < count( $lines ); $i++ ) {
-        if ( ! empty( trim( $lines[ $i ] ) ) ) {
-            $non_empty_rows++;
-        }
+    if ( ! $stat ) {
+        return '<span style="color:red;">❌ Datei nicht gefunden: ' . esc_html( $remote['path'] ) . '</span>';
     }
     
-    $message = "✅ {$source_name} CSV erfolgreich validiert!<br>" .
-               "<strong>Gesamtzeilen:</strong> {$total_rows}<br>" .
-               "<strong>Datenzeilen:</strong> {$non_empty_rows}<br>" .
-               "<strong>Spalten:</strong> " . count( $headers ) . "<br>" .
-               "<strong>Delimiter:</strong> " . ($delimiter === '\t' ? 'Tab' : $delimiter) . "<br>" .
-               "<strong>Header:</strong> " . implode( ', ', array_slice( $headers, 0, 5 ) ) . 
-               ( count( $headers ) > 5 ? ' ... (und ' . (count( $headers ) - 5) . ' weitere)' : '' );
-    
-    $result = [
-        'valid' => true,
-        'message' => $message,
-        'rows' => $non_empty_rows,
-        'total_rows' => $total_rows,
-        'columns' => $headers,
-        'sample_data' => $sample_data,
-        'delimiter' => $delimiter
-    ];
-    
-    return $result;
+    return '<span style="color:green;">✅ Datei gefunden (' . esc_html( size_format( $stat['size'] ?? 0 ) ) . ')</span>';
 }
 
 // ===================================================================
@@ -614,25 +1659,52 @@ function csv_import_analyze_csv_content( string $csv_content, string $source_nam
 // ===================================================================
 
 /**
- * Lädt CSV-Daten von einer Quelle
- * @param string $source 'dropbox' oder 'local'
+ * Lädt CSV-Daten von einer Quelle. JSON- und XML-Feeds liefern dieselbe Struktur
+ * (headers/data), verschachtelte Felder als Spalten mit Punkt-Notation.
+ * @param string $source Quellen-ID, siehe csv_import_get_sources()
  * @param array $config Plugin-Konfiguration
  * @return array CSV-Daten als Array
  */
 function csv_import_load_csv_data( string $source, array $config ): array {
-    if ( $source === 'dropbox' ) {
-        return csv_import_load_dropbox_csv( $config );
-    } elseif ( $source === 'local' ) {
-        return csv_import_load_local_csv( $config );
-    } else {
+    return csv_import_read_csv_rows( csv_import_open_csv_reader( $source, $config ) );
+}
+
+/**
+ * Öffnet eine CSV-Quelle zum zeilenweisen Lesen, ohne sie komplett in den Speicher zu laden.
+ * Der Aufrufer muss den Reader nach Gebrauch mit close() schließen.
+ *
+ * @param string $source Quellen-ID, siehe csv_import_get_sources()
+ * @param array $config Plugin-Konfiguration
+ * @return CSV_Import_CSV_Reader
+ */
+function csv_import_open_csv_reader( string $source, array $config ): CSV_Import_CSV_Reader {
+    $source_definition = csv_import_get_source( $source );
+    if ( ! $source_definition ) {
         throw new Exception( 'Unbekannte CSV-Quelle: ' . $source );
     }
+    
+    return call_user_func( $source_definition['open'], $config );
 }
 
 /**
  * Lädt CSV-Daten von Dropbox
  */
 function csv_import_load_dropbox_csv( array $config ): array {
+    return csv_import_read_csv_rows( csv_import_open_dropbox_csv( $config ) );
+}
+
+/**
+ * Lädt CSV-Daten von lokaler Datei
+ */
+function csv_import_load_local_csv( array $config ): array {
+    return csv_import_read_csv_rows( csv_import_open_local_csv( $config ) );
+}
+
+/**
+ * Lädt die Dropbox-Datei in eine temporäre Datei und öffnet sie zum Lesen.
+ * Die temporäre Datei wird beim Schließen des Readers gelöscht.
+ */
+function csv_import_open_dropbox_csv( array $config ): CSV_Import_CSV_Reader {
     if ( empty( $config['dropbox_url'] ) ) {
         throw new Exception( 'Dropbox URL nicht konfiguriert' );
     }
@@ -649,25 +1721,119 @@ function csv_import_load_dropbox_csv( array $config ): array {
         }
     }
     
-    $response = wp_remote_get( $download_url, [
+    $temp_file = csv_import_download_to_temp_file( $download_url, 'Dropbox-Datei' );
+    
+    return csv_import_open_downloaded_file( $temp_file, csv_import_detect_file_format( $config['dropbox_url'] ), $config );
+}
+
+/**
+ * Lädt eine URL per Streaming in eine temporäre Datei.
+ * Der Aufrufer ist für das Löschen der Datei verantwortlich.
+ *
+ * @param string $label   Bezeichnung für Fehlermeldungen, z.B. 'Dropbox-Datei'
+ * @param array  $headers Zusätzliche HTTP-Header, z.B. Authorization
+ * @return string Pfad der temporären Datei
+ */
+function csv_import_download_to_temp_file( string $url, string $label, array $headers = [] ): string {
+    if ( ! function_exists( 'wp_tempnam' ) ) {
+        require_once ABSPATH . 'wp-admin/includes/file.php';
+    }
+    $temp_file = wp_tempnam( 'csv-import-' . sanitize_key( $label ) . '.tmp' );
+    
+    // Direkt in die Datei streamen statt den Body im Speicher zu halten
+    $response = wp_remote_get( $url, [
         'timeout' => 60,
-        'headers' => [
+        'stream' => true,
+        'filename' => $temp_file,
+        'headers' => array_merge( [
             'User-Agent' => 'CSV Import Pro/' . (defined('CSV_IMPORT_PRO_VERSION') ? CSV_IMPORT_PRO_VERSION : '5.1')
-        ]
+        ], $headers )
     ] );
     
     if ( is_wp_error( $response ) ) {
-        throw new Exception( 'Dropbox-Datei konnte nicht geladen werden: ' . $response->get_error_message() );
+        @unlink( $temp_file );
+        throw new Exception( $label . ' konnte nicht geladen werden: ' . $response->get_error_message() );
+    }
+    
+    $http_code = wp_remote_retrieve_response_code( $response );
+    if ( $http_code !== 200 ) {
+        @unlink( $temp_file );
+        throw new Exception( $label . ' nicht verfügbar (HTTP ' . $http_code . ')' );
     }
     
-    $csv_content = wp_remote_retrieve_body( $response );
-    return csv_import_parse_csv_content( $csv_content );
+    return $temp_file;
 }
 
 /**
- * Lädt CSV-Daten von lokaler Datei
+ * Öffnet eine heruntergeladene Datei als Reader. CSV-Downloads werden beim Schließen
+ * gelöscht, umgewandelte Formate (XLSX, ODS, JSON, XML) sofort nach der Umwandlung.
  */
-function csv_import_load_local_csv( array $config ): array {
+function csv_import_open_downloaded_file( string $temp_file, string $format, array $config ): CSV_Import_CSV_Reader {
+    try {
+        $reader = csv_import_open_file_reader( $temp_file, $format, $config );
+    } catch ( Exception $e ) {
+        @unlink( $temp_file );
+        throw $e;
+    }
+    
+    if ( $format === 'csv' ) {
+        $reader->set_temp_file( $temp_file );
+    } else {
+        @unlink( $temp_file );
+    }
+    
+    return $reader;
+}
+
+/**
+ * Öffnet einen JSON- oder XML-Feed (URL oder Pfad relativ zu ABSPATH) zum Lesen.
+ * Der Datensatz-Pfad kommt aus 'json_record_path' bzw. 'xml_record_path'.
+ *
+ * @param string $format 'json' oder 'xml'
+ */
+function csv_import_open_feed_reader( string $format, array $config ): CSV_Import_CSV_Reader {
+    $label = strtoupper( $format ) . '-Feed';
+    $feed_source = trim( (string) ( $config[ $format . '_source' ] ?? '' ) );
+    
+    if ( $feed_source === '' ) {
+        throw new Exception( $label . ' nicht konfiguriert' );
+    }
+    
+    if ( preg_match( '#^https?://#i', $feed_source ) ) {
+        return csv_import_open_downloaded_file( csv_import_download_to_temp_file( $feed_source, $label ), $format, $config );
+    }
+    
+    $file_path = csv_import_resolve_local_path( $feed_source );
+    if ( ! file_exists( $file_path ) || ! is_readable( $file_path ) ) {
+        throw new Exception( $label . ' nicht gefunden oder nicht lesbar: ' . $feed_source );
+    }
+    
+    return csv_import_open_file_reader( $file_path, $format, $config );
+}
+
+/**
+ * Lokale Pfade (Feeds, Schlüsseldateien) sind wie der lokale CSV-Pfad relativ zu ABSPATH,
+ * absolute Pfade bleiben unverändert.
+ */
+function csv_import_resolve_local_path( string $path ): string {
+    return csv_import_path_is_absolute( $path ) ? $path : ABSPATH . ltrim( $path, '/' );
+}
+
+/**
+ * Erkennt das Dateiformat anhand der Endung (auch bei URLs mit Query-String).
+ *
+ * @return string 'csv', 'xlsx', 'ods', 'json' oder 'xml'
+ */
+function csv_import_detect_file_format( string $path ): string {
+    $feed_format = CSV_Import_Feed_Converter::detect_format( $path );
+    
+    return $feed_format !== '' ? $feed_format : CSV_Import_Spreadsheet_Converter::detect_format( $path );
+}
+
+/**
+ * Öffnet die lokale CSV-Datei zum Lesen.
+ */
+function csv_import_open_local_csv( array $config ): CSV_Import_CSV_Reader {
     if ( empty( $config['local_path'] ) ) {
         throw new Exception( 'Lokaler Pfad nicht konfiguriert' );
     }
@@ -678,12 +1844,42 @@ function csv_import_load_local_csv( array $config ): array {
         throw new Exception( 'CSV-Datei nicht gefunden oder nicht lesbar: ' . $config['local_path'] );
     }
     
-    $csv_content = file_get_contents( $file_path );
-    if ( $csv_content === false ) {
-        throw new Exception( 'CSV-Datei konnte nicht gelesen werden' );
+    return csv_import_open_file_reader( $file_path, csv_import_detect_file_format( $file_path ), $config );
+}
+
+/**
+ * Öffnet eine Datei als Reader. XLSX- und ODS-Dateien werden vorher in eine
+ * temporäre CSV umgewandelt (Blatt und Header-Zeile aus der Konfiguration),
+ * ebenso JSON- und XML-Feeds (Datensatz-Pfad aus der Konfiguration).
+ *
+ * @param string $format 'csv', 'xlsx', 'ods', 'json' oder 'xml'
+ */
+function csv_import_open_file_reader( string $file_path, string $format, array $config ): CSV_Import_CSV_Reader {
+    if ( in_array( $format, CSV_Import_Feed_Converter::FORMATS, true ) ) {
+        $converted = CSV_Import_Feed_Converter::to_csv_file( $file_path, $format, $config[ $format . '_record_path' ] ?? '' );
+        
+        $reader = CSV_Import_CSV_Reader::from_file( $converted['file'], ',' );
+        $reader->set_temp_file( $converted['file'] );
+        
+        return $reader;
+    }
+    
+    if ( ! in_array( $format, CSV_Import_Spreadsheet_Converter::FORMATS, true ) ) {
+        return CSV_Import_CSV_Reader::from_file( $file_path, get_option( 'csv_import_delimiter', 'auto' ) );
     }
     
-    return csv_import_parse_csv_content( $csv_content );
+    $converted = CSV_Import_Spreadsheet_Converter::to_csv_file(
+        $file_path,
+        $format,
+        $config['spreadsheet_sheet'] ?? '',
+        $config['spreadsheet_header_row'] ?? 1
+    );
+    
+    $reader = CSV_Import_CSV_Reader::from_file( $converted['file'], ',' );
+    $reader->set_temp_file( $converted['file'] );
+    $reader->set_line_offset( $converted['line_offset'] );
+    
+    return $reader;
 }
 
 /**
@@ -694,60 +1890,33 @@ function csv_import_parse_csv_content( string $csv_content ): array {
         throw new Exception( 'CSV-Inhalt ist leer' );
     }
     
-    // Zeilenumbrüche normalisieren
-    $csv_content = csv_import_normalize_line_endings( $csv_content );
-    
-    // Trennzeichen aus den Einstellungen holen oder automatisch erkennen
-    $saved_delimiter = get_option( 'csv_import_delimiter', 'auto' );
+    return csv_import_read_csv_rows(
+        CSV_Import_CSV_Reader::from_string( $csv_content, get_option( 'csv_import_delimiter', 'auto' ) )
+    );
+}
 
-    if ( ! empty( $saved_delimiter ) && 'auto' !== $saved_delimiter ) {
-        // Manuell gesetztes Trennzeichen verwenden (Tabulator-Zeichen umwandeln)
-        $delimiter = str_replace( '\t', "\t", $saved_delimiter );
-    } else {
-        // Fallback auf automatische Erkennung
-        $delimiter = csv_import_detect_csv_delimiter( $csv_content );
-    }
-    
-    // CSV in Zeilen aufteilen
-    $lines = str_getcsv( $csv_content, "\n" );
-    if ( empty( $lines ) ) {
-        throw new Exception( 'Keine CSV-Zeilen gefunden' );
-    }
-    
-    // Header-Zeile parsen
-    $headers = str_getcsv( $lines[0], $delimiter );
-    $headers = array_map( 'trim', $headers );
-    
-    if ( empty( array_filter( $headers ) ) ) {
-        throw new Exception( 'Keine gültigen Header gefunden' );
-    }
-    
-    // Datenzeilen parsen
-    $data = [];
-    for ( $i = 1; $i < count( $lines ); $i++ ) {
-        $line = trim( $lines[ $i ] );
-        if ( empty( $line ) ) {
-            continue; // Leere Zeilen überspringen
-        }
-        
-        $row = str_getcsv( $line, $delimiter );
-        $row = array_map( 'trim', $row );
+/**
+ * Liest alle Zeilen eines Readers in ein Array und schließt ihn.
+ * Nur für kleine Dateien bzw. Vorschauen - Importe lesen direkt über den Reader.
+ */
+function csv_import_read_csv_rows( CSV_Import_CSV_Reader $reader ): array {
+    try {
+        $headers = $reader->get_headers();
         
-        // Zeile mit Headern verknüpfen
-        $row_data = [];
-        for ( $j = 0; $j < count( $headers ); $j++ ) {
-            $row_data[ $headers[ $j ] ] = $row[ $j ] ?? '';
+        $data = [];
+        foreach ( $reader->rows() as $row_data ) {
+            $data[] = $row_data;
         }
         
-        $data[] = $row_data;
+        return [
+            'headers' => $headers,
+            'data' => $data,
+            'total_rows' => count( $data ),
+            'delimiter' => $reader->get_delimiter()
+        ];
+    } finally {
+        $reader->close();
     }
-    
-    return [
-        'headers' => $headers,
-        'data' => $data,
-        'total_rows' => count( $data ),
-        'delimiter' => $delimiter
-    ];
 }
 
 /**
@@ -1020,19 +2189,15 @@ function csv_import_apply_template( int $template_id, array $row, array $config
         throw new Exception( "Template mit ID {$template_id} nicht gefunden" );
     }
     
-    $content = $template_post->post_content;
-    
-    // Platzhalter ersetzen
-    foreach ( $row as $key => $value ) {
-        $placeholder = '{{' . $key . '}}';
-        $content = str_replace( $placeholder, $value, $content );
-    }
-    
-    // Standard-Platzhalter
-    $content = str_replace( '{{title}}', $row['post_title'] ?? '', $content );
-    $content = str_replace( '{{content}}', $row['post_content'] ?? '', $content );
+    // Standard-Platzhalter {{title}} und {{content}}, sofern die Zeile keine eigenen Spalten dafür hat
+    $row += [
+        'title'   => $row['post_title'] ?? '',
+        'content' => $row['post_content'] ?? ''
+    ];
     
-    return $content;
+    return CSV_Import_Template_Engine::render( $template_post->post_content, $row, [
+        'list_separator' => $config['term_separator'] ?? ','
+    ] );
 }
 
 /**
@@ -1042,7 +2207,18 @@ function csv_import_add_meta_fields( int $post_id, array $row, array $config ):
     // Standard-Meta-Felder überspringen
     $skip_fields = ['post_title', 'post_content', 'post_excerpt', 'post_name', 'title', 'content', 'excerpt'];
     
+    // ACF-, Meta-Box- und JetEngine-Felder über die API des jeweiligen Plugins schreiben
+    if ( class_exists( 'CSV_Import_Custom_Fields' ) ) {
+        $custom_fields = CSV_Import_Custom_Fields::prepare_fields( $row, $config['post_type'] ?? 'post', [
+            'list_separator' => (string) ( $config['term_separator'] ?? ',' ) ?: ','
+        ] );
+        CSV_Import_Custom_Fields::save_fields( $post_id, $custom_fields );
+    }
+    
     foreach ( $row as $key => $value ) {
+        if ( class_exists( 'CSV_Import_Custom_Fields' ) && CSV_Import_Custom_Fields::is_field_target( $key ) ) {
+            continue;
+        }
         if ( ! in_array( $key, $skip_fields ) && ! empty( $value ) ) {
             // Meta-Key normalisieren
             $meta_key = sanitize_key( $key );
@@ -1052,146 +2228,36 @@ function csv_import_add_meta_fields( int $post_id, array $row, array $config ):
             
             update_post_meta( $post_id, $meta_key, sanitize_text_field( $value ) );
         }
-    }
-}
-
-/**
- * Verarbeitet Bilder für einen Post
- */
-function csv_import_process_images( int $post_id, array $row, array $config ): void {
-    $image_fields = ['image', 'featured_image', 'thumbnail', 'post_image'];
-    $image_url = '';
-    
-    // Bild-URL aus verschiedenen möglichen Feldern finden
-    foreach ( $image_fields as $field ) {
-        if ( ! empty( $row[ $field ] ) ) {
-            $image_url = $row[ $field ];
-            break;
-        }
-    }
-    
-    if ( empty( $image_url ) ) {
-        return; // Kein Bild gefunden
-    }
-    
-    try {
-        // Bild herunterladen und zur Media Library hinzufügen
-        $attachment_id = csv_import_download_and_attach_image( $image_url, $post_id );
-        
-        if ( $attachment_id ) {
-            set_post_thumbnail( $post_id, $attachment_id );
-            update_post_meta( $post_id, '_csv_import_image_attached', true );
-        }
-        
-    } catch ( Exception $e ) {
-        csv_import_log( 'warning', "Fehler beim Verarbeiten des Bildes für Post {$post_id}: " . $e->getMessage() );
-    }
-}
-
-/**
- * Lädt ein Bild herunter und fügt es zur Media Library hinzu
- */
-function csv_import_download_and_attach_image( string $image_url, int $post_id ): int {
-    if ( ! filter_var( $image_url, FILTER_VALIDATE_URL ) ) {
-        throw new Exception( 'Ungültige Bild-URL: ' . $image_url );
-    }
-    
-    // Bild-URL bereinigen
-    $image_url = esc_url_raw( $image_url );
-    $image_name = basename( $image_url );
-    
-    // Bild herunterladen
-    $response = wp_remote_get( $image_url, [
-        'timeout' => 30
-    ] );
-    
-    if ( is_wp_error( $response ) ) {
-        throw new Exception( 'Konnte Bild nicht herunterladen: ' . $response->get_error_message() );
-    }
-    
-    $image_data = wp_remote_retrieve_body( $response );
-    $http_code = wp_remote_retrieve_response_code( $response );
-    
-    if ( $http_code !== 200 || empty( $image_data ) ) {
-        throw new Exception( "Bild-Download fehlgeschlagen (HTTP {$http_code})" );
-    }
-    
-    // Temporäre Datei erstellen
-    $upload_dir = wp_upload_dir();
-    $temp_file = $upload_dir['basedir'] . '/csv-import-temp/' . $image_name;
-    
-    // Temp-Verzeichnis erstellen falls nicht vorhanden
-    wp_mkdir_p( dirname( $temp_file ) );
-    
-    if ( file_put_contents( $temp_file, $image_data ) === false ) {
-        throw new Exception( 'Konnte temporäre Datei nicht erstellen' );
-    }
-    
-    // Zur Media Library hinzufügen
-    $attachment_data = [
-        'post_title' => sanitize_text_field( pathinfo( $image_name, PATHINFO_FILENAME ) ),
-        'post_content' => '',
-        'post_status' => 'inherit',
-        'post_parent' => $post_id
-    ];
-    
-    $attachment_id = wp_insert_attachment( $attachment_data, $temp_file, $post_id );
-    
-    if ( is_wp_error( $attachment_id ) ) {
-        @unlink( $temp_file );
-        throw new Exception( 'Konnte Attachment nicht erstellen: ' . $attachment_id->get_error_message() );
-    }
-    
-    // Attachment-Metadaten generieren
-    require_once ABSPATH . 'wp-admin/includes/image.php';
-    $attachment_metadata = wp_generate_attachment_metadata( $attachment_id, $temp_file );
-    wp_update_attachment_metadata( $attachment_id, $attachment_metadata );
-    
-    // Temporäre Datei löschen
-    @unlink( $temp_file );
-    
-    return $attachment_id;
+    }
+}
+
+/**
+ * Verarbeitet Beitragsbild und Galerie eines Posts
+ */
+function csv_import_process_images( int $post_id, array $row, array $config ): void {
+    CSV_Import_Media::process_row_images( $post_id, $row, $config );
+}
+
+/**
+ * Lädt ein Bild herunter und fügt es zur Media Library hinzu.
+ * Bereits importierte URLs bzw. Dateien mit gleichem Inhalt werden wiederverwendet.
+ */
+function csv_import_download_and_attach_image( string $image_url, int $post_id ): int {
+    return CSV_Import_Media::sideload_url( $image_url, $post_id );
 }
 
 /**
- * Fügt SEO-Daten hinzu
+ * Fügt SEO-Daten hinzu (Felder je SEO-Plugin siehe CSV_Import_SEO)
  */
 function csv_import_add_seo_data( int $post_id, array $row, array $config ): void {
     $seo_plugin = $config['seo_plugin'];
     // Holt die neue Einstellung aus der Datenbank. 'false' ist der Standardwert, falls sie nicht existiert.
     $set_noindex = get_option('csv_import_noindex_posts', false);
 
-    // Yoast SEO
-    if ( $seo_plugin === 'yoast' && class_exists( 'WPSEO_Options' ) ) {
-        if ( ! empty( $row['seo_title'] ) ) {
-            update_post_meta( $post_id, '_yoast_wpseo_title', sanitize_text_field( $row['seo_title'] ) );
-        }
-        if ( ! empty( $row['seo_description'] ) ) {
-            update_post_meta( $post_id, '_yoast_wpseo_metadesc', sanitize_text_field( $row['seo_description'] ) );
-        }
-        // ===================================================================
-        // KORREKTUR: "noindex"-Logik für Yoast hinzugefügt
-        // ===================================================================
-        if ( $set_noindex ) {
-            update_post_meta( $post_id, '_yoast_wpseo_meta-robots-noindex', '1' );
-        }
-    }
-    
-    // Rank Math
-    if ( $seo_plugin === 'rankmath' && class_exists( 'RankMath' ) ) {
-        if ( ! empty( $row['seo_title'] ) ) {
-            update_post_meta( $post_id, 'rank_math_title', sanitize_text_field( $row['seo_title'] ) );
-        }
-        if ( ! empty( $row['seo_description'] ) ) {
-            update_post_meta( $post_id, 'rank_math_description', sanitize_text_field( $row['seo_description'] ) );
-        }
-        // ===================================================================
-        // KORREKTUR: "noindex"-Logik für Rank Math hinzugefügt
-        // ===================================================================
-        if ( $set_noindex ) {
-            // Rank Math erwartet ein Array von Werten
-            update_post_meta( $post_id, 'rank_math_robots', ['noindex'] );
-        }
+    // Yoast, Rank Math, SEOPress und All in One SEO
+    if ( CSV_Import_SEO::is_plugin_active( $seo_plugin ) ) {
+        CSV_Import_SEO::save( $post_id, $row, $seo_plugin, (bool) $set_noindex );
+        return;
     }
     
     // Fallback für andere Fälle (oder wenn kein SEO-Plugin aktiv ist)
@@ -1334,7 +2400,7 @@ function csv_import_get_progress(): array {
     
     // Validierung: Wenn Import als laufend markiert aber älter als 15 Minuten
     if ( $progress['running'] && $progress['start_time'] > 0 ) {
-        $runtime = time() - $progress['start_time'];
+        $runtime = time() - ( $progress['last_activity'] ?? $progress['start_time'] );
         if ( $runtime > 900 ) { // 15 Minuten
             $progress['running'] = false;
             $progress['status'] = 'timeout';
@@ -1384,7 +2450,7 @@ function csv_import_update_progress( int $processed, int $total, string $status
     $current_progress = get_option( 'csv_import_progress', [] );
     
     $progress = [
-        'running'    => ( $status !== 'completed' && $status !== 'failed' && $status !== 'timeout' ),
+        'running'    => ! in_array( $status, [ 'completed', 'failed', 'timeout', 'paused', 'cancelled' ], true ),
         'processed'  => $processed,
         'total'      => $total,
         'percent'    => $total > 0 ? round( ( $processed / $total ) * 100, 1 ) : 0,
@@ -1392,6 +2458,7 @@ function csv_import_update_progress( int $processed, int $total, string $status
         'message'    => csv_import_get_status_message( $status, $processed, $total ),
         'timestamp'  => current_time( 'timestamp' ),
         'start_time' => $current_progress['start_time'] ?? current_time( 'timestamp' ),
+        'last_activity' => time(),
         'errors'     => $current_progress['errors'] ?? 0
     ];
     
@@ -1427,6 +2494,10 @@ function csv_import_get_status_message( string $status, int $processed, int $tot
             return "Import erfolgreich abgeschlossen. {$processed} Einträge verarbeitet.";
         case 'completed_with_errors':
             return "Import abgeschlossen mit Fehlern. {$processed} von {$total} Einträgen verarbeitet.";
+        case 'paused':
+            return "Import pausiert bei Eintrag {$processed} von {$total}.";
+        case 'cancelled':
+            return "Import abgebrochen nach {$processed} von {$total} Einträgen.";
         case 'failed':
             return 'Import fehlgeschlagen.';
         case 'timeout':
@@ -1474,6 +2545,556 @@ function csv_import_update_import_stats( array $result, string $source ): void {
     }
 }
 
+// ===================================================================
+// CHUNK-IMPORT: PERSISTIERTER CURSOR FÜR FORTSETZBARE IMPORTS
+// ===================================================================
+
+/**
+ * Holt den gespeicherten Zustand eines chunk-basierten Imports.
+ *
+ * @return array Leeres Array, wenn kein fortsetzbarer Import existiert
+ */
+function csv_import_get_chunk_state(): array {
+    $state = get_option( 'csv_import_chunk_state', [] );
+    return is_array( $state ) ? $state : [];
+}
+
+/**
+ * Speichert den Zustand (inkl. Cursor) eines chunk-basierten Imports.
+ */
+function csv_import_save_chunk_state( array $state ): void {
+    $state['updated_at'] = time();
+    update_option( 'csv_import_chunk_state', $state, false );
+}
+
+/**
+ * Verwirft den Zustand eines chunk-basierten Imports samt zwischengespeicherter CSV-Datei.
+ */
+function csv_import_clear_chunk_state(): void {
+    $state = csv_import_get_chunk_state();
+    if ( ! empty( $state['snapshot']['file'] ) && file_exists( $state['snapshot']['file'] ) ) {
+        @unlink( $state['snapshot']['file'] );
+    }
+    
+    delete_option( 'csv_import_chunk_state' );
+    delete_option( 'csv_import_chunk_lock' );
+}
+
+/**
+ * Liefert die Eckdaten eines unterbrochenen Imports für die Admin-Oberfläche.
+ *
+ * @return array|false
+ */
+function csv_import_get_resumable_import() {
+    $state = csv_import_get_chunk_state();
+    if ( empty( $state['session_id'] ) ) {
+        return false;
+    }
+
+    return [
+        'session_id' => $state['session_id'],
+        'source'     => $state['source'] ?? '',
+        'status'     => $state['status'] ?? 'running',
+        'cursor'     => (int) ( $state['cursor'] ?? 0 ),
+        'total'      => (int) ( $state['total'] ?? 0 ),
+        'updated_at' => (int) ( $state['updated_at'] ?? 0 )
+    ];
+}
+
+/**
+ * Setzt ein Steuersignal ('pause' oder 'cancel') für den laufenden Import.
+ * Der Import prüft das Signal zwischen zwei Zeilen und hält kooperativ an.
+ */
+function csv_import_set_import_control( string $signal ): void {
+    if ( ! in_array( $signal, [ 'pause', 'cancel' ], true ) ) {
+        return;
+    }
+    update_option( 'csv_import_control', $signal, false );
+}
+
+/**
+ * Liest das aktuelle Steuersignal direkt aus der Datenbank.
+ * Der Options-Cache würde Signale aus parallelen Requests sonst nicht sehen.
+ */
+function csv_import_get_import_control(): string {
+    global $wpdb;
+
+    $signal = $wpdb->get_var( $wpdb->prepare(
+        "SELECT option_value FROM {$wpdb->options} WHERE option_name = %s LIMIT 1",
+        'csv_import_control'
+    ) );
+
+    return is_string( $signal ) ? $signal : '';
+}
+
+/**
+ * Entfernt ein gesetztes Steuersignal.
+ */
+function csv_import_clear_import_control(): void {
+    delete_option( 'csv_import_control' );
+}
+
+// ===================================================================
+// SPALTEN-MAPPING: ZIELFELDER
+// ===================================================================
+
+/**
+ * Liefert alle Zielfelder, denen eine CSV-Spalte zugeordnet werden kann.
+ *
+ * Präfixe im Feldwert:
+ * - meta:KEY  schreibt exakt in das Meta-Feld KEY
+ * - tax:NAME  weist Begriffe der Taxonomie NAME zu
+ * - acf:KEY, metabox:ID, jetengine:NAME  Felder der Feld-Plugins (CSV_Import_Custom_Fields)
+ * - lang:language, lang:translation_group  Sprache und Übersetzungsgruppe (CSV_Import_Multilingual)
+ * Felder ohne Präfix werden von CSV_Import_Pro_Run direkt verarbeitet.
+ *
+ * @param string $post_type Post-Typ, leer = aktuelle Einstellung
+ * @return array Gruppen mit 'label' und 'targets' (value, label, aliases)
+ */
+function csv_import_get_mapping_targets( string $post_type = '' ): array {
+    if ( $post_type === '' || ! post_type_exists( $post_type ) ) {
+        $post_type = get_option( 'csv_import_post_type', 'page' );
+    }
+
+    $groups = [];
+
+    $groups['core'] = [
+        'label' => 'Beitragsfelder',
+        'targets' => [
+            [ 'value' => 'post_title', 'label' => 'Titel', 'aliases' => [ 'title', 'titel', 'name', 'ueberschrift', 'headline' ] ],
+            [ 'value' => 'post_content', 'label' => 'Inhalt', 'aliases' => [ 'content', 'inhalt', 'text', 'body', 'beschreibung' ] ],
+            [ 'value' => 'post_excerpt', 'label' => 'Auszug', 'aliases' => [ 'excerpt', 'auszug', 'kurzbeschreibung', 'summary', 'teaser' ] ],
+            [ 'value' => 'post_name', 'label' => 'Slug', 'aliases' => [ 'slug', 'permalink', 'url_slug' ] ],
+            [ 'value' => 'post_date', 'label' => 'Veröffentlichungsdatum', 'aliases' => [ 'date', 'datum', 'published', 'publish_date' ] ],
+            [ 'value' => 'menu_order', 'label' => 'Reihenfolge', 'aliases' => [ 'order', 'reihenfolge', 'sort', 'position' ] ],
+        ]
+    ];
+
+    $groups['image'] = [
+        'label' => 'Medien',
+        'targets' => [
+            [ 'value' => 'featured_image', 'label' => 'Beitragsbild (URL/Datei)', 'aliases' => [ 'image', 'bild', 'thumbnail', 'foto', 'post_image', 'image_url' ] ],
+            [ 'value' => 'gallery_images', 'label' => 'Galerie-Bilder (Liste)', 'aliases' => [ 'gallery', 'galerie', 'bilder', 'images', 'fotos' ] ],
+            [ 'value' => 'image_alt', 'label' => 'Bild: Alt-Text', 'aliases' => [ 'alt', 'alt_text', 'alttext', 'bild_alt' ] ],
+            [ 'value' => 'image_caption', 'label' => 'Bild: Bildunterschrift', 'aliases' => [ 'caption', 'bildunterschrift', 'bildtext' ] ],
+            [ 'value' => 'image_title', 'label' => 'Bild: Titel', 'aliases' => [ 'bildtitel', 'image_name' ] ],
+        ]
+    ];
+
+    $groups['seo'] = [
+        'label' => 'SEO',
+        'targets' => CSV_Import_SEO::get_mapping_targets( get_option( 'csv_import_seo_plugin', 'none' ) )
+    ];
+
+    // Taxonomien des Post-Typs
+    $taxonomy_targets = [];
+    foreach ( get_object_taxonomies( $post_type, 'objects' ) as $taxonomy ) {
+        if ( ! $taxonomy->show_ui ) {
+            continue;
+        }
+        $taxonomy_targets[] = [
+            'value' => 'tax:' . $taxonomy->name,
+            'label' => $taxonomy->labels->name,
+            'aliases' => array_values( array_unique( [ $taxonomy->name, sanitize_key( $taxonomy->labels->name ), sanitize_key( $taxonomy->labels->singular_name ) ] ) )
+        ];
+    }
+    if ( $taxonomy_targets ) {
+        $groups['taxonomy'] = [ 'label' => 'Taxonomien', 'targets' => $taxonomy_targets ];
+    }
+
+    // Registrierte und bereits verwendete Meta-Felder
+    $meta_keys = array_merge(
+        array_keys( get_registered_meta_keys( 'post' ) ),
+        array_keys( get_registered_meta_keys( 'post', $post_type ) ),
+        csv_import_get_used_meta_keys( $post_type )
+    );
+    $meta_keys = array_unique( $meta_keys );
+    sort( $meta_keys );
+
+    $meta_targets = [];
+    foreach ( $meta_keys as $meta_key ) {
+        $meta_targets[] = [
+            'value' => 'meta:' . $meta_key,
+            'label' => $meta_key,
+            'aliases' => [ ltrim( $meta_key, '_' ) ]
+        ];
+    }
+    if ( $meta_targets ) {
+        $groups['meta'] = [ 'label' => 'Meta-Felder', 'targets' => $meta_targets ];
+    }
+
+    return apply_filters( 'csv_import_mapping_targets', $groups, $post_type );
+}
+
+/**
+ * Meta-Schlüssel, die Posts des Post-Typs bereits verwenden (ohne interne WordPress- und Plugin-Felder).
+ */
+function csv_import_get_used_meta_keys( string $post_type, int $limit = 100 ): array {
+    global $wpdb;
+
+    $keys = $wpdb->get_col( $wpdb->prepare(
+        "SELECT DISTINCT pm.meta_key FROM {$wpdb->postmeta} pm
+         INNER JOIN {$wpdb->posts} p ON p.ID = pm.post_id
+         WHERE p.post_type = %s
+           AND pm.meta_key NOT LIKE %s
+           AND pm.meta_key NOT LIKE %s
+           AND pm.meta_key NOT LIKE %s
+         ORDER BY pm.meta_key
+         LIMIT %d",
+        $post_type,
+        $wpdb->esc_like( '_wp_' ) . '%',
+        $wpdb->esc_like( '_edit_' ) . '%',
+        $wpdb->esc_like( '_csv_import_' ) . '%',
+        $limit
+    ) );
+
+    return is_array( $keys ) ? $keys : [];
+}
+
+/**
+ * Bereinigt den Schlüssel eines Zielfelds meta:KEY.
+ */
+function csv_import_clean_meta_key( string $meta_key ): string {
+    return (string) preg_replace( '/[^A-Za-z0-9_\-]/', '', $meta_key );
+}
+
+/**
+ * Prüft, ob ein Meta-Schlüssel als Zielfeld meta:KEY zugeordnet werden darf.
+ *
+ * Interne Schlüssel des Plugins (_csv_import_*) sind immer gesperrt, da sie Sync und Quellschlüssel steuern.
+ * Geschützte Schlüssel (is_protected_meta(), z.B. mit _ am Anfang) nur für Administratoren;
+ * geplante Imports übernehmen sie aus dem gespeicherten Mapping, das beim Speichern geprüft wurde.
+ */
+function csv_import_is_allowed_meta_key( string $meta_key ): bool {
+    if ( $meta_key === '' || strpos( $meta_key, '_csv_import_' ) === 0 ) {
+        return false;
+    }
+
+    if ( ! is_protected_meta( $meta_key, 'post' ) || wp_doing_cron() ) {
+        return true;
+    }
+
+    return current_user_can( 'manage_options' );
+}
+
+/**
+ * Bereinigt ein Spalten-Mapping (Spalte => Zielfeld oder Liste von Zielfeldern).
+ * Leere und nicht erlaubte Zuordnungen (siehe csv_import_is_allowed_meta_key()) werden verworfen.
+ */
+function csv_import_sanitize_mapping( $mapping ): array {
+    if ( ! is_array( $mapping ) ) {
+        return [];
+    }
+
+    $clean = [];
+    foreach ( $mapping as $column => $targets ) {
+        $column = sanitize_text_field( (string) $column );
+        if ( $column === '' ) {
+            continue;
+        }
+
+        $targets = array_values( array_filter( array_map(
+            static function ( $target ) {
+                return sanitize_text_field( (string) $target );
+            },
+            (array) $targets
+        ), static function ( $target ) {
+            if ( strpos( $target, 'meta:' ) === 0 ) {
+                return csv_import_is_allowed_meta_key( csv_import_clean_meta_key( substr( $target, 5 ) ) );
+            }
+            return $target !== '';
+        } ) );
+
+        if ( empty( $targets ) ) {
+            continue;
+        }
+
+        $clean[ $column ] = count( $targets ) === 1 ? $targets[0] : $targets;
+    }
+
+    return $clean;
+}
+
+/**
+ * Liefert das zuletzt gespeicherte Spalten-Mapping.
+ */
+function csv_import_get_column_mapping(): array {
+    return csv_import_sanitize_mapping( get_option( 'csv_import_column_mapping', [] ) );
+}
+
+/**
+ * Speichert das Spalten-Mapping, damit es Seiten-Reloads, Profile und geplante Imports überdauert.
+ */
+function csv_import_save_column_mapping( $mapping ): array {
+    $mapping = csv_import_sanitize_mapping( $mapping );
+    update_option( 'csv_import_column_mapping', $mapping, false );
+    return $mapping;
+}
+
+// ===================================================================
+// VALIDIERUNGSREGELN PRO SPALTE
+// ===================================================================
+
+/**
+ * Verfügbare Datentypen für Validierungsregeln (Typ => Bezeichnung).
+ */
+function csv_import_get_validation_rule_types(): array {
+    return [
+        ''      => 'Beliebig',
+        'int'   => 'Ganzzahl',
+        'float' => 'Dezimalzahl',
+        'date'  => 'Datum',
+        'url'   => 'URL',
+        'email' => 'E-Mail',
+        'enum'  => 'Werteliste'
+    ];
+}
+
+/**
+ * Bereinigt Validierungsregeln (Spalte => Regel). Regeln ohne Prüfung werden verworfen.
+ *
+ * Eine Regel besteht aus:
+ * - required    Wert darf nicht leer sein
+ * - type        siehe csv_import_get_validation_rule_types()
+ * - enum        erlaubte Werte (Typ enum)
+ * - date_format Format für den Typ date, z.B. "d.m.Y" (leer = jedes von strtotime() lesbare Datum)
+ * - regex       PCRE-Muster inkl. Begrenzern, z.B. "/^[A-Z]{2}\d+$/"
+ * - min_length / max_length  Zeichenanzahl, 0 = keine Grenze
+ * - unique      Wert darf in der Datei nur einmal vorkommen
+ */
+function csv_import_sanitize_validation_rules( $rules ): array {
+    if ( ! is_array( $rules ) ) {
+        return [];
+    }
+
+    $types = csv_import_get_validation_rule_types();
+    $clean = [];
+
+    foreach ( $rules as $column => $rule ) {
+        $column = sanitize_text_field( (string) $column );
+        if ( $column === '' || ! is_array( $rule ) ) {
+            continue;
+        }
+
+        $type = sanitize_key( $rule['type'] ?? '' );
+        $enum = $rule['enum'] ?? [];
+        if ( is_string( $enum ) ) {
+            $enum = explode( '|', $enum );
+        }
+        $enum = array_values( array_unique( array_filter( array_map( static function ( $value ) {
+            return trim( sanitize_text_field( (string) $value ) );
+        }, (array) $enum ), 'strlen' ) ) );
+
+        // Regex wird nicht durch sanitize_text_field geschickt, sonst gehen Zeichen wie < verloren
+        $regex = trim( wp_check_invalid_utf8( (string) ( $rule['regex'] ?? '' ) ) );
+
+        $clean_rule = [
+            'required'    => ! empty( $rule['required'] ),
+            'type'        => isset( $types[ $type ] ) ? $type : '',
+            'enum'        => $enum,
+            'date_format' => trim( sanitize_text_field( (string) ( $rule['date_format'] ?? '' ) ) ),
+            'regex'       => $regex,
+            'min_length'  => max( 0, (int) ( $rule['min_length'] ?? 0 ) ),
+            'max_length'  => max( 0, (int) ( $rule['max_length'] ?? 0 ) ),
+            'unique'      => ! empty( $rule['unique'] )
+        ];
+
+        $has_check = $clean_rule['required'] || $clean_rule['type'] !== '' || $clean_rule['regex'] !== ''
+            || $clean_rule['min_length'] > 0 || $clean_rule['max_length'] > 0 || $clean_rule['unique'];
+        if ( $has_check ) {
+            $clean[ $column ] = $clean_rule;
+        }
+    }
+
+    return $clean;
+}
+
+/**
+ * Prüft Validierungsregeln auf Konfigurationsfehler (ungültige Regex, leere Werteliste, ...).
+ *
+ * @return array Fehlermeldungen
+ */
+function csv_import_check_validation_rules( array $rules ): array {
+    $errors = [];
+
+    foreach ( $rules as $column => $rule ) {
+        if ( $rule['regex'] !== '' && @preg_match( $rule['regex'], '' ) === false ) {
+            $errors[] = "Spalte '{$column}': ungültiger regulärer Ausdruck " . $rule['regex'];
+        }
+        if ( $rule['type'] === 'enum' && empty( $rule['enum'] ) ) {
+            $errors[] = "Spalte '{$column}': Werteliste ist leer";
+        }
+        if ( $rule['min_length'] > 0 && $rule['max_length'] > 0 && $rule['min_length'] > $rule['max_length'] ) {
+            $errors[] = "Spalte '{$column}': Mindestlänge ist größer als Maximallänge";
+        }
+    }
+
+    return $errors;
+}
+
+/**
+ * Liefert die gespeicherten Validierungsregeln.
+ */
+function csv_import_get_validation_rules(): array {
+    return csv_import_sanitize_validation_rules( get_option( 'csv_import_validation_rules', [] ) );
+}
+
+/**
+ * Speichert die Validierungsregeln, damit sie Profile und geplante Imports überdauern.
+ */
+function csv_import_save_validation_rules( $rules ): array {
+    $rules = csv_import_sanitize_validation_rules( $rules );
+    update_option( 'csv_import_validation_rules', $rules, false );
+    return $rules;
+}
+
+// ===================================================================
+// TRANSFORMATIONEN PRO SPALTE
+// ===================================================================
+
+/**
+ * Liefert die gespeicherten Transformationen (Spalte => Schritte), siehe CSV_Import_Transformer.
+ */
+function csv_import_get_column_transforms(): array {
+    if ( ! class_exists( 'CSV_Import_Transformer' ) ) {
+        return [];
+    }
+    return CSV_Import_Transformer::sanitize( get_option( 'csv_import_column_transforms', [] ) );
+}
+
+/**
+ * Speichert die Transformationen, damit sie Profile und geplante Imports überdauern.
+ */
+function csv_import_save_column_transforms( $transforms ): array {
+    $transforms = class_exists( 'CSV_Import_Transformer' ) ? CSV_Import_Transformer::sanitize( $transforms ) : [];
+    update_option( 'csv_import_column_transforms', $transforms, false );
+    return $transforms;
+}
+
+// ===================================================================
+// PAGE BUILDER
+// ===================================================================
+
+/**
+ * Unterstützte Page Builder und wie ihre Layouts aus dem Template übernommen werden.
+ * Weitere Builder lassen sich über den Filter csv_import_page_builders registrieren.
+ *
+ * Aufbau eines Eintrags:
+ * - label       Bezeichnung in den Einstellungen
+ * - content     Format des post_content: 'text' oder 'json'
+ * - meta        Meta-Key => Format: 'text', 'json' (JSON-String) oder 'data' (serialisierte Arrays/Objekte).
+ *               Platzhalter werden in JSON und Daten rekursiv Feld für Feld ersetzt.
+ *               Nicht aufgeführte Meta-Felder werden übernommen, Platzhalter nur in einfachen Strings ersetzt.
+ * - flags       Meta-Felder, die den Builder für den neuen Post aktivieren (Meta-Key => Wert)
+ * - after_apply Optionaler Callback ( int $post_id, array $rendered ) nach dem Schreiben, z.B. Caches leeren
+ */
+function csv_import_get_page_builders(): array {
+    $builders = apply_filters( 'csv_import_page_builders', [
+        'gutenberg' => [
+            'label' => 'Gutenberg (Standard)'
+        ],
+        'elementor' => [
+            'label' => 'Elementor',
+            'meta'  => [ '_elementor_data' => 'json' ],
+            'flags' => [ '_elementor_edit_mode' => 'builder' ]
+        ],
+        'wpbakery' => [
+            'label' => 'WPBakery',
+            'flags' => [ '_wpb_vc_js_status' => 'true' ]
+        ],
+        'breakdance' => [
+            'label'   => 'Breakdance',
+            'content' => 'json',
+            'meta'    => [ '_breakdance_data' => 'json' ],
+            'flags'   => [ '_breakdance_is_editable' => '1' ]
+        ],
+        'enfold' => [
+            // Shortcodes im post_content, der "Advanced Layout Builder" muss aktiviert sein
+            'label' => 'Enfold',
+            'flags' => [ '_av_alb_advanced_layout_status' => 'active' ]
+        ],
+        'divi' => [
+            // Divi speichert das Layout als Shortcodes im post_content
+            'label' => 'Divi',
+            'flags' => [ '_et_pb_use_builder' => 'on' ]
+        ],
+        'beaver' => [
+            'label' => 'Beaver Builder',
+            'meta'  => [ '_fl_builder_data' => 'data', '_fl_builder_draft' => 'data' ],
+            'flags' => [ '_fl_builder_enabled' => 1 ],
+            'after_apply' => function( int $post_id ) {
+                // Generiertes CSS/JS des Layouts neu erzeugen lassen
+                if ( class_exists( 'FLBuilderModel' ) && method_exists( 'FLBuilderModel', 'delete_all_asset_cache' ) ) {
+                    FLBuilderModel::delete_all_asset_cache( $post_id );
+                }
+            }
+        ],
+        'oxygen' => [
+            // Oxygen rendert aus den Meta-Feldern, der post_content bleibt ungenutzt
+            'label' => 'Oxygen',
+            'meta'  => [ 'ct_builder_json' => 'json', 'ct_builder_shortcodes' => 'text' ]
+        ],
+        'bricks' => [
+            'label' => 'Bricks',
+            'meta'  => [
+                '_bricks_page_content_2' => 'data',
+                '_bricks_page_header_2'  => 'data',
+                '_bricks_page_footer_2'  => 'data'
+            ],
+            'flags' => [ '_bricks_editor_mode' => 'bricks' ]
+        ]
+    ] );
+
+    foreach ( $builders as $id => $builder ) {
+        $builders[ $id ] = wp_parse_args( (array) $builder, [
+            'label'       => $id,
+            'content'     => 'text',
+            'meta'        => [],
+            'flags'       => [],
+            'after_apply' => null
+        ] );
+    }
+
+    return $builders;
+}
+
+// ===================================================================
+// TEMPLATE-VORSCHAU
+// ===================================================================
+
+/**
+ * Löscht temporäre Vorschau-Posts (siehe CSV_Import_Pro_Run::preview_row()).
+ *
+ * @param int $user_id          Nur Vorschauen dieses Benutzers, 0 = alle
+ * @param int $older_than_hours Nur Vorschauen, die älter sind, 0 = unabhängig vom Alter
+ * @return int Anzahl gelöschter Posts
+ */
+function csv_import_delete_template_previews( int $user_id = 0, int $older_than_hours = 0 ): int {
+    // 'any' würde Post-Typen mit exclude_from_search auslassen, deren Vorschauen dann liegen blieben
+    $query = [
+        'post_type'      => array_keys( get_post_types() ),
+        'post_status'    => 'any',
+        'posts_per_page' => 100,
+        'fields'         => 'ids',
+        'meta_key'       => '_csv_import_preview'
+    ];
+    if ( $user_id > 0 ) {
+        $query['meta_value'] = $user_id;
+    }
+    if ( $older_than_hours > 0 ) {
+        $query['date_query'] = [ [ 'before' => $older_than_hours . ' hours ago', 'column' => 'post_modified_gmt' ] ];
+    }
+
+    $deleted = 0;
+    foreach ( get_posts( $query ) as $post_id ) {
+        if ( wp_delete_post( $post_id, true ) ) {
+            $deleted++;
+        }
+    }
+
+    return $deleted;
+}
+
 // ===================================================================
 // ADMIN UI FUNKTIONEN
 // ===================================================================
@@ -1698,6 +3319,14 @@ function csv_import_cleanup_temp_files( int $older_than_hours = 24 ): void {
         }
     }
     
+    // Abgebrochene Browser-Uploads entfernen
+    $parts = glob( $upload_dir['basedir'] . '/csv-import-uploads/*.part' ) ?: [];
+    foreach ( $parts as $file ) {
+        if ( filemtime( $file ) < $cutoff_time && @unlink( $file ) ) {
+            $deleted_files++;
+        }
+    }
+    
     if ( $deleted_files > 0 ) {
         csv_import_log( 'info', "Bereinigung: {$deleted_files} temporäre Dateien gelöscht" );
     }
@@ -1942,6 +3571,12 @@ function csv_import_daily_maintenance(): void {
     // 5. Backup alte Progress-Optionen löschen
     delete_transient( 'csv_import_progress' );
     
+    // Liegengebliebene Template-Vorschauen löschen
+    $deleted_previews = csv_import_delete_template_previews( 0, 24 );
+    if ( $deleted_previews > 0 ) {
+        csv_import_log( 'debug', "Bereinigt: {$deleted_previews} alte Template-Vorschauen" );
+    }
+    
     // 6. Plugin-Performance-Metriken sammeln
     $memory_limit = csv_import_convert_to_bytes( ini_get( 'memory_limit' ) );
     $disk_free = disk_free_space( ABSPATH );
@@ -2444,6 +4079,9 @@ function csv_import_generate_success_message(array $result, string $source): str
     $total = $result['total'] ?? 0;
     $errors = $result['errors'] ?? 0;
     $session_id = $result['session_id'] ?? '';
+    $created = $result['created'] ?? $processed;
+    $updated = $result['updated'] ?? 0;
+    $unchanged = $result['unchanged'] ?? 0;
 
     // Performance-Daten sammeln
     $execution_time = get_option('csv_import_last_execution_time', 0);
@@ -2456,18 +4094,31 @@ function csv_import_generate_success_message(array $result, string $source): str
     // Detaillierte Statistiken
     $stats_html = "<div class='csv-success-stats'>";
     $stats_html .= "<div class='stat-item success'>";
-    $stats_html .= "<span class='stat-number'>{$processed}</span>";
+    $stats_html .= "<span class='stat-number'>{$created}</span>";
     $stats_html .= "<span class='stat-label'>Seiten erstellt</span>";
     $stats_html .= "</div>";
 
-    if ($total > $processed) {
-        $skipped = $total - $processed - $errors;
-        if ($skipped > 0) {
-            $stats_html .= "<div class='stat-item warning'>";
-            $stats_html .= "<span class='stat-number'>{$skipped}</span>";
-            $stats_html .= "<span class='stat-label'>Duplikate übersprungen</span>";
-            $stats_html .= "</div>";
-        }
+    if ($updated > 0) {
+        $stats_html .= "<div class='stat-item success'>";
+        $stats_html .= "<span class='stat-number'>{$updated}</span>";
+        $stats_html .= "<span class='stat-label'>Seiten aktualisiert</span>";
+        $stats_html .= "</div>";
+    }
+
+    if ($unchanged > 0) {
+        $stats_html .= "<div class='stat-item info'>";
+        $stats_html .= "<span class='stat-number'>{$unchanged}</span>";
+        $stats_html .= "<span class='stat-label'>Unverändert</span>";
+        $stats_html .= "</div>";
+    }
+
+    $skipped = $result['skipped'] ?? max(0, $total - $processed - $errors);
+    if ($skipped > 0) {
+        $skipped_label = ($result['mode'] ?? 'create') === 'update' ? 'Ohne Treffer übersprungen' : 'Duplikate übersprungen';
+        $stats_html .= "<div class='stat-item warning'>";
+        $stats_html .= "<span class='stat-number'>{$skipped}</span>";
+        $stats_html .= "<span class='stat-label'>{$skipped_label}</span>";
+        $stats_html .= "</div>";
     }
 
     if ($errors > 0) {
@@ -2498,6 +4149,9 @@ function csv_import_generate_success_message(array $result, string $source): str
 
     $stats_html .= "</div>";
 
+    // Ergebnis des Sync-Modus (entfernte Zeilen)
+    $sync_html = ! empty($result['sync']) ? csv_import_get_sync_summary_html($result['sync']) : '';
+
     // Nächste Schritte vorschlagen
     $next_steps = csv_import_get_next_steps($processed, $source);
 
@@ -2516,6 +4170,8 @@ function csv_import_generate_success_message(array $result, string $source): str
 
         {$stats_html}
 
+        {$sync_html}
+
         <div class='success-actions'>
             <h4>🎯 Was möchten Sie als nächstes tun?</h4>
             {$next_steps}
@@ -2529,6 +4185,44 @@ function csv_import_generate_success_message(array $result, string $source): str
     return $final_message;
 }
 
+/**
+ * Erstellt die Zusammenfassung des Sync-Laufs für die Erfolgsmeldung
+ */
+function csv_import_get_sync_summary_html(array $sync): string {
+    $count = (int) ($sync['count'] ?? 0);
+    if ($count === 0) {
+        return "<div class='csv-sync-summary info-message'>🧹 <strong>Sync:</strong> Alle Posts dieser Quelle sind noch in der CSV enthalten.</div>";
+    }
+
+    if (! empty($sync['unresolved'])) {
+        $headline = "⚠️ <strong>Sync nur gemeldet:</strong> {$sync['unresolved']} Zeilen konnten keinem Post zugeordnet werden. {$count} Posts fehlen in der CSV, es wird nichts entfernt.";
+        $css_class = 'warning-message';
+    } elseif (! empty($sync['aborted'])) {
+        $headline = "⚠️ <strong>Sync abgebrochen:</strong> {$count} von {$sync['total']} Posts ({$sync['percent']}%) fehlen in der CSV - mehr als die erlaubten {$sync['threshold']}%. Es wurde nichts entfernt.";
+        $css_class = 'warning-message';
+    } elseif (! empty($sync['dry_run'])) {
+        $headline = "🧹 <strong>Sync-Probelauf:</strong> {$count} Posts fehlen in der CSV und würden entfernt werden.";
+        $css_class = 'info-message';
+    } else {
+        $action_label = ($sync['mode'] ?? '') === 'trash' ? 'in den Papierkorb verschoben' : 'auf Entwurf gesetzt';
+        $headline = "🧹 <strong>Sync:</strong> {$sync['applied']} Posts, die in der CSV fehlen, wurden {$action_label}. Ein Rollback ist über die Backup-Seite möglich.";
+        $css_class = 'info-message';
+    }
+
+    $items = '';
+    foreach (array_slice($sync['posts'] ?? [], 0, 20) as $post) {
+        $title = esc_html($post['title'] !== '' ? $post['title'] : '#' . $post['id']);
+        $items .= ! empty($post['edit_url'])
+            ? "<li><a href='" . esc_url($post['edit_url']) . "'>{$title}</a></li>"
+            : "<li>{$title}</li>";
+    }
+    if ($count > 20) {
+        $items .= "<li>… und " . ($count - 20) . " weitere</li>";
+    }
+
+    return "<div class='csv-sync-summary {$css_class}'>{$headline}<ul>{$items}</ul></div>";
+}
+
 /**
  * Generiert hilfreiche nächste Schritte basierend auf dem Import-Ergebnis
  */